@@ -0,0 +1,234 @@
+/**
+ * Local stand-in for the f17n355 peer review backend (development only)
+ *
+ * Usage: node dev/review-server.mjs [--port 8789] [--reviewers 6] [--pass-rate 0.8]
+ *        [--vote-delay 5000] [--manual] [--fail-rate 0.3] [--latency 500]
+ * Then open the app with #reviewlocal to send proof videos to peer review.
+ *
+ * Reviews live in memory. The reviewers are simulated identities with an
+ * accuracy each: whether a video "really" passes is drawn with --pass-rate,
+ * and every assigned reviewer votes on their own within twice the vote
+ * delay, right with the probability of their accuracy. Careless reviewers
+ * are in the pool on purpose, so reliability tracking has something to
+ * find. With --manual nobody votes on their own; cast votes with
+ * POST /reviews/:id/votes {reviewerId, passed, reasons}. GET /reviews
+ * lists every review with its votes.
+ */
+import http from "node:http";
+
+const options = {
+  port: 8789,
+  reviewers: 6,
+  passRate: 0.8,
+  voteDelay: 5000,
+  manual: false,
+  failRate: 0,
+  latency: 0,
+};
+
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--manual") options.manual = true;
+  if (args[i] === "--port") options.port = Number(args[++i]);
+  if (args[i] === "--reviewers") options.reviewers = Number(args[++i]);
+  if (args[i] === "--pass-rate") options.passRate = Number(args[++i]);
+  if (args[i] === "--vote-delay") options.voteDelay = Number(args[++i]);
+  if (args[i] === "--fail-rate") options.failRate = Number(args[++i]);
+  if (args[i] === "--latency") options.latency = Number(args[++i]);
+}
+
+const profiles = [
+  { name: "Ava", accuracy: 0.97 },
+  { name: "Ben", accuracy: 0.93 },
+  { name: "Chloe", accuracy: 0.9 },
+  { name: "Dario", accuracy: 0.88 },
+  { name: "Emre (careless)", accuracy: 0.6 },
+  { name: "Finn (coin flip)", accuracy: 0.5 },
+  { name: "Greta", accuracy: 0.95 },
+  { name: "Hana", accuracy: 0.85 },
+];
+const reviewers = Array.from({ length: options.reviewers }, (_, i) => ({
+  id: `reviewer-${i + 1}`,
+  ...profiles[i % profiles.length],
+}));
+
+const failReasons = [
+  "No Rep at 0:42",
+  "Range of motion not complete at 1:05",
+  "Video cuts at 0:58",
+  "Weight plates not visible",
+  "Exercise does not match the logged workout",
+];
+
+const reviews = new Map();
+let nextReviewId = 1;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function castVote(review, reviewerId, passed, reasons) {
+  const vote = {
+    reviewerId,
+    passed,
+    reasons: passed ? [] : reasons,
+    votedAt: new Date().toISOString(),
+  };
+  review.votes.push(vote);
+  console.log(
+    `[review-server] ${reviewerId} voted ${passed ? "pass" : "fail"} on ${review.reviewId}${passed ? "" : ` (${vote.reasons.join("; ")})`}`,
+  );
+  return vote;
+}
+
+function scheduleSimulatedVotes(review) {
+  for (const reviewerId of review.reviewerIds) {
+    const reviewer = reviewers.find((r) => r.id === reviewerId);
+    const delay = options.voteDelay * (0.5 + Math.random() * 1.5);
+    setTimeout(() => {
+      if (review.votes.some((vote) => vote.reviewerId === reviewerId)) return;
+      const isRight = Math.random() < reviewer.accuracy;
+      const passed = isRight ? review.truth : !review.truth;
+      const reason =
+        failReasons[Math.floor(Math.random() * failReasons.length)];
+      castVote(review, reviewerId, passed, [reason]);
+    }, delay);
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") {
+    sendJson(res, 204);
+    return;
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, options.latency));
+
+  const url = new URL(req.url, `http://localhost:${options.port}`);
+  const [, root, reviewId, action] = url.pathname.split("/");
+
+  if (root === "reviewers" && req.method === "GET") {
+    sendJson(
+      res,
+      200,
+      reviewers.map(({ id, name }) => ({ id, name })),
+    );
+    return;
+  }
+
+  if (root !== "reviews") {
+    sendJson(res, 404, { error: "Not found" });
+    return;
+  }
+
+  if (req.method === "GET" && !reviewId) {
+    sendJson(res, 200, [...reviews.values()]);
+    return;
+  }
+
+  if (Math.random() < options.failRate) {
+    console.log(
+      `[review-server] Simulated failure: ${req.method} ${url.pathname}`,
+    );
+    sendJson(res, 503, { error: "Simulated outage" });
+    return;
+  }
+
+  try {
+    // Assign a video to reviewers
+    if (req.method === "POST" && !reviewId) {
+      const body = await readBody(req);
+      const unknown = (body.reviewerIds || []).filter(
+        (id) => !reviewers.some((reviewer) => reviewer.id === id),
+      );
+      if (!body.workoutId || !body.reviewerIds?.length || unknown.length > 0) {
+        sendJson(res, 400, {
+          error: unknown.length
+            ? `Unknown reviewers: ${unknown.join(", ")}`
+            : "workoutId and reviewerIds are required",
+        });
+        return;
+      }
+      const review = {
+        reviewId: `review-${nextReviewId++}`,
+        workoutId: body.workoutId,
+        videoUrl: body.videoUrl,
+        summary: body.summary,
+        reviewerIds: body.reviewerIds,
+        truth: Math.random() < options.passRate,
+        votes: [],
+        createdAt: new Date().toISOString(),
+      };
+      reviews.set(review.reviewId, review);
+      console.log(
+        `[review-server] ${review.reviewId} for workout ${review.workoutId} assigned to ${review.reviewerIds.join(", ")} (should ${review.truth ? "pass" : "fail"})`,
+      );
+      if (!options.manual) scheduleSimulatedVotes(review);
+      sendJson(res, 200, { reviewId: review.reviewId });
+      return;
+    }
+
+    const review = reviews.get(decodeURIComponent(reviewId || ""));
+    if (!review) {
+      sendJson(res, 404, { error: "Unknown review" });
+      return;
+    }
+
+    if (req.method === "GET" && !action) {
+      sendJson(res, 200, { reviewId: review.reviewId, votes: review.votes });
+      return;
+    }
+
+    // Vote as one of the simulated reviewers
+    if (req.method === "POST" && action === "votes") {
+      const body = await readBody(req);
+      if (!review.reviewerIds.includes(body.reviewerId)) {
+        sendJson(res, 400, { error: "Reviewer is not assigned" });
+        return;
+      }
+      if (review.votes.some((vote) => vote.reviewerId === body.reviewerId)) {
+        sendJson(res, 409, { error: "Reviewer already voted" });
+        return;
+      }
+      const vote = castVote(
+        review,
+        body.reviewerId,
+        body.passed === true,
+        body.reasons || [],
+      );
+      sendJson(res, 200, vote);
+      return;
+    }
+
+    sendJson(res, 405, { error: "Method not allowed" });
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+  }
+});
+
+server.listen(options.port, () => {
+  console.log(
+    `[review-server] Listening on http://localhost:${options.port} (${reviewers.length} reviewers, pass rate ${options.passRate}, vote delay ${options.voteDelay}ms${options.manual ? ", manual votes" : ""})`,
+  );
+});
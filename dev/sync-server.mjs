@@ -0,0 +1,145 @@
+/**
+ * Local stand-in for the f17n355 sync backend (development only)
+ *
+ * Usage: node dev/sync-server.mjs [--port 8787] [--fail-rate 0.3] [--latency 500]
+ * Then open the app with #synclocal to point the outbox at it.
+ *
+ * Records live in memory and are lost when the server stops. Each write
+ * bumps the record's revision; a write whose baseRevision is behind gets
+ * 409 with the current record. Deletes keep a tombstone so a stale device
+ * learns about them. Use PUT /seed/:type/:id with {payload} to fake an edit
+ * from another device.
+ */
+import http from "node:http";
+
+const options = {
+  port: 8787,
+  failRate: 0,
+  latency: 0,
+};
+
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 2) {
+  const value = Number(args[i + 1]);
+  if (args[i] === "--port") options.port = value;
+  if (args[i] === "--fail-rate") options.failRate = value;
+  if (args[i] === "--latency") options.latency = value;
+}
+
+const records = new Map();
+
+function writeRecord(key, mutationId, payload) {
+  const existing = records.get(key);
+  const record = {
+    revision: existing ? existing.revision + 1 : 1,
+    mutationId,
+    payload,
+    deleted: payload === null,
+    updatedAt: new Date().toISOString(),
+  };
+  records.set(key, record);
+  return record;
+}
+
+function isStale(key, baseRevision) {
+  const existing = records.get(key);
+  return Boolean(existing) && existing.revision !== (baseRevision || 0);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") {
+    sendJson(res, 204);
+    return;
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, options.latency));
+
+  const url = new URL(req.url, `http://localhost:${options.port}`);
+  const [, root, entityType, entityId] = url.pathname.split("/");
+
+  if (root === "seed" && req.method === "PUT") {
+    const body = await readBody(req);
+    const key = `${entityType}/${decodeURIComponent(entityId || "")}`;
+    const record = writeRecord(key, "seed", body.payload);
+    console.log(`[sync-server] Seeded ${key} at revision ${record.revision}`);
+    sendJson(res, 200, record);
+    return;
+  }
+
+  if (root !== "sync") {
+    sendJson(res, 404, { error: "Not found" });
+    return;
+  }
+
+  if (req.method === "GET" && !entityType) {
+    sendJson(res, 200, Object.fromEntries(records));
+    return;
+  }
+
+  if (Math.random() < options.failRate) {
+    console.log(
+      `[sync-server] Simulated failure: ${req.method} ${url.pathname}`,
+    );
+    sendJson(res, 503, { error: "Simulated outage" });
+    return;
+  }
+
+  const key = `${entityType}/${decodeURIComponent(entityId || "")}`;
+
+  try {
+    if (req.method === "GET") {
+      const record = records.get(key);
+      sendJson(res, record ? 200 : 404, record || { error: "Not found" });
+    } else if (req.method === "PUT" || req.method === "DELETE") {
+      const body = await readBody(req);
+      if (isStale(key, body.baseRevision)) {
+        console.log(
+          `[sync-server] Conflict ${key}: base ${body.baseRevision}, current ${records.get(key).revision}`,
+        );
+        sendJson(res, 409, records.get(key));
+        return;
+      }
+      const payload = req.method === "DELETE" ? null : body.payload;
+      const record = writeRecord(key, body.mutationId, payload);
+      console.log(
+        `[sync-server] ${payload === null ? "Delete" : "Upsert"} ${key} at revision ${record.revision} (${body.mutationId})`,
+      );
+      sendJson(res, 200, record);
+    } else {
+      sendJson(res, 405, { error: "Method not allowed" });
+    }
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+  }
+});
+
+server.listen(options.port, () => {
+  console.log(
+    `[sync-server] Listening on http://localhost:${options.port} (fail rate ${options.failRate}, latency ${options.latency}ms)`,
+  );
+});
@@ -0,0 +1,217 @@
+/**
+ * Local stand-in for the f17n355 video upload backend (development only)
+ *
+ * Usage: node dev/upload-server.mjs [--port 8788] [--fail-rate 0.3] [--latency 500] [--out dir]
+ * Then open the app with #uploadlocal to send proof videos to it.
+ *
+ * Uploads live in memory. Every chunk is checked against its X-Chunk-SHA256
+ * header (422 on mismatch). Reopening an upload answers the chunks already
+ * received, so clients can resume. With --out, assembled videos are also
+ * written to that directory. GET /uploads lists the state of every upload.
+ */
+import http from "node:http";
+import { createHash } from "node:crypto";
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+const options = {
+  port: 8788,
+  failRate: 0,
+  latency: 0,
+  out: null,
+};
+
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 2) {
+  if (args[i] === "--port") options.port = Number(args[i + 1]);
+  if (args[i] === "--fail-rate") options.failRate = Number(args[i + 1]);
+  if (args[i] === "--latency") options.latency = Number(args[i + 1]);
+  if (args[i] === "--out") options.out = args[i + 1];
+}
+
+const uploads = new Map();
+
+function sha256(buffer) {
+  return createHash("sha256").update(buffer).digest("hex");
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, X-Chunk-SHA256",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBuffer(req) {
+  return new Promise((resolve, reject) => {
+    const parts = [];
+    req.on("data", (part) => parts.push(part));
+    req.on("end", () => resolve(Buffer.concat(parts)));
+    req.on("error", reject);
+  });
+}
+
+async function readJson(req) {
+  const buffer = await readBuffer(req);
+  return buffer.length > 0 ? JSON.parse(buffer.toString("utf8")) : {};
+}
+
+function receivedChunks(upload) {
+  return [...upload.chunks.keys()].sort((a, b) => a - b);
+}
+
+function describe(upload) {
+  return {
+    uploadId: upload.uploadId,
+    workoutId: upload.workoutId,
+    sizeBytes: upload.sizeBytes,
+    chunkCount: upload.chunkCount,
+    receivedChunks: receivedChunks(upload),
+    completed: upload.completed,
+    url: upload.url,
+  };
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") {
+    sendJson(res, 204);
+    return;
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, options.latency));
+
+  const url = new URL(req.url, `http://localhost:${options.port}`);
+  const [, root, uploadId, action, index] = url.pathname.split("/");
+
+  if (root !== "uploads") {
+    sendJson(res, 404, { error: "Not found" });
+    return;
+  }
+
+  if (req.method === "GET" && !uploadId) {
+    sendJson(res, 200, [...uploads.values()].map(describe));
+    return;
+  }
+
+  if (Math.random() < options.failRate) {
+    console.log(
+      `[upload-server] Simulated failure: ${req.method} ${url.pathname}`,
+    );
+    sendJson(res, 503, { error: "Simulated outage" });
+    return;
+  }
+
+  try {
+    const id = decodeURIComponent(uploadId || "");
+
+    // Open or reopen an upload
+    if (req.method === "POST" && !uploadId) {
+      const body = await readJson(req);
+      let upload = uploads.get(body.uploadId);
+      if (!upload) {
+        upload = {
+          ...body,
+          chunks: new Map(),
+          completed: false,
+          url: null,
+        };
+        uploads.set(body.uploadId, upload);
+        console.log(
+          `[upload-server] Opened ${body.uploadId}: ${body.sizeBytes} bytes in ${body.chunkCount} chunks`,
+        );
+      } else {
+        console.log(
+          `[upload-server] Resumed ${body.uploadId} with ${upload.chunks.size}/${upload.chunkCount} chunks`,
+        );
+      }
+      sendJson(res, 200, { receivedChunks: receivedChunks(upload) });
+      return;
+    }
+
+    const upload = uploads.get(id);
+    if (!upload) {
+      sendJson(res, 404, { error: "Unknown upload" });
+      return;
+    }
+
+    if (req.method === "GET" && !action) {
+      sendJson(res, 200, describe(upload));
+      return;
+    }
+
+    if (req.method === "PUT" && action === "chunks") {
+      const chunkIndex = Number(index);
+      const buffer = await readBuffer(req);
+      const expected = req.headers["x-chunk-sha256"];
+      if (!(chunkIndex >= 0 && chunkIndex < upload.chunkCount)) {
+        sendJson(res, 400, { error: "Chunk index out of range" });
+        return;
+      }
+      if (sha256(buffer) !== expected) {
+        console.log(`[upload-server] Checksum mismatch ${id}#${chunkIndex}`);
+        sendJson(res, 422, { error: "Checksum mismatch" });
+        return;
+      }
+      upload.chunks.set(chunkIndex, buffer);
+      console.log(
+        `[upload-server] Chunk ${id}#${chunkIndex} (${buffer.length} bytes, ${upload.chunks.size}/${upload.chunkCount})`,
+      );
+      sendJson(res, 200, { index: chunkIndex });
+      return;
+    }
+
+    if (req.method === "POST" && action === "complete") {
+      const body = await readJson(req);
+      const missing = [];
+      for (let i = 0; i < upload.chunkCount; i++) {
+        if (!upload.chunks.has(i)) missing.push(i);
+      }
+      if (missing.length > 0) {
+        sendJson(res, 409, { error: "Missing chunks", missingChunks: missing });
+        return;
+      }
+      const mismatched = (body.chunkChecksums || []).findIndex(
+        (checksum, i) => checksum !== sha256(upload.chunks.get(i)),
+      );
+      if (mismatched >= 0) {
+        sendJson(res, 422, {
+          error: `Checksum mismatch at chunk ${mismatched}`,
+        });
+        return;
+      }
+
+      const video = Buffer.concat(
+        receivedChunks(upload).map((i) => upload.chunks.get(i)),
+      );
+      upload.completed = true;
+      upload.url = `/videos/${encodeURIComponent(id)}`;
+      if (options.out) {
+        await mkdir(options.out, { recursive: true });
+        const extension = (upload.mimeType || "").includes("mp4")
+          ? "mp4"
+          : "webm";
+        await writeFile(path.join(options.out, `${id}.${extension}`), video);
+      }
+      console.log(`[upload-server] Completed ${id}: ${video.length} bytes`);
+      sendJson(res, 200, {
+        url: upload.url,
+        sha256: sha256(video),
+        sizeBytes: video.length,
+      });
+      return;
+    }
+
+    sendJson(res, 405, { error: "Method not allowed" });
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+  }
+});
+
+server.listen(options.port, () => {
+  console.log(
+    `[upload-server] Listening on http://localhost:${options.port} (fail rate ${options.failRate}, latency ${options.latency}ms)`,
+  );
+});
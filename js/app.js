@@ -8,26 +8,78 @@
 // Services
 import { Logger } from "./services/Logger.js";
 import { StorageService } from "./services/StorageService.js";
+import { MigrationRegistry } from "./services/MigrationRegistry.js";
+import { SchemaMigrations } from "./services/SchemaMigrations.js";
 import { ProofService } from "./services/ProofService.js";
 import { ProgressionService } from "./services/ProgressionService.js";
+import { ScoringService } from "./services/ScoringService.js";
+import { StreakService } from "./services/StreakService.js";
+import { AchievementService } from "./services/AchievementService.js";
+import { AvatarRenderer } from "./services/AvatarRenderer.js";
+import { BodyMetricsService } from "./services/BodyMetricsService.js";
+import { SyncService } from "./services/SyncService.js";
+import { VideoCaptureService } from "./services/VideoCaptureService.js";
+import { VideoMetadataReader } from "./services/VideoMetadataReader.js";
+import { VideoUploadService } from "./services/VideoUploadService.js";
+import { AttestationCrypto } from "./services/AttestationCrypto.js";
+import { EscrowService } from "./services/EscrowService.js";
+import { QrCodeEncoder } from "./services/QrCodeEncoder.js";
+import { QrScannerService } from "./services/QrScannerService.js";
+import { PeerReviewService } from "./services/PeerReviewService.js";
+import { RulePackValidator } from "./services/RulePackValidator.js";
+import { PrerequisiteEvaluator } from "./services/PrerequisiteEvaluator.js";
+import { DecayTracker } from "./services/DecayTracker.js";
 
 // Repositories
 import { AthleteRepository } from "./repositories/AthleteRepository.js";
 import { WorkoutRepository } from "./repositories/WorkoutRepository.js";
+import { ProgressRepository } from "./repositories/ProgressRepository.js";
+import { SyncOutboxRepository } from "./repositories/SyncOutboxRepository.js";
+import { UserPreferencesRepository } from "./repositories/UserPreferencesRepository.js";
+import { SyncConflictRepository } from "./repositories/SyncConflictRepository.js";
+import { VideoProofRepository } from "./repositories/VideoProofRepository.js";
+import { VideoUploadRepository } from "./repositories/VideoUploadRepository.js";
+import { SigningKeyRepository } from "./repositories/SigningKeyRepository.js";
+import { GuarantorRepository } from "./repositories/GuarantorRepository.js";
+import { EscrowClaimRepository } from "./repositories/EscrowClaimRepository.js";
+import { PeerReviewRepository } from "./repositories/PeerReviewRepository.js";
+import { ReviewerRepository } from "./repositories/ReviewerRepository.js";
+import { RulesRepository } from "./repositories/RulesRepository.js";
+import { AchievementRepository } from "./repositories/AchievementRepository.js";
+import { BodyMetricsRepository } from "./repositories/BodyMetricsRepository.js";
+
+// Sync
+import { HttpSyncTransport } from "./sync/HttpSyncTransport.js";
+import { HttpUploadTransport } from "./sync/HttpUploadTransport.js";
+import { HttpReviewTransport } from "./sync/HttpReviewTransport.js";
+import { BackgroundSyncScheduler } from "./sync/BackgroundSyncScheduler.js";
+import { SyncConflictResolver } from "./sync/SyncConflictResolver.js";
 
 // ViewModels
 import { AthleteSetupViewModel } from "./viewmodels/AthleteSetupViewModel.js";
 import { MainScreenViewModel } from "./viewmodels/MainScreenViewModel.js";
 import { WorkoutHistoryViewModel } from "./viewmodels/WorkoutHistoryViewModel.js";
+import { SyncConflictsViewModel } from "./viewmodels/SyncConflictsViewModel.js";
+import { GuarantorsViewModel } from "./viewmodels/GuarantorsViewModel.js";
+import { JudgeReviewViewModel } from "./viewmodels/JudgeReviewViewModel.js";
+import { QrScanViewModel } from "./viewmodels/QrScanViewModel.js";
+import { TierProgramDesignerViewModel } from "./viewmodels/TierProgramDesignerViewModel.js";
+import { TrophyRoomViewModel } from "./viewmodels/TrophyRoomViewModel.js";
+import { BodyMetricsViewModel } from "./viewmodels/BodyMetricsViewModel.js";
 
 // Models (for type exports)
 import { ProofMethod } from "./models/Workout.js";
 import { MilestoneType } from "./models/Milestone.js";
-import { getAllWorkoutTypes } from "./models/TierConfiguration.js";
+import { WorkoutTaxonomy } from "./models/WorkoutTaxonomy.js";
+import {
+  AchievementCatalog,
+  Achievements,
+} from "./models/AchievementCatalog.js";
 
 // Constants
 import { ScreenType } from "./constants/ScreenType.js";
 import { ProofMethodType } from "./constants/ProofMethodType.js";
+import { EscrowPayloadKind } from "./constants/EscrowPayloadKind.js";
 
 // Debug interface
 import { DebugInterface } from "./debug/DebugInterface.js";
@@ -39,18 +91,157 @@ class AppContainer {
   constructor() {
     // Core services
     this._logger = new Logger("f17n355");
-    this._storageService = new StorageService();
+    this._migrationRegistry = new MigrationRegistry(SchemaMigrations);
+    this._storageService = new StorageService(
+      this._logger,
+      this._migrationRegistry,
+    );
+    this._rulePackValidator = new RulePackValidator();
+    this._workoutTaxonomy = new WorkoutTaxonomy();
+    this._prerequisiteEvaluator = new PrerequisiteEvaluator(
+      this._workoutTaxonomy,
+    );
 
     // Repositories
-    this._athleteRepository = new AthleteRepository(this._storageService);
-    this._workoutRepository = new WorkoutRepository(this._storageService);
+    this._userPreferencesRepository = new UserPreferencesRepository();
+    this._syncOutboxRepository = new SyncOutboxRepository(this._storageService);
+    this._athleteRepository = new AthleteRepository(
+      this._storageService,
+      this._syncOutboxRepository,
+    );
+    this._workoutRepository = new WorkoutRepository(
+      this._storageService,
+      this._syncOutboxRepository,
+    );
+    this._progressRepository = new ProgressRepository(
+      this._storageService,
+      this._syncOutboxRepository,
+    );
+    this._syncConflictRepository = new SyncConflictRepository(
+      this._storageService,
+    );
+    this._videoProofRepository = new VideoProofRepository(this._storageService);
+    this._videoUploadRepository = new VideoUploadRepository(
+      this._storageService,
+    );
+    this._signingKeyRepository = new SigningKeyRepository(this._storageService);
+    this._guarantorRepository = new GuarantorRepository(this._storageService);
+    this._escrowClaimRepository = new EscrowClaimRepository(
+      this._storageService,
+    );
+    this._peerReviewRepository = new PeerReviewRepository(this._storageService);
+    this._reviewerRepository = new ReviewerRepository(this._storageService);
+    this._rulesRepository = new RulesRepository(this._rulePackValidator);
+    this._achievementRepository = new AchievementRepository(
+      this._storageService,
+    );
+    this._bodyMetricsRepository = new BodyMetricsRepository(
+      this._storageService,
+    );
 
     // Services
-    this._proofService = new ProofService(this._logger);
+    this._videoMetadataReader = new VideoMetadataReader(this._logger);
+    this._attestationCrypto = new AttestationCrypto();
+    this._escrowService = new EscrowService(
+      this._signingKeyRepository,
+      this._guarantorRepository,
+      this._escrowClaimRepository,
+      this._attestationCrypto,
+      this._logger,
+    );
+    this._reviewTransport = new HttpReviewTransport(
+      this._userPreferencesRepository,
+    );
+    this._peerReviewService = new PeerReviewService(
+      this._peerReviewRepository,
+      this._reviewerRepository,
+      this._reviewTransport,
+      this._userPreferencesRepository,
+      this._logger,
+    );
+    this._proofService = new ProofService(
+      this._workoutRepository,
+      this._escrowService,
+      this._peerReviewService,
+      this._videoMetadataReader,
+      this._videoUploadRepository,
+      this._logger,
+    );
+    this._videoCaptureService = new VideoCaptureService(this._logger);
+    this._qrCodeEncoder = new QrCodeEncoder();
+    this._qrScannerService = new QrScannerService(this._logger);
+    this._uploadTransport = new HttpUploadTransport(
+      this._userPreferencesRepository,
+    );
+    this._videoUploadService = new VideoUploadService(
+      this._videoUploadRepository,
+      this._videoProofRepository,
+      this._uploadTransport,
+      this._logger,
+    );
     this._progressionService = new ProgressionService(
       this._athleteRepository,
       this._workoutRepository,
-      this._storageService,
+      this._progressRepository,
+      this._userPreferencesRepository,
+      this._rulesRepository,
+      this._prerequisiteEvaluator,
+      this._workoutTaxonomy,
+      (tierConfig) => new DecayTracker(tierConfig),
+      this._logger,
+    );
+    this._scoringService = new ScoringService(
+      this._workoutRepository,
+      this._rulesRepository,
+      this._userPreferencesRepository,
+      this._logger,
+    );
+    this._streakService = new StreakService(
+      this._workoutRepository,
+      this._userPreferencesRepository,
+      this._logger,
+    );
+    this._achievementCatalog = new AchievementCatalog(Achievements);
+    this._achievementService = new AchievementService(
+      this._achievementRepository,
+      this._achievementCatalog,
+      this._workoutRepository,
+      this._progressionService,
+      this._proofService,
+      this._streakService,
+      this._userPreferencesRepository,
+      this._workoutTaxonomy,
+      this._logger,
+    );
+    this._avatarRenderer = new AvatarRenderer();
+    this._bodyMetricsService = new BodyMetricsService(
+      this._bodyMetricsRepository,
+      this._userPreferencesRepository,
+      this._logger,
+    );
+    this._syncTransport = new HttpSyncTransport(
+      this._userPreferencesRepository,
+    );
+    this._syncConflictResolver = new SyncConflictResolver(
+      this._athleteRepository,
+      this._workoutRepository,
+      this._progressRepository,
+      this._progressionService,
+      this._syncOutboxRepository,
+      this._syncConflictRepository,
+      this._logger,
+    );
+    this._syncService = new SyncService(
+      this._syncOutboxRepository,
+      this._syncTransport,
+      this._syncConflictResolver,
+      this._logger,
+    );
+    this._backgroundSyncScheduler = new BackgroundSyncScheduler(
+      this._syncService,
+      this._syncOutboxRepository,
+      this._userPreferencesRepository,
+      this._logger,
     );
 
     // ViewModels
@@ -63,10 +254,61 @@ class AppContainer {
       this._workoutRepository,
       this._progressionService,
       this._proofService,
+      this._escrowService,
+      this._videoCaptureService,
+      this._videoProofRepository,
+      this._videoUploadService,
+      this._backgroundSyncScheduler,
+      this._streakService,
+      this._achievementService,
+      this._avatarRenderer,
+      this._scoringService,
+      this._bodyMetricsService,
+      this._workoutTaxonomy,
       this._logger,
     );
     this._workoutHistoryViewModel = new WorkoutHistoryViewModel(
       this._workoutRepository,
+      this._videoUploadService,
+      this._escrowService,
+      this._peerReviewService,
+      this._logger,
+    );
+    this._syncConflictsViewModel = new SyncConflictsViewModel(
+      this._syncConflictRepository,
+      this._syncConflictResolver,
+      this._backgroundSyncScheduler,
+      this._logger,
+    );
+    this._guarantorsViewModel = new GuarantorsViewModel(
+      this._escrowService,
+      this._athleteRepository,
+      this._logger,
+    );
+    this._judgeReviewViewModel = new JudgeReviewViewModel(
+      this._workoutRepository,
+      this._videoProofRepository,
+      this._proofService,
+      this._peerReviewService,
+      this._progressionService,
+      this._logger,
+    );
+    this._qrScanViewModel = new QrScanViewModel(
+      this._qrScannerService,
+      this._logger,
+    );
+    this._tierProgramDesignerViewModel = new TierProgramDesignerViewModel(
+      this._rulesRepository,
+      this._rulePackValidator,
+      this._workoutTaxonomy,
+      this._logger,
+    );
+    this._trophyRoomViewModel = new TrophyRoomViewModel(
+      this._achievementService,
+      this._logger,
+    );
+    this._bodyMetricsViewModel = new BodyMetricsViewModel(
+      this._bodyMetricsService,
       this._logger,
     );
   }
@@ -77,18 +319,114 @@ class AppContainer {
   get storageService() {
     return this._storageService;
   }
+  get workoutTaxonomy() {
+    return this._workoutTaxonomy;
+  }
   get athleteRepository() {
     return this._athleteRepository;
   }
   get workoutRepository() {
     return this._workoutRepository;
   }
+  get progressRepository() {
+    return this._progressRepository;
+  }
+  get syncOutboxRepository() {
+    return this._syncOutboxRepository;
+  }
+  get userPreferencesRepository() {
+    return this._userPreferencesRepository;
+  }
+  get syncConflictRepository() {
+    return this._syncConflictRepository;
+  }
+  get videoProofRepository() {
+    return this._videoProofRepository;
+  }
+  get videoUploadRepository() {
+    return this._videoUploadRepository;
+  }
+  get signingKeyRepository() {
+    return this._signingKeyRepository;
+  }
+  get guarantorRepository() {
+    return this._guarantorRepository;
+  }
+  get escrowClaimRepository() {
+    return this._escrowClaimRepository;
+  }
+  get peerReviewRepository() {
+    return this._peerReviewRepository;
+  }
+  get reviewerRepository() {
+    return this._reviewerRepository;
+  }
+  get rulesRepository() {
+    return this._rulesRepository;
+  }
+  get achievementRepository() {
+    return this._achievementRepository;
+  }
+  get bodyMetricsRepository() {
+    return this._bodyMetricsRepository;
+  }
+  get syncConflictResolver() {
+    return this._syncConflictResolver;
+  }
+  get syncService() {
+    return this._syncService;
+  }
+  get backgroundSyncScheduler() {
+    return this._backgroundSyncScheduler;
+  }
   get proofService() {
     return this._proofService;
   }
+  get attestationCrypto() {
+    return this._attestationCrypto;
+  }
+  get escrowService() {
+    return this._escrowService;
+  }
+  get peerReviewService() {
+    return this._peerReviewService;
+  }
   get progressionService() {
     return this._progressionService;
   }
+  get scoringService() {
+    return this._scoringService;
+  }
+  get streakService() {
+    return this._streakService;
+  }
+  get achievementCatalog() {
+    return this._achievementCatalog;
+  }
+  get achievementService() {
+    return this._achievementService;
+  }
+  get avatarRenderer() {
+    return this._avatarRenderer;
+  }
+  get bodyMetricsService() {
+    return this._bodyMetricsService;
+  }
+  get videoCaptureService() {
+    return this._videoCaptureService;
+  }
+  get qrCodeEncoder() {
+    return this._qrCodeEncoder;
+  }
+  get qrScannerService() {
+    return this._qrScannerService;
+  }
+  get videoMetadataReader() {
+    return this._videoMetadataReader;
+  }
+  get videoUploadService() {
+    return this._videoUploadService;
+  }
   get athleteSetupViewModel() {
     return this._athleteSetupViewModel;
   }
@@ -98,6 +436,27 @@ class AppContainer {
   get workoutHistoryViewModel() {
     return this._workoutHistoryViewModel;
   }
+  get syncConflictsViewModel() {
+    return this._syncConflictsViewModel;
+  }
+  get guarantorsViewModel() {
+    return this._guarantorsViewModel;
+  }
+  get judgeReviewViewModel() {
+    return this._judgeReviewViewModel;
+  }
+  get qrScanViewModel() {
+    return this._qrScanViewModel;
+  }
+  get tierProgramDesignerViewModel() {
+    return this._tierProgramDesignerViewModel;
+  }
+  get trophyRoomViewModel() {
+    return this._trophyRoomViewModel;
+  }
+  get bodyMetricsViewModel() {
+    return this._bodyMetricsViewModel;
+  }
 }
 
 // Create global container instance
@@ -117,6 +476,13 @@ function createAppComponent() {
     athlete: container.athleteSetupViewModel,
     main: container.mainScreenViewModel,
     history: container.workoutHistoryViewModel,
+    conflicts: container.syncConflictsViewModel,
+    guarantors: container.guarantorsViewModel,
+    judge: container.judgeReviewViewModel,
+    scanner: container.qrScanViewModel,
+    designer: container.tierProgramDesignerViewModel,
+    trophies: container.trophyRoomViewModel,
+    bodyMetrics: container.bodyMetricsViewModel,
 
     // Gender and skin tone options (from setup viewmodel)
     genderOptions: container.athleteSetupViewModel.genderOptions,
@@ -127,8 +493,8 @@ function createAppComponent() {
       return this.athlete.isValid;
     },
 
-    get avatarImagePath() {
-      return this.main.avatarImagePath;
+    get avatar() {
+      return this.main.avatar;
     },
 
     get currentTier() {
@@ -159,6 +525,14 @@ function createAppComponent() {
       return this.main.tierProgressPercent;
     },
 
+    get categoryProgress() {
+      return this.main.categoryProgress;
+    },
+
+    get categoryRadar() {
+      return this.main.categoryRadar;
+    },
+
     get workouts() {
       return this.history.workouts;
     },
@@ -179,6 +553,16 @@ function createAppComponent() {
         // Initialize storage
         await container.storageService.initialize();
 
+        // Push changes recorded while offline (runs in background)
+        container.backgroundSyncScheduler.initialize().catch((error) => {
+          container.logger.error("Failed to initialize background sync", error);
+        });
+
+        // Proofs left open for too long can no longer count
+        container.proofService.expireStaleProofs().catch((error) => {
+          container.logger.error("Failed to expire stale proofs", error);
+        });
+
         // Check if athlete profile exists
         const hasProfile = await container.athleteRepository.hasProfile();
 
@@ -189,9 +573,19 @@ function createAppComponent() {
           this.currentScreen = ScreenType.MAIN;
         } else {
           // Show setup screen
+          this.bodyMetrics.loadMetrics();
           this.currentScreen = ScreenType.SETUP;
         }
 
+        // Continue interrupted video uploads once the main screen listens
+        container.videoUploadService.initialize().catch((error) => {
+          container.logger.error("Failed to initialize video uploads", error);
+        });
+
+        // Open escrow share links, now and whenever one is followed
+        window.addEventListener("hashchange", () => this.handleShareLink());
+        await this.handleShareLink();
+
         container.logger.log("App initialized successfully");
       } catch (error) {
         container.logger.error("Failed to initialize app", error);
@@ -209,15 +603,88 @@ function createAppComponent() {
 
       if (screen === ScreenType.HISTORY) {
         this.history.loadWorkouts();
+      } else if (screen === ScreenType.CONFLICTS) {
+        this.conflicts.loadConflicts();
+      } else if (screen === ScreenType.GUARANTORS) {
+        this.guarantors.loadGuarantors();
+      } else if (screen === ScreenType.JUDGE) {
+        this.judge.loadPendingProofs();
+      } else if (screen === ScreenType.DESIGNER) {
+        this.designer.open();
+      } else if (screen === ScreenType.TROPHIES) {
+        this.trophies.loadTrophies();
       } else if (screen === ScreenType.MAIN) {
         this.main.refreshProgress();
+        this.main.loadPendingReviewCount();
+        this.main.checkPeerReviews();
       } else if (screen === ScreenType.SETUP) {
         this.athlete.loadExistingAthlete();
+        this.bodyMetrics.loadMetrics();
       }
 
       this.currentScreen = screen;
     },
 
+    // Leave a screen that can be reached without a profile
+    async navigateBack() {
+      const hasProfile = await container.athleteRepository.hasProfile();
+      this.navigateTo(hasProfile ? ScreenType.MAIN : ScreenType.SETUP);
+    },
+
+    // Open a guarantor card, claim or attestation from a share link
+    async handleShareLink() {
+      let payload;
+      try {
+        payload = container.escrowService.parseLink(window.location.hash);
+      } catch (error) {
+        container.logger.error("Failed to read share link", error);
+        this.main.errorMessage = error.message;
+      }
+      if (payload === null) return;
+
+      // Clear the link so a reload does not open it again
+      window.history.replaceState(null, "", window.location.pathname);
+      if (payload) await this._openSharePayload(payload);
+    },
+
+    // Scan a guarantor card or claim shown on another phone
+    scanGuarantorCode() {
+      this.scanner.open("Scan a guarantor card or workout claim", (code) => {
+        let payload;
+        try {
+          payload = container.escrowService.parseCode(code);
+        } catch (error) {
+          this.guarantors.errorMessage = error.message;
+          return;
+        }
+        return this._openSharePayload(payload);
+      });
+    },
+
+    // Scan the guarantor's signed answer to complete an escrow in person
+    scanEscrowAnswer() {
+      this.scanner.open("Scan your guarantor's answer", (code) =>
+        this.main.completeEscrowHandshake(code),
+      );
+    },
+
+    // Send a payload to the screen that handles it
+    async _openSharePayload(payload) {
+      if (payload.kind === EscrowPayloadKind.ATTESTATION) {
+        this.navigateTo(ScreenType.MAIN);
+        await this.main.completeEscrowAttestation(payload);
+        return;
+      }
+      await this.guarantors.loadGuarantors();
+      await this.guarantors.openPayload(payload);
+      this.currentScreen = ScreenType.GUARANTORS;
+    },
+
+    // QR code image of a share link
+    qrImage(text) {
+      return text ? container.qrCodeEncoder.toSvgDataUrl(text) : "";
+    },
+
     // Launch app (from setup screen)
     async launchApp() {
       const success = await this.athlete.saveAthlete();
@@ -0,0 +1,78 @@
+import { AchievementTrigger } from "./AchievementTrigger.js";
+
+/**
+ * AchievementStat - What an achievement rule measures
+ * Eliminates magic strings and provides semantic type safety
+ * Every stat only grows with the events in getTriggers(), so a rule is
+ * evaluated after those events only
+ */
+export const AchievementStat = {
+  WORKOUTS_LOGGED: "workouts_logged", // Workouts in the log, proven or not
+  VERIFIED_WORKOUTS: "verified_workouts", // Workouts with verified proof
+  MILESTONES_COMPLETED: "milestones_completed", // Across all tiers
+  BENCHMARKS_COMPLETED: "benchmarks_completed", // Across all tiers
+  TIER_REACHED: "tier_reached", // Level of the tier reached, the first is 0
+  DAILY_STREAK: "daily_streak", // Best daily streak
+  WEEKLY_STREAK: "weekly_streak", // Best run of weeks meeting the target
+  CATEGORIES_TRAINED: "categories_trained", // Fitness categories with a counted workout
+
+  /**
+   * Get all valid stats as array
+   */
+  getAll() {
+    return [
+      this.WORKOUTS_LOGGED,
+      this.VERIFIED_WORKOUTS,
+      this.MILESTONES_COMPLETED,
+      this.BENCHMARKS_COMPLETED,
+      this.TIER_REACHED,
+      this.DAILY_STREAK,
+      this.WEEKLY_STREAK,
+      this.CATEGORIES_TRAINED,
+    ];
+  },
+
+  /**
+   * Validate if a stat is valid
+   */
+  isValid(stat) {
+    return this.getAll().includes(stat);
+  },
+
+  /**
+   * Get user-friendly label for a stat
+   */
+  getLabel(stat) {
+    const labels = {
+      [this.WORKOUTS_LOGGED]: "Workouts logged",
+      [this.VERIFIED_WORKOUTS]: "Verified workouts",
+      [this.MILESTONES_COMPLETED]: "Milestones completed",
+      [this.BENCHMARKS_COMPLETED]: "Benchmarks completed",
+      [this.TIER_REACHED]: "Tier reached",
+      [this.DAILY_STREAK]: "Daily streak",
+      [this.WEEKLY_STREAK]: "Weekly streak",
+      [this.CATEGORIES_TRAINED]: "Categories trained",
+    };
+    return labels[stat] || stat;
+  },
+
+  /**
+   * Get the triggers after which a stat may have grown
+   */
+  getTriggers(stat) {
+    const { WORKOUT, LEVEL_UP, PROOF_VERIFIED, STREAK } = AchievementTrigger;
+    const triggers = {
+      [this.WORKOUTS_LOGGED]: [WORKOUT],
+      [this.VERIFIED_WORKOUTS]: [PROOF_VERIFIED],
+      [this.MILESTONES_COMPLETED]: [WORKOUT, LEVEL_UP],
+      [this.BENCHMARKS_COMPLETED]: [WORKOUT],
+      [this.TIER_REACHED]: [LEVEL_UP],
+      [this.DAILY_STREAK]: [STREAK],
+      [this.WEEKLY_STREAK]: [STREAK],
+      [this.CATEGORIES_TRAINED]: [WORKOUT],
+    };
+    return triggers[stat] || [];
+  },
+};
+
+Object.freeze(AchievementStat);
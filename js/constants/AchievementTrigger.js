@@ -0,0 +1,40 @@
+/**
+ * AchievementTrigger - Events after which achievements are evaluated
+ * Eliminates magic strings and provides semantic type safety
+ * Which stats an event can change is kept in AchievementStat
+ */
+export const AchievementTrigger = {
+  WORKOUT: "workout", // A workout was logged, edited or counted towards progress
+  LEVEL_UP: "level_up", // The athlete moved up a tier
+  PROOF_VERIFIED: "proof_verified", // A workout's proof was verified
+  STREAK: "streak", // The daily or weekly streak changed
+
+  /**
+   * Get all valid triggers as array
+   */
+  getAll() {
+    return [this.WORKOUT, this.LEVEL_UP, this.PROOF_VERIFIED, this.STREAK];
+  },
+
+  /**
+   * Validate if a trigger is valid
+   */
+  isValid(trigger) {
+    return this.getAll().includes(trigger);
+  },
+
+  /**
+   * Get user-friendly label for a trigger
+   */
+  getLabel(trigger) {
+    const labels = {
+      [this.WORKOUT]: "Workout",
+      [this.LEVEL_UP]: "Level up",
+      [this.PROOF_VERIFIED]: "Proof verified",
+      [this.STREAK]: "Streak",
+    };
+    return labels[trigger] || trigger;
+  },
+};
+
+Object.freeze(AchievementTrigger);
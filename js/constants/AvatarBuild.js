@@ -0,0 +1,38 @@
+/**
+ * AvatarBuild - Body shapes the avatar grows into
+ * Eliminates magic strings and provides semantic type safety
+ * Picked by AvatarRenderer from the athlete's category strengths
+ */
+export const AvatarBuild = {
+  LEAN: "lean", // Mostly cardio and muscular endurance
+  ATHLETIC: "athletic", // Balanced, and the start for everyone
+  BROAD: "broad", // Mostly strength and power: broader shoulders
+
+  /**
+   * Get all valid builds as array
+   */
+  getAll() {
+    return [this.LEAN, this.ATHLETIC, this.BROAD];
+  },
+
+  /**
+   * Validate if a build is valid
+   */
+  isValid(build) {
+    return this.getAll().includes(build);
+  },
+
+  /**
+   * Get user-friendly label for a build
+   */
+  getLabel(build) {
+    const labels = {
+      [this.LEAN]: "Lean",
+      [this.ATHLETIC]: "Athletic",
+      [this.BROAD]: "Broad",
+    };
+    return labels[build] || build;
+  },
+};
+
+Object.freeze(AvatarBuild);
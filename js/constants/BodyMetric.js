@@ -0,0 +1,59 @@
+/**
+ * BodyMetric - What a body measurement records
+ * Eliminates magic strings and provides semantic type safety
+ * Each metric is read from BodyMetricsEntry under the same name, always in
+ * the metric unit of its name
+ */
+export const BodyMetric = {
+  WEIGHT_KG: "weightKg",
+  HEIGHT_CM: "heightCm",
+  BODY_FAT_PERCENT: "bodyFatPercent", // Estimate, e.g. from a scale or calipers
+  RESTING_HEART_RATE_BPM: "restingHeartRateBpm",
+
+  /**
+   * Get all valid metrics as array
+   */
+  getAll() {
+    return [
+      this.WEIGHT_KG,
+      this.HEIGHT_CM,
+      this.BODY_FAT_PERCENT,
+      this.RESTING_HEART_RATE_BPM,
+    ];
+  },
+
+  /**
+   * Validate if a metric is valid
+   */
+  isValid(metric) {
+    return this.getAll().includes(metric);
+  },
+
+  /**
+   * Get user-friendly label for a metric
+   */
+  getLabel(metric) {
+    const labels = {
+      [this.WEIGHT_KG]: "Weight",
+      [this.HEIGHT_CM]: "Height",
+      [this.BODY_FAT_PERCENT]: "Body fat",
+      [this.RESTING_HEART_RATE_BPM]: "Resting HR",
+    };
+    return labels[metric] || metric;
+  },
+
+  /**
+   * Get Material icon name for a metric
+   */
+  getIcon(metric) {
+    const icons = {
+      [this.WEIGHT_KG]: "monitor_weight",
+      [this.HEIGHT_CM]: "height",
+      [this.BODY_FAT_PERCENT]: "water_drop",
+      [this.RESTING_HEART_RATE_BPM]: "favorite",
+    };
+    return icons[metric] || "straighten";
+  },
+};
+
+Object.freeze(BodyMetric);
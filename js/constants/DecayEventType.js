@@ -0,0 +1,47 @@
+/**
+ * DecayEventType - What inactivity decay took from an athlete
+ * Eliminates magic strings and provides semantic type safety
+ * The rules come from the decay section of the tier program rule pack
+ */
+export const DecayEventType = {
+  EXPIRED: "expired", // Workouts too old to count towards an open milestone
+  DEMOTED: "demoted", // Dropped a tier after a stretch without counted workouts
+
+  /**
+   * Get all valid event types as array
+   */
+  getAll() {
+    return [this.EXPIRED, this.DEMOTED];
+  },
+
+  /**
+   * Validate if an event type is valid
+   */
+  isValid(type) {
+    return this.getAll().includes(type);
+  },
+
+  /**
+   * Get user-friendly label for an event type
+   */
+  getLabel(type) {
+    const labels = {
+      [this.EXPIRED]: "Workouts expired",
+      [this.DEMOTED]: "Tier lost",
+    };
+    return labels[type] || type;
+  },
+
+  /**
+   * Get the Material icon name for an event type
+   */
+  getIcon(type) {
+    const icons = {
+      [this.EXPIRED]: "hourglass_bottom",
+      [this.DEMOTED]: "trending_down",
+    };
+    return icons[type] || "history";
+  },
+};
+
+Object.freeze(DecayEventType);
@@ -0,0 +1,25 @@
+/**
+ * EscrowClaimStatus - State of a workout claim sent to a guarantor
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const EscrowClaimStatus = {
+  PENDING: "pending", // Shared with the guarantor, no answer yet
+  APPROVED: "approved", // Signed approval verified on this device
+  DECLINED: "declined", // Signed refusal verified on this device
+
+  /**
+   * Get all valid claim statuses as array
+   */
+  getAll() {
+    return [this.PENDING, this.APPROVED, this.DECLINED];
+  },
+
+  /**
+   * Validate if a claim status is valid
+   */
+  isValid(status) {
+    return this.getAll().includes(status);
+  },
+};
+
+Object.freeze(EscrowClaimStatus);
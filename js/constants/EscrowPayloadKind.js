@@ -0,0 +1,25 @@
+/**
+ * EscrowPayloadKind - Kinds of payload exchanged between athlete and guarantor
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const EscrowPayloadKind = {
+  GUARANTOR: "guarantor", // Card with a guarantor's name and public key
+  CLAIM: "claim", // Workout the athlete asks a guarantor to vouch for
+  ATTESTATION: "attestation", // Guarantor's signed answer to a claim
+
+  /**
+   * Get all valid payload kinds as array
+   */
+  getAll() {
+    return [this.GUARANTOR, this.CLAIM, this.ATTESTATION];
+  },
+
+  /**
+   * Validate if a payload kind is valid
+   */
+  isValid(kind) {
+    return this.getAll().includes(kind);
+  },
+};
+
+Object.freeze(EscrowPayloadKind);
@@ -0,0 +1,70 @@
+/**
+ * FitnessCategory - The seven fitness categories workouts train
+ * Eliminates magic strings and provides semantic type safety
+ * Which workout types train which category is kept in WorkoutTaxonomy
+ */
+export const FitnessCategory = {
+  STRENGTH: "strength", // Maximal force: heavy, low-rep lifts
+  POWER: "power", // Force produced fast: jumps, sprints, explosive lifts
+  MUSCULAR_ENDURANCE: "muscular-endurance", // Many reps, sustained effort
+  CARDIO: "cardio", // Heart and lungs over long efforts
+  MOBILITY: "mobility", // Range of motion and flexibility
+  BALANCE: "balance", // Stability and body control
+  AGILITY: "agility", // Changing direction, coordination, reaction
+
+  /**
+   * Get all valid categories as array
+   */
+  getAll() {
+    return [
+      this.STRENGTH,
+      this.POWER,
+      this.MUSCULAR_ENDURANCE,
+      this.CARDIO,
+      this.MOBILITY,
+      this.BALANCE,
+      this.AGILITY,
+    ];
+  },
+
+  /**
+   * Validate if a category is valid
+   */
+  isValid(category) {
+    return this.getAll().includes(category);
+  },
+
+  /**
+   * Get user-friendly label for a category
+   */
+  getLabel(category) {
+    const labels = {
+      [this.STRENGTH]: "Strength",
+      [this.POWER]: "Power",
+      [this.MUSCULAR_ENDURANCE]: "Muscular Endurance",
+      [this.CARDIO]: "Cardio",
+      [this.MOBILITY]: "Mobility",
+      [this.BALANCE]: "Balance",
+      [this.AGILITY]: "Agility",
+    };
+    return labels[category] || category;
+  },
+
+  /**
+   * Get the Material icon name for a category
+   */
+  getIcon(category) {
+    const icons = {
+      [this.STRENGTH]: "fitness_center",
+      [this.POWER]: "bolt",
+      [this.MUSCULAR_ENDURANCE]: "repeat",
+      [this.CARDIO]: "favorite",
+      [this.MOBILITY]: "self_improvement",
+      [this.BALANCE]: "accessibility_new",
+      [this.AGILITY]: "sports_handball",
+    };
+    return icons[category] || "category";
+  },
+};
+
+Object.freeze(FitnessCategory);
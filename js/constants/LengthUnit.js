@@ -0,0 +1,36 @@
+/**
+ * LengthUnit - Unit height is shown and entered in
+ * Eliminates magic strings and provides semantic type safety
+ * Lengths are always stored in cm
+ */
+export const LengthUnit = {
+  CM: "cm",
+  IN: "in",
+
+  /**
+   * Get all valid units as array
+   */
+  getAll() {
+    return [this.CM, this.IN];
+  },
+
+  /**
+   * Validate if a unit is valid
+   */
+  isValid(unit) {
+    return this.getAll().includes(unit);
+  },
+
+  /**
+   * Get user-friendly label for a unit
+   */
+  getLabel(unit) {
+    const labels = {
+      [this.CM]: "cm",
+      [this.IN]: "in",
+    };
+    return labels[unit] || unit;
+  },
+};
+
+Object.freeze(LengthUnit);
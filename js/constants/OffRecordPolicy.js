@@ -0,0 +1,35 @@
+/**
+ * OffRecordPolicy - Whether Off Record workouts count towards progress
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const OffRecordPolicy = {
+  COUNT: "count", // Counted on the athlete's word (default)
+  EXCLUDE: "exclude", // Kept in the log, only proven workouts count
+
+  /**
+   * Get all valid policies as array
+   */
+  getAll() {
+    return [this.COUNT, this.EXCLUDE];
+  },
+
+  /**
+   * Validate if a policy is valid
+   */
+  isValid(policy) {
+    return this.getAll().includes(policy);
+  },
+
+  /**
+   * Get user-friendly label for a policy
+   */
+  getLabel(policy) {
+    const labels = {
+      [this.COUNT]: "Off Record workouts count",
+      [this.EXCLUDE]: "Only proven workouts count",
+    };
+    return labels[policy] || policy;
+  },
+};
+
+Object.freeze(OffRecordPolicy);
@@ -0,0 +1,46 @@
+/**
+ * PeerReviewQuorum - How many pass votes a peer-reviewed video needs
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const PeerReviewQuorum = {
+  MAJORITY: "majority", // More than half of the reviewers (default, 2 of 3)
+  TWO_THIRDS: "two_thirds",
+  UNANIMOUS: "unanimous", // Every reviewer, one fail rejects
+
+  /**
+   * Get all valid quorum rules as array
+   */
+  getAll() {
+    return [this.MAJORITY, this.TWO_THIRDS, this.UNANIMOUS];
+  },
+
+  /**
+   * Validate if a quorum rule is valid
+   */
+  isValid(rule) {
+    return this.getAll().includes(rule);
+  },
+
+  /**
+   * Pass votes needed out of the assigned reviewers
+   */
+  getRequiredPasses(rule, reviewerCount) {
+    if (rule === this.UNANIMOUS) return reviewerCount;
+    if (rule === this.TWO_THIRDS) return Math.ceil((reviewerCount * 2) / 3);
+    return Math.floor(reviewerCount / 2) + 1;
+  },
+
+  /**
+   * Get user-friendly label for a quorum rule
+   */
+  getLabel(rule) {
+    const labels = {
+      [this.MAJORITY]: "Majority",
+      [this.TWO_THIRDS]: "Two thirds",
+      [this.UNANIMOUS]: "Unanimous",
+    };
+    return labels[rule] || rule;
+  },
+};
+
+Object.freeze(PeerReviewQuorum);
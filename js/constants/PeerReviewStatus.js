@@ -0,0 +1,25 @@
+/**
+ * PeerReviewStatus - State of a video assigned to peer reviewers
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const PeerReviewStatus = {
+  PENDING: "pending", // Votes still open, no quorum yet
+  PASSED: "passed", // Enough pass votes for the quorum
+  FAILED: "failed", // Too many fail votes to reach the quorum
+
+  /**
+   * Get all valid review statuses as array
+   */
+  getAll() {
+    return [this.PENDING, this.PASSED, this.FAILED];
+  },
+
+  /**
+   * Validate if a review status is valid
+   */
+  isValid(status) {
+    return this.getAll().includes(status);
+  },
+};
+
+Object.freeze(PeerReviewStatus);
@@ -0,0 +1,48 @@
+/**
+ * PerformanceMetric - What a reference standard measures in a workout
+ * Eliminates magic strings and provides semantic type safety
+ * Each metric is read from WorkoutMetrics under the same name
+ */
+export const PerformanceMetric = {
+  ESTIMATED_ONE_REP_MAX_KG: "estimatedOneRepMaxKg", // Best loaded set (Epley)
+  MAX_SET_REPS: "maxSetReps",
+  PACE_MINUTES_PER_KM: "paceMinutesPerKm", // Lower is better
+  DISTANCE_KM: "distanceKm",
+  DURATION_MINUTES: "durationMinutes",
+
+  /**
+   * Get all valid metrics as array
+   */
+  getAll() {
+    return [
+      this.ESTIMATED_ONE_REP_MAX_KG,
+      this.MAX_SET_REPS,
+      this.PACE_MINUTES_PER_KM,
+      this.DISTANCE_KM,
+      this.DURATION_MINUTES,
+    ];
+  },
+
+  /**
+   * Validate if a metric is valid
+   */
+  isValid(metric) {
+    return this.getAll().includes(metric);
+  },
+
+  /**
+   * Get user-friendly label for a metric
+   */
+  getLabel(metric) {
+    const labels = {
+      [this.ESTIMATED_ONE_REP_MAX_KG]: "Estimated 1RM (kg)",
+      [this.MAX_SET_REPS]: "Reps in one set",
+      [this.PACE_MINUTES_PER_KM]: "Pace (min/km)",
+      [this.DISTANCE_KM]: "Distance (km)",
+      [this.DURATION_MINUTES]: "Duration (min)",
+    };
+    return labels[metric] || metric;
+  },
+};
+
+Object.freeze(PerformanceMetric);
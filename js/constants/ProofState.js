@@ -0,0 +1,81 @@
+/**
+ * ProofState - Lifecycle states of a workout's proof
+ * Eliminates magic strings and provides semantic type safety
+ *
+ * draft → recorded → uploading → under_review → verified | rejected,
+ * and any open state can expire. Escrow proof skips uploading.
+ */
+export const ProofState = {
+  DRAFT: "draft", // Logged, proof not captured yet
+  RECORDED: "recorded", // Proof captured on the device (final for Off Record)
+  UPLOADING: "uploading",
+  UNDER_REVIEW: "under_review",
+  VERIFIED: "verified",
+  REJECTED: "rejected",
+  EXPIRED: "expired", // Proof was not completed in time
+
+  TRANSITIONS: {
+    draft: ["recorded", "rejected", "expired"],
+    recorded: ["uploading", "under_review", "rejected", "expired"],
+    uploading: ["under_review", "recorded", "expired"],
+    under_review: ["verified", "rejected", "expired"],
+    verified: [],
+    rejected: [],
+    expired: [],
+  },
+
+  /**
+   * Get all valid proof states as array
+   */
+  getAll() {
+    return [
+      this.DRAFT,
+      this.RECORDED,
+      this.UPLOADING,
+      this.UNDER_REVIEW,
+      this.VERIFIED,
+      this.REJECTED,
+      this.EXPIRED,
+    ];
+  },
+
+  /**
+   * Validate if a proof state is valid
+   */
+  isValid(state) {
+    return this.getAll().includes(state);
+  },
+
+  /**
+   * Check if the state machine allows moving from one state to another
+   */
+  canTransition(from, to) {
+    return (this.TRANSITIONS[from] || []).includes(to);
+  },
+
+  /**
+   * Check if a state ends the lifecycle
+   */
+  isFinal(state) {
+    return this.isValid(state) && this.TRANSITIONS[state].length === 0;
+  },
+
+  /**
+   * Get user-friendly label for a proof state
+   */
+  getLabel(state) {
+    const labels = {
+      [this.DRAFT]: "Awaiting proof",
+      [this.RECORDED]: "Recorded",
+      [this.UPLOADING]: "Uploading",
+      [this.UNDER_REVIEW]: "Under review",
+      [this.VERIFIED]: "Verified",
+      [this.REJECTED]: "Rejected",
+      [this.EXPIRED]: "Expired",
+    };
+    return labels[state] || state;
+  },
+};
+
+Object.freeze(ProofState.TRANSITIONS);
+Object.freeze(ProofState);
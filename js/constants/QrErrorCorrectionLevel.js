@@ -0,0 +1,25 @@
+/**
+ * QrErrorCorrectionLevel - How much of a QR code may be damaged and still
+ * read, at the cost of capacity
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const QrErrorCorrectionLevel = {
+  LOW: "L", // Recovers about 7% of the codewords; fits the most data
+  MEDIUM: "M", // Recovers about 15% of the codewords
+
+  /**
+   * Get all valid levels as array
+   */
+  getAll() {
+    return [this.LOW, this.MEDIUM];
+  },
+
+  /**
+   * Validate if a level is valid
+   */
+  isValid(level) {
+    return this.getAll().includes(level);
+  },
+};
+
+Object.freeze(QrErrorCorrectionLevel);
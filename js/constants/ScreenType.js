@@ -6,12 +6,26 @@ export const ScreenType = {
   SETUP: "setup",
   MAIN: "main",
   HISTORY: "history",
+  CONFLICTS: "conflicts",
+  GUARANTORS: "guarantors",
+  JUDGE: "judge", // Internal judge tool for video proofs
+  DESIGNER: "designer", // Tier program designer for coaches
+  TROPHIES: "trophies", // Digital Gym trophy room with earned and locked achievements
 
   /**
    * Get all valid screen types as array
    */
   getAll() {
-    return [this.SETUP, this.MAIN, this.HISTORY];
+    return [
+      this.SETUP,
+      this.MAIN,
+      this.HISTORY,
+      this.CONFLICTS,
+      this.GUARANTORS,
+      this.JUDGE,
+      this.DESIGNER,
+      this.TROPHIES,
+    ];
   },
 
   /**
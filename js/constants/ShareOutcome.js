@@ -0,0 +1,24 @@
+/**
+ * ShareOutcome - How a link was handed on by EscrowService.shareLink()
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const ShareOutcome = {
+  SHARED: "shared", // Handed to the system share sheet
+  COPIED: "copied", // No share sheet; copied to the clipboard
+
+  /**
+   * Get all valid outcomes as array
+   */
+  getAll() {
+    return [this.SHARED, this.COPIED];
+  },
+
+  /**
+   * Validate if an outcome is valid
+   */
+  isValid(outcome) {
+    return this.getAll().includes(outcome);
+  },
+};
+
+Object.freeze(ShareOutcome);
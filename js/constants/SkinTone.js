@@ -0,0 +1,53 @@
+/**
+ * SkinTone - Skin tones an athlete can pick in setup
+ * Eliminates magic strings and provides semantic type safety
+ * The avatar's body layers are tinted with getColor()
+ */
+export const SkinTone = {
+  NEUTRAL: "neutral",
+  LIGHT: "white",
+  MEDIUM: "brown",
+  DARK: "black",
+
+  /**
+   * Get all valid skin tones as array
+   */
+  getAll() {
+    return [this.NEUTRAL, this.LIGHT, this.MEDIUM, this.DARK];
+  },
+
+  /**
+   * Validate if a skin tone is valid
+   */
+  isValid(tone) {
+    return this.getAll().includes(tone);
+  },
+
+  /**
+   * Get user-friendly label for a skin tone
+   */
+  getLabel(tone) {
+    const labels = {
+      [this.NEUTRAL]: "Neutral",
+      [this.LIGHT]: "Light",
+      [this.MEDIUM]: "Medium",
+      [this.DARK]: "Dark",
+    };
+    return labels[tone] || tone;
+  },
+
+  /**
+   * Get the display color of a skin tone, neutral for unknown tones
+   */
+  getColor(tone) {
+    const colors = {
+      [this.NEUTRAL]: "#C4A484",
+      [this.LIGHT]: "#FFE0BD",
+      [this.MEDIUM]: "#A0785A",
+      [this.DARK]: "#6B4423",
+    };
+    return colors[tone] || colors[this.NEUTRAL];
+  },
+};
+
+Object.freeze(SkinTone);
@@ -0,0 +1,25 @@
+/**
+ * SyncConflictStatus - Review states of a logged sync conflict
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const SyncConflictStatus = {
+  OPEN: "open",
+  KEPT_LOCAL: "kept-local",
+  USED_REMOTE: "used-remote",
+
+  /**
+   * Get all valid conflict statuses as array
+   */
+  getAll() {
+    return [this.OPEN, this.KEPT_LOCAL, this.USED_REMOTE];
+  },
+
+  /**
+   * Validate if a conflict status is valid
+   */
+  isValid(status) {
+    return this.getAll().includes(status);
+  },
+};
+
+Object.freeze(SyncConflictStatus);
@@ -0,0 +1,25 @@
+/**
+ * SyncEntityType - Kinds of records mirrored through the sync outbox
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const SyncEntityType = {
+  WORKOUT: "workout",
+  ATHLETE: "athlete",
+  PROGRESS: "progress",
+
+  /**
+   * Get all valid entity types as array
+   */
+  getAll() {
+    return [this.WORKOUT, this.ATHLETE, this.PROGRESS];
+  },
+
+  /**
+   * Validate if an entity type is valid
+   */
+  isValid(entityType) {
+    return this.getAll().includes(entityType);
+  },
+};
+
+Object.freeze(SyncEntityType);
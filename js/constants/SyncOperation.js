@@ -0,0 +1,24 @@
+/**
+ * SyncOperation - Mutation kinds recorded in the sync outbox
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const SyncOperation = {
+  UPSERT: "upsert",
+  DELETE: "delete",
+
+  /**
+   * Get all valid operations as array
+   */
+  getAll() {
+    return [this.UPSERT, this.DELETE];
+  },
+
+  /**
+   * Validate if an operation is valid
+   */
+  isValid(operation) {
+    return this.getAll().includes(operation);
+  },
+};
+
+Object.freeze(SyncOperation);
@@ -0,0 +1,25 @@
+/**
+ * SyncPhase - Progress phases reported while draining the sync outbox
+ * Mirrored as plain strings in sw.js (service worker cannot import modules)
+ */
+export const SyncPhase = {
+  STARTED: "started",
+  PROGRESS: "progress",
+  FINISHED: "finished",
+
+  /**
+   * Get all valid sync phases as array
+   */
+  getAll() {
+    return [this.STARTED, this.PROGRESS, this.FINISHED];
+  },
+
+  /**
+   * Validate if a sync phase is valid
+   */
+  isValid(phase) {
+    return this.getAll().includes(phase);
+  },
+};
+
+Object.freeze(SyncPhase);
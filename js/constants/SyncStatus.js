@@ -0,0 +1,26 @@
+/**
+ * SyncStatus - Lifecycle states of an outbox entry
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const SyncStatus = {
+  PENDING: "pending",
+  IN_FLIGHT: "in-flight",
+  SYNCED: "synced",
+  FAILED: "failed",
+
+  /**
+   * Get all valid sync statuses as array
+   */
+  getAll() {
+    return [this.PENDING, this.IN_FLIGHT, this.SYNCED, this.FAILED];
+  },
+
+  /**
+   * Validate if a sync status is valid
+   */
+  isValid(status) {
+    return this.getAll().includes(status);
+  },
+};
+
+Object.freeze(SyncStatus);
@@ -0,0 +1,25 @@
+/**
+ * VideoIntegrityVerdict - Outcome of the metadata check on a proof video
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const VideoIntegrityVerdict = {
+  ACCEPTED: "accepted",
+  FLAGGED: "flagged", // Submitted, but the reviewer is told what looked off
+  REJECTED: "rejected", // Cannot prove the workout; not submitted
+
+  /**
+   * Get all valid verdicts as array
+   */
+  getAll() {
+    return [this.ACCEPTED, this.FLAGGED, this.REJECTED];
+  },
+
+  /**
+   * Validate if a verdict is valid
+   */
+  isValid(verdict) {
+    return this.getAll().includes(verdict);
+  },
+};
+
+Object.freeze(VideoIntegrityVerdict);
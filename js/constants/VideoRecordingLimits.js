@@ -0,0 +1,51 @@
+import { WorkoutTypes } from "../models/WorkoutTaxonomy.js";
+
+/**
+ * VideoRecordingLimits - Maximum video proof length per workout type
+ * Keeps recordings short enough to store offline and upload on mobile data
+ */
+export const VideoRecordingLimits = {
+  DEFAULT_MAX_SECONDS: 10 * 60,
+  BENCHMARK_GRACE_SECONDS: 5 * 60, // Added on top of a benchmark's time cap
+  REQUIREMENT_GRACE_SECONDS: 5 * 60, // Added on top of a required workout time
+
+  MAX_SECONDS_BY_WORKOUT_TYPE: {
+    [WorkoutTypes.PUSH_UPS]: 5 * 60,
+    [WorkoutTypes.PULL_UPS]: 5 * 60,
+    [WorkoutTypes.SQUATS]: 5 * 60,
+    [WorkoutTypes.DEADLIFTS]: 5 * 60,
+    [WorkoutTypes.BENCH_PRESS]: 5 * 60,
+    [WorkoutTypes.JUMPING_ROPE]: 5 * 60,
+    [WorkoutTypes.HIIT]: 20 * 60,
+    [WorkoutTypes.RUNNING]: 20 * 60,
+    [WorkoutTypes.CYCLING]: 20 * 60,
+    [WorkoutTypes.SWIMMING]: 20 * 60,
+    [WorkoutTypes.ROWING]: 20 * 60,
+  },
+
+  /**
+   * Get the recording limit in seconds for a workout type
+   * @param {number} requiredMinutes - Workout time the milestone requires;
+   *   the limit never cuts a recording off before it
+   */
+  getMaxSeconds(workoutType, requiredMinutes = null) {
+    const limit =
+      this.MAX_SECONDS_BY_WORKOUT_TYPE[workoutType] || this.DEFAULT_MAX_SECONDS;
+    if (!requiredMinutes) return limit;
+    return Math.max(
+      limit,
+      requiredMinutes * 60 + this.REQUIREMENT_GRACE_SECONDS,
+    );
+  },
+
+  /**
+   * Get the recording limit in seconds for a benchmark with a time cap
+   */
+  getMaxSecondsForBenchmark(timeCapMinutes) {
+    if (!timeCapMinutes) return this.DEFAULT_MAX_SECONDS;
+    return timeCapMinutes * 60 + this.BENCHMARK_GRACE_SECONDS;
+  },
+};
+
+Object.freeze(VideoRecordingLimits.MAX_SECONDS_BY_WORKOUT_TYPE);
+Object.freeze(VideoRecordingLimits);
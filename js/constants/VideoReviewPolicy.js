@@ -0,0 +1,35 @@
+/**
+ * VideoReviewPolicy - Who decides whether a proof video passes
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const VideoReviewPolicy = {
+  JUDGE: "judge", // Internal judges on the judge screen (default)
+  PEER: "peer", // Community reviewers vote, a quorum decides
+
+  /**
+   * Get all valid policies as array
+   */
+  getAll() {
+    return [this.JUDGE, this.PEER];
+  },
+
+  /**
+   * Validate if a policy is valid
+   */
+  isValid(policy) {
+    return this.getAll().includes(policy);
+  },
+
+  /**
+   * Get user-friendly label for a policy
+   */
+  getLabel(policy) {
+    const labels = {
+      [this.JUDGE]: "Videos are reviewed by a judge",
+      [this.PEER]: "Videos are reviewed by peers",
+    };
+    return labels[policy] || policy;
+  },
+};
+
+Object.freeze(VideoReviewPolicy);
@@ -0,0 +1,33 @@
+/**
+ * VideoUploadStatus - Lifecycle states of a proof video upload
+ * Eliminates magic strings and provides semantic type safety
+ */
+export const VideoUploadStatus = {
+  PENDING: "pending", // Waiting to start or to be resumed (e.g. offline)
+  UPLOADING: "uploading",
+  PAUSED: "paused", // Paused by the user; stays paused across restarts
+  COMPLETED: "completed",
+  FAILED: "failed", // Retries exhausted; resumed when back online
+
+  /**
+   * Get all valid upload statuses as array
+   */
+  getAll() {
+    return [
+      this.PENDING,
+      this.UPLOADING,
+      this.PAUSED,
+      this.COMPLETED,
+      this.FAILED,
+    ];
+  },
+
+  /**
+   * Validate if an upload status is valid
+   */
+  isValid(status) {
+    return this.getAll().includes(status);
+  },
+};
+
+Object.freeze(VideoUploadStatus);
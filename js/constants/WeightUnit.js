@@ -0,0 +1,36 @@
+/**
+ * WeightUnit - Unit body weight is shown and entered in
+ * Eliminates magic strings and provides semantic type safety
+ * Weights are always stored in kg
+ */
+export const WeightUnit = {
+  KG: "kg",
+  LB: "lb",
+
+  /**
+   * Get all valid units as array
+   */
+  getAll() {
+    return [this.KG, this.LB];
+  },
+
+  /**
+   * Validate if a unit is valid
+   */
+  isValid(unit) {
+    return this.getAll().includes(unit);
+  },
+
+  /**
+   * Get user-friendly label for a unit
+   */
+  getLabel(unit) {
+    const labels = {
+      [this.KG]: "kg",
+      [this.LB]: "lb",
+    };
+    return labels[unit] || unit;
+  },
+};
+
+Object.freeze(WeightUnit);
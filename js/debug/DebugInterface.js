@@ -1,8 +1,17 @@
+import { WorkoutMetrics } from "../models/WorkoutMetrics.js";
+import { BenchmarkResult } from "../models/BenchmarkResult.js";
+import { OffRecordPolicy } from "../constants/OffRecordPolicy.js";
+import { ProofState } from "../constants/ProofState.js";
+import { VideoReviewPolicy } from "../constants/VideoReviewPolicy.js";
+
 /**
  * DebugInterface - Hash-based debug commands for development/testing
  * Not a dependency of any app class - sits on top of the application
  *
- * Usage: Navigate to http://url/#reset, http://url/#tierup, http://url/#tierclear
+ * Usage: Navigate to http://url/#reset, http://url/#tierup, http://url/#tierclear,
+ * http://url/#synclocal, http://url/#syncnow, http://url/#rebuild, http://url/#uploadlocal,
+ * http://url/#offrecord, http://url/#reviewlocal, http://url/#peerreview,
+ * http://url/#ffi, http://url/#decay, http://url/#achievements
  */
 export class DebugInterface {
   constructor(container) {
@@ -27,7 +36,8 @@ export class DebugInterface {
   async _handleHashChange() {
     const hash = window.location.hash.slice(1).toLowerCase().trim();
 
-    if (!hash) return;
+    // Share links (#f17n355=...) carry payloads, not commands
+    if (!hash || hash.includes("=")) return;
 
     // Clear the hash immediately to prevent endless loops on reload
     window.history.replaceState(null, "", window.location.pathname);
@@ -45,6 +55,36 @@ export class DebugInterface {
         case "tierclear":
           await this._tierclear();
           break;
+        case "synclocal":
+          await this._synclocal();
+          break;
+        case "syncnow":
+          await this._syncnow();
+          break;
+        case "rebuild":
+          await this._rebuild();
+          break;
+        case "uploadlocal":
+          await this._uploadlocal();
+          break;
+        case "offrecord":
+          await this._offrecord();
+          break;
+        case "reviewlocal":
+          await this._reviewlocal();
+          break;
+        case "peerreview":
+          await this._peerreview();
+          break;
+        case "ffi":
+          await this._ffi();
+          break;
+        case "decay":
+          await this._decay();
+          break;
+        case "achievements":
+          await this._achievements();
+          break;
         default:
           this._logger.log(`[DEBUG] Unknown command: ${hash}`);
       }
@@ -61,8 +101,7 @@ export class DebugInterface {
 
     try {
       // Clear all IndexedDB stores
-      const db = await this._container.storageService.getDb();
-      const storeNames = ["athletes", "workouts", "progress"];
+      const storeNames = await this._container.storageService.getStoreNames();
 
       for (const storeName of storeNames) {
         await this._container.storageService.clearStore(storeName);
@@ -144,11 +183,47 @@ export class DebugInterface {
 
         // Check if this milestone uses benchmarks (Platinum/Diamond)
         if (milestone.usesBenchmarks) {
-          // For benchmark milestones, complete all benchmarks
+          // For benchmark milestones, log a workout for every open benchmark
+          // so the result survives rebuilding progress from the workout log
           const benchmarkCount = milestone.benchmarkWorkouts.length;
-          milestone.benchmarksCompleted = milestone.benchmarkWorkouts.map(
-            (_, index) => index,
-          );
+          for (let index = 0; index < benchmarkCount; index++) {
+            if (milestone.benchmarksCompleted.includes(index)) continue;
+
+            const benchmark = milestone.benchmarkWorkouts[index];
+            // Every exercise done in full, splitting the time cap evenly
+            const splitSeconds = benchmark.timeCapMinutes
+              ? Math.floor(
+                  (benchmark.timeCapMinutes * 60) / benchmark.exercises.length,
+                )
+              : 60;
+            const result = new BenchmarkResult(
+              benchmark.exercises.map((exercise) => ({
+                workoutType:
+                  this._container.workoutTaxonomy.getWorkoutTypesForTarget(
+                    exercise,
+                  )[0],
+                targetReps: exercise.reps,
+                completedReps: exercise.reps,
+                splitSeconds,
+              })),
+              benchmark.timeCapMinutes || null,
+            );
+            const workout =
+              await this._container.workoutRepository.createWorkout(
+                benchmark.name,
+                "escrow",
+                milestoneType,
+                tierLevel,
+                index,
+                null,
+                result,
+              );
+            await this._verifyWorkout(workout);
+            await this._container.progressionService.completeBenchmark(
+              workout,
+              index,
+            );
+          }
           this._logger.log(
             `[DEBUG] Completed ${benchmarkCount} benchmarks for ${milestoneType}`,
           );
@@ -171,17 +246,37 @@ export class DebugInterface {
               );
             }
 
-            // Use first available workout type
-            const workoutType = workoutTypes[0];
+            // Use first workout type no gate keeps locked
+            const locks =
+              await this._container.progressionService.getWorkoutTypeLocks();
+            const workoutType = workoutTypes.find((type) => !locks[type]);
+            if (!workoutType) {
+              throw new Error(
+                `Every workout type of milestone ${milestoneType} is locked`,
+              );
+            }
+
+            // Log exactly what the milestone requires for this type
+            const requirement =
+              milestone.getRequirementForWorkoutType(workoutType) || {};
+            const metrics = new WorkoutMetrics(
+              requirement.reps
+                ? [{ reps: requirement.reps, weightKg: null }]
+                : [],
+              requirement.timeMinutes || null,
+            );
 
             // Create workout
             const workout =
               await this._container.workoutRepository.createWorkout(
                 workoutType,
-                "record",
+                "escrow",
                 milestoneType,
                 tierLevel,
+                null,
+                metrics,
               );
+            await this._verifyWorkout(workout);
 
             // Add progress
             const result =
@@ -263,6 +358,85 @@ export class DebugInterface {
     }
   }
 
+  /**
+   * Walk a generated workout through the escrow proof states without a
+   * guarantor, so it counts whatever the Off Record policy is
+   */
+  async _verifyWorkout(workout) {
+    const proofService = this._container.proofService;
+    await proofService.transitionProof(workout, ProofState.RECORDED, "#tierup");
+    await proofService.transitionProof(
+      workout,
+      ProofState.UNDER_REVIEW,
+      "#tierup",
+    );
+    await proofService.transitionProof(
+      workout,
+      ProofState.VERIFIED,
+      "Verified by #tierup",
+    );
+  }
+
+  /**
+   * OFFRECORD: Toggle whether Off Record workouts count, then recount
+   */
+  async _offrecord() {
+    this._logger.log("[DEBUG] Executing OFFRECORD command...");
+
+    try {
+      const current =
+        this._container.userPreferencesRepository.getOffRecordPolicy();
+      const policy =
+        current === OffRecordPolicy.COUNT
+          ? OffRecordPolicy.EXCLUDE
+          : OffRecordPolicy.COUNT;
+
+      const result =
+        await this._container.progressionService.setOffRecordPolicy(policy);
+      await this._refreshAlpineState();
+      alert(
+        `✓ ${OffRecordPolicy.getLabel(policy)}. ${result.appliedWorkouts} workouts count.`,
+      );
+    } catch (error) {
+      this._logger.error("[DEBUG] Offrecord failed", error);
+      alert(`✗ Offrecord failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * FFI: Calculate the Functional Fitness Index and log its breakdown
+   */
+  async _ffi() {
+    this._logger.log("[DEBUG] Executing FFI command...");
+
+    try {
+      const athlete =
+        await this._container.athleteRepository.getCurrentAthlete();
+      if (!athlete) {
+        throw new Error(
+          "No athlete profile found. Please complete setup first.",
+        );
+      }
+
+      const bodyMetrics =
+        await this._container.bodyMetricsService.getBodyMetricsForScoring();
+      const breakdown = await this._container.scoringService.calculateScore(
+        athlete,
+        bodyMetrics,
+      );
+      this._logger.log("[DEBUG] FFI breakdown", breakdown);
+      const categories = breakdown.categories
+        .map((category) => `${category.name} ${category.score}`)
+        .join(", ");
+      alert(
+        `✓ FFI ${breakdown.score}/100 (${breakdown.standards.name} v${breakdown.standards.version}). ${categories}.`,
+      );
+    } catch (error) {
+      this._logger.error("[DEBUG] FFI failed", error);
+      alert(`✗ FFI failed: ${error.message}`);
+    }
+  }
+
   /**
    * TIERCLEAR: Remove all workouts and reset to fresh Tier 1
    */
@@ -272,6 +446,10 @@ export class DebugInterface {
     try {
       // Clear all workouts
       await this._container.workoutRepository.clearAllWorkouts();
+      await this._container.videoProofRepository.clearAllRecordings();
+      await this._container.videoUploadRepository.clearAllUploads();
+      await this._container.escrowService.clearAllClaims();
+      await this._container.peerReviewRepository.clearAllReviews();
       this._logger.log("[DEBUG] Cleared all workouts");
 
       // Reset athlete to Tier 1
@@ -303,6 +481,160 @@ export class DebugInterface {
     }
   }
 
+  /**
+   * SYNCLOCAL: Point sync at the local stand-in server (dev/sync-server.mjs)
+   */
+  async _synclocal() {
+    this._logger.log("[DEBUG] Executing SYNCLOCAL command...");
+
+    const endpoint = "http://localhost:8787";
+    this._container.userPreferencesRepository.saveSyncEndpoint(endpoint);
+    this._logger.log(`[DEBUG] Sync endpoint set to ${endpoint}`);
+    alert(`✓ Sync endpoint set to ${endpoint}`);
+  }
+
+  /**
+   * UPLOADLOCAL: Send proof videos to the local stand-in server (dev/upload-server.mjs)
+   * Also resumes uploads that waited for an endpoint
+   */
+  async _uploadlocal() {
+    this._logger.log("[DEBUG] Executing UPLOADLOCAL command...");
+
+    const endpoint = "http://localhost:8788";
+    this._container.userPreferencesRepository.saveUploadEndpoint(endpoint);
+    this._logger.log(`[DEBUG] Upload endpoint set to ${endpoint}`);
+    this._container.videoUploadService
+      .resumeUnfinishedUploads()
+      .catch((error) =>
+        this._logger.error("[DEBUG] Resuming uploads failed", error),
+      );
+    alert(`✓ Upload endpoint set to ${endpoint}`);
+  }
+
+  /**
+   * REVIEWLOCAL: Send proof videos to the local peer review server
+   * (dev/review-server.mjs) and switch to the peer review policy
+   */
+  async _reviewlocal() {
+    this._logger.log("[DEBUG] Executing REVIEWLOCAL command...");
+
+    const endpoint = "http://localhost:8789";
+    const preferences = this._container.userPreferencesRepository;
+    preferences.saveReviewEndpoint(endpoint);
+    preferences.saveVideoReviewPolicy(VideoReviewPolicy.PEER);
+    this._logger.log(`[DEBUG] Review endpoint set to ${endpoint}`);
+    alert(
+      `✓ Review endpoint set to ${endpoint}. ${VideoReviewPolicy.getLabel(VideoReviewPolicy.PEER)}.`,
+    );
+  }
+
+  /**
+   * PEERREVIEW: Toggle whether new proof videos go to a judge or to peers
+   */
+  async _peerreview() {
+    this._logger.log("[DEBUG] Executing PEERREVIEW command...");
+
+    const preferences = this._container.userPreferencesRepository;
+    const policy =
+      preferences.getVideoReviewPolicy() === VideoReviewPolicy.PEER
+        ? VideoReviewPolicy.JUDGE
+        : VideoReviewPolicy.PEER;
+    preferences.saveVideoReviewPolicy(policy);
+
+    const { reviewerCount, quorum } = preferences.getPeerReviewSettings();
+    const details =
+      policy === VideoReviewPolicy.PEER
+        ? ` (${reviewerCount} reviewers, ${quorum}${preferences.getReviewEndpoint() ? "" : ", no review endpoint yet"})`
+        : "";
+    alert(`✓ ${VideoReviewPolicy.getLabel(policy)}${details}.`);
+  }
+
+  /**
+   * SYNCNOW: Push all pending outbox entries immediately
+   */
+  async _syncnow() {
+    this._logger.log("[DEBUG] Executing SYNCNOW command...");
+
+    try {
+      const result = await this._container.syncService.retryFailedEntries();
+      const pending = await this._container.syncService.getPendingSyncCount();
+      alert(
+        `✓ Sync finished: ${result.synced} synced, ${result.failed} failed, ${pending} pending`,
+      );
+    } catch (error) {
+      this._logger.error("[DEBUG] Syncnow failed", error);
+      alert(`✗ Syncnow failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * REBUILD: Recompute progress by replaying the workout log
+   */
+  async _rebuild() {
+    this._logger.log("[DEBUG] Executing REBUILD command...");
+
+    try {
+      const result =
+        await this._container.progressionService.rebuildFromWorkouts();
+      await this._refreshAlpineState();
+      alert(
+        `✓ Rebuilt from ${result.appliedWorkouts} workouts (${result.skippedWorkouts} skipped). Tier ${result.tierLevel + 1}.`,
+      );
+    } catch (error) {
+      this._logger.error("[DEBUG] Rebuild failed", error);
+      alert(`✗ Rebuild failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * DECAY: Apply the decay rules now and list losses past and to come
+   */
+  async _decay() {
+    this._logger.log("[DEBUG] Executing DECAY command...");
+
+    try {
+      const progressionService = this._container.progressionService;
+      if (!progressionService.tierConfiguration.decayRules) {
+        throw new Error("The active tier program has no decay rules");
+      }
+      const events = await progressionService.evaluateDecay();
+      const warnings = await progressionService.getDecayWarnings();
+      const decayLog = progressionService.getDecayLog();
+      this._logger.log("[DEBUG] Decay log", decayLog);
+      this._logger.log("[DEBUG] Decay warnings", warnings);
+      await this._refreshAlpineState();
+      alert(
+        `✓ Decay evaluated: ${events.length} new loss(es), ${decayLog.length} in the log, ${warnings.length} warning(s).`,
+      );
+    } catch (error) {
+      this._logger.error("[DEBUG] Decay failed", error);
+      alert(`✗ Decay failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * ACHIEVEMENTS: Forget unlocked achievements and unlock them again
+   * Every rule is evaluated as on app start, so unlocks get today's date
+   */
+  async _achievements() {
+    this._logger.log("[DEBUG] Executing ACHIEVEMENTS command...");
+
+    try {
+      const achievementService = this._container.achievementService;
+      await this._container.achievementRepository.clearAllUnlocked();
+      const unlocked = await achievementService.evaluateAll();
+      const { earned, locked } = await achievementService.getTrophyRoom();
+      this._logger.log("[DEBUG] Earned achievements", earned);
+      this._logger.log("[DEBUG] Locked achievements", locked);
+      alert(
+        `✓ Achievements evaluated: ${unlocked.length} unlocked, ${locked.length} still locked.`,
+      );
+    } catch (error) {
+      this._logger.error("[DEBUG] Achievements failed", error);
+      alert(`✗ Achievements failed: ${error.message}`);
+    }
+  }
+
   /**
    * Helper: Delete IndexedDB database
    */
@@ -0,0 +1,198 @@
+import { AchievementStat } from "../constants/AchievementStat.js";
+import { FitnessCategory } from "../constants/FitnessCategory.js";
+
+const {
+  WORKOUTS_LOGGED,
+  VERIFIED_WORKOUTS,
+  MILESTONES_COMPLETED,
+  BENCHMARKS_COMPLETED,
+  TIER_REACHED,
+  DAILY_STREAK,
+  WEEKLY_STREAK,
+  CATEGORIES_TRAINED,
+} = AchievementStat;
+
+/**
+ * Achievements - The trophies of the Digital Gym, in trophy room order
+ * Each is a rule: unlocked once its stat reaches atLeast, and kept for
+ * good, even if the stat drops again (a broken streak, a lost tier).
+ * description says what was achieved, hint how to get there; icon is a
+ * Material icon name. Ids are stored with the unlock date, so they must
+ * never change.
+ */
+export const Achievements = Object.freeze(
+  [
+    {
+      id: "first-workout",
+      name: "First Rep",
+      icon: "fitness_center",
+      stat: WORKOUTS_LOGGED,
+      atLeast: 1,
+      description: "Logged a first workout",
+      hint: "Log any workout",
+    },
+    {
+      id: "workouts-25",
+      name: "Regular",
+      icon: "event_repeat",
+      stat: WORKOUTS_LOGGED,
+      atLeast: 25,
+      description: "Logged 25 workouts",
+      hint: "Log 25 workouts",
+    },
+    {
+      id: "workouts-100",
+      name: "Centurion",
+      icon: "military_tech",
+      stat: WORKOUTS_LOGGED,
+      atLeast: 100,
+      description: "Logged 100 workouts",
+      hint: "Log 100 workouts",
+    },
+    {
+      id: "first-verified",
+      name: "Proven",
+      icon: "verified",
+      stat: VERIFIED_WORKOUTS,
+      atLeast: 1,
+      description: "Had a workout's proof verified",
+      hint: "Prove a workout by video or with a guarantor",
+    },
+    {
+      id: "verified-25",
+      name: "On the Record",
+      icon: "workspace_premium",
+      stat: VERIFIED_WORKOUTS,
+      atLeast: 25,
+      description: "Had 25 workouts verified",
+      hint: "Get 25 workouts verified",
+    },
+    {
+      id: "first-milestone",
+      name: "Milestone",
+      icon: "flag",
+      stat: MILESTONES_COMPLETED,
+      atLeast: 1,
+      description: "Completed a first milestone",
+      hint: "Complete any milestone",
+    },
+    {
+      id: "milestones-10",
+      name: "Medal Rack",
+      icon: "emoji_events",
+      stat: MILESTONES_COMPLETED,
+      atLeast: 10,
+      description: "Completed 10 milestones",
+      hint: "Complete 10 milestones in any tiers",
+    },
+    {
+      id: "first-benchmark",
+      name: "Benchmark Beaten",
+      icon: "timer",
+      stat: BENCHMARKS_COMPLETED,
+      atLeast: 1,
+      description: "Completed a benchmark within its time cap",
+      hint: "Complete a benchmark workout",
+    },
+    {
+      id: "tier-2",
+      name: "Moving Up",
+      icon: "trending_up",
+      stat: TIER_REACHED,
+      atLeast: 1,
+      description: "Reached the second tier",
+      hint: "Complete every milestone of the first tier",
+    },
+    {
+      id: "tier-4",
+      name: "Top Shelf",
+      icon: "stars",
+      stat: TIER_REACHED,
+      atLeast: 3,
+      description: "Reached the fourth tier",
+      hint: "Reach the fourth tier",
+    },
+    {
+      id: "daily-7",
+      name: "Week on Fire",
+      icon: "local_fire_department",
+      stat: DAILY_STREAK,
+      atLeast: 7,
+      description: "Kept a 7 day streak",
+      hint: "Work out 7 days in a row",
+    },
+    {
+      id: "daily-30",
+      name: "Unstoppable",
+      icon: "whatshot",
+      stat: DAILY_STREAK,
+      atLeast: 30,
+      description: "Kept a 30 day streak",
+      hint: "Work out 30 days in a row; streak freezes help",
+    },
+    {
+      id: "weekly-4",
+      name: "Goal Getter",
+      icon: "event_available",
+      stat: WEEKLY_STREAK,
+      atLeast: 4,
+      description: "Met the weekly goal 4 weeks in a row",
+      hint: "Meet your weekly workout target 4 weeks in a row",
+    },
+    {
+      id: "weekly-12",
+      name: "Season Strong",
+      icon: "calendar_month",
+      stat: WEEKLY_STREAK,
+      atLeast: 12,
+      description: "Met the weekly goal 12 weeks in a row",
+      hint: "Meet your weekly workout target 12 weeks in a row",
+    },
+    {
+      id: "all-categories",
+      name: "All-Rounder",
+      icon: "hub",
+      stat: CATEGORIES_TRAINED,
+      atLeast: FitnessCategory.getAll().length,
+      description: "Trained every fitness category",
+      hint: "Get a workout counted in each of the seven fitness categories",
+    },
+  ].map((achievement) => Object.freeze(achievement)),
+);
+
+/**
+ * AchievementCatalog - Looks up the achievement rules the app runs
+ */
+export class AchievementCatalog {
+  /**
+   * @param {Array} achievements - Rules in trophy room order, see Achievements
+   */
+  constructor(achievements) {
+    this._achievements = achievements;
+  }
+
+  /**
+   * Get every achievement in trophy room order
+   */
+  getAll() {
+    return this._achievements;
+  }
+
+  /**
+   * Get the achievements whose stat an AchievementTrigger can change
+   */
+  getForTrigger(trigger) {
+    return this._achievements.filter((achievement) =>
+      AchievementStat.getTriggers(achievement.stat).includes(trigger),
+    );
+  }
+
+  /**
+   * Get an achievement by id, null if there is none
+   */
+  getById(id) {
+    return (
+      this._achievements.find((achievement) => achievement.id === id) || null
+    );
+  }
+}
@@ -1,3 +1,5 @@
+import { SkinTone } from "../constants/SkinTone.js";
+
 /**
  * Athlete model representing a user's profile
  */
@@ -7,8 +9,9 @@ export class Athlete {
     this.name = name || "";
     this.birthday = birthday || null;
     this.gender = gender || "male";
-    this.skinTone = skinTone || "neutral";
+    this.skinTone = skinTone || SkinTone.NEUTRAL;
     this.currentTier = 0;
+    this.revision = 0; // Last server revision this record is based on
     this.createdAt = new Date().toISOString();
     this.updatedAt = new Date().toISOString();
   }
@@ -20,6 +23,7 @@ export class Athlete {
   /**
    * Get the avatar set based on gender
    * Trans male/female maps to male/female respectively
+   * Picks the base body of the avatar (see AvatarRenderer)
    */
   get avatarSet() {
     if (this.gender === "male" || this.gender === "trans-male") {
@@ -28,14 +32,6 @@ export class Athlete {
     return "female";
   }
 
-  /**
-   * Get the current avatar image path based on tier
-   */
-  getAvatarPath(tier) {
-    const tierLevel = tier ?? this.currentTier;
-    return `img/${this.avatarSet}${tierLevel}.jpg`;
-  }
-
   /**
    * Calculate age from birthday
    */
@@ -63,6 +59,19 @@ export class Athlete {
     );
   }
 
+  /**
+   * Merge a version of this profile edited on another device
+   * The highest tier wins; differing profile fields keep the local value
+   * @returns {Array<string>} - Profile fields that differ from remote
+   */
+  mergeRemote(remoteAthlete) {
+    this.currentTier = Math.max(this.currentTier, remoteAthlete.currentTier);
+
+    return ["name", "birthday", "gender", "skinTone"].filter(
+      (field) => this[field] !== remoteAthlete[field],
+    );
+  }
+
   /**
    * Serialize to plain object for storage
    */
@@ -74,6 +83,7 @@ export class Athlete {
       gender: this.gender,
       skinTone: this.skinTone,
       currentTier: this.currentTier,
+      revision: this.revision,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
@@ -91,6 +101,7 @@ export class Athlete {
       data.skinTone,
     );
     athlete.currentTier = data.currentTier || 0;
+    athlete.revision = data.revision || 0;
     athlete.createdAt = data.createdAt;
     athlete.updatedAt = data.updatedAt;
     return athlete;
@@ -0,0 +1,137 @@
+/**
+ * BenchmarkResult - Outcome of one attempt at a benchmark workout
+ * Records completed reps and the split time of every exercise. The attempt
+ * passes when every exercise hit its target reps within the time cap.
+ */
+export class BenchmarkResult {
+  /**
+   * @param {Array} exercises - [{workoutType, targetReps, completedReps, splitSeconds}]
+   * @param {number|null} timeCapMinutes - Cap from the benchmark, null if none
+   */
+  constructor(exercises = [], timeCapMinutes = null) {
+    this.exercises = exercises;
+    this.timeCapMinutes = timeCapMinutes;
+  }
+
+  /**
+   * Total time of the attempt (sum of all splits)
+   */
+  get totalSeconds() {
+    return this.exercises.reduce((sum, e) => sum + (e.splitSeconds || 0), 0);
+  }
+
+  /**
+   * Total time formatted as "m:ss"
+   */
+  get totalTimeLabel() {
+    const minutes = Math.floor(this.totalSeconds / 60);
+    const seconds = Math.round(this.totalSeconds % 60);
+    return `${minutes}:${String(seconds).padStart(2, "0")}`;
+  }
+
+  /**
+   * Reps completed across all exercises
+   */
+  get completedReps() {
+    return this.exercises.reduce((sum, e) => sum + e.completedReps, 0);
+  }
+
+  /**
+   * Reps the benchmark asks for across all exercises
+   */
+  get targetReps() {
+    return this.exercises.reduce((sum, e) => sum + e.targetReps, 0);
+  }
+
+  /**
+   * Check if every exercise reached its target reps
+   */
+  get allRepsCompleted() {
+    return this.exercises.every((e) => e.completedReps >= e.targetReps);
+  }
+
+  /**
+   * Check if the attempt finished within the time cap
+   */
+  get isWithinTimeCap() {
+    if (!this.timeCapMinutes) return true;
+    return this.totalSeconds <= this.timeCapMinutes * 60;
+  }
+
+  /**
+   * Check if the attempt counts as a completed benchmark
+   */
+  get passed() {
+    return this.allRepsCompleted && this.isWithinTimeCap;
+  }
+
+  /**
+   * Why the attempt failed, empty if it passed
+   */
+  get failureReasons() {
+    const reasons = [];
+    if (!this.allRepsCompleted) {
+      reasons.push(
+        `${this.targetReps - this.completedReps} reps short of ${this.targetReps}`,
+      );
+    }
+    if (!this.isWithinTimeCap) {
+      reasons.push(`over the ${this.timeCapMinutes} min time cap`);
+    }
+    return reasons;
+  }
+
+  /**
+   * Check the logged numbers for impossible values
+   * @returns {Array<string>} - Error messages, empty if valid
+   */
+  getValidationErrors() {
+    const errors = [];
+    this.exercises.forEach((e) => {
+      if (!Number.isInteger(e.completedReps) || e.completedReps < 0) {
+        errors.push(`${e.workoutType}: reps must be a whole number`);
+      }
+      if (!Number.isFinite(e.splitSeconds) || e.splitSeconds <= 0) {
+        errors.push(`${e.workoutType}: enter a split time as mm:ss`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Rank against another attempt at the same benchmark
+   * Passed beats failed; then faster time; failed attempts by reps first
+   */
+  isBetterThan(other) {
+    if (this.passed !== other.passed) return this.passed;
+    if (!this.passed && this.completedReps !== other.completedReps) {
+      return this.completedReps > other.completedReps;
+    }
+    return this.totalSeconds < other.totalSeconds;
+  }
+
+  /**
+   * Serialize to plain object for storage
+   */
+  toJSON() {
+    return {
+      exercises: this.exercises.map((e) => ({
+        workoutType: e.workoutType,
+        targetReps: e.targetReps,
+        completedReps: e.completedReps,
+        splitSeconds: e.splitSeconds,
+      })),
+      timeCapMinutes: this.timeCapMinutes,
+    };
+  }
+
+  /**
+   * Create BenchmarkResult from plain object
+   */
+  static fromJSON(data) {
+    return new BenchmarkResult(
+      (data.exercises || []).map((e) => ({ ...e })),
+      data.timeCapMinutes ?? null,
+    );
+  }
+}
@@ -0,0 +1,57 @@
+import { BodyMetric } from "../constants/BodyMetric.js";
+
+/**
+ * BodyMetricsEntry - Body measurements taken on one day
+ * Values are stored in the metric unit their name carries (see BodyMetric),
+ * whatever unit the athlete entered them in. Measurements not taken that
+ * day are null.
+ */
+export class BodyMetricsEntry {
+  constructor(id, date) {
+    this._id = id;
+    this.date = date; // Local day of the measurements, e.g. "2026-10-19"
+    this.weightKg = null;
+    this.heightCm = null;
+    this.bodyFatPercent = null;
+    this.restingHeartRateBpm = null;
+    this.updatedAt = new Date().toISOString();
+  }
+
+  get id() {
+    return this._id;
+  }
+
+  /**
+   * Check if any measurement was taken
+   */
+  get hasMeasurements() {
+    return BodyMetric.getAll().some((metric) => this[metric] !== null);
+  }
+
+  /**
+   * Convert to plain object for storage
+   */
+  toJSON() {
+    return {
+      id: this._id,
+      date: this.date,
+      weightKg: this.weightKg,
+      heightCm: this.heightCm,
+      bodyFatPercent: this.bodyFatPercent,
+      restingHeartRateBpm: this.restingHeartRateBpm,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  /**
+   * Create BodyMetricsEntry from plain object
+   */
+  static fromJSON(data) {
+    const entry = new BodyMetricsEntry(data.id, data.date);
+    BodyMetric.getAll().forEach((metric) => {
+      entry[metric] = data[metric] ?? null;
+    });
+    entry.updatedAt = data.updatedAt || entry.updatedAt;
+    return entry;
+  }
+}
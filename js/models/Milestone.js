@@ -29,7 +29,11 @@ export class Milestone {
    * @param {string} name - Milestone display name
    * @param {number} requiredWorkouts - Number of workouts needed to complete (for bronze/silver/gold)
    * @param {Array} workoutRequirements - Array of workout requirements, each with {workoutType, reps, timeMinutes}
+   *   or {category, reps, timeMinutes} to accept every workout type training a fitness category
    * @param {Array} benchmarkWorkouts - Array of benchmark challenges (for platinum/diamond)
+   * @param {Object} prerequisites - {milestones, tiers, workouts} that unlock the milestone
+   *   (see PrerequisiteEvaluator); empty if it is open from the start
+   * @param {WorkoutTaxonomy} workoutTaxonomy - Resolves category requirements
    */
   constructor(
     type,
@@ -37,12 +41,16 @@ export class Milestone {
     requiredWorkouts,
     workoutRequirements = [],
     benchmarkWorkouts = [],
+    prerequisites = {},
+    workoutTaxonomy,
   ) {
     this._type = type;
     this._name = name;
     this._requiredWorkouts = requiredWorkouts;
-    this._workoutRequirements = workoutRequirements; // [{workoutType, reps, timeMinutes}, ...]
-    this._benchmarkWorkouts = benchmarkWorkouts; // [{name, exercises: [{workoutType, reps}], timeCapMinutes}, ...]
+    this._workoutRequirements = workoutRequirements; // [{workoutType|category, reps, timeMinutes}, ...]
+    this._benchmarkWorkouts = benchmarkWorkouts; // [{name, exercises: [{workoutType|category, reps}], timeCapMinutes}, ...]
+    this._prerequisites = prerequisites; // {milestones: [{tier, type}], tiers: [level], workouts: [{workoutType|category, count, verifiedOnly}]}
+    this._workoutTaxonomy = workoutTaxonomy;
     this.progress = 0;
     this.benchmarksCompleted = []; // Track which benchmarks are done
   }
@@ -67,14 +75,25 @@ export class Milestone {
     return this._benchmarkWorkouts;
   }
 
+  get prerequisites() {
+    return this._prerequisites;
+  }
+
   /**
    * Get all workout types accepted by this milestone
+   * Category requirements contribute every type training their category
    */
   get workoutTypes() {
     if (this._workoutRequirements.length === 0) {
       return []; // Accept all
     }
-    return this._workoutRequirements.map((req) => req.workoutType);
+    return [
+      ...new Set(
+        this._workoutRequirements.flatMap((req) =>
+          this._workoutTaxonomy.getWorkoutTypesForTarget(req),
+        ),
+      ),
+    ];
   }
 
   get icon() {
@@ -134,23 +153,92 @@ export class Milestone {
     if (this._workoutRequirements.length === 0) {
       return true; // Accept all workout types
     }
-    return this._workoutRequirements.some(
-      (req) => req.workoutType === workoutType,
+    return (
+      this._workoutTaxonomy.findRequirementForWorkoutType(
+        this._workoutRequirements,
+        workoutType,
+      ) !== null
     );
   }
 
   /**
    * Get requirement details for a specific workout type
+   * A requirement naming the type wins over a category requirement
    * @returns {Object|null} - {reps, timeMinutes} or null if not found
    */
   getRequirementForWorkoutType(workoutType) {
-    const req = this._workoutRequirements.find(
-      (r) => r.workoutType === workoutType,
+    const req = this._workoutTaxonomy.findRequirementForWorkoutType(
+      this._workoutRequirements,
+      workoutType,
     );
     if (!req) return null;
     return { reps: req.reps, timeMinutes: req.timeMinutes };
   }
 
+  /**
+   * Mix of fitness categories one workout towards this milestone trains
+   * Averaged over the accepted requirements, or over all workout types if
+   * any type counts
+   * @returns {Object} - {category: weight}
+   */
+  getCategoryShares() {
+    if (this._workoutRequirements.length === 0) {
+      return this._workoutTaxonomy.averageCategoryWeights(
+        this._workoutTaxonomy
+          .getAllWorkoutTypes()
+          .map((workoutType) => ({ workoutType })),
+      );
+    }
+    return this._workoutTaxonomy.averageCategoryWeights(
+      this._workoutRequirements,
+    );
+  }
+
+  /**
+   * Mix of fitness categories a benchmark trains, its exercises counting
+   * equally
+   * @returns {Object} - {category: weight}
+   */
+  getBenchmarkCategoryShares(benchmarkIndex) {
+    const benchmark = this._benchmarkWorkouts[benchmarkIndex];
+    return benchmark
+      ? this._workoutTaxonomy.averageCategoryWeights(benchmark.exercises)
+      : {};
+  }
+
+  /**
+   * Check if another milestone has the same rules (ignores progress)
+   */
+  hasSameDefinition(other) {
+    return (
+      this._type === other.type &&
+      this._name === other.name &&
+      this._requiredWorkouts === other.requiredWorkouts &&
+      JSON.stringify(this._workoutRequirements) ===
+        JSON.stringify(other.workoutRequirements) &&
+      JSON.stringify(this._benchmarkWorkouts) ===
+        JSON.stringify(other.benchmarkWorkouts) &&
+      JSON.stringify(this._prerequisites) ===
+        JSON.stringify(other.prerequisites)
+    );
+  }
+
+  /**
+   * Merge progress recorded on another device
+   * Keeps the higher workout count and the union of completed benchmarks
+   */
+  mergeProgress(other) {
+    this.progress = Math.min(
+      Math.max(this.progress, other.progress),
+      this._requiredWorkouts,
+    );
+    this.benchmarksCompleted = [
+      ...new Set([...this.benchmarksCompleted, ...other.benchmarksCompleted]),
+    ]
+      .filter((index) => index < this._benchmarkWorkouts.length)
+      .sort((a, b) => a - b);
+  }
+
   /**
    * Reset progress
    */
@@ -169,6 +257,8 @@ export class Milestone {
       this._requiredWorkouts,
       [...this._workoutRequirements],
       [...this._benchmarkWorkouts],
+      { ...this._prerequisites },
+      this._workoutTaxonomy,
     );
   }
 
@@ -182,6 +272,7 @@ export class Milestone {
       requiredWorkouts: this._requiredWorkouts,
       workoutRequirements: this._workoutRequirements,
       benchmarkWorkouts: this._benchmarkWorkouts,
+      prerequisites: this._prerequisites,
       progress: this.progress,
       benchmarksCompleted: this.benchmarksCompleted,
     };
@@ -190,13 +281,15 @@ export class Milestone {
   /**
    * Create Milestone from plain object
    */
-  static fromJSON(data) {
+  static fromJSON(data, workoutTaxonomy) {
     const milestone = new Milestone(
       data.type,
       data.name,
       data.requiredWorkouts,
       data.workoutRequirements || [],
       data.benchmarkWorkouts || [],
+      data.prerequisites || {},
+      workoutTaxonomy,
     );
     milestone.progress = data.progress || 0;
     milestone.benchmarksCompleted = data.benchmarksCompleted || [];
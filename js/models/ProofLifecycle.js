@@ -0,0 +1,122 @@
+import { ProofState } from "../constants/ProofState.js";
+
+/**
+ * ProofLifecycle - Proof state of one workout with its transition history
+ * Every change is checked against ProofState.TRANSITIONS and recorded with
+ * a timestamp and the reason it happened.
+ */
+export class ProofLifecycle {
+  /**
+   * @param {string} state - Current ProofState
+   * @param {Array} history - [{from, to, at, reason}], oldest first
+   */
+  constructor(state = ProofState.DRAFT, history = []) {
+    this._state = state;
+    this._history = history;
+  }
+
+  /**
+   * Start the lifecycle of a newly logged workout
+   */
+  static start(at = new Date().toISOString()) {
+    return new ProofLifecycle(ProofState.DRAFT, [
+      { from: null, to: ProofState.DRAFT, at, reason: "Workout logged" },
+    ]);
+  }
+
+  get state() {
+    return this._state;
+  }
+
+  get history() {
+    return this._history;
+  }
+
+  /**
+   * Time of the last transition
+   */
+  get updatedAt() {
+    const last = this._history[this._history.length - 1];
+    return last ? last.at : null;
+  }
+
+  /**
+   * Reason given for the last transition
+   */
+  get reason() {
+    const last = this._history[this._history.length - 1];
+    return last ? last.reason : "";
+  }
+
+  get isVerified() {
+    return this._state === ProofState.VERIFIED;
+  }
+
+  /**
+   * Check if the proof can still change state
+   */
+  get isOpen() {
+    return !ProofState.isFinal(this._state);
+  }
+
+  /**
+   * Check if the state machine allows moving to a state
+   */
+  canTransitionTo(state) {
+    return ProofState.canTransition(this._state, state);
+  }
+
+  /**
+   * Move to another state and record why
+   * @throws {Error} - If the transition is not allowed
+   */
+  transitionTo(state, reason = "", at = new Date().toISOString()) {
+    if (!this.canTransitionTo(state)) {
+      throw new Error(`Illegal proof transition: ${this._state} → ${state}`);
+    }
+    this._history.push({ from: this._state, to: state, at, reason });
+    this._state = state;
+  }
+
+  /**
+   * Serialize to plain object for storage
+   */
+  toJSON() {
+    return {
+      state: this._state,
+      history: this._history.map((entry) => ({ ...entry })),
+    };
+  }
+
+  /**
+   * Create ProofLifecycle from plain object
+   */
+  static fromJSON(data) {
+    const state = ProofState.isValid(data.state)
+      ? data.state
+      : ProofState.DRAFT;
+    return new ProofLifecycle(
+      state,
+      (data.history || []).map((entry) => ({ ...entry })),
+    );
+  }
+
+  /**
+   * Lifecycle for a workout stored before proof states existed
+   * Those workouts already counted: Off Record ones as recorded, the
+   * others as verified. Mirrors schema migration v7 for records that
+   * arrive through sync from devices that have not upgraded.
+   */
+  static fromLegacyWorkout(data) {
+    const state =
+      data.proofMethod === "record" ? ProofState.RECORDED : ProofState.VERIFIED;
+    return new ProofLifecycle(state, [
+      {
+        from: null,
+        to: state,
+        at: data.date,
+        reason: "Logged before proof states existed",
+      },
+    ]);
+  }
+}
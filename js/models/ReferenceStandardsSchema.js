@@ -0,0 +1,133 @@
+import { WorkoutTypes } from "./WorkoutTaxonomy.js";
+import { PerformanceMetric } from "../constants/PerformanceMetric.js";
+
+/**
+ * Mean and spread of a metric in one reference group
+ */
+const normSchema = {
+  type: "object",
+  required: ["mean", "sd"],
+  additionalProperties: false,
+  properties: {
+    mean: { type: "number", exclusiveMinimum: 0 },
+    sd: { type: "number", exclusiveMinimum: 0 },
+  },
+};
+
+/**
+ * One measurable performance, e.g. the estimated bench press 1RM
+ */
+const standardSchema = {
+  type: "object",
+  required: ["id", "workoutType", "metric", "better", "norms"],
+  additionalProperties: false,
+  properties: {
+    id: { type: "string", minLength: 1 },
+    workoutType: { type: "string", enum: Object.values(WorkoutTypes) },
+    metric: { type: "string", enum: PerformanceMetric.getAll() },
+    better: { type: "string", enum: ["higher", "lower"] },
+    scaleByBodyweight: { type: "boolean" }, // Allometric scaling of loads
+    norms: {
+      type: "object",
+      required: ["male", "female"],
+      additionalProperties: false,
+      properties: { male: normSchema, female: normSchema },
+    },
+  },
+};
+
+const categorySchema = {
+  type: "object",
+  required: ["id", "name", "weight", "standards"],
+  additionalProperties: false,
+  properties: {
+    id: { type: "string", minLength: 1 },
+    name: { type: "string", minLength: 1 },
+    weight: { type: "number", exclusiveMinimum: 0 }, // Relative to the others
+    standards: {
+      type: "array",
+      minItems: 1,
+      items: standardSchema,
+      uniqueBy: "id",
+    },
+  },
+};
+
+/**
+ * ReferenceStandardsSchema - Shape of an FFI reference standards table
+ * (schema version 1)
+ *
+ * Same JSON Schema subset as TierProgramSchema. Norms are for adults under
+ * 30 at the reference bodyweight of their group; ageGrading lowers them for
+ * older age bands, scaling.exponent converts loads between bodyweights and
+ * decay.halfLifeDays sets how fast old performances lose their value.
+ */
+export const ReferenceStandardsSchema = Object.freeze({
+  version: 1,
+  root: {
+    type: "object",
+    required: [
+      "schemaVersion",
+      "id",
+      "version",
+      "name",
+      "scaling",
+      "ageGrading",
+      "decay",
+      "categories",
+    ],
+    additionalProperties: false,
+    properties: {
+      schemaVersion: { type: "integer", enum: [1] },
+      id: { type: "string", minLength: 1 },
+      version: { type: "integer", minimum: 1 },
+      name: { type: "string", minLength: 1 },
+      description: { type: "string" },
+      scaling: {
+        type: "object",
+        required: ["exponent", "referenceBodyweightKg"],
+        additionalProperties: false,
+        properties: {
+          exponent: { type: "number", exclusiveMinimum: 0 },
+          referenceBodyweightKg: {
+            type: "object",
+            required: ["male", "female"],
+            additionalProperties: false,
+            properties: {
+              male: { type: "number", exclusiveMinimum: 0 },
+              female: { type: "number", exclusiveMinimum: 0 },
+            },
+          },
+        },
+      },
+      ageGrading: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["minAge", "factor"],
+          additionalProperties: false,
+          properties: {
+            minAge: { type: "integer", minimum: 0 },
+            factor: { type: "number", exclusiveMinimum: 0 },
+          },
+        },
+        uniqueBy: "minAge",
+      },
+      decay: {
+        type: "object",
+        required: ["halfLifeDays"],
+        additionalProperties: false,
+        properties: {
+          halfLifeDays: { type: "number", exclusiveMinimum: 0 },
+        },
+      },
+      categories: {
+        type: "array",
+        minItems: 1,
+        items: categorySchema,
+        uniqueBy: "id",
+      },
+    },
+  },
+});
@@ -100,6 +100,33 @@ export class Tier {
     this._milestones.push(milestone);
   }
 
+  /**
+   * Merge milestone progress recorded on another device
+   * @returns {Array<string>} - Milestones that could not be merged
+   */
+  mergeProgress(otherTier) {
+    const conflicts = [];
+
+    this._milestones.forEach((milestone) => {
+      const other = otherTier.findMilestoneByType(milestone.type);
+      if (!other) {
+        conflicts.push(`${this._name}/${milestone.type}: missing on remote`);
+      } else if (!milestone.hasSameDefinition(other)) {
+        conflicts.push(`${this._name}/${milestone.type}: rules differ`);
+      } else {
+        milestone.mergeProgress(other);
+      }
+    });
+
+    otherTier.milestones
+      .filter((other) => !this.findMilestoneByType(other.type))
+      .forEach((other) => {
+        conflicts.push(`${this._name}/${other.type}: missing locally`);
+      });
+
+    return conflicts;
+  }
+
   /**
    * Reset all milestone progress
    */
@@ -131,12 +158,13 @@ export class Tier {
 
   /**
    * Create Tier from plain object
+   * @param {WorkoutTaxonomy} workoutTaxonomy - Passed on to the milestones
    */
-  static fromJSON(data) {
+  static fromJSON(data, workoutTaxonomy) {
     return new Tier(
       data.level,
       data.name,
-      data.milestones.map((m) => Milestone.fromJSON(m)),
+      data.milestones.map((m) => Milestone.fromJSON(m, workoutTaxonomy)),
     );
   }
 }
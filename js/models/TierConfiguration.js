@@ -1,59 +1,83 @@
 import { Tier } from "./Tier.js";
-import { Milestone, MilestoneType } from "./Milestone.js";
+import { Milestone } from "./Milestone.js";
 
 /**
- * Standard workout types available in the app
+ * TierConfiguration - Tiers with milestones and workout requirements, plus
+ * the progress made on them
+ * The tiers come from a tier program rule pack (see RulesRepository); the
+ * pack's id and version are kept so saved progress can tell which program
+ * it was recorded under. Workout type gates lock a workout type in every
+ * tier until their prerequisites are met. The pack's decay rules say when
+ * progress expires; decayLog lists what was lost so far (see DecayTracker).
+ * remoteProgress keeps the progress last merged in from another device, so
+ * replaying this device's workout log, which lacks that device's workouts,
+ * does not lose it.
  */
-export const WorkoutTypes = {
-  // Cardio
-  RUNNING: "Running",
-  CYCLING: "Cycling",
-  SWIMMING: "Swimming",
-  JUMPING_ROPE: "Jumping Rope",
-  HIIT: "HIIT",
+export class TierConfiguration {
+  /**
+   * @param {Array<Tier>} tiers - Tiers ordered by level
+   * @param {Object|null} rules - {id, version} of the rule pack, null if unknown
+   * @param {Array} workoutTypeGates - [{workoutType, prerequisites}]
+   * @param {Object|null} decayRules - {expiryWeeks, demotion, warningDays}, null if nothing decays
+   * @param {WorkoutTaxonomy} workoutTaxonomy - Workout types, shared with the milestones
+   */
+  constructor(
+    tiers = [],
+    rules = null,
+    workoutTypeGates = [],
+    decayRules = null,
+    workoutTaxonomy = null,
+  ) {
+    this._tiers = tiers;
+    this._rules = rules;
+    this._workoutTypeGates = workoutTypeGates;
+    this._decayRules = decayRules;
+    this._workoutTaxonomy = workoutTaxonomy;
+    this.decayLog = []; // [{date, type, tierLevel, ..., message}], oldest first
+    this.remoteProgress = null; // {rulesId, rulesVersion, tiers}, see keepRemoteProgress()
+  }
 
-  // Strength
-  PUSH_UPS: "Push-ups",
-  PULL_UPS: "Pull-ups",
-  SQUATS: "Squats",
-  DEADLIFTS: "Deadlifts",
-  BENCH_PRESS: "Bench Press",
+  get tiers() {
+    return this._tiers;
+  }
 
-  // Flexibility
-  YOGA: "Yoga",
-  STRETCHING: "Stretching",
-  PILATES: "Pilates",
+  get workoutTypeGates() {
+    return this._workoutTypeGates;
+  }
 
-  // Endurance
-  WALKING: "Walking",
-  HIKING: "Hiking",
-  ROWING: "Rowing",
+  get decayRules() {
+    return this._decayRules;
+  }
 
-  // Sports
-  BASKETBALL: "Basketball",
-  SOCCER: "Soccer",
-  TENNIS: "Tennis",
-  MARTIAL_ARTS: "Martial Arts",
-};
+  /**
+   * Get the gate locking a workout type
+   * @returns {Object|null} - {workoutType, prerequisites} or null if the type is open
+   */
+  getGateForWorkoutType(workoutType) {
+    return (
+      this._workoutTypeGates.find((gate) => gate.workoutType === workoutType) ||
+      null
+    );
+  }
 
-/**
- * Get all workout types as an array
- */
-export function getAllWorkoutTypes() {
-  return Object.values(WorkoutTypes);
-}
+  get rulesId() {
+    return this._rules ? this._rules.id : null;
+  }
 
-/**
- * TierConfiguration - Configures the 5 tiers with milestones and workout requirements
- * Pre-initialized with demo values
- */
-export class TierConfiguration {
-  constructor() {
-    this._tiers = this._createDefaultTiers();
+  get rulesVersion() {
+    return this._rules ? this._rules.version : null;
   }
 
-  get tiers() {
-    return this._tiers;
+  /**
+   * Check if saved progress was recorded under the same rule pack version
+   * @param {Object} data - Plain TierConfiguration JSON
+   */
+  hasSameRules(data) {
+    return (
+      this._rules !== null &&
+      data.rulesId === this._rules.id &&
+      data.rulesVersion === this._rules.version
+    );
   }
 
   get tierCount() {
@@ -61,7 +85,18 @@ export class TierConfiguration {
   }
 
   /**
-   * Get tier by level (0-4)
+   * First tier that is not completed yet (the last tier once all are done)
+   */
+  get reachedTierLevel() {
+    let level = 0;
+    while (level < this._tiers.length - 1 && this._tiers[level].isCompleted) {
+      level++;
+    }
+    return level;
+  }
+
+  /**
+   * Get tier by level (0 up to tierCount - 1)
    */
   getTierByLevel(level) {
     return this._tiers[level] || null;
@@ -81,11 +116,11 @@ export class TierConfiguration {
    */
   getWorkoutTypesForMilestone(tierLevel, milestoneType) {
     const tier = this.getTierByLevel(tierLevel);
-    if (!tier) return getAllWorkoutTypes();
+    if (!tier) return this._workoutTaxonomy.getAllWorkoutTypes();
 
     const milestone = tier.findMilestoneByType(milestoneType);
     if (!milestone || milestone.workoutTypes.length === 0) {
-      return getAllWorkoutTypes();
+      return this._workoutTaxonomy.getAllWorkoutTypes();
     }
     return milestone.workoutTypes;
   }
@@ -115,510 +150,94 @@ export class TierConfiguration {
   }
 
   /**
-   * Clone configuration with fresh progress
+   * Merge progress recorded on another device into this configuration
+   * Tiers are matched by level, milestones by type; parts whose rules
+   * differ are left untouched and reported as conflicts
+   * @returns {Array<string>} - Human-readable conflict descriptions
    */
-  cloneWithFreshProgress() {
-    const config = new TierConfiguration();
-    config._tiers = this._tiers.map((t) => t.clone());
-    return config;
+  mergeProgress(otherConfig) {
+    const conflicts = [];
+
+    this._tiers.forEach((tier) => {
+      const other = otherConfig.getTierByLevel(tier.level);
+      if (!other) {
+        conflicts.push(`Tier ${tier.level + 1}: missing on remote`);
+      } else if (other.name !== tier.name) {
+        conflicts.push(`Tier ${tier.level + 1}: named differently`);
+      } else {
+        conflicts.push(...tier.mergeProgress(other));
+      }
+    });
+
+    if (otherConfig.tierCount > this.tierCount) {
+      conflicts.push(
+        `${otherConfig.tierCount - this.tierCount} tier(s) missing locally`,
+      );
+    }
+
+    return conflicts;
   }
 
   /**
-   * Create the default tier structure with demo values
+   * Remember progress recorded on another device; it replaces the remote
+   * progress kept before, which it already includes
+   * @param {TierConfiguration} otherConfig - Progress from the server
    */
-  _createDefaultTiers() {
-    return [
-      // Tier 1: Beginner - Focus on building habits
-      new Tier(0, "Beginner", [
-        new Milestone(MilestoneType.BRONZE, "First Steps", 5, [
-          { workoutType: WorkoutTypes.WALKING, reps: 15, timeMinutes: 30 },
-          { workoutType: WorkoutTypes.STRETCHING, reps: 10, timeMinutes: 15 },
-        ]),
-        new Milestone(MilestoneType.SILVER, "Getting Moving", 10, [
-          { workoutType: WorkoutTypes.WALKING, reps: 20, timeMinutes: 30 },
-          { workoutType: WorkoutTypes.YOGA, reps: 15, timeMinutes: 20 },
-          { workoutType: WorkoutTypes.STRETCHING, reps: 10, timeMinutes: 15 },
-        ]),
-        new Milestone(MilestoneType.GOLD, "Building Momentum", 15, [
-          { workoutType: WorkoutTypes.RUNNING, reps: 20, timeMinutes: 25 },
-          { workoutType: WorkoutTypes.CYCLING, reps: 30, timeMinutes: 30 },
-          { workoutType: WorkoutTypes.SWIMMING, reps: 20, timeMinutes: 30 },
-        ]),
-        new Milestone(
-          MilestoneType.PLATINUM,
-          "Consistent",
-          20,
-          [],
-          [
-            {
-              name: "Endurance Challenge",
-              exercises: [
-                { workoutType: WorkoutTypes.RUNNING, reps: 30 },
-                { workoutType: WorkoutTypes.PUSH_UPS, reps: 20 },
-              ],
-              timeCapMinutes: 40,
-            },
-            {
-              name: "Flexibility Test",
-              exercises: [
-                { workoutType: WorkoutTypes.YOGA, reps: 25 },
-                { workoutType: WorkoutTypes.STRETCHING, reps: 15 },
-              ],
-              timeCapMinutes: 35,
-            },
-          ],
-        ),
-        new Milestone(
-          MilestoneType.DIAMOND,
-          "Habit Formed",
-          30,
-          [],
-          [
-            {
-              name: "Beginner Mastery",
-              exercises: [
-                { workoutType: WorkoutTypes.RUNNING, reps: 40 },
-                { workoutType: WorkoutTypes.PUSH_UPS, reps: 30 },
-                { workoutType: WorkoutTypes.SQUATS, reps: 30 },
-              ],
-              timeCapMinutes: 45,
-            },
-            {
-              name: "Cardio Foundation",
-              exercises: [
-                { workoutType: WorkoutTypes.CYCLING, reps: 50 },
-                { workoutType: WorkoutTypes.JUMPING_ROPE, reps: 100 },
-              ],
-              timeCapMinutes: 50,
-            },
-          ],
-        ),
-      ]),
-
-      // Tier 2: Novice - Expanding variety
-      new Tier(1, "Novice", [
-        new Milestone(MilestoneType.BRONZE, "Strength Intro", 10, [
-          { workoutType: WorkoutTypes.PUSH_UPS, reps: 20, timeMinutes: 10 },
-          { workoutType: WorkoutTypes.SQUATS, reps: 30, timeMinutes: 15 },
-        ]),
-        new Milestone(MilestoneType.SILVER, "Cardio Explorer", 15, [
-          { workoutType: WorkoutTypes.RUNNING, reps: 30, timeMinutes: 25 },
-          { workoutType: WorkoutTypes.CYCLING, reps: 40, timeMinutes: 30 },
-          {
-            workoutType: WorkoutTypes.JUMPING_ROPE,
-            reps: 150,
-            timeMinutes: 20,
-          },
-        ]),
-        new Milestone(MilestoneType.GOLD, "Flexibility Focus", 12, [
-          { workoutType: WorkoutTypes.YOGA, reps: 30, timeMinutes: 25 },
-          { workoutType: WorkoutTypes.PILATES, reps: 25, timeMinutes: 25 },
-          { workoutType: WorkoutTypes.STRETCHING, reps: 20, timeMinutes: 15 },
-        ]),
-        new Milestone(
-          MilestoneType.PLATINUM,
-          "All-Rounder",
-          25,
-          [],
-          [
-            {
-              name: "Strength Cardio Mix",
-              exercises: [
-                { workoutType: WorkoutTypes.RUNNING, reps: 40 },
-                { workoutType: WorkoutTypes.PUSH_UPS, reps: 40 },
-                { workoutType: WorkoutTypes.SQUATS, reps: 50 },
-              ],
-              timeCapMinutes: 50,
-            },
-            {
-              name: "Dynamic Movement",
-              exercises: [
-                { workoutType: WorkoutTypes.JUMPING_ROPE, reps: 200 },
-                { workoutType: WorkoutTypes.HIIT, reps: 15 },
-                { workoutType: WorkoutTypes.CYCLING, reps: 50 },
-              ],
-              timeCapMinutes: 55,
-            },
-          ],
-        ),
-        new Milestone(
-          MilestoneType.DIAMOND,
-          "Rising Star",
-          40,
-          [],
-          [
-            {
-              name: "Novice Champion",
-              exercises: [
-                { workoutType: WorkoutTypes.RUNNING, reps: 50 },
-                { workoutType: WorkoutTypes.PUSH_UPS, reps: 50 },
-                { workoutType: WorkoutTypes.PULL_UPS, reps: 10 },
-                { workoutType: WorkoutTypes.SQUATS, reps: 60 },
-              ],
-              timeCapMinutes: 60,
-            },
-            {
-              name: "Complete Workout",
-              exercises: [
-                { workoutType: WorkoutTypes.CYCLING, reps: 60 },
-                { workoutType: WorkoutTypes.YOGA, reps: 30 },
-                { workoutType: WorkoutTypes.HIIT, reps: 20 },
-              ],
-              timeCapMinutes: 65,
-            },
-          ],
-        ),
-      ]),
+  keepRemoteProgress(otherConfig) {
+    this.remoteProgress = {
+      rulesId: otherConfig.rulesId,
+      rulesVersion: otherConfig.rulesVersion,
+      tiers: otherConfig.tiers.map((t) => t.toJSON()),
+    };
+  }
 
-      // Tier 3: Intermediate - Serious training
-      new Tier(2, "Intermediate", [
-        new Milestone(MilestoneType.BRONZE, "Power Builder", 15, [
-          { workoutType: WorkoutTypes.DEADLIFTS, reps: 15, timeMinutes: 20 },
-          { workoutType: WorkoutTypes.BENCH_PRESS, reps: 20, timeMinutes: 20 },
-          { workoutType: WorkoutTypes.SQUATS, reps: 40, timeMinutes: 20 },
-        ]),
-        new Milestone(MilestoneType.SILVER, "Endurance Runner", 20, [
-          { workoutType: WorkoutTypes.RUNNING, reps: 50, timeMinutes: 35 },
-          { workoutType: WorkoutTypes.CYCLING, reps: 60, timeMinutes: 40 },
-          { workoutType: WorkoutTypes.ROWING, reps: 40, timeMinutes: 30 },
-        ]),
-        new Milestone(MilestoneType.GOLD, "HIIT Master", 18, [
-          { workoutType: WorkoutTypes.HIIT, reps: 25, timeMinutes: 25 },
-          {
-            workoutType: WorkoutTypes.JUMPING_ROPE,
-            reps: 300,
-            timeMinutes: 20,
-          },
-        ]),
-        new Milestone(
-          MilestoneType.PLATINUM,
-          "Dedicated",
-          35,
-          [],
-          [
-            {
-              name: "Strength Beast",
-              exercises: [
-                { workoutType: WorkoutTypes.DEADLIFTS, reps: 30 },
-                { workoutType: WorkoutTypes.BENCH_PRESS, reps: 40 },
-                { workoutType: WorkoutTypes.PULL_UPS, reps: 20 },
-                { workoutType: WorkoutTypes.SQUATS, reps: 80 },
-              ],
-              timeCapMinutes: 60,
-            },
-            {
-              name: "Cardio Crusher",
-              exercises: [
-                { workoutType: WorkoutTypes.RUNNING, reps: 70 },
-                { workoutType: WorkoutTypes.ROWING, reps: 60 },
-                { workoutType: WorkoutTypes.HIIT, reps: 30 },
-              ],
-              timeCapMinutes: 70,
-            },
-            {
-              name: "Full Body Power",
-              exercises: [
-                { workoutType: WorkoutTypes.PUSH_UPS, reps: 60 },
-                { workoutType: WorkoutTypes.SQUATS, reps: 80 },
-                { workoutType: WorkoutTypes.JUMPING_ROPE, reps: 400 },
-              ],
-              timeCapMinutes: 50,
-            },
-          ],
-        ),
-        new Milestone(
-          MilestoneType.DIAMOND,
-          "Committed",
-          50,
-          [],
-          [
-            {
-              name: "Intermediate Elite",
-              exercises: [
-                { workoutType: WorkoutTypes.DEADLIFTS, reps: 40 },
-                { workoutType: WorkoutTypes.PULL_UPS, reps: 30 },
-                { workoutType: WorkoutTypes.PUSH_UPS, reps: 100 },
-                { workoutType: WorkoutTypes.SQUATS, reps: 100 },
-              ],
-              timeCapMinutes: 75,
-            },
-            {
-              name: "Endurance Challenge",
-              exercises: [
-                { workoutType: WorkoutTypes.RUNNING, reps: 80 },
-                { workoutType: WorkoutTypes.CYCLING, reps: 80 },
-                { workoutType: WorkoutTypes.SWIMMING, reps: 50 },
-              ],
-              timeCapMinutes: 90,
-            },
-            {
-              name: "Complete Athlete",
-              exercises: [
-                { workoutType: WorkoutTypes.HIIT, reps: 40 },
-                { workoutType: WorkoutTypes.JUMPING_ROPE, reps: 500 },
-                { workoutType: WorkoutTypes.PUSH_UPS, reps: 70 },
-              ],
-              timeCapMinutes: 65,
-            },
-          ],
-        ),
-      ]),
+  /**
+   * Raise progress to remote progress kept from another device, taking the
+   * higher value per milestone and every benchmark completed on either side
+   * Remote progress recorded under other rules is dropped
+   * @param {Object|null} remoteProgress - See keepRemoteProgress()
+   */
+  applyRemoteProgress(remoteProgress) {
+    if (!remoteProgress || !this.hasSameRules(remoteProgress)) return;
+    this.mergeProgress(
+      TierConfiguration.fromJSON(remoteProgress, this._workoutTaxonomy),
+    );
+    this.remoteProgress = remoteProgress;
+  }
 
-      // Tier 4: Advanced - High performance
-      new Tier(3, "Advanced", [
-        new Milestone(MilestoneType.BRONZE, "Strength Master", 25, [
-          { workoutType: WorkoutTypes.PULL_UPS, reps: 30, timeMinutes: 15 },
-          { workoutType: WorkoutTypes.DEADLIFTS, reps: 30, timeMinutes: 25 },
-          { workoutType: WorkoutTypes.BENCH_PRESS, reps: 40, timeMinutes: 25 },
-        ]),
-        new Milestone(MilestoneType.SILVER, "Cardio Elite", 30, [
-          { workoutType: WorkoutTypes.RUNNING, reps: 70, timeMinutes: 45 },
-          { workoutType: WorkoutTypes.SWIMMING, reps: 60, timeMinutes: 40 },
-          { workoutType: WorkoutTypes.HIIT, reps: 35, timeMinutes: 30 },
-        ]),
-        new Milestone(MilestoneType.GOLD, "Sports Pro", 25, [
-          { workoutType: WorkoutTypes.BASKETBALL, reps: 60, timeMinutes: 50 },
-          { workoutType: WorkoutTypes.SOCCER, reps: 60, timeMinutes: 50 },
-          { workoutType: WorkoutTypes.TENNIS, reps: 50, timeMinutes: 45 },
-          { workoutType: WorkoutTypes.MARTIAL_ARTS, reps: 40, timeMinutes: 40 },
-        ]),
-        new Milestone(
-          MilestoneType.PLATINUM,
-          "Peak Performer",
-          45,
-          [],
-          [
-            {
-              name: "Ultimate Strength",
-              exercises: [
-                { workoutType: WorkoutTypes.PULL_UPS, reps: 50 },
-                { workoutType: WorkoutTypes.DEADLIFTS, reps: 50 },
-                { workoutType: WorkoutTypes.BENCH_PRESS, reps: 60 },
-                { workoutType: WorkoutTypes.SQUATS, reps: 120 },
-              ],
-              timeCapMinutes: 75,
-            },
-            {
-              name: "Endurance Beast",
-              exercises: [
-                { workoutType: WorkoutTypes.RUNNING, reps: 100 },
-                { workoutType: WorkoutTypes.SWIMMING, reps: 80 },
-                { workoutType: WorkoutTypes.ROWING, reps: 80 },
-              ],
-              timeCapMinutes: 100,
-            },
-            {
-              name: "Athletic Excellence",
-              exercises: [
-                { workoutType: WorkoutTypes.HIIT, reps: 50 },
-                { workoutType: WorkoutTypes.JUMPING_ROPE, reps: 700 },
-                { workoutType: WorkoutTypes.MARTIAL_ARTS, reps: 50 },
-              ],
-              timeCapMinutes: 80,
-            },
-            {
-              name: "Functional Master",
-              exercises: [
-                { workoutType: WorkoutTypes.BASKETBALL, reps: 80 },
-                { workoutType: WorkoutTypes.PULL_UPS, reps: 40 },
-                { workoutType: WorkoutTypes.PUSH_UPS, reps: 120 },
-              ],
-              timeCapMinutes: 85,
-            },
-          ],
-        ),
-        new Milestone(
-          MilestoneType.DIAMOND,
-          "Elite Athlete",
-          60,
-          [],
-          [
-            {
-              name: "Advanced Elite Challenge",
-              exercises: [
-                { workoutType: WorkoutTypes.PULL_UPS, reps: 60 },
-                { workoutType: WorkoutTypes.DEADLIFTS, reps: 60 },
-                { workoutType: WorkoutTypes.PUSH_UPS, reps: 150 },
-                { workoutType: WorkoutTypes.SQUATS, reps: 150 },
-              ],
-              timeCapMinutes: 90,
-            },
-            {
-              name: "Triathlon Simulation",
-              exercises: [
-                { workoutType: WorkoutTypes.SWIMMING, reps: 100 },
-                { workoutType: WorkoutTypes.CYCLING, reps: 120 },
-                { workoutType: WorkoutTypes.RUNNING, reps: 120 },
-              ],
-              timeCapMinutes: 120,
-            },
-            {
-              name: "Warrior Test",
-              exercises: [
-                { workoutType: WorkoutTypes.MARTIAL_ARTS, reps: 60 },
-                { workoutType: WorkoutTypes.HIIT, reps: 60 },
-                { workoutType: WorkoutTypes.ROWING, reps: 100 },
-              ],
-              timeCapMinutes: 100,
-            },
-            {
-              name: "Complete Dominance",
-              exercises: [
-                { workoutType: WorkoutTypes.BASKETBALL, reps: 100 },
-                { workoutType: WorkoutTypes.TENNIS, reps: 80 },
-                { workoutType: WorkoutTypes.YOGA, reps: 50 },
-              ],
-              timeCapMinutes: 110,
-            },
-          ],
-        ),
-      ]),
+  /**
+   * Clone configuration with fresh progress
+   */
+  cloneWithFreshProgress() {
+    return new TierConfiguration(
+      this._tiers.map((t) => t.clone()),
+      this._rules,
+      this._workoutTypeGates,
+      this._decayRules,
+      this._workoutTaxonomy,
+    );
+  }
 
-      // Tier 5: Master - Ultimate achievement
-      new Tier(4, "Master", [
-        new Milestone(MilestoneType.BRONZE, "Legend Strength", 35, [
-          { workoutType: WorkoutTypes.PULL_UPS, reps: 50, timeMinutes: 20 },
-          { workoutType: WorkoutTypes.DEADLIFTS, reps: 50, timeMinutes: 30 },
-          { workoutType: WorkoutTypes.BENCH_PRESS, reps: 60, timeMinutes: 30 },
-          { workoutType: WorkoutTypes.SQUATS, reps: 100, timeMinutes: 30 },
-        ]),
-        new Milestone(MilestoneType.SILVER, "Ironman Cardio", 40, [
-          { workoutType: WorkoutTypes.RUNNING, reps: 100, timeMinutes: 60 },
-          { workoutType: WorkoutTypes.SWIMMING, reps: 80, timeMinutes: 50 },
-          { workoutType: WorkoutTypes.CYCLING, reps: 120, timeMinutes: 70 },
-          { workoutType: WorkoutTypes.ROWING, reps: 100, timeMinutes: 60 },
-        ]),
-        new Milestone(MilestoneType.GOLD, "Complete Athlete", 35, [
-          { workoutType: WorkoutTypes.HIIT, reps: 60, timeMinutes: 40 },
-          { workoutType: WorkoutTypes.YOGA, reps: 50, timeMinutes: 45 },
-          { workoutType: WorkoutTypes.MARTIAL_ARTS, reps: 60, timeMinutes: 50 },
-        ]),
-        new Milestone(
-          MilestoneType.PLATINUM,
-          "Unstoppable",
-          55,
-          [],
-          [
-            {
-              name: "Master Strength Test",
-              exercises: [
-                { workoutType: WorkoutTypes.PULL_UPS, reps: 80 },
-                { workoutType: WorkoutTypes.DEADLIFTS, reps: 80 },
-                { workoutType: WorkoutTypes.BENCH_PRESS, reps: 100 },
-                { workoutType: WorkoutTypes.SQUATS, reps: 200 },
-              ],
-              timeCapMinutes: 100,
-            },
-            {
-              name: "Ironman Challenge",
-              exercises: [
-                { workoutType: WorkoutTypes.SWIMMING, reps: 150 },
-                { workoutType: WorkoutTypes.CYCLING, reps: 180 },
-                { workoutType: WorkoutTypes.RUNNING, reps: 150 },
-              ],
-              timeCapMinutes: 150,
-            },
-            {
-              name: "Ultimate Warrior",
-              exercises: [
-                { workoutType: WorkoutTypes.MARTIAL_ARTS, reps: 80 },
-                { workoutType: WorkoutTypes.HIIT, reps: 80 },
-                { workoutType: WorkoutTypes.ROWING, reps: 120 },
-                { workoutType: WorkoutTypes.JUMPING_ROPE, reps: 1000 },
-              ],
-              timeCapMinutes: 120,
-            },
-            {
-              name: "Athletic Mastery",
-              exercises: [
-                { workoutType: WorkoutTypes.BASKETBALL, reps: 120 },
-                { workoutType: WorkoutTypes.SOCCER, reps: 120 },
-                { workoutType: WorkoutTypes.TENNIS, reps: 100 },
-                { workoutType: WorkoutTypes.PULL_UPS, reps: 60 },
-              ],
-              timeCapMinutes: 130,
-            },
-            {
-              name: "Complete Fitness",
-              exercises: [
-                { workoutType: WorkoutTypes.YOGA, reps: 60 },
-                { workoutType: WorkoutTypes.PILATES, reps: 50 },
-                { workoutType: WorkoutTypes.STRETCHING, reps: 40 },
-                { workoutType: WorkoutTypes.PUSH_UPS, reps: 150 },
-              ],
-              timeCapMinutes: 110,
-            },
-          ],
-        ),
-        new Milestone(
-          MilestoneType.DIAMOND,
-          "Supreme Master",
-          75,
-          [],
-          [
-            {
-              name: "Legend of Legends",
-              exercises: [
-                { workoutType: WorkoutTypes.PULL_UPS, reps: 100 },
-                { workoutType: WorkoutTypes.DEADLIFTS, reps: 100 },
-                { workoutType: WorkoutTypes.PUSH_UPS, reps: 200 },
-                { workoutType: WorkoutTypes.SQUATS, reps: 250 },
-              ],
-              timeCapMinutes: 120,
-            },
-            {
-              name: "Ultra Endurance",
-              exercises: [
-                { workoutType: WorkoutTypes.RUNNING, reps: 200 },
-                { workoutType: WorkoutTypes.SWIMMING, reps: 200 },
-                { workoutType: WorkoutTypes.CYCLING, reps: 240 },
-              ],
-              timeCapMinutes: 180,
-            },
-            {
-              name: "Supreme Warrior",
-              exercises: [
-                { workoutType: WorkoutTypes.MARTIAL_ARTS, reps: 100 },
-                { workoutType: WorkoutTypes.HIIT, reps: 100 },
-                { workoutType: WorkoutTypes.ROWING, reps: 150 },
-                { workoutType: WorkoutTypes.BENCH_PRESS, reps: 100 },
-              ],
-              timeCapMinutes: 140,
-            },
-            {
-              name: "Master of All",
-              exercises: [
-                { workoutType: WorkoutTypes.BASKETBALL, reps: 150 },
-                { workoutType: WorkoutTypes.SOCCER, reps: 150 },
-                { workoutType: WorkoutTypes.TENNIS, reps: 120 },
-                { workoutType: WorkoutTypes.YOGA, reps: 70 },
-              ],
-              timeCapMinutes: 150,
-            },
-            {
-              name: "Absolute Perfection",
-              exercises: [
-                { workoutType: WorkoutTypes.SWIMMING, reps: 180 },
-                { workoutType: WorkoutTypes.PULL_UPS, reps: 80 },
-                { workoutType: WorkoutTypes.JUMPING_ROPE, reps: 1500 },
-                { workoutType: WorkoutTypes.HIKING, reps: 120 },
-              ],
-              timeCapMinutes: 160,
-            },
-            {
-              name: "Ultimate Challenge",
-              exercises: [
-                { workoutType: WorkoutTypes.DEADLIFTS, reps: 120 },
-                { workoutType: WorkoutTypes.BENCH_PRESS, reps: 120 },
-                { workoutType: WorkoutTypes.SQUATS, reps: 300 },
-                { workoutType: WorkoutTypes.HIIT, reps: 120 },
-              ],
-              timeCapMinutes: 150,
-            },
-          ],
-        ),
-      ]),
-    ];
+  /**
+   * Take over progress saved under the same rules
+   * Tiers are matched by level, milestones by type
+   * @param {Object} data - Plain TierConfiguration JSON
+   */
+  restoreProgress(data) {
+    data.tiers.forEach((savedTier) => {
+      const tier = this.getTierByLevel(savedTier.level);
+      if (!tier) return;
+      savedTier.milestones.forEach((savedMilestone) => {
+        const milestone = tier.findMilestoneByType(savedMilestone.type);
+        if (milestone) {
+          milestone.mergeProgress(
+            Milestone.fromJSON(savedMilestone, this._workoutTaxonomy),
+          );
+        }
+      });
+    });
+    this.decayLog = data.decayLog || [];
+    this.remoteProgress = data.remoteProgress || null;
   }
 
   /**
@@ -626,16 +245,65 @@ export class TierConfiguration {
    */
   toJSON() {
     return {
+      rulesId: this.rulesId,
+      rulesVersion: this.rulesVersion,
       tiers: this._tiers.map((t) => t.toJSON()),
+      workoutTypeGates: this._workoutTypeGates,
+      decayRules: this._decayRules,
+      decayLog: this.decayLog,
+      remoteProgress: this.remoteProgress,
     };
   }
 
+  /**
+   * Create TierConfiguration with fresh progress from a validated rule pack
+   */
+  static fromRulePack(pack, workoutTaxonomy) {
+    return new TierConfiguration(
+      pack.tiers.map(
+        (tier) =>
+          new Tier(
+            tier.level,
+            tier.name,
+            tier.milestones.map(
+              (milestone) =>
+                new Milestone(
+                  milestone.type,
+                  milestone.name,
+                  milestone.requiredWorkouts,
+                  [...(milestone.workoutRequirements || [])],
+                  [...(milestone.benchmarkWorkouts || [])],
+                  { ...milestone.prerequisites },
+                  workoutTaxonomy,
+                ),
+            ),
+          ),
+      ),
+      { id: pack.id, version: pack.version },
+      [...(pack.workoutTypeGates || [])],
+      pack.decay || null,
+      workoutTaxonomy,
+    );
+  }
+
   /**
    * Create TierConfiguration from plain object
+   * Saved before rule packs existed, data has no rulesId or rulesVersion
    */
-  static fromJSON(data) {
-    const config = new TierConfiguration();
-    config._tiers = data.tiers.map((t) => Tier.fromJSON(t));
-    return config;
+  static fromJSON(data, workoutTaxonomy) {
+    const rules =
+      data.rulesId && data.rulesVersion
+        ? { id: data.rulesId, version: data.rulesVersion }
+        : null;
+    const tierConfig = new TierConfiguration(
+      data.tiers.map((t) => Tier.fromJSON(t, workoutTaxonomy)),
+      rules,
+      data.workoutTypeGates || [],
+      data.decayRules || null,
+      workoutTaxonomy,
+    );
+    tierConfig.decayLog = data.decayLog || [];
+    tierConfig.remoteProgress = data.remoteProgress || null;
+    return tierConfig;
   }
 }
@@ -0,0 +1,206 @@
+import { MilestoneType } from "./Milestone.js";
+import { WorkoutTypes } from "./WorkoutTaxonomy.js";
+import { FitnessCategory } from "../constants/FitnessCategory.js";
+
+/**
+ * Requirement a workout must meet to count towards a milestone
+ * Names a workout type, or a fitness category to accept every type
+ * training it. reps and timeMinutes are minimums; left out or 0 means no
+ * minimum
+ */
+const workoutRequirementSchema = {
+  type: "object",
+  requireOne: ["workoutType", "category"],
+  additionalProperties: false,
+  properties: {
+    workoutType: { type: "string", enum: Object.values(WorkoutTypes) },
+    category: { type: "string", enum: FitnessCategory.getAll() },
+    reps: { type: "integer", minimum: 0 },
+    timeMinutes: { type: "number", minimum: 0 },
+  },
+};
+
+/**
+ * Benchmark challenge of a platinum or diamond milestone
+ */
+const benchmarkWorkoutSchema = {
+  type: "object",
+  required: ["name", "exercises", "timeCapMinutes"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1 },
+    exercises: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["reps"],
+        requireOne: ["workoutType", "category"], // Category: athlete picks the type
+        additionalProperties: false,
+        properties: {
+          workoutType: { type: "string", enum: Object.values(WorkoutTypes) },
+          category: { type: "string", enum: FitnessCategory.getAll() },
+          reps: { type: "integer", minimum: 1 },
+        },
+      },
+    },
+    timeCapMinutes: { type: "number", minimum: 1 },
+  },
+};
+
+/**
+ * Conditions that unlock a milestone or workout type, all of which must hold
+ * milestones: milestones to complete; tier defaults to the gated milestone's
+ * own tier (required in workoutTypeGates). tiers: tier levels to complete.
+ * workouts: counted workouts of a type or category, optionally verified only
+ */
+const prerequisitesSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    milestones: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["type"],
+        additionalProperties: false,
+        properties: {
+          tier: { type: "integer", minimum: 0 },
+          type: { type: "string", enum: Object.values(MilestoneType) },
+        },
+      },
+    },
+    tiers: { type: "array", items: { type: "integer", minimum: 0 } },
+    workouts: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["count"],
+        requireOne: ["workoutType", "category"],
+        additionalProperties: false,
+        properties: {
+          workoutType: { type: "string", enum: Object.values(WorkoutTypes) },
+          category: { type: "string", enum: FitnessCategory.getAll() },
+          count: { type: "integer", minimum: 1 },
+          verifiedOnly: { type: "boolean" }, // Off Record workouts do not count
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Inactivity decay, evaluated daily by ProgressionService
+ * expiryWeeks: per milestone type, workouts and benchmark completions older
+ * than this stop counting towards milestones not completed yet.
+ * demotion: after inactiveWeeks without a counted workout and graceDays on
+ * top, the athlete drops a tier (and another every inactiveWeeks after).
+ * warningDays: how far ahead the athlete is warned of any loss
+ */
+const decaySchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    expiryWeeks: {
+      type: "object",
+      additionalProperties: false,
+      properties: Object.fromEntries(
+        Object.values(MilestoneType).map((type) => [
+          type,
+          { type: "integer", minimum: 1 },
+        ]),
+      ),
+    },
+    demotion: {
+      type: "object",
+      required: ["inactiveWeeks"],
+      additionalProperties: false,
+      properties: {
+        inactiveWeeks: { type: "integer", minimum: 1 },
+        graceDays: { type: "integer", minimum: 0 },
+      },
+    },
+    warningDays: { type: "integer", minimum: 0 },
+  },
+};
+
+const milestoneSchema = {
+  type: "object",
+  required: ["type", "name", "requiredWorkouts"],
+  additionalProperties: false,
+  properties: {
+    type: { type: "string", enum: Object.values(MilestoneType) },
+    name: { type: "string", minLength: 1 },
+    requiredWorkouts: { type: "integer", minimum: 1 },
+    workoutRequirements: {
+      type: "array",
+      items: workoutRequirementSchema,
+      uniqueBy: ["workoutType", "category"],
+    },
+    benchmarkWorkouts: {
+      type: "array",
+      items: benchmarkWorkoutSchema,
+      uniqueBy: "name", // Logged attempts are matched to benchmarks by name
+    },
+    prerequisites: prerequisitesSchema,
+  },
+};
+
+const tierSchema = {
+  type: "object",
+  required: ["level", "name", "milestones"],
+  additionalProperties: false,
+  properties: {
+    level: { type: "integer", minimum: 0 },
+    name: { type: "string", minLength: 1 },
+    milestones: {
+      type: "array",
+      minItems: 1,
+      items: milestoneSchema,
+      uniqueBy: "type",
+    },
+  },
+};
+
+/**
+ * TierProgramSchema - Shape of a tier program rule pack (schema version 1)
+ *
+ * A JSON Schema subset read by RulePackValidator: type, required,
+ * properties, additionalProperties, items, minItems, enum, minimum,
+ * exclusiveMinimum and minLength, plus uniqueBy (array items must differ in
+ * that property, or each of several) and requireOne (exactly one of these
+ * properties must be present).
+ * Bump version whenever the pack format changes; packs name the schema
+ * version they were written for in schemaVersion.
+ */
+export const TierProgramSchema = Object.freeze({
+  version: 1,
+  root: {
+    type: "object",
+    required: ["schemaVersion", "id", "version", "name", "tiers"],
+    additionalProperties: false,
+    properties: {
+      schemaVersion: { type: "integer", enum: [1] },
+      id: { type: "string", minLength: 1 },
+      version: { type: "integer", minimum: 1 },
+      name: { type: "string", minLength: 1 },
+      description: { type: "string" },
+      tiers: { type: "array", minItems: 1, items: tierSchema },
+      // Workout types locked in every tier until their prerequisites are met
+      workoutTypeGates: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["workoutType", "prerequisites"],
+          additionalProperties: false,
+          properties: {
+            workoutType: { type: "string", enum: Object.values(WorkoutTypes) },
+            prerequisites: prerequisitesSchema,
+          },
+        },
+        uniqueBy: "workoutType",
+      },
+      decay: decaySchema,
+    },
+  },
+});
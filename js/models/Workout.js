@@ -1,3 +1,9 @@
+import { WorkoutMetrics } from "./WorkoutMetrics.js";
+import { BenchmarkResult } from "./BenchmarkResult.js";
+import { ProofLifecycle } from "./ProofLifecycle.js";
+import { ProofState } from "../constants/ProofState.js";
+import { OffRecordPolicy } from "../constants/OffRecordPolicy.js";
+
 /**
  * Proof method enumeration
  */
@@ -43,8 +49,13 @@ export class Workout {
     this.milestoneType = milestoneType;
     this.tier = tier;
     this.date = new Date().toISOString();
-    this.verified = false;
+    this.timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone; // Zone the day of the workout is counted in
+    this.proof = ProofLifecycle.start(this.date);
     this.notes = "";
+    this.benchmarkIndex = null; // Benchmark completed by this workout, if any
+    this.metrics = null; // WorkoutMetrics; null for workouts logged before metrics existed
+    this.benchmarkResult = null; // BenchmarkResult of a benchmark attempt; null for older benchmark workouts
+    this.revision = 0; // Last server revision this record is based on
   }
 
   get id() {
@@ -58,6 +69,28 @@ export class Workout {
     return this.proofMethod !== ProofMethod.RECORD;
   }
 
+  /**
+   * Check if the proof of this workout was verified
+   */
+  get isVerified() {
+    return this.proof.isVerified;
+  }
+
+  /**
+   * Check if this workout counts towards progress
+   * Verified workouts always count; Off Record workouts never get reviewed
+   * and count while recorded if the policy allows it
+   * @param {string} offRecordPolicy - OffRecordPolicy value
+   */
+  countsTowardProgress(offRecordPolicy) {
+    if (this.proof.isVerified) return true;
+    return (
+      this.proofMethod === ProofMethod.RECORD &&
+      this.proof.state === ProofState.RECORDED &&
+      offRecordPolicy === OffRecordPolicy.COUNT
+    );
+  }
+
   /**
    * Get human-readable proof method
    */
@@ -65,6 +98,13 @@ export class Workout {
     return ProofMethod.getLabel(this.proofMethod);
   }
 
+  /**
+   * Check if this workout is an attempt at a benchmark
+   */
+  get isBenchmarkAttempt() {
+    return this.benchmarkIndex !== null;
+  }
+
   /**
    * Serialize to plain object for storage
    */
@@ -76,8 +116,15 @@ export class Workout {
       milestoneType: this.milestoneType,
       tier: this.tier,
       date: this.date,
-      verified: this.verified,
+      timeZone: this.timeZone,
+      proof: this.proof.toJSON(),
       notes: this.notes,
+      benchmarkIndex: this.benchmarkIndex,
+      metrics: this.metrics ? this.metrics.toJSON() : null,
+      benchmarkResult: this.benchmarkResult
+        ? this.benchmarkResult.toJSON()
+        : null,
+      revision: this.revision,
     };
   }
 
@@ -93,8 +140,19 @@ export class Workout {
       data.tier,
     );
     workout.date = data.date;
-    workout.verified = data.verified || false;
+    workout.timeZone = data.timeZone || null; // null: logged before zones were recorded
+    workout.proof = data.proof
+      ? ProofLifecycle.fromJSON(data.proof)
+      : ProofLifecycle.fromLegacyWorkout(data);
     workout.notes = data.notes || "";
+    workout.benchmarkIndex = data.benchmarkIndex ?? null;
+    workout.metrics = data.metrics
+      ? WorkoutMetrics.fromJSON(data.metrics)
+      : null;
+    workout.benchmarkResult = data.benchmarkResult
+      ? BenchmarkResult.fromJSON(data.benchmarkResult)
+      : null;
+    workout.revision = data.revision || 0;
     return workout;
   }
 }
@@ -0,0 +1,166 @@
+/**
+ * WorkoutMetrics - Structured performance data of a logged workout
+ * Sets carry reps and optional load; duration and distance describe the
+ * whole session. Pace is derived from duration and distance.
+ */
+export class WorkoutMetrics {
+  /**
+   * @param {Array} sets - [{reps, weightKg}], weightKg null for bodyweight
+   * @param {number|null} durationMinutes - Total session time
+   * @param {number|null} distanceKm - Total distance covered
+   */
+  constructor(sets = [], durationMinutes = null, distanceKm = null) {
+    this.sets = sets;
+    this.durationMinutes = durationMinutes;
+    this.distanceKm = distanceKm;
+  }
+
+  /**
+   * Repetitions across all sets
+   */
+  get totalReps() {
+    return this.sets.reduce((sum, set) => sum + set.reps, 0);
+  }
+
+  /**
+   * Total load moved (reps x weight) in kg
+   */
+  get totalLoadKg() {
+    return this.sets.reduce(
+      (sum, set) => sum + set.reps * (set.weightKg || 0),
+      0,
+    );
+  }
+
+  /**
+   * Most reps done in one set, or null without sets
+   */
+  get maxSetReps() {
+    if (this.sets.length === 0) return null;
+    return Math.max(...this.sets.map((set) => set.reps));
+  }
+
+  /**
+   * Best one-rep max estimated from the loaded sets (Epley formula)
+   * Sets above 12 reps are left out, the estimate gets unreliable there
+   * @returns {number|null} - kg, null without a loaded set of 1-12 reps
+   */
+  get estimatedOneRepMaxKg() {
+    const estimates = this.sets
+      .filter((set) => set.weightKg > 0 && set.reps >= 1 && set.reps <= 12)
+      .map((set) =>
+        set.reps === 1 ? set.weightKg : set.weightKg * (1 + set.reps / 30),
+      );
+    return estimates.length > 0 ? Math.max(...estimates) : null;
+  }
+
+  /**
+   * Pace in minutes per km, or null without duration and distance
+   */
+  get paceMinutesPerKm() {
+    if (!this.durationMinutes || !this.distanceKm) return null;
+    return this.durationMinutes / this.distanceKm;
+  }
+
+  /**
+   * Pace formatted as "m:ss /km", empty without duration and distance
+   */
+  get paceLabel() {
+    const pace = this.paceMinutesPerKm;
+    if (pace === null) return "";
+
+    const totalSeconds = Math.round(pace * 60);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, "0")} /km`;
+  }
+
+  /**
+   * Check if anything was logged at all
+   */
+  get isEmpty() {
+    return (
+      this.sets.length === 0 &&
+      this.durationMinutes === null &&
+      this.distanceKm === null
+    );
+  }
+
+  /**
+   * Check the logged numbers for impossible values
+   * @returns {Array<string>} - Error messages, empty if valid
+   */
+  getValidationErrors() {
+    const errors = [];
+
+    this.sets.forEach((set, index) => {
+      if (!Number.isInteger(set.reps) || set.reps <= 0) {
+        errors.push(`Set ${index + 1}: reps must be a whole number above 0`);
+      }
+      if (set.weightKg !== null && !(set.weightKg >= 0)) {
+        errors.push(`Set ${index + 1}: weight cannot be negative`);
+      }
+    });
+    if (this.durationMinutes !== null && !(this.durationMinutes > 0)) {
+      errors.push("Duration must be above 0");
+    }
+    if (this.distanceKm !== null && !(this.distanceKm > 0)) {
+      errors.push("Distance must be above 0");
+    }
+
+    return errors;
+  }
+
+  /**
+   * Compare against a milestone requirement ({reps, timeMinutes})
+   * Reps count across all sets; time is the session duration
+   * @returns {Array<string>} - What is missing, empty if the requirement is met
+   */
+  getRequirementShortfalls(requirement) {
+    if (!requirement) return [];
+
+    const shortfalls = [];
+    if (requirement.reps && this.totalReps < requirement.reps) {
+      shortfalls.push(
+        `at least ${requirement.reps} reps (logged ${this.totalReps})`,
+      );
+    }
+    if (
+      requirement.timeMinutes &&
+      (this.durationMinutes || 0) < requirement.timeMinutes
+    ) {
+      shortfalls.push(
+        `at least ${requirement.timeMinutes} min (logged ${this.durationMinutes || 0})`,
+      );
+    }
+    return shortfalls;
+  }
+
+  /**
+   * Serialize to plain object for storage
+   */
+  toJSON() {
+    return {
+      sets: this.sets.map((set) => ({
+        reps: set.reps,
+        weightKg: set.weightKg,
+      })),
+      durationMinutes: this.durationMinutes,
+      distanceKm: this.distanceKm,
+    };
+  }
+
+  /**
+   * Create WorkoutMetrics from plain object
+   */
+  static fromJSON(data) {
+    return new WorkoutMetrics(
+      (data.sets || []).map((set) => ({
+        reps: set.reps,
+        weightKg: set.weightKg ?? null,
+      })),
+      data.durationMinutes ?? null,
+      data.distanceKm ?? null,
+    );
+  }
+}
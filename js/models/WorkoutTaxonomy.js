@@ -0,0 +1,226 @@
+import { FitnessCategory } from "../constants/FitnessCategory.js";
+
+/**
+ * Standard workout types available in the app
+ */
+export const WorkoutTypes = {
+  // Cardio
+  RUNNING: "Running",
+  CYCLING: "Cycling",
+  SWIMMING: "Swimming",
+  JUMPING_ROPE: "Jumping Rope",
+  HIIT: "HIIT",
+
+  // Strength
+  PUSH_UPS: "Push-ups",
+  PULL_UPS: "Pull-ups",
+  SQUATS: "Squats",
+  DEADLIFTS: "Deadlifts",
+  BENCH_PRESS: "Bench Press",
+
+  // Flexibility
+  YOGA: "Yoga",
+  STRETCHING: "Stretching",
+  PILATES: "Pilates",
+
+  // Endurance
+  WALKING: "Walking",
+  HIKING: "Hiking",
+  ROWING: "Rowing",
+
+  // Sports
+  BASKETBALL: "Basketball",
+  SOCCER: "Soccer",
+  TENNIS: "Tennis",
+  MARTIAL_ARTS: "Martial Arts",
+};
+
+const {
+  STRENGTH,
+  POWER,
+  MUSCULAR_ENDURANCE,
+  CARDIO,
+  MOBILITY,
+  BALANCE,
+  AGILITY,
+} = FitnessCategory;
+
+/**
+ * WorkoutCategoryWeights - Fitness categories every workout type trains
+ * The weights of a type add up to 1; a type trains only the categories
+ * listed for it, so a category requirement accepts exactly these types.
+ */
+export const WorkoutCategoryWeights = Object.freeze({
+  [WorkoutTypes.RUNNING]: { [CARDIO]: 0.8, [MUSCULAR_ENDURANCE]: 0.2 },
+  [WorkoutTypes.CYCLING]: { [CARDIO]: 0.7, [MUSCULAR_ENDURANCE]: 0.3 },
+  [WorkoutTypes.SWIMMING]: { [CARDIO]: 0.7, [MUSCULAR_ENDURANCE]: 0.3 },
+  [WorkoutTypes.JUMPING_ROPE]: { [CARDIO]: 0.5, [AGILITY]: 0.3, [POWER]: 0.2 },
+  [WorkoutTypes.HIIT]: {
+    [CARDIO]: 0.4,
+    [POWER]: 0.3,
+    [MUSCULAR_ENDURANCE]: 0.3,
+  },
+
+  [WorkoutTypes.PUSH_UPS]: { [MUSCULAR_ENDURANCE]: 0.6, [STRENGTH]: 0.4 },
+  [WorkoutTypes.PULL_UPS]: { [STRENGTH]: 0.6, [MUSCULAR_ENDURANCE]: 0.4 },
+  [WorkoutTypes.SQUATS]: {
+    [STRENGTH]: 0.6,
+    [MUSCULAR_ENDURANCE]: 0.2,
+    [MOBILITY]: 0.2,
+  },
+  [WorkoutTypes.DEADLIFTS]: { [STRENGTH]: 0.8, [POWER]: 0.2 },
+  [WorkoutTypes.BENCH_PRESS]: { [STRENGTH]: 0.8, [POWER]: 0.2 },
+
+  [WorkoutTypes.YOGA]: { [MOBILITY]: 0.7, [BALANCE]: 0.3 },
+  [WorkoutTypes.STRETCHING]: { [MOBILITY]: 1 },
+  [WorkoutTypes.PILATES]: {
+    [MOBILITY]: 0.4,
+    [BALANCE]: 0.3,
+    [MUSCULAR_ENDURANCE]: 0.3,
+  },
+
+  [WorkoutTypes.WALKING]: { [CARDIO]: 0.7, [MUSCULAR_ENDURANCE]: 0.3 },
+  [WorkoutTypes.HIKING]: {
+    [CARDIO]: 0.5,
+    [MUSCULAR_ENDURANCE]: 0.3,
+    [BALANCE]: 0.2,
+  },
+  [WorkoutTypes.ROWING]: {
+    [CARDIO]: 0.5,
+    [MUSCULAR_ENDURANCE]: 0.3,
+    [POWER]: 0.2,
+  },
+
+  [WorkoutTypes.BASKETBALL]: { [AGILITY]: 0.4, [POWER]: 0.3, [CARDIO]: 0.3 },
+  [WorkoutTypes.SOCCER]: { [CARDIO]: 0.4, [AGILITY]: 0.4, [POWER]: 0.2 },
+  [WorkoutTypes.TENNIS]: { [AGILITY]: 0.5, [CARDIO]: 0.3, [BALANCE]: 0.2 },
+  [WorkoutTypes.MARTIAL_ARTS]: {
+    [AGILITY]: 0.3,
+    [POWER]: 0.3,
+    [BALANCE]: 0.2,
+    [MOBILITY]: 0.2,
+  },
+});
+
+/**
+ * WorkoutTaxonomy - Which fitness categories the workout types train, and
+ * which workout types a requirement, benchmark exercise or prerequisite
+ * accepts
+ * Requirements and exercises name either a workoutType or a category; a
+ * category accepts every workout type training it (see
+ * WorkoutCategoryWeights).
+ */
+export class WorkoutTaxonomy {
+  constructor() {
+    this._workoutTypes = Object.values(WorkoutTypes);
+    this._categoryWeights = WorkoutCategoryWeights;
+  }
+
+  /**
+   * Get all workout types as an array
+   */
+  getAllWorkoutTypes() {
+    return [...this._workoutTypes];
+  }
+
+  /**
+   * Get the categories a workout type trains
+   * @returns {Object} - {category: weight}, empty for unknown types
+   */
+  getCategoryWeights(workoutType) {
+    return this._categoryWeights[workoutType] || {};
+  }
+
+  /**
+   * Get how much a workout type trains a category (0 if not at all)
+   */
+  getCategoryWeight(workoutType, category) {
+    return this.getCategoryWeights(workoutType)[category] || 0;
+  }
+
+  /**
+   * Get the categories a requirement or benchmark exercise trains
+   * A category target trains only that category
+   * @param {Object} target - Has either a workoutType or a category
+   * @returns {Object} - {category: weight}
+   */
+  getTargetCategoryWeights(target) {
+    if (target.category) return { [target.category]: 1 };
+    return this.getCategoryWeights(target.workoutType);
+  }
+
+  /**
+   * Mix of categories trained by a group of targets, each counting equally
+   * @param {Array} targets - Requirements, exercises or {workoutType} objects
+   * @returns {Object} - {category: weight}, weights add up to 1 (empty for none)
+   */
+  averageCategoryWeights(targets) {
+    const totals = {};
+    targets.forEach((target) => {
+      const weights = this.getTargetCategoryWeights(target);
+      for (const [category, weight] of Object.entries(weights)) {
+        totals[category] = (totals[category] || 0) + weight / targets.length;
+      }
+    });
+    return totals;
+  }
+
+  /**
+   * Get the workout types that train a category, the most focused first
+   */
+  getWorkoutTypesForCategory(category) {
+    return this.getAllWorkoutTypes()
+      .filter((type) => this.getCategoryWeight(type, category) > 0)
+      .sort(
+        (a, b) =>
+          this.getCategoryWeight(b, category) -
+          this.getCategoryWeight(a, category),
+      );
+  }
+
+  /**
+   * Get the workout types a requirement or benchmark exercise accepts
+   * @param {Object} target - Has either a workoutType or a category
+   */
+  getWorkoutTypesForTarget(target) {
+    if (target.category)
+      return this.getWorkoutTypesForCategory(target.category);
+    return [target.workoutType];
+  }
+
+  /**
+   * Label of a requirement or benchmark exercise, e.g. "Push-ups" or
+   * "Any Mobility workout"
+   */
+  getTargetLabel(target) {
+    if (target.category) {
+      return `Any ${FitnessCategory.getLabel(target.category)} workout`;
+    }
+    return target.workoutType;
+  }
+
+  /**
+   * Find the requirement that applies to a workout type
+   * A requirement naming the type wins over category requirements; among
+   * categories the one the type trains most applies
+   * @param {Array} requirements - [{workoutType|category, reps, timeMinutes}]
+   * @returns {Object|null} - The requirement, null if none accepts the type
+   */
+  findRequirementForWorkoutType(requirements, workoutType) {
+    const exact = requirements.find((r) => r.workoutType === workoutType);
+    if (exact) return exact;
+
+    let best = null;
+    for (const requirement of requirements) {
+      if (!requirement.category) continue;
+      const weight = this.getCategoryWeight(workoutType, requirement.category);
+      if (
+        weight > 0 &&
+        (!best || weight > this.getCategoryWeight(workoutType, best.category))
+      ) {
+        best = requirement;
+      }
+    }
+    return best;
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * AchievementRepository - Achievements the athlete unlocked and when
+ * One record per unlocked achievement, keyed by its id in the
+ * AchievementCatalog. Locked achievements have no record. Kept on this
+ * device, not synced.
+ */
+export class AchievementRepository {
+  constructor(storageService) {
+    this._storageService = storageService;
+    this._storeName = "achievements";
+  }
+
+  /**
+   * Get every unlocked achievement, oldest unlock first
+   * @returns {Array} - [{id, unlockedAt, trigger}]
+   */
+  async getAllUnlocked() {
+    const unlocked = await this._storageService.getAllItems(this._storeName);
+    return unlocked.sort((a, b) => a.unlockedAt.localeCompare(b.unlockedAt));
+  }
+
+  /**
+   * Record an unlock; an achievement that is already unlocked keeps its date
+   * @param {string} id - Achievement id
+   * @param {string} trigger - AchievementTrigger it was unlocked after
+   * @returns {Object|null} - The new record, null if it was unlocked before
+   */
+  async saveUnlocked(id, trigger) {
+    const existing = await this._storageService.getItem(this._storeName, id);
+    if (existing) return null;
+
+    const data = { id, unlockedAt: new Date().toISOString(), trigger };
+    await this._storageService.putItem(this._storeName, data);
+    return data;
+  }
+
+  /**
+   * Delete every unlocked achievement
+   */
+  async clearAllUnlocked() {
+    await this._storageService.clearStore(this._storeName);
+  }
+}
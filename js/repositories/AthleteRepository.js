@@ -1,11 +1,14 @@
 import { Athlete } from "../models/Athlete.js";
+import { SyncEntityType } from "../constants/SyncEntityType.js";
 
 /**
  * AthleteRepository - Data access layer for Athlete entities
+ * Every mutation is recorded in the sync outbox within the same transaction
  */
 export class AthleteRepository {
-  constructor(storageService) {
+  constructor(storageService, syncOutboxRepository) {
     this._storageService = storageService;
+    this._syncOutboxRepository = syncOutboxRepository;
     this._storeName = "athletes";
     this._currentAthleteKey = "current-athlete";
   }
@@ -31,10 +34,33 @@ export class AthleteRepository {
       ...athlete.toJSON(),
       id: this._currentAthleteKey,
     };
-    await this._storageService.putItem(this._storeName, data);
+    await this._storageService.writeItemsAtomically({
+      puts: [
+        { storeName: this._storeName, item: data },
+        this._syncOutboxRepository.buildUpsertWrite(
+          SyncEntityType.ATHLETE,
+          data.id,
+          data,
+        ),
+      ],
+    });
+    this._syncOutboxRepository.notifyMutationQueued();
     return athlete;
   }
 
+  /**
+   * Record the revision the server assigned, without queueing a sync
+   */
+  async applyServerRevision(revision) {
+    const data = await this._storageService.getItem(
+      this._storeName,
+      this._currentAthleteKey,
+    );
+    if (!data) return;
+    data.revision = revision;
+    await this._storageService.putItem(this._storeName, data);
+  }
+
   /**
    * Create new athlete profile
    */
@@ -73,9 +99,17 @@ export class AthleteRepository {
    * Delete athlete profile
    */
   async deleteProfile() {
-    await this._storageService.deleteItem(
-      this._storeName,
-      this._currentAthleteKey,
-    );
+    const athlete = await this.getCurrentAthlete();
+    await this._storageService.writeItemsAtomically({
+      puts: [
+        this._syncOutboxRepository.buildDeleteWrite(
+          SyncEntityType.ATHLETE,
+          this._currentAthleteKey,
+          athlete ? athlete.revision : 0,
+        ),
+      ],
+      deletes: [{ storeName: this._storeName, key: this._currentAthleteKey }],
+    });
+    this._syncOutboxRepository.notifyMutationQueued();
   }
 }
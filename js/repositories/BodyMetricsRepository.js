@@ -0,0 +1,66 @@
+import { BodyMetricsEntry } from "../models/BodyMetricsEntry.js";
+
+/**
+ * BodyMetricsRepository - Dated body measurements of the athlete
+ * One entry per day; measuring again on a day updates its entry. Kept on
+ * this device, not synced.
+ */
+export class BodyMetricsRepository {
+  constructor(storageService) {
+    this._storageService = storageService;
+    this._storeName = "bodyMetrics";
+  }
+
+  /**
+   * Generate unique entry ID
+   */
+  _generateId() {
+    return `body-metrics-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Get every entry, oldest day first
+   */
+  async getAllEntries() {
+    const data = await this._storageService.getAllItems(this._storeName);
+    return data
+      .map((entry) => BodyMetricsEntry.fromJSON(entry))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Get the entry of a day, or null if nothing was measured that day
+   * @param {string} date - Local day, e.g. "2026-10-19"
+   */
+  async getEntryByDate(date) {
+    const data = await this._storageService.queryByIndex(
+      this._storeName,
+      "date",
+      date,
+    );
+    return data.length > 0 ? BodyMetricsEntry.fromJSON(data[0]) : null;
+  }
+
+  /**
+   * Create an empty entry for a day, saved once measurements are set
+   */
+  createEntry(date) {
+    return new BodyMetricsEntry(this._generateId(), date);
+  }
+
+  /**
+   * Save an entry
+   */
+  async saveEntry(entry) {
+    entry.updatedAt = new Date().toISOString();
+    await this._storageService.putItem(this._storeName, entry.toJSON());
+    return entry;
+  }
+
+  /**
+   * Delete an entry by ID
+   */
+  async deleteEntry(id) {
+    await this._storageService.deleteItem(this._storeName, id);
+  }
+}
@@ -0,0 +1,98 @@
+import { EscrowClaimStatus } from "../constants/EscrowClaimStatus.js";
+
+/**
+ * EscrowClaimRepository - Workout claims sent to guarantors
+ * Keeps the exact claim payload and its hash, so a returned attestation
+ * can only answer the claim this device created. Not synced.
+ */
+export class EscrowClaimRepository {
+  constructor(storageService) {
+    this._storageService = storageService;
+    this._storeName = "escrowClaims";
+  }
+
+  /**
+   * Store a claim waiting for its guarantor
+   * @param {Object} claim - Claim payload as shared with the guarantor
+   * @param {string} claimHash - Hash of the canonical claim
+   */
+  async createClaim(claim, claimHash) {
+    const data = {
+      claimId: claim.claimId,
+      workoutId: claim.workout.id,
+      guarantorId: claim.guarantorFingerprint,
+      claim,
+      claimHash,
+      status: EscrowClaimStatus.PENDING,
+      attestation: null,
+      createdAt: claim.createdAt,
+      answeredAt: null,
+    };
+    await this._storageService.putItem(this._storeName, data);
+    return data;
+  }
+
+  /**
+   * Get claim by ID
+   */
+  async getClaimById(claimId) {
+    const claim = await this._storageService.getItem(this._storeName, claimId);
+    return claim || null;
+  }
+
+  /**
+   * Get the claim of a workout
+   */
+  async getClaimByWorkoutId(workoutId) {
+    const claims = await this._storageService.queryByIndex(
+      this._storeName,
+      "workoutId",
+      workoutId,
+    );
+    return claims[0] || null;
+  }
+
+  /**
+   * Get claims still waiting for an answer, oldest first
+   */
+  async getPendingClaims() {
+    const claims = await this._storageService.queryByIndex(
+      this._storeName,
+      "status",
+      EscrowClaimStatus.PENDING,
+    );
+    return claims.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Record the verified answer of the guarantor
+   */
+  async saveAnswer(claimId, status, attestation) {
+    const claim = await this.getClaimById(claimId);
+    if (!claim) {
+      throw new Error(`Escrow claim not found: ${claimId}`);
+    }
+    claim.status = status;
+    claim.attestation = attestation;
+    claim.answeredAt = new Date().toISOString();
+    await this._storageService.putItem(this._storeName, claim);
+    return claim;
+  }
+
+  /**
+   * Delete the claim of a workout
+   */
+  async deleteClaimByWorkoutId(workoutId) {
+    const claim = await this.getClaimByWorkoutId(workoutId);
+    if (claim) {
+      await this._storageService.deleteItem(this._storeName, claim.claimId);
+    }
+  }
+
+  /**
+   * Delete every claim
+   */
+  async clearAllClaims() {
+    await this._storageService.clearStore(this._storeName);
+  }
+}
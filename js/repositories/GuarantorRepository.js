@@ -0,0 +1,79 @@
+/**
+ * GuarantorRepository - Address book of guarantors and their public keys
+ * Entries are keyed by key fingerprint. Only attestations signed by a
+ * trusted entry are accepted. Kept on this device, not synced.
+ */
+export class GuarantorRepository {
+  constructor(storageService) {
+    this._storageService = storageService;
+    this._storeName = "guarantors";
+  }
+
+  /**
+   * Add a guarantor, or update the name of a known key
+   * @param {Object} guarantor - {name, fingerprint, publicKey (JWK)}
+   */
+  async saveGuarantor(guarantor) {
+    const existing = await this.getGuarantorById(guarantor.fingerprint);
+    const data = {
+      id: guarantor.fingerprint,
+      name: guarantor.name,
+      publicKey: guarantor.publicKey,
+      trusted: existing ? existing.trusted : true,
+      addedAt: existing ? existing.addedAt : new Date().toISOString(),
+    };
+    await this._storageService.putItem(this._storeName, data);
+    return data;
+  }
+
+  /**
+   * Get guarantor by key fingerprint
+   */
+  async getGuarantorById(id) {
+    const guarantor = await this._storageService.getItem(this._storeName, id);
+    return guarantor || null;
+  }
+
+  /**
+   * Get every guarantor, sorted by name
+   */
+  async getAllGuarantors() {
+    const guarantors = await this._storageService.getAllItems(this._storeName);
+    return guarantors.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get guarantors whose attestations are accepted
+   */
+  async getTrustedGuarantors() {
+    const guarantors = await this.getAllGuarantors();
+    return guarantors.filter((guarantor) => guarantor.trusted);
+  }
+
+  /**
+   * Trust or distrust a guarantor's key without forgetting it
+   */
+  async setTrusted(id, trusted) {
+    const guarantor = await this.getGuarantorById(id);
+    if (!guarantor) {
+      throw new Error(`Guarantor not found: ${id}`);
+    }
+    guarantor.trusted = trusted;
+    await this._storageService.putItem(this._storeName, guarantor);
+    return guarantor;
+  }
+
+  /**
+   * Remove a guarantor from the address book
+   */
+  async deleteGuarantor(id) {
+    await this._storageService.deleteItem(this._storeName, id);
+  }
+
+  /**
+   * Remove every guarantor
+   */
+  async clearAllGuarantors() {
+    await this._storageService.clearStore(this._storeName);
+  }
+}
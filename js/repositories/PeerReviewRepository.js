@@ -0,0 +1,88 @@
+import { PeerReviewStatus } from "../constants/PeerReviewStatus.js";
+
+/**
+ * PeerReviewRepository - Proof videos assigned to peer reviewers
+ * One record per workout with the assigned reviewers, the quorum it was
+ * assigned under and the votes collected so far. Not synced.
+ */
+export class PeerReviewRepository {
+  constructor(storageService) {
+    this._storageService = storageService;
+    this._storeName = "peerReviews";
+  }
+
+  /**
+   * Store a review waiting for votes
+   * @param {Object} review - {workoutId, reviewId, reviewers: [{id, name}], quorum}
+   */
+  async createReview(review) {
+    const data = {
+      workoutId: review.workoutId,
+      reviewId: review.reviewId,
+      reviewers: review.reviewers,
+      quorum: review.quorum,
+      votes: [],
+      status: PeerReviewStatus.PENDING,
+      createdAt: new Date().toISOString(),
+      decidedAt: null,
+    };
+    await this._storageService.putItem(this._storeName, data);
+    return data;
+  }
+
+  /**
+   * Get the review of a workout
+   */
+  async getReviewByWorkoutId(workoutId) {
+    const review = await this._storageService.getItem(
+      this._storeName,
+      workoutId,
+    );
+    return review || null;
+  }
+
+  /**
+   * Get reviews still collecting votes, oldest first
+   */
+  async getPendingReviews() {
+    const reviews = await this._storageService.queryByIndex(
+      this._storeName,
+      "status",
+      PeerReviewStatus.PENDING,
+    );
+    return reviews.sort(
+      (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+    );
+  }
+
+  /**
+   * Record the votes collected so far and the outcome they lead to
+   */
+  async saveVotes(workoutId, votes, status) {
+    const review = await this.getReviewByWorkoutId(workoutId);
+    if (!review) {
+      throw new Error(`No peer review for workout ${workoutId}`);
+    }
+    review.votes = votes;
+    review.status = status;
+    if (status !== PeerReviewStatus.PENDING) {
+      review.decidedAt = new Date().toISOString();
+    }
+    await this._storageService.putItem(this._storeName, review);
+    return review;
+  }
+
+  /**
+   * Delete the review of a workout
+   */
+  async deleteReviewByWorkoutId(workoutId) {
+    await this._storageService.deleteItem(this._storeName, workoutId);
+  }
+
+  /**
+   * Delete every review
+   */
+  async clearAllReviews() {
+    await this._storageService.clearStore(this._storeName);
+  }
+}
@@ -0,0 +1,68 @@
+import { SyncEntityType } from "../constants/SyncEntityType.js";
+
+/**
+ * ProgressRepository - Data access layer for tier progress snapshots
+ * Every mutation is recorded in the sync outbox within the same transaction
+ */
+export class ProgressRepository {
+  constructor(storageService, syncOutboxRepository) {
+    this._storageService = storageService;
+    this._syncOutboxRepository = syncOutboxRepository;
+    this._storeName = "progress";
+    this._tierProgressKey = "tier-progress";
+  }
+
+  /**
+   * Get saved tier progress (plain TierConfiguration JSON) or null
+   */
+  async getTierProgress() {
+    const data = await this._storageService.getItem(
+      this._storeName,
+      this._tierProgressKey,
+    );
+    return data || null;
+  }
+
+  /**
+   * Save tier progress (plain TierConfiguration JSON)
+   * @param {number|null} revision - Server revision to base the save on;
+   *   defaults to the revision of the stored snapshot
+   */
+  async saveTierProgress(tierConfigurationData, revision = null) {
+    if (revision === null) {
+      const existing = await this.getTierProgress();
+      revision = existing ? existing.revision || 0 : 0;
+    }
+
+    // Ensure data is structured-clone safe for IndexedDB
+    const data = JSON.parse(
+      JSON.stringify({
+        ...tierConfigurationData,
+        id: this._tierProgressKey,
+        revision,
+      }),
+    );
+    await this._storageService.writeItemsAtomically({
+      puts: [
+        { storeName: this._storeName, item: data },
+        this._syncOutboxRepository.buildUpsertWrite(
+          SyncEntityType.PROGRESS,
+          data.id,
+          data,
+        ),
+      ],
+    });
+    this._syncOutboxRepository.notifyMutationQueued();
+    return data;
+  }
+
+  /**
+   * Record the revision the server assigned, without queueing a sync
+   */
+  async applyServerRevision(revision) {
+    const data = await this.getTierProgress();
+    if (!data) return;
+    data.revision = revision;
+    await this._storageService.putItem(this._storeName, data);
+  }
+}
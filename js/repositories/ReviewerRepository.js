@@ -0,0 +1,52 @@
+/**
+ * ReviewerRepository - Track record of the peer reviewers this device used
+ * Counts, per reviewer, the votes cast on decided reviews and how many of
+ * them agreed with the outcome. Not synced.
+ */
+export class ReviewerRepository {
+  constructor(storageService) {
+    this._storageService = storageService;
+    this._storeName = "reviewers";
+  }
+
+  /**
+   * Get reviewer by ID
+   */
+  async getReviewerById(id) {
+    const reviewer = await this._storageService.getItem(this._storeName, id);
+    return reviewer || null;
+  }
+
+  /**
+   * Get every known reviewer, sorted by name
+   */
+  async getAllReviewers() {
+    const reviewers = await this._storageService.getAllItems(this._storeName);
+    return reviewers.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Count a vote on a decided review
+   * @param {Object} reviewer - {id, name} as listed by the review server
+   * @param {boolean} agreed - Whether the vote matched the outcome
+   */
+  async recordVote(reviewer, agreed) {
+    const existing = await this.getReviewerById(reviewer.id);
+    const data = {
+      id: reviewer.id,
+      name: reviewer.name || existing?.name || reviewer.id,
+      votesCast: (existing?.votesCast || 0) + 1,
+      votesAgreed: (existing?.votesAgreed || 0) + (agreed ? 1 : 0),
+      updatedAt: new Date().toISOString(),
+    };
+    await this._storageService.putItem(this._storeName, data);
+    return data;
+  }
+
+  /**
+   * Delete every reviewer's track record
+   */
+  async clearAllReviewers() {
+    await this._storageService.clearStore(this._storeName);
+  }
+}
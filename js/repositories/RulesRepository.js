@@ -0,0 +1,135 @@
+import { RulePackValidationError } from "../services/RulePackValidationError.js";
+
+/**
+ * RulesRepository - Loads the tier program rule pack and FFI standards
+ *
+ * Tier programs and FFI reference standards ship as versioned JSON files
+ * (rules/*.json, cached by the service worker for offline use). Both are
+ * validated before they are handed out; an invalid file is never used, its
+ * error names every offending path.
+ */
+export class RulesRepository {
+  constructor(rulePackValidator) {
+    this._rulePackValidator = rulePackValidator;
+    this._activePackUrl = "/rules/tier-program.json";
+    this._activePack = null; // Promise, shared by concurrent callers
+    this._activeStandardsUrl = "/rules/ffi-standards.json";
+    this._activeStandards = null; // Promise, shared by concurrent callers
+  }
+
+  /**
+   * Get the tier program in use, loaded once per session
+   * @returns {Object} - Validated rule pack {schemaVersion, id, version, name, tiers}
+   * @throws {RulePackValidationError} - If the pack does not match the schema
+   */
+  async getActivePack() {
+    if (!this._activePack) {
+      this._activePack = this.loadPack(this._activePackUrl).catch((error) => {
+        this._activePack = null; // Try again on the next call
+        throw error;
+      });
+    }
+    return this._activePack;
+  }
+
+  /**
+   * Fetch and validate a rule pack
+   * @throws {RulePackValidationError} - If the pack does not match the schema
+   */
+  async loadPack(url) {
+    return this.parsePack(await this._fetchText(url), url);
+  }
+
+  /**
+   * Parse and validate a rule pack from its JSON text
+   * @param {string} source - Where the text came from, for error messages
+   * @throws {RulePackValidationError} - If the text is not a valid pack
+   */
+  parsePack(text, source) {
+    return this.validatePack(this._parseJson(text, source), source);
+  }
+
+  /**
+   * Check a parsed rule pack against the schema
+   * @returns {Object} - The pack, if valid
+   * @throws {RulePackValidationError} - Listing every problem found
+   */
+  validatePack(pack, source) {
+    const errors = this._rulePackValidator.validate(pack);
+    if (errors.length > 0) {
+      throw new RulePackValidationError(source, errors);
+    }
+    return pack;
+  }
+
+  /**
+   * Get the FFI reference standards in use, loaded once per session
+   * @returns {Object} - Validated standards table {schemaVersion, id, version, name, ...}
+   * @throws {RulePackValidationError} - If the table does not match the schema
+   */
+  async getActiveStandards() {
+    if (!this._activeStandards) {
+      this._activeStandards = this.loadStandards(
+        this._activeStandardsUrl,
+      ).catch((error) => {
+        this._activeStandards = null; // Try again on the next call
+        throw error;
+      });
+    }
+    return this._activeStandards;
+  }
+
+  /**
+   * Fetch and validate an FFI reference standards table
+   * @throws {RulePackValidationError} - If the table does not match the schema
+   */
+  async loadStandards(url) {
+    return this.parseStandards(await this._fetchText(url), url);
+  }
+
+  /**
+   * Parse and validate a reference standards table from its JSON text
+   * @param {string} source - Where the text came from, for error messages
+   * @throws {RulePackValidationError} - If the text is not a valid table
+   */
+  parseStandards(text, source) {
+    return this.validateStandards(this._parseJson(text, source), source);
+  }
+
+  /**
+   * Check a parsed reference standards table against its schema
+   * @returns {Object} - The table, if valid
+   * @throws {RulePackValidationError} - Listing every problem found
+   */
+  validateStandards(table, source) {
+    const errors = this._rulePackValidator.validateStandards(table);
+    if (errors.length > 0) {
+      throw new RulePackValidationError(source, errors);
+    }
+    return table;
+  }
+
+  /**
+   * Fetch a rules file as text
+   */
+  async _fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load rule pack ${url}: ${response.status}`);
+    }
+    return response.text();
+  }
+
+  /**
+   * Parse a rules file, reporting bad JSON like any other pack error
+   */
+  _parseJson(text, source) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new RulePackValidationError(source, [
+        { path: "(pack)", message: `is not valid JSON (${error.message})` },
+      ]);
+    }
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * SigningKeyRepository - This device's own guarantor key pair
+ * The CryptoKeyPair is stored as is (IndexedDB keeps CryptoKey objects),
+ * so the non-extractable private key never leaves the browser.
+ */
+export class SigningKeyRepository {
+  constructor(storageService) {
+    this._storageService = storageService;
+    this._storeName = "signingKeys";
+    this._ownKeyId = "self";
+  }
+
+  /**
+   * Get the device's key ({keyPair, publicKey, fingerprint, name}) or null
+   */
+  async getOwnKey() {
+    const key = await this._storageService.getItem(
+      this._storeName,
+      this._ownKeyId,
+    );
+    return key || null;
+  }
+
+  /**
+   * Store the device's key
+   * @param {Object} key - {keyPair, publicKey (JWK), fingerprint, name}
+   */
+  async saveOwnKey(key) {
+    const data = {
+      ...key,
+      id: this._ownKeyId,
+      createdAt: key.createdAt || new Date().toISOString(),
+    };
+    await this._storageService.putItem(this._storeName, data);
+    return data;
+  }
+
+  /**
+   * Forget the device's key (attestations signed with it stay valid)
+   */
+  async deleteOwnKey() {
+    await this._storageService.deleteItem(this._storeName, this._ownKeyId);
+  }
+}
@@ -0,0 +1,98 @@
+import { SyncConflictStatus } from "../constants/SyncConflictStatus.js";
+
+/**
+ * SyncConflictRepository - Data access layer for the sync conflict log
+ * Stores both sides of edits that could not be merged so the user can
+ * review them later
+ */
+export class SyncConflictRepository {
+  constructor(storageService) {
+    this._storageService = storageService;
+    this._storeName = "syncConflicts";
+  }
+
+  /**
+   * Generate unique conflict ID
+   */
+  _generateId() {
+    return `conflict-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Record a conflict that needs review
+   * @param {Object} conflict - {entityType, entityId, reason, details,
+   *   localPayload, remotePayload, remoteRevision}
+   */
+  async logConflict(conflict) {
+    const data = JSON.parse(
+      JSON.stringify({
+        ...conflict,
+        id: this._generateId(),
+        status: SyncConflictStatus.OPEN,
+        createdAt: new Date().toISOString(),
+        resolvedAt: null,
+      }),
+    );
+    await this._storageService.putItem(this._storeName, data);
+    return data;
+  }
+
+  /**
+   * Get conflict by ID
+   */
+  async getConflictById(id) {
+    const conflict = await this._storageService.getItem(this._storeName, id);
+    return conflict || null;
+  }
+
+  /**
+   * Get every logged conflict, newest first
+   */
+  async getAllConflicts() {
+    const conflicts = await this._storageService.getAllItems(this._storeName);
+    return conflicts.sort(
+      (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+    );
+  }
+
+  /**
+   * Get conflicts still waiting for review, newest first
+   */
+  async getAllOpenConflicts() {
+    const conflicts = await this._storageService.queryByIndex(
+      this._storeName,
+      "status",
+      SyncConflictStatus.OPEN,
+    );
+    return conflicts.sort(
+      (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+    );
+  }
+
+  /**
+   * Count conflicts still waiting for review
+   */
+  async getOpenConflictCount() {
+    const conflicts = await this.getAllOpenConflicts();
+    return conflicts.length;
+  }
+
+  /**
+   * Close a conflict with the user's decision
+   */
+  async markConflictResolved(id, status) {
+    if (!SyncConflictStatus.isValid(status)) {
+      throw new Error(`Invalid sync conflict status: ${status}`);
+    }
+
+    const conflict = await this.getConflictById(id);
+    if (!conflict) {
+      throw new Error(`Sync conflict not found: ${id}`);
+    }
+
+    conflict.status = status;
+    conflict.resolvedAt = new Date().toISOString();
+    await this._storageService.putItem(this._storeName, conflict);
+    return conflict;
+  }
+}
@@ -0,0 +1,354 @@
+import { SyncStatus } from "../constants/SyncStatus.js";
+import { SyncEntityType } from "../constants/SyncEntityType.js";
+import { SyncOperation } from "../constants/SyncOperation.js";
+
+/**
+ * SyncOutboxRepository - Data access layer for the sync outbox
+ *
+ * The outbox keeps one entry per mirrored record (`{entityType}:{entityId}`),
+ * so a newer local mutation replaces an older unsent one. Each mutation gets
+ * a fresh `mutationId`; an in-flight upload only marks the entry synced if no
+ * newer mutation replaced it meanwhile.
+ *
+ * Every entry carries the `baseRevision` of the server record the local edit
+ * was made on; the server rejects it with a conflict if its revision moved on.
+ *
+ * The app and the service worker both push the outbox. A pusher claims an
+ * entry before uploading it: in flight with a lease that runs out after
+ * `_claimLeaseMs`, so the other pusher skips it until the upload finished or
+ * the pusher died. sw.js claims by the same rule.
+ */
+export class SyncOutboxRepository {
+  constructor(storageService) {
+    this._storageService = storageService;
+    this._storeName = "outbox";
+    this._settingsStoreName = "syncSettings";
+    this._endpointKey = "endpoint";
+    this._claimLeaseMs = 2 * 60 * 1000;
+    this._mutationQueuedListeners = [];
+  }
+
+  /**
+   * Subscribe to newly committed outbox entries
+   */
+  onMutationQueued(listener) {
+    this._mutationQueuedListeners.push(listener);
+  }
+
+  /**
+   * Notify subscribers after a repository committed outbox writes
+   */
+  notifyMutationQueued() {
+    this._mutationQueuedListeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Mirror the sync endpoint into IndexedDB
+   * The service worker cannot read localStorage preferences
+   */
+  async saveSyncEndpointMirror(endpoint) {
+    await this._storageService.putItem(this._settingsStoreName, {
+      id: this._endpointKey,
+      value: endpoint || null,
+    });
+  }
+
+  /**
+   * Generate unique mutation ID
+   */
+  _generateMutationId() {
+    return `mutation-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Build the outbox key for a record
+   */
+  _buildEntryId(entityType, entityId) {
+    return `${entityType}:${entityId}`;
+  }
+
+  /**
+   * Build a pending outbox entry
+   */
+  _buildEntry(entityType, operation, entityId, payload, baseRevision) {
+    if (!SyncEntityType.isValid(entityType)) {
+      throw new Error(`Invalid sync entity type: ${entityType}`);
+    }
+    if (!SyncOperation.isValid(operation)) {
+      throw new Error(`Invalid sync operation: ${operation}`);
+    }
+
+    const now = new Date().toISOString();
+    return {
+      id: this._buildEntryId(entityType, entityId),
+      entityType,
+      entityId,
+      operation,
+      payload,
+      baseRevision,
+      mutationId: this._generateMutationId(),
+      status: SyncStatus.PENDING,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: now,
+      leaseExpiresAt: null,
+      createdAt: now,
+      updatedAt: now,
+      syncedAt: null,
+    };
+  }
+
+  /**
+   * Build a write that records an upsert of a record
+   * The base revision is taken from the payload's `revision` field
+   * Returned as {storeName, item} for StorageService.writeItemsAtomically
+   */
+  buildUpsertWrite(entityType, entityId, payload) {
+    return {
+      storeName: this._storeName,
+      item: this._buildEntry(
+        entityType,
+        SyncOperation.UPSERT,
+        entityId,
+        payload,
+        payload.revision || 0,
+      ),
+    };
+  }
+
+  /**
+   * Build a write that records the deletion of a record
+   * @param {number} baseRevision - Revision of the deleted local record
+   */
+  buildDeleteWrite(entityType, entityId, baseRevision = 0) {
+    return {
+      storeName: this._storeName,
+      item: this._buildEntry(
+        entityType,
+        SyncOperation.DELETE,
+        entityId,
+        null,
+        baseRevision,
+      ),
+    };
+  }
+
+  /**
+   * Get outbox entry by ID
+   */
+  async getEntryById(id) {
+    const entry = await this._storageService.getItem(this._storeName, id);
+    return entry || null;
+  }
+
+  /**
+   * Get every entry that still has to reach the server
+   */
+  async getAllPendingSyncEntries() {
+    const pending = await this._storageService.queryByIndex(
+      this._storeName,
+      "status",
+      SyncStatus.PENDING,
+    );
+    const failed = await this._storageService.queryByIndex(
+      this._storeName,
+      "status",
+      SyncStatus.FAILED,
+    );
+    return [...pending, ...failed].sort(
+      (a, b) => new Date(a.updatedAt) - new Date(b.updatedAt),
+    );
+  }
+
+  /**
+   * Get entries that can be claimed now: pending entries whose backoff
+   * window has elapsed, and in-flight entries whose lease ran out
+   * Entries without nextAttemptAt have exhausted their retries
+   */
+  async getAllDueSyncEntries(now = new Date()) {
+    const pending = await this.getAllPendingSyncEntries();
+    const inFlight = await this._storageService.queryByIndex(
+      this._storeName,
+      "status",
+      SyncStatus.IN_FLIGHT,
+    );
+    return [...pending, ...inFlight].filter((e) => this._isClaimable(e, now));
+  }
+
+  /**
+   * Get pending workout mutations
+   */
+  async getAllPendingSyncWorkouts() {
+    return this._getAllPendingSyncEntriesOfType(SyncEntityType.WORKOUT);
+  }
+
+  /**
+   * Get pending athlete mutations
+   */
+  async getAllPendingSyncAthletes() {
+    return this._getAllPendingSyncEntriesOfType(SyncEntityType.ATHLETE);
+  }
+
+  /**
+   * Get pending progress mutations
+   */
+  async getAllPendingSyncProgress() {
+    return this._getAllPendingSyncEntriesOfType(SyncEntityType.PROGRESS);
+  }
+
+  /**
+   * Get pending mutations of one entity type
+   */
+  async _getAllPendingSyncEntriesOfType(entityType) {
+    const entries = await this.getAllPendingSyncEntries();
+    return entries.filter((e) => e.entityType === entityType);
+  }
+
+  /**
+   * Count entries that still have to reach the server
+   */
+  async getPendingSyncCount() {
+    const entries = await this.getAllPendingSyncEntries();
+    return entries.length;
+  }
+
+  /**
+   * Claim an entry for upload: mark it in flight under a lease
+   * @returns {Object|null} - The claimed entry, or null if it is gone, not
+   *   due yet or claimed by another pusher
+   */
+  async claimEntry(id, now = new Date()) {
+    return this._updateEntry(id, null, (entry) => {
+      if (!this._isClaimable(entry, now)) return false;
+
+      entry.status = SyncStatus.IN_FLIGHT;
+      entry.attempts += 1;
+      entry.leaseExpiresAt = new Date(
+        now.getTime() + this._claimLeaseMs,
+      ).toISOString();
+    });
+  }
+
+  /**
+   * Whether an entry may be claimed: due for an attempt, or in flight under
+   * a lease that ran out
+   */
+  _isClaimable(entry, now) {
+    if (entry.status === SyncStatus.IN_FLIGHT) {
+      return !entry.leaseExpiresAt || new Date(entry.leaseExpiresAt) <= now;
+    }
+    return (
+      (entry.status === SyncStatus.PENDING ||
+        entry.status === SyncStatus.FAILED) &&
+      !!entry.nextAttemptAt &&
+      new Date(entry.nextAttemptAt) <= now
+    );
+  }
+
+  /**
+   * Mark an entry as synced at the revision the server assigned
+   * If a newer mutation replaced it meanwhile, that mutation is rebased onto
+   * the new revision instead so it does not conflict with our own upload
+   */
+  async markAsSynced(id, mutationId, serverRevision) {
+    return this._updateEntry(id, null, (entry) => {
+      if (entry.mutationId === mutationId) {
+        entry.status = SyncStatus.SYNCED;
+        entry.lastError = null;
+        entry.nextAttemptAt = null;
+        entry.leaseExpiresAt = null;
+        entry.syncedAt = new Date().toISOString();
+      }
+      entry.baseRevision = serverRevision;
+    });
+  }
+
+  /**
+   * Mark an entry as failed and schedule its next attempt
+   * @param {string|null} nextAttemptAt - ISO date, or null to stop retrying
+   */
+  async markAsFailed(id, mutationId, errorMessage, nextAttemptAt) {
+    return this._updateEntry(id, mutationId, (entry) => {
+      entry.status = SyncStatus.FAILED;
+      entry.lastError = errorMessage;
+      entry.nextAttemptAt = nextAttemptAt;
+      entry.leaseExpiresAt = null;
+    });
+  }
+
+  /**
+   * Resend an unchanged mutation on top of a newer server revision
+   * Used when the local version wins a sync conflict
+   */
+  async rebaseEntry(id, mutationId, baseRevision) {
+    return this._updateEntry(id, mutationId, (entry) => {
+      entry.baseRevision = baseRevision;
+      entry.status = SyncStatus.PENDING;
+      entry.attempts = 0;
+      entry.lastError = null;
+      entry.nextAttemptAt = new Date().toISOString();
+      entry.leaseExpiresAt = null;
+    });
+  }
+
+  /**
+   * Return entries stuck in flight (e.g. app closed mid-upload) to pending
+   * once their lease ran out; an upload the service worker is still
+   * running keeps its claim
+   */
+  async resetInFlightEntries(now = new Date()) {
+    const inFlight = await this._storageService.queryByIndex(
+      this._storeName,
+      "status",
+      SyncStatus.IN_FLIGHT,
+    );
+    let recovered = 0;
+    for (const { id } of inFlight) {
+      const entry = await this._updateEntry(id, null, (e) => {
+        if (!this._isClaimable(e, now)) return false;
+        e.status = SyncStatus.PENDING;
+        e.leaseExpiresAt = null;
+      });
+      if (entry) recovered += 1;
+    }
+    return recovered;
+  }
+
+  /**
+   * Give exhausted failed entries a fresh set of retries
+   * Entries a sync pass settled since they were read are left alone
+   */
+  async retryFailedEntries() {
+    const failed = await this._storageService.queryByIndex(
+      this._storeName,
+      "status",
+      SyncStatus.FAILED,
+    );
+    let retried = 0;
+    for (const { id } of failed) {
+      const entry = await this._updateEntry(id, null, (e) => {
+        if (e.status !== SyncStatus.FAILED) return false;
+        e.status = SyncStatus.PENDING;
+        e.attempts = 0;
+        e.nextAttemptAt = new Date().toISOString();
+      });
+      if (entry) retried += 1;
+    }
+    return retried;
+  }
+
+  /**
+   * Apply a change to an entry in one transaction; skipped if mutationId no
+   * longer matches or applyChange returns false
+   */
+  async _updateEntry(id, mutationId, applyChange) {
+    return this._storageService.updateItem(this._storeName, id, (entry) => {
+      if (!entry) return null;
+      if (mutationId && entry.mutationId !== mutationId) return null;
+      if (applyChange(entry) === false) return null;
+
+      entry.updatedAt = new Date().toISOString();
+      return entry;
+    });
+  }
+}
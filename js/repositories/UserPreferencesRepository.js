@@ -0,0 +1,197 @@
+import { OffRecordPolicy } from "../constants/OffRecordPolicy.js";
+import { VideoReviewPolicy } from "../constants/VideoReviewPolicy.js";
+import { PeerReviewQuorum } from "../constants/PeerReviewQuorum.js";
+import { WeightUnit } from "../constants/WeightUnit.js";
+import { LengthUnit } from "../constants/LengthUnit.js";
+
+/**
+ * UserPreferencesRepository - localStorage access for user settings
+ */
+export class UserPreferencesRepository {
+  constructor() {
+    this._storageKey = "f17n355-preferences";
+  }
+
+  /**
+   * Get all stored preferences as plain object
+   */
+  getAllPreferences() {
+    try {
+      const stored = localStorage.getItem(this._storageKey);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Persist a single preference value
+   */
+  _savePreference(key, value) {
+    const prefs = this.getAllPreferences();
+    prefs[key] = value;
+    localStorage.setItem(this._storageKey, JSON.stringify(prefs));
+  }
+
+  /**
+   * Get base URL of the sync server (null = sync disabled)
+   */
+  getSyncEndpoint() {
+    return this.getAllPreferences().syncEndpoint || null;
+  }
+
+  /**
+   * Save base URL of the sync server (null disables sync)
+   */
+  saveSyncEndpoint(endpoint) {
+    this._savePreference("syncEndpoint", endpoint || null);
+  }
+
+  /**
+   * Get base URL of the video upload server (null = uploads wait)
+   */
+  getUploadEndpoint() {
+    return this.getAllPreferences().uploadEndpoint || null;
+  }
+
+  /**
+   * Save base URL of the video upload server (null disables uploads)
+   */
+  saveUploadEndpoint(endpoint) {
+    this._savePreference("uploadEndpoint", endpoint || null);
+  }
+
+  /**
+   * Get base URL of the peer review server (null = no peer review)
+   */
+  getReviewEndpoint() {
+    return this.getAllPreferences().reviewEndpoint || null;
+  }
+
+  /**
+   * Save base URL of the peer review server (null disables peer review)
+   */
+  saveReviewEndpoint(endpoint) {
+    this._savePreference("reviewEndpoint", endpoint || null);
+  }
+
+  /**
+   * Get who reviews proof videos
+   */
+  getVideoReviewPolicy() {
+    const policy = this.getAllPreferences().videoReviewPolicy;
+    return VideoReviewPolicy.isValid(policy) ? policy : VideoReviewPolicy.JUDGE;
+  }
+
+  /**
+   * Save who reviews proof videos
+   */
+  saveVideoReviewPolicy(policy) {
+    if (!VideoReviewPolicy.isValid(policy)) {
+      throw new Error(`Invalid video review policy: ${policy}`);
+    }
+    this._savePreference("videoReviewPolicy", policy);
+  }
+
+  /**
+   * Get how many peers review a video and which quorum decides
+   * @returns {Object} - {reviewerCount, quorum}, 3 reviewers by majority by default
+   */
+  getPeerReviewSettings() {
+    const settings = this.getAllPreferences().peerReview || {};
+    return {
+      reviewerCount:
+        Number.isInteger(settings.reviewerCount) && settings.reviewerCount > 0
+          ? settings.reviewerCount
+          : 3,
+      quorum: PeerReviewQuorum.isValid(settings.quorum)
+        ? settings.quorum
+        : PeerReviewQuorum.MAJORITY,
+    };
+  }
+
+  /**
+   * Save how many peers review a video and which quorum decides
+   */
+  savePeerReviewSettings({ reviewerCount, quorum }) {
+    if (!Number.isInteger(reviewerCount) || reviewerCount < 1) {
+      throw new Error(`Invalid peer reviewer count: ${reviewerCount}`);
+    }
+    if (!PeerReviewQuorum.isValid(quorum)) {
+      throw new Error(`Invalid peer review quorum: ${quorum}`);
+    }
+    this._savePreference("peerReview", { reviewerCount, quorum });
+  }
+
+  /**
+   * Get whether Off Record workouts count towards progress
+   */
+  getOffRecordPolicy() {
+    const policy = this.getAllPreferences().offRecordPolicy;
+    return OffRecordPolicy.isValid(policy) ? policy : OffRecordPolicy.COUNT;
+  }
+
+  /**
+   * Save whether Off Record workouts count towards progress
+   */
+  saveOffRecordPolicy(policy) {
+    if (!OffRecordPolicy.isValid(policy)) {
+      throw new Error(`Invalid Off Record policy: ${policy}`);
+    }
+    this._savePreference("offRecordPolicy", policy);
+  }
+
+  /**
+   * Get how many workouts a week meet the weekly goal
+   */
+  getWeeklyWorkoutTarget() {
+    const target = this.getAllPreferences().weeklyWorkoutTarget;
+    return Number.isInteger(target) && target > 0 ? target : 3;
+  }
+
+  /**
+   * Save how many workouts a week meet the weekly goal
+   */
+  saveWeeklyWorkoutTarget(target) {
+    if (!Number.isInteger(target) || target < 1 || target > 14) {
+      throw new Error(`Invalid weekly workout target: ${target}`);
+    }
+    this._savePreference("weeklyWorkoutTarget", target);
+  }
+
+  /**
+   * Get the unit body weight is shown and entered in
+   */
+  getWeightUnit() {
+    const unit = this.getAllPreferences().weightUnit;
+    return WeightUnit.isValid(unit) ? unit : WeightUnit.KG;
+  }
+
+  /**
+   * Save the unit body weight is shown and entered in
+   */
+  saveWeightUnit(unit) {
+    if (!WeightUnit.isValid(unit)) {
+      throw new Error(`Invalid weight unit: ${unit}`);
+    }
+    this._savePreference("weightUnit", unit);
+  }
+
+  /**
+   * Get the unit height is shown and entered in
+   */
+  getLengthUnit() {
+    const unit = this.getAllPreferences().lengthUnit;
+    return LengthUnit.isValid(unit) ? unit : LengthUnit.CM;
+  }
+
+  /**
+   * Save the unit height is shown and entered in
+   */
+  saveLengthUnit(unit) {
+    if (!LengthUnit.isValid(unit)) {
+      throw new Error(`Invalid length unit: ${unit}`);
+    }
+    this._savePreference("lengthUnit", unit);
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * VideoProofRepository - Data access layer for recorded video proof
+ * Keeps the video Blob of a workout on the device until it is uploaded.
+ * Recordings are not mirrored through the sync outbox.
+ */
+export class VideoProofRepository {
+  constructor(storageService) {
+    this._storageService = storageService;
+    this._storeName = "videoProofs";
+  }
+
+  /**
+   * Store the recording of a workout, replacing an earlier one
+   * @param {string} workoutId - Workout the video proves
+   * @param {Object} recording - {blob, mimeType, durationSeconds, startedAt, stoppedAt}
+   */
+  async saveRecording(workoutId, recording) {
+    const data = {
+      workoutId,
+      blob: recording.blob,
+      mimeType: recording.mimeType,
+      sizeBytes: recording.blob.size,
+      durationSeconds: recording.durationSeconds,
+      startedAt: recording.startedAt || null,
+      stoppedAt: recording.stoppedAt || null,
+      recordedAt: new Date().toISOString(),
+      integrityReport: null,
+      judgeReview: null,
+    };
+    await this._storageService.putItem(this._storeName, data);
+    return data;
+  }
+
+  /**
+   * Get the recording of a workout
+   */
+  async getRecordingByWorkoutId(workoutId) {
+    const recording = await this._storageService.getItem(
+      this._storeName,
+      workoutId,
+    );
+    return recording || null;
+  }
+
+  /**
+   * Keep the result of the metadata check with the recording
+   */
+  async saveIntegrityReport(workoutId, report) {
+    const recording = await this.getRecordingByWorkoutId(workoutId);
+    if (!recording) {
+      throw new Error(`No recording stored for workout ${workoutId}`);
+    }
+    recording.integrityReport = report;
+    await this._storageService.putItem(this._storeName, recording);
+    return recording;
+  }
+
+  /**
+   * Keep the judge's verdict, rep count and notes with the recording
+   * @param {Object} review - {approved, repCount, notes, judgedAt}
+   */
+  async saveJudgeReview(workoutId, review) {
+    const recording = await this.getRecordingByWorkoutId(workoutId);
+    if (!recording) {
+      throw new Error(`No recording stored for workout ${workoutId}`);
+    }
+    recording.judgeReview = review;
+    await this._storageService.putItem(this._storeName, recording);
+    return recording;
+  }
+
+  /**
+   * Get every stored recording, newest first
+   */
+  async getAllRecordings() {
+    const recordings = await this._storageService.getAllItems(this._storeName);
+    return recordings.sort(
+      (a, b) => new Date(b.recordedAt) - new Date(a.recordedAt),
+    );
+  }
+
+  /**
+   * Delete the recording of a workout
+   */
+  async deleteRecording(workoutId) {
+    await this._storageService.deleteItem(this._storeName, workoutId);
+  }
+
+  /**
+   * Delete every stored recording
+   */
+  async clearAllRecordings() {
+    await this._storageService.clearStore(this._storeName);
+  }
+}
@@ -0,0 +1,170 @@
+import { VideoUploadStatus } from "../constants/VideoUploadStatus.js";
+
+/**
+ * VideoUploadRepository - Data access layer for resumable video uploads
+ * One record per workout video tracks every chunk, so an upload interrupted
+ * by a dropped connection or an app restart continues where it stopped.
+ */
+export class VideoUploadRepository {
+  constructor(storageService) {
+    this._storageService = storageService;
+    this._storeName = "videoUploads";
+  }
+
+  /**
+   * Generate unique upload ID
+   */
+  _generateId() {
+    return `upload-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Create the upload of a stored recording, split into chunks
+   * @param {Object} recording - Record from VideoProofRepository
+   * @param {number} chunkSizeBytes - Size of every chunk but the last
+   */
+  async createUpload(recording, chunkSizeBytes) {
+    const chunkCount = Math.max(
+      1,
+      Math.ceil(recording.sizeBytes / chunkSizeBytes),
+    );
+    const now = new Date().toISOString();
+    const upload = {
+      id: this._generateId(),
+      workoutId: recording.workoutId,
+      mimeType: recording.mimeType,
+      sizeBytes: recording.sizeBytes,
+      chunkSizeBytes,
+      chunks: Array.from({ length: chunkCount }, (_, index) => ({
+        index,
+        sha256: null,
+        uploaded: false,
+      })),
+      status: VideoUploadStatus.PENDING,
+      attempts: 0,
+      lastError: null,
+      remoteUrl: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+    };
+    await this._storageService.putItem(this._storeName, upload);
+    return upload;
+  }
+
+  /**
+   * Get upload by ID
+   */
+  async getUploadById(id) {
+    const upload = await this._storageService.getItem(this._storeName, id);
+    return upload || null;
+  }
+
+  /**
+   * Get the upload of a workout's video
+   */
+  async getUploadByWorkoutId(workoutId) {
+    const uploads = await this._storageService.queryByIndex(
+      this._storeName,
+      "workoutId",
+      workoutId,
+    );
+    return uploads[0] || null;
+  }
+
+  /**
+   * Get uploads that should continue without the user asking
+   * (not completed and not paused by the user)
+   */
+  async getAllResumableUploads() {
+    const uploads = await this._storageService.getAllItems(this._storeName);
+    return uploads.filter(
+      (upload) =>
+        upload.status !== VideoUploadStatus.COMPLETED &&
+        upload.status !== VideoUploadStatus.PAUSED,
+    );
+  }
+
+  /**
+   * Record the checksum of a chunk and whether the server has it
+   */
+  async markChunkUploaded(id, index, sha256) {
+    return this._updateUpload(id, (upload) => {
+      upload.chunks[index].sha256 = sha256;
+      upload.chunks[index].uploaded = true;
+    });
+  }
+
+  /**
+   * Mark chunks the server already holds (e.g. after reinstalling)
+   */
+  async markChunksReceived(id, indexes) {
+    return this._updateUpload(id, (upload) => {
+      indexes.forEach((index) => {
+        if (upload.chunks[index]) upload.chunks[index].uploaded = true;
+      });
+    });
+  }
+
+  /**
+   * Change the upload status, keeping the error of a failed attempt
+   */
+  async updateUploadStatus(id, status, lastError = null) {
+    return this._updateUpload(id, (upload) => {
+      upload.status = status;
+      upload.lastError = lastError;
+      if (status === VideoUploadStatus.FAILED) upload.attempts++;
+      if (status === VideoUploadStatus.UPLOADING) upload.attempts = 0;
+    });
+  }
+
+  /**
+   * Mark upload as finished with the server's location of the video
+   */
+  async markAsCompleted(id, remoteUrl) {
+    return this._updateUpload(id, (upload) => {
+      upload.status = VideoUploadStatus.COMPLETED;
+      upload.remoteUrl = remoteUrl;
+      upload.lastError = null;
+      upload.completedAt = new Date().toISOString();
+    });
+  }
+
+  /**
+   * Delete the upload of a workout's video
+   */
+  async deleteUploadByWorkoutId(workoutId) {
+    const upload = await this.getUploadByWorkoutId(workoutId);
+    if (upload) {
+      await this._storageService.deleteItem(this._storeName, upload.id);
+    }
+  }
+
+  /**
+   * Delete every upload
+   */
+  async clearAllUploads() {
+    await this._storageService.clearStore(this._storeName);
+  }
+
+  /**
+   * Read, change and write back one upload record in one transaction, so a
+   * chunk update in flight cannot undo a pause set meanwhile
+   */
+  async _updateUpload(id, change) {
+    const upload = await this._storageService.updateItem(
+      this._storeName,
+      id,
+      (current) => {
+        if (!current) return null;
+        change(current);
+        current.updatedAt = new Date().toISOString();
+        return current;
+      },
+    );
+    if (!upload) {
+      throw new Error(`Video upload not found: ${id}`);
+    }
+    return upload;
+  }
+}
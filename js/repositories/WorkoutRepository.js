@@ -1,12 +1,45 @@
 import { Workout, ProofMethod } from "../models/Workout.js";
+import { SyncEntityType } from "../constants/SyncEntityType.js";
 
 /**
  * WorkoutRepository - Data access layer for Workout entities
+ * Every mutation is recorded in the sync outbox within the same transaction
+ *
+ * Edits and deletes of logged workouts are announced through
+ * onWorkoutLogChanged so derived progress can be rebuilt; new workouts
+ * through onWorkoutCreated
  */
 export class WorkoutRepository {
-  constructor(storageService) {
+  constructor(storageService, syncOutboxRepository) {
     this._storageService = storageService;
+    this._syncOutboxRepository = syncOutboxRepository;
     this._storeName = "workouts";
+    this._workoutLogChangedListeners = [];
+    this._workoutCreatedListeners = [];
+  }
+
+  /**
+   * Subscribe to newly logged workouts; listeners get the workout
+   * Nothing needs rebuilding for them, so they are kept apart from
+   * onWorkoutLogChanged
+   */
+  onWorkoutCreated(listener) {
+    this._workoutCreatedListeners.push(listener);
+  }
+
+  /**
+   * Subscribe to edits and deletes of logged workouts
+   * New workouts are not announced; they are counted when their proof completes
+   */
+  onWorkoutLogChanged(listener) {
+    this._workoutLogChangedListeners.push(listener);
+  }
+
+  /**
+   * Notify subscribers that logged workouts changed
+   */
+  _notifyWorkoutLogChanged() {
+    this._workoutLogChangedListeners.forEach((listener) => listener());
   }
 
   /**
@@ -59,15 +92,44 @@ export class WorkoutRepository {
     return data.map((w) => Workout.fromJSON(w));
   }
 
+  /**
+   * Get every attempt at one benchmark, newest first
+   */
+  async getBenchmarkAttempts(tier, milestoneType, benchmarkIndex) {
+    const workouts = await this.getWorkoutsByTier(tier);
+    return workouts
+      .filter(
+        (w) =>
+          w.milestoneType === milestoneType &&
+          w.benchmarkIndex === benchmarkIndex,
+      )
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+
   /**
    * Create and save new workout
+   * @param {number|null} benchmarkIndex - Benchmark this workout completes
+   * @param {WorkoutMetrics|null} metrics - Logged sets, duration and distance
+   * @param {BenchmarkResult|null} benchmarkResult - Reps and splits of a benchmark attempt
    */
-  async createWorkout(type, proofMethodString, milestoneType, tier) {
+  async createWorkout(
+    type,
+    proofMethodString,
+    milestoneType,
+    tier,
+    benchmarkIndex = null,
+    metrics = null,
+    benchmarkResult = null,
+  ) {
     const id = this._generateId();
     const proofMethod = ProofMethod.fromString(proofMethodString);
     const workout = new Workout(id, type, proofMethod, milestoneType, tier);
+    workout.benchmarkIndex = benchmarkIndex;
+    workout.metrics = metrics;
+    workout.benchmarkResult = benchmarkResult;
 
-    await this._storageService.putItem(this._storeName, workout.toJSON());
+    await this._saveWorkoutWithSync(workout);
+    this._workoutCreatedListeners.forEach((listener) => listener(workout));
     return workout;
   }
 
@@ -75,15 +137,76 @@ export class WorkoutRepository {
    * Update existing workout
    */
   async updateWorkout(workout) {
-    await this._storageService.putItem(this._storeName, workout.toJSON());
+    await this._saveWorkoutWithSync(workout);
+    this._notifyWorkoutLogChanged();
+    return workout;
+  }
+
+  /**
+   * Save a proof state change
+   * Not announced as a log change: a proof only becomes countable when it
+   * is verified, and the verifying flow counts the workout itself
+   */
+  async saveProofState(workout) {
+    await this._saveWorkoutWithSync(workout);
+    return workout;
+  }
+
+  /**
+   * Save workout on top of a given server revision (after a sync conflict)
+   */
+  async saveWorkoutOnRevision(workout, revision) {
+    workout.revision = revision;
+    await this._saveWorkoutWithSync(workout);
+    this._notifyWorkoutLogChanged();
     return workout;
   }
 
+  /**
+   * Record the revision the server assigned, without queueing a sync
+   */
+  async applyServerRevision(id, revision) {
+    const data = await this._storageService.getItem(this._storeName, id);
+    if (!data) return;
+    data.revision = revision;
+    await this._storageService.putItem(this._storeName, data);
+  }
+
   /**
    * Delete workout by ID
    */
   async deleteWorkout(id) {
-    await this._storageService.deleteItem(this._storeName, id);
+    const data = await this._storageService.getItem(this._storeName, id);
+    await this._storageService.writeItemsAtomically({
+      puts: [
+        this._syncOutboxRepository.buildDeleteWrite(
+          SyncEntityType.WORKOUT,
+          id,
+          data ? data.revision || 0 : 0,
+        ),
+      ],
+      deletes: [{ storeName: this._storeName, key: id }],
+    });
+    this._syncOutboxRepository.notifyMutationQueued();
+    this._notifyWorkoutLogChanged();
+  }
+
+  /**
+   * Persist workout and record the upsert in the sync outbox
+   */
+  async _saveWorkoutWithSync(workout) {
+    const data = workout.toJSON();
+    await this._storageService.writeItemsAtomically({
+      puts: [
+        { storeName: this._storeName, item: data },
+        this._syncOutboxRepository.buildUpsertWrite(
+          SyncEntityType.WORKOUT,
+          data.id,
+          data,
+        ),
+      ],
+    });
+    this._syncOutboxRepository.notifyMutationQueued();
   }
 
   /**
@@ -108,6 +231,18 @@ export class WorkoutRepository {
    * Clear all workouts
    */
   async clearAllWorkouts() {
-    await this._storageService.clearStore(this._storeName);
+    const workouts = await this._storageService.getAllItems(this._storeName);
+    await this._storageService.writeItemsAtomically({
+      puts: workouts.map((w) =>
+        this._syncOutboxRepository.buildDeleteWrite(
+          SyncEntityType.WORKOUT,
+          w.id,
+          w.revision || 0,
+        ),
+      ),
+      deletes: workouts.map((w) => ({ storeName: this._storeName, key: w.id })),
+    });
+    this._syncOutboxRepository.notifyMutationQueued();
+    this._notifyWorkoutLogChanged();
   }
 }
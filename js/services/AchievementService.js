@@ -0,0 +1,215 @@
+import { AchievementStat } from "../constants/AchievementStat.js";
+import { AchievementTrigger } from "../constants/AchievementTrigger.js";
+import { FitnessCategory } from "../constants/FitnessCategory.js";
+
+/**
+ * AchievementService - Unlocks the trophies of the Digital Gym
+ *
+ * Achievements are rules in the AchievementCatalog: a stat and the value
+ * it has to reach. After every event that can move a stat (see
+ * AchievementTrigger) the rules on those stats are checked against the
+ * current workout log, progress and streaks. Rules that hold are unlocked
+ * once, with the date, and stay unlocked. Events come from the services
+ * that cause them, so workouts, level-ups, verified proofs and streak
+ * changes are covered whichever screen caused them.
+ * Evaluations run one at a time, so an achievement is never unlocked twice.
+ */
+export class AchievementService {
+  constructor(
+    achievementRepository,
+    achievementCatalog,
+    workoutRepository,
+    progressionService,
+    proofService,
+    streakService,
+    userPreferencesRepository,
+    workoutTaxonomy,
+    logger,
+  ) {
+    this._achievementRepository = achievementRepository;
+    this._achievementCatalog = achievementCatalog;
+    this._workoutRepository = workoutRepository;
+    this._progressionService = progressionService;
+    this._proofService = proofService;
+    this._streakService = streakService;
+    this._userPreferencesRepository = userPreferencesRepository;
+    this._workoutTaxonomy = workoutTaxonomy;
+    this._logger = logger;
+    this._pendingEvaluation = Promise.resolve();
+    this._unlockedListeners = [];
+
+    this._workoutRepository.onWorkoutCreated(() => {
+      this._evaluateInBackground(AchievementTrigger.WORKOUT);
+    });
+    this._workoutRepository.onWorkoutLogChanged(() => {
+      this._evaluateInBackground(AchievementTrigger.WORKOUT);
+    });
+    this._progressionService.onWorkoutCounted((workout, result) => {
+      this._evaluateInBackground(AchievementTrigger.WORKOUT);
+      if (result.tierLevelUp?.leveledUp) {
+        this._evaluateInBackground(AchievementTrigger.LEVEL_UP);
+      }
+    });
+    this._proofService.onProofVerified(() => {
+      this._evaluateInBackground(AchievementTrigger.PROOF_VERIFIED);
+    });
+    this._streakService.onStreakChanged(() => {
+      this._evaluateInBackground(AchievementTrigger.STREAK);
+    });
+  }
+
+  /**
+   * Subscribe to unlocks; listeners get the achievements just unlocked
+   */
+  onAchievementUnlocked(listener) {
+    this._unlockedListeners.push(listener);
+  }
+
+  /**
+   * Check the rules an event can affect and unlock those that hold
+   * @param {string} trigger - AchievementTrigger that happened
+   * @returns {Array} - Achievements unlocked now, with unlockedAt
+   */
+  async evaluate(trigger) {
+    if (!AchievementTrigger.isValid(trigger)) {
+      throw new Error(`Invalid achievement trigger: ${trigger}`);
+    }
+    return this._queueEvaluation(
+      this._achievementCatalog.getForTrigger(trigger),
+      trigger,
+    );
+  }
+
+  /**
+   * Check every rule, e.g. on start for achievements earned before the
+   * trophy room existed
+   * @returns {Array} - Achievements unlocked now, with unlockedAt
+   */
+  async evaluateAll() {
+    return this._queueEvaluation(this._achievementCatalog.getAll(), null);
+  }
+
+  /**
+   * Every achievement with its unlock date or the way to it
+   * @returns {Object} - {earned: [...achievement, unlockedAt] newest first,
+   *   locked: [...achievement, current, progressPercent] in catalog order}
+   */
+  async getTrophyRoom() {
+    const unlocked = new Map(
+      (await this._achievementRepository.getAllUnlocked()).map((record) => [
+        record.id,
+        record,
+      ]),
+    );
+    const stats = await this._getStats();
+
+    const achievements = this._achievementCatalog.getAll();
+    const earned = achievements
+      .filter((a) => unlocked.has(a.id))
+      .map((achievement) => ({
+        ...achievement,
+        unlockedAt: unlocked.get(achievement.id).unlockedAt,
+      }))
+      .sort((a, b) => b.unlockedAt.localeCompare(a.unlockedAt));
+    const locked = achievements
+      .filter((a) => !unlocked.has(a.id))
+      .map((achievement) => {
+        const current = Math.min(stats[achievement.stat], achievement.atLeast);
+        return {
+          ...achievement,
+          current,
+          progressPercent: Math.round((current / achievement.atLeast) * 100),
+        };
+      });
+    return { earned, locked };
+  }
+
+  /**
+   * Evaluate without waiting, logging failures
+   */
+  _evaluateInBackground(trigger) {
+    this.evaluate(trigger).catch((error) => {
+      this._logger.error("[AchievementService] Evaluation failed", error);
+    });
+  }
+
+  /**
+   * Run an evaluation after the ones already queued
+   */
+  _queueEvaluation(achievements, trigger) {
+    const evaluation = this._pendingEvaluation.then(() =>
+      this._unlockIfReached(achievements, trigger),
+    );
+    this._pendingEvaluation = evaluation.catch(() => {});
+    return evaluation;
+  }
+
+  /**
+   * Unlock the achievements whose stat reached the required value
+   */
+  async _unlockIfReached(achievements, trigger) {
+    const unlockedIds = new Set(
+      (await this._achievementRepository.getAllUnlocked()).map((r) => r.id),
+    );
+    const candidates = achievements.filter((a) => !unlockedIds.has(a.id));
+    if (candidates.length === 0) return [];
+
+    const stats = await this._getStats();
+    const unlocked = [];
+    for (const achievement of candidates) {
+      if (stats[achievement.stat] < achievement.atLeast) continue;
+      const record = await this._achievementRepository.saveUnlocked(
+        achievement.id,
+        trigger,
+      );
+      if (!record) continue;
+      unlocked.push({
+        ...this._achievementCatalog.getById(record.id),
+        unlockedAt: record.unlockedAt,
+      });
+      this._logger.log(
+        `[AchievementService] Unlocked ${achievement.name} (${AchievementStat.getLabel(achievement.stat)}: ${stats[achievement.stat]})`,
+      );
+    }
+
+    if (unlocked.length > 0) {
+      this._unlockedListeners.forEach((listener) => listener(unlocked));
+    }
+    return unlocked;
+  }
+
+  /**
+   * Current value of every AchievementStat
+   */
+  async _getStats() {
+    const workouts = await this._workoutRepository.getAllWorkouts();
+    const policy = this._userPreferencesRepository.getOffRecordPolicy();
+    const counted = workouts.filter((w) => w.countsTowardProgress(policy));
+    const tierConfig = this._progressionService.tierConfiguration;
+    const milestones = tierConfig.tiers.flatMap((tier) => tier.milestones);
+    const streaks = await this._streakService.getStreakSummary();
+
+    return {
+      [AchievementStat.WORKOUTS_LOGGED]: workouts.length,
+      [AchievementStat.VERIFIED_WORKOUTS]: workouts.filter((w) => w.isVerified)
+        .length,
+      [AchievementStat.MILESTONES_COMPLETED]: milestones.filter(
+        (m) => m.isCompleted,
+      ).length,
+      [AchievementStat.BENCHMARKS_COMPLETED]: milestones.reduce(
+        (sum, m) => sum + (m.usesBenchmarks ? m.benchmarksCompleted.length : 0),
+        0,
+      ),
+      [AchievementStat.TIER_REACHED]: tierConfig.reachedTierLevel,
+      [AchievementStat.DAILY_STREAK]: streaks.daily.best,
+      [AchievementStat.WEEKLY_STREAK]: streaks.weekly.best,
+      [AchievementStat.CATEGORIES_TRAINED]: FitnessCategory.getAll().filter(
+        (category) =>
+          counted.some(
+            (w) =>
+              this._workoutTaxonomy.getCategoryWeight(w.type, category) > 0,
+          ),
+      ).length,
+    };
+  }
+}
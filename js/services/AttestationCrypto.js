@@ -0,0 +1,173 @@
+/**
+ * AttestationCrypto - WebCrypto primitives for guarantor attestations
+ * ECDSA P-256 with SHA-256. Statements are signed as canonical JSON (keys
+ * sorted) so both devices hash exactly the same bytes. Payloads travel as
+ * base64url-encoded JSON in share links.
+ */
+export class AttestationCrypto {
+  constructor() {
+    this._algorithm = { name: "ECDSA", namedCurve: "P-256" };
+    this._signAlgorithm = { name: "ECDSA", hash: "SHA-256" };
+  }
+
+  /**
+   * Create a signing key pair; the private key cannot be exported
+   * @returns {CryptoKeyPair}
+   */
+  async generateKeyPair() {
+    return crypto.subtle.generateKey(this._algorithm, false, [
+      "sign",
+      "verify",
+    ]);
+  }
+
+  /**
+   * Public key as JWK, reduced to the fields that identify it
+   */
+  async exportPublicKey(publicKey) {
+    const jwk = await crypto.subtle.exportKey("jwk", publicKey);
+    return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+  }
+
+  /**
+   * Short, human-comparable identifier of a public key
+   * @returns {string} - e.g. "3F2A-91C0-7B44-E012"
+   */
+  async fingerprint(publicKeyJwk) {
+    const hex = await this.hash({
+      crv: publicKeyJwk.crv,
+      kty: publicKeyJwk.kty,
+      x: publicKeyJwk.x,
+      y: publicKeyJwk.y,
+    });
+    return hex.slice(0, 16).toUpperCase().match(/.{4}/g).join("-");
+  }
+
+  /**
+   * Sign a statement
+   * @returns {string} - base64url signature
+   */
+  async sign(privateKey, statement) {
+    const signature = await crypto.subtle.sign(
+      this._signAlgorithm,
+      privateKey,
+      this._encodeText(this.canonicalize(statement)),
+    );
+    return this._toBase64Url(new Uint8Array(signature));
+  }
+
+  /**
+   * Check a statement's signature against a public key
+   */
+  async verify(publicKeyJwk, statement, signature) {
+    try {
+      const publicKey = await crypto.subtle.importKey(
+        "jwk",
+        publicKeyJwk,
+        this._algorithm,
+        false,
+        ["verify"],
+      );
+      return await crypto.subtle.verify(
+        this._signAlgorithm,
+        publicKey,
+        this._fromBase64Url(signature),
+        this._encodeText(this.canonicalize(statement)),
+      );
+    } catch (error) {
+      // Malformed keys or signatures never verify
+      return false;
+    }
+  }
+
+  /**
+   * Hex SHA-256 of a value's canonical JSON
+   */
+  async hash(value) {
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      this._encodeText(this.canonicalize(value)),
+    );
+    return Array.from(new Uint8Array(digest))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  /**
+   * Random identifier (hex)
+   */
+  randomId(bytes = 16) {
+    return Array.from(crypto.getRandomValues(new Uint8Array(bytes)))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  /**
+   * JSON with object keys sorted at every level
+   */
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map((item) => this.canonicalize(item)).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+      const entries = Object.keys(value)
+        .filter((key) => value[key] !== undefined)
+        .sort()
+        .map(
+          (key) => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`,
+        );
+      return `{${entries.join(",")}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+
+  /**
+   * Encode a payload for a link or QR code
+   */
+  encodePayload(payload) {
+    return this._toBase64Url(this._encodeText(JSON.stringify(payload)));
+  }
+
+  /**
+   * Decode a payload from a link or QR code
+   * @throws {Error} - If the text is not an encoded payload
+   */
+  decodePayload(encoded) {
+    try {
+      const bytes = this._fromBase64Url(encoded);
+      return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+      throw new Error("Link does not contain a readable payload");
+    }
+  }
+
+  /**
+   * UTF-8 bytes of a string
+   */
+  _encodeText(text) {
+    return new TextEncoder().encode(text);
+  }
+
+  /**
+   * Bytes as unpadded base64url
+   */
+  _toBase64Url(bytes) {
+    let binary = "";
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary)
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+  }
+
+  /**
+   * Bytes from unpadded base64url
+   */
+  _fromBase64Url(text) {
+    const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64 + "===".slice((base64.length + 3) % 4));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  }
+}
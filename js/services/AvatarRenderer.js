@@ -0,0 +1,183 @@
+import { AvatarBuild } from "../constants/AvatarBuild.js";
+import { FitnessCategory } from "../constants/FitnessCategory.js";
+import { SkinTone } from "../constants/SkinTone.js";
+
+/**
+ * AvatarRenderer - Composes the athlete's avatar from artwork layers
+ *
+ * Layers are drawn on top of each other, back to front:
+ * - the tier picture of the athlete's avatar set (img/male0-4.jpg,
+ *   img/female0-4.jpg), the last one for tiers beyond them
+ * - a glow in the color of the tier reached
+ * - a body in a build picked from the category strengths, tinted with the
+ *   skin tone and see-through so the picture shows
+ * - accents for categories the athlete trains a lot
+ * All but the picture are SVGs in img/avatar. Tinted layers are
+ * single-color silhouettes used as masks, so one drawing serves every skin
+ * tone. Builds and accents follow the share of each
+ * category in the weighted workouts completed over all tiers, so the avatar
+ * changes with how the athlete trains, not only with the tier.
+ */
+export class AvatarRenderer {
+  constructor() {
+    this._artworkPath = "img/avatar";
+    this._tierPictureCount = 5; // Pictures per avatar set, tier 0 first
+    this._bodyOpacity = 0.5;
+    this._minWorkoutsForVariants = 3; // Weighted workouts before the shape changes
+    this._buildShareDifference = 0.15; // Strength+power vs cardio+endurance
+    this._accents = [
+      {
+        id: "power",
+        label: "power sparks",
+        categories: [FitnessCategory.POWER],
+        minShare: 0.15,
+      },
+      {
+        id: "flow",
+        label: "mobility flow",
+        categories: [FitnessCategory.MOBILITY, FitnessCategory.BALANCE],
+        minShare: 0.2,
+      },
+      {
+        id: "speed",
+        label: "agility lines",
+        categories: [FitnessCategory.AGILITY],
+        minShare: 0.15,
+      },
+    ];
+    this._tierColors = ["#CD7F32", "#C0C0C0", "#FFD700", "#7FD6E8", "#B388FF"];
+  }
+
+  /**
+   * Compose the avatar of an athlete
+   * @param {Athlete} athlete - Avatar set and skin tone
+   * @param {Array} categoryStrengths - [{category, completed}], see
+   *   ProgressionService.getCategoryStrengths()
+   * @param {number} tierLevel - Tier reached, colors the glow
+   * @returns {Object} - {layers: [{id, src, tint, cover, opacity}] back to
+   *   front, tint null for layers drawn as they are, cover for layers that
+   *   fill the frame rather than fit in it; build; accents; description}
+   */
+  compose(athlete, categoryStrengths, tierLevel) {
+    const shares = this._getShares(categoryStrengths);
+    const build = this._pickBuild(shares);
+    const accents = this._pickAccents(shares);
+    const skinTone = SkinTone.isValid(athlete.skinTone)
+      ? athlete.skinTone
+      : SkinTone.NEUTRAL;
+
+    const layers = [
+      {
+        id: "picture",
+        src: this._getTierPicturePath(athlete.avatarSet, tierLevel),
+        tint: null,
+        cover: true,
+        opacity: 1,
+      },
+      {
+        id: "aura",
+        src: this._getArtworkPath("aura"),
+        tint: this._tierColors[tierLevel % this._tierColors.length],
+        cover: false,
+        opacity: 1,
+      },
+      {
+        id: "body",
+        src: this._getArtworkPath(`body-${athlete.avatarSet}-${build}`),
+        tint: SkinTone.getColor(skinTone),
+        cover: false,
+        opacity: this._bodyOpacity,
+      },
+      ...accents.map((accent) => ({
+        id: `accent-${accent.id}`,
+        src: this._getArtworkPath(`accent-${accent.id}`),
+        tint: null,
+        cover: false,
+        opacity: 1,
+      })),
+    ];
+
+    const details = [
+      `${AvatarBuild.getLabel(build).toLowerCase()} build`,
+      `${SkinTone.getLabel(skinTone).toLowerCase()} skin tone`,
+      ...accents.map((accent) => accent.label),
+    ];
+    return {
+      layers,
+      build,
+      accents: accents.map((accent) => accent.id),
+      description: `Tier ${tierLevel} avatar: ${details.join(", ")}`,
+    };
+  }
+
+  /**
+   * Share of each category in everything completed, null while there is
+   * too little to go by
+   */
+  _getShares(categoryStrengths) {
+    const total = categoryStrengths.reduce((sum, e) => sum + e.completed, 0);
+    if (total < this._minWorkoutsForVariants) return null;
+
+    const shares = {};
+    categoryStrengths.forEach((entry) => {
+      shares[entry.category] = entry.completed / total;
+    });
+    return shares;
+  }
+
+  /**
+   * Broad for strength and power, lean for cardio and muscular endurance
+   */
+  _pickBuild(shares) {
+    if (!shares) return AvatarBuild.ATHLETIC;
+
+    const difference =
+      this._sumShares(shares, [
+        FitnessCategory.STRENGTH,
+        FitnessCategory.POWER,
+      ]) -
+      this._sumShares(shares, [
+        FitnessCategory.CARDIO,
+        FitnessCategory.MUSCULAR_ENDURANCE,
+      ]);
+
+    if (difference >= this._buildShareDifference) return AvatarBuild.BROAD;
+    if (difference <= -this._buildShareDifference) return AvatarBuild.LEAN;
+    return AvatarBuild.ATHLETIC;
+  }
+
+  /**
+   * Accents whose categories together reach their share
+   */
+  _pickAccents(shares) {
+    if (!shares) return [];
+    return this._accents.filter(
+      (accent) => this._sumShares(shares, accent.categories) >= accent.minShare,
+    );
+  }
+
+  /**
+   * Combined share of some categories
+   */
+  _sumShares(shares, categories) {
+    return categories.reduce(
+      (total, category) => total + (shares[category] || 0),
+      0,
+    );
+  }
+
+  /**
+   * Path of the tier picture of an avatar set
+   */
+  _getTierPicturePath(avatarSet, tierLevel) {
+    const index = Math.min(Math.max(tierLevel, 0), this._tierPictureCount - 1);
+    return `img/${avatarSet}${index}.jpg`;
+  }
+
+  /**
+   * Path of an artwork file by name
+   */
+  _getArtworkPath(name) {
+    return `${this._artworkPath}/${name}.svg`;
+  }
+}
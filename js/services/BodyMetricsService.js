@@ -0,0 +1,226 @@
+import { BodyMetric } from "../constants/BodyMetric.js";
+import { WeightUnit } from "../constants/WeightUnit.js";
+import { LengthUnit } from "../constants/LengthUnit.js";
+
+/**
+ * BodyMetricsService - The athlete's body measurements over time
+ *
+ * Measurements are entered and shown in the athlete's units (kg or lb,
+ * cm or in) but stored in metric units, so changing a unit preference
+ * never changes the log. Values outside a plausible range are rejected as
+ * typos. The latest weight is the bodyweight ScoringService scales loads by.
+ */
+export class BodyMetricsService {
+  constructor(bodyMetricsRepository, userPreferencesRepository, logger) {
+    this._bodyMetricsRepository = bodyMetricsRepository;
+    this._userPreferencesRepository = userPreferencesRepository;
+    this._logger = logger;
+    this._kgPerLb = 0.45359237;
+    this._cmPerIn = 2.54;
+    // Plausible values in stored units, and decimals shown
+    this._ranges = {
+      [BodyMetric.WEIGHT_KG]: { min: 20, max: 400, decimals: 1 },
+      [BodyMetric.HEIGHT_CM]: { min: 50, max: 250, decimals: 1 },
+      [BodyMetric.BODY_FAT_PERCENT]: { min: 2, max: 70, decimals: 1 },
+      [BodyMetric.RESTING_HEART_RATE_BPM]: { min: 25, max: 150, decimals: 0 },
+    };
+  }
+
+  /**
+   * Units measurements are shown and entered in
+   * @returns {Object} - {weight: WeightUnit, length: LengthUnit}
+   */
+  getUnits() {
+    return {
+      weight: this._userPreferencesRepository.getWeightUnit(),
+      length: this._userPreferencesRepository.getLengthUnit(),
+    };
+  }
+
+  /**
+   * Change the unit weights are shown and entered in
+   */
+  setWeightUnit(unit) {
+    this._userPreferencesRepository.saveWeightUnit(unit);
+    this._logger.log(`[BodyMetricsService] Weight unit: ${unit}`);
+  }
+
+  /**
+   * Change the unit heights are shown and entered in
+   */
+  setLengthUnit(unit) {
+    this._userPreferencesRepository.saveLengthUnit(unit);
+    this._logger.log(`[BodyMetricsService] Length unit: ${unit}`);
+  }
+
+  /**
+   * Unit label a metric is shown in, e.g. "lb" or "bpm"
+   */
+  getUnitLabel(metric) {
+    const units = this.getUnits();
+    const labels = {
+      [BodyMetric.WEIGHT_KG]: WeightUnit.getLabel(units.weight),
+      [BodyMetric.HEIGHT_CM]: LengthUnit.getLabel(units.length),
+      [BodyMetric.BODY_FAT_PERCENT]: "%",
+      [BodyMetric.RESTING_HEART_RATE_BPM]: "bpm",
+    };
+    return labels[metric] || "";
+  }
+
+  /**
+   * Convert a stored value to the athlete's unit, rounded for display
+   * @returns {number|null} - null for a measurement not taken
+   */
+  toDisplayValue(metric, value) {
+    if (value === null || value === undefined) return null;
+
+    const factor = 10 ** this._ranges[metric].decimals;
+    return Math.round(this._fromStoredUnit(metric, value) * factor) / factor;
+  }
+
+  /**
+   * Log measurements of a day; measurements already logged that day are
+   * replaced, the others kept
+   * @param {string} date - Local day, e.g. "2026-10-19", not in the future
+   * @param {Object} values - {BodyMetric: value in the athlete's unit};
+   *   empty values are left out
+   * @returns {BodyMetricsEntry} - The day's entry
+   * @throws {Error} - For an invalid date, a value out of range or nothing
+   *   to log
+   */
+  async logMeasurements(date, values) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "") || date > this.getToday()) {
+      throw new Error(`Invalid measurement date: ${date}`);
+    }
+
+    const measurements = {};
+    for (const metric of BodyMetric.getAll()) {
+      const input = values[metric];
+      if (input === undefined || input === null || input === "") continue;
+      measurements[metric] = this._parseMeasurement(metric, input);
+    }
+    if (Object.keys(measurements).length === 0) {
+      throw new Error("Enter at least one measurement");
+    }
+
+    const entry =
+      (await this._bodyMetricsRepository.getEntryByDate(date)) ||
+      this._bodyMetricsRepository.createEntry(date);
+    Object.assign(entry, measurements);
+    await this._bodyMetricsRepository.saveEntry(entry);
+    this._logger.log(
+      `[BodyMetricsService] Logged ${Object.keys(measurements).join(", ")} for ${date}`,
+    );
+    return entry;
+  }
+
+  /**
+   * Delete the measurements of a day
+   */
+  async deleteEntry(id) {
+    await this._bodyMetricsRepository.deleteEntry(id);
+    this._logger.log(`[BodyMetricsService] Deleted entry ${id}`);
+  }
+
+  /**
+   * Every entry, newest day first
+   */
+  async getHistory() {
+    const entries = await this._bodyMetricsRepository.getAllEntries();
+    return entries.reverse();
+  }
+
+  /**
+   * Latest value of every metric, from whichever day it was last measured
+   * @returns {Object} - {BodyMetric: {value (stored unit), date} or null}
+   */
+  async getLatestMeasurements() {
+    const entries = await this._bodyMetricsRepository.getAllEntries();
+    const latest = {};
+    BodyMetric.getAll().forEach((metric) => {
+      const entry = entries.findLast((e) => e[metric] !== null);
+      latest[metric] = entry
+        ? { value: entry[metric], date: entry.date }
+        : null;
+    });
+    return latest;
+  }
+
+  /**
+   * Body metrics for ScoringService.calculateScore()
+   * @returns {Object|null} - {bodyweightKg}, null before a weight is logged
+   */
+  async getBodyMetricsForScoring() {
+    const weight = (await this.getLatestMeasurements())[BodyMetric.WEIGHT_KG];
+    return weight ? { bodyweightKg: weight.value } : null;
+  }
+
+  /**
+   * Values of one metric over time in the athlete's unit, without touching
+   * storage
+   * @param {Array} entries - BodyMetricsEntry, any order
+   * @param {string} metric - BodyMetric to follow
+   * @returns {Array} - [{date, value}] oldest first, days without the
+   *   metric left out
+   */
+  getTrend(entries, metric) {
+    return entries
+      .filter((entry) => entry[metric] !== null)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map((entry) => ({
+        date: entry.date,
+        value: this.toDisplayValue(metric, entry[metric]),
+      }));
+  }
+
+  /**
+   * Local calendar day, e.g. "2026-10-19"
+   */
+  getToday(asOf = new Date()) {
+    return asOf.toLocaleDateString("en-CA");
+  }
+
+  /**
+   * Check a value entered in the athlete's unit and convert it to the
+   * stored unit
+   */
+  _parseMeasurement(metric, input) {
+    const value = Number(input);
+    const range = this._ranges[metric];
+    const stored = this._toStoredUnit(metric, value);
+    if (!Number.isFinite(value) || stored < range.min || stored > range.max) {
+      throw new Error(
+        `${BodyMetric.getLabel(metric)} must be between ${this.toDisplayValue(metric, range.min)} and ${this.toDisplayValue(metric, range.max)} ${this.getUnitLabel(metric)}`,
+      );
+    }
+    return stored;
+  }
+
+  /**
+   * Convert a value in the athlete's unit to the stored unit
+   */
+  _toStoredUnit(metric, value) {
+    const units = this.getUnits();
+    if (metric === BodyMetric.WEIGHT_KG && units.weight === WeightUnit.LB) {
+      return value * this._kgPerLb;
+    }
+    if (metric === BodyMetric.HEIGHT_CM && units.length === LengthUnit.IN) {
+      return value * this._cmPerIn;
+    }
+    return value;
+  }
+
+  /**
+   * Convert a stored value to the athlete's unit
+   */
+  _fromStoredUnit(metric, value) {
+    const units = this.getUnits();
+    if (metric === BodyMetric.WEIGHT_KG && units.weight === WeightUnit.LB) {
+      return value / this._kgPerLb;
+    }
+    if (metric === BodyMetric.HEIGHT_CM && units.length === LengthUnit.IN) {
+      return value / this._cmPerIn;
+    }
+    return value;
+  }
+}
@@ -0,0 +1,203 @@
+import { DecayEventType } from "../constants/DecayEventType.js";
+
+/**
+ * DecayTracker - Applies a tier program's decay rules while the workout log
+ * is replayed into a TierConfiguration
+ *
+ * The replay runs in date order. Before each workout, advanceTo() applies
+ * whatever decayed since the previous one; after the last workout it runs
+ * up to the evaluation date. Losses fall on local midnights, so evaluating
+ * once a day keeps incrementally added progress exact:
+ * - a workout or benchmark completion expires expiryWeeks after the day it
+ *   was logged, as long as its milestone is not completed yet (completed
+ *   milestones keep their progress)
+ * - after inactiveWeeks without a counted workout, plus graceDays, the
+ *   athlete drops from the tier reached to the one below. That tier's
+ *   progress is reset, so it has to be completed again. Every further
+ *   inactiveWeeks costs another tier
+ * Every loss becomes an event saying what decayed and why.
+ */
+export class DecayTracker {
+  /**
+   * @param {TierConfiguration} tierConfig - Configuration being replayed into
+   */
+  constructor(tierConfig) {
+    this._tierConfig = tierConfig;
+    this._rules = tierConfig.decayRules || {};
+    this._windows = new Map(); // Milestone -> {tier, entries: [{expiresAt, benchmarkIndex}]}
+    this._lastActiveDay = null; // Day of the last counted workout
+    this._demotions = 0; // Demotions since the last counted workout
+    this.events = []; // [{date, type, tierLevel, ..., message}], oldest first
+  }
+
+  /**
+   * Apply everything that decays up to a point in time, oldest first
+   */
+  advanceTo(date) {
+    for (;;) {
+      const expiry = this._getNextExpiry();
+      const demotion = this._getNextDemotion();
+      if (expiry && expiry <= date && (!demotion || expiry <= demotion)) {
+        this._expire(expiry);
+      } else if (demotion && demotion <= date) {
+        this._demote(demotion);
+      } else {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Track a workout the tier rules counted towards a milestone
+   * @param {Object} match - {milestone, benchmarkIndex} it was applied to
+   */
+  recordApplied(workout, match) {
+    const { milestone, benchmarkIndex } = match;
+    const weeks = this._rules.expiryWeeks?.[milestone.type];
+    if (!weeks) return;
+    if (milestone.isCompleted) {
+      this._windows.delete(milestone); // Completed milestones do not decay
+      return;
+    }
+
+    const window = this._windows.get(milestone) || {
+      tier: this._tierConfig.getTierByLevel(workout.tier),
+      entries: [],
+    };
+    window.entries.push({
+      expiresAt: this._addDays(this._startOfDay(workout.date), weeks * 7 + 1),
+      benchmarkIndex,
+    });
+    this._windows.set(milestone, window);
+  }
+
+  /**
+   * Track a workout that counts towards progress, which ends inactivity
+   */
+  recordActivity(workout) {
+    this._lastActiveDay = this._startOfDay(workout.date);
+    this._demotions = 0;
+  }
+
+  /**
+   * Earliest time tracked progress expires, null if none is tracked
+   */
+  _getNextExpiry() {
+    let next = null;
+    for (const { entries } of this._windows.values()) {
+      for (const { expiresAt } of entries) {
+        if (!next || expiresAt < next) next = expiresAt;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Time the next demotion is due, null if demotion is off or nobody trained
+   */
+  _getNextDemotion() {
+    const demotion = this._rules.demotion;
+    if (!demotion || !this._lastActiveDay) return null;
+    return this._addDays(
+      this._lastActiveDay,
+      demotion.inactiveWeeks * 7 * (this._demotions + 1) +
+        (demotion.graceDays || 0) +
+        1,
+    );
+  }
+
+  /**
+   * Drop progress that expires at a point in time, one event per milestone
+   */
+  _expire(at) {
+    for (const [milestone, window] of this._windows) {
+      const kept = window.entries.filter((entry) => entry.expiresAt > at);
+      const expired = window.entries.length - kept.length;
+      if (expired === 0) continue;
+
+      if (milestone.usesBenchmarks) {
+        milestone.benchmarksCompleted = [
+          ...new Set(kept.map((entry) => entry.benchmarkIndex)),
+        ].sort((a, b) => a - b);
+      } else {
+        milestone.progress = kept.length;
+      }
+      if (kept.length > 0) {
+        window.entries = kept;
+      } else {
+        this._windows.delete(milestone);
+      }
+
+      const weeks = this._rules.expiryWeeks[milestone.type];
+      const noun = milestone.usesBenchmarks ? "benchmark" : "workout";
+      this._record(at, {
+        type: DecayEventType.EXPIRED,
+        tierLevel: window.tier.level,
+        tierName: window.tier.name,
+        milestoneType: milestone.type,
+        milestoneName: milestone.name,
+        count: expired,
+        message: `${this._count(expired, noun)} towards ${milestone.name} (${window.tier.name}) expired: older than ${this._count(weeks, "week")}`,
+      });
+    }
+  }
+
+  /**
+   * Drop the athlete from the tier reached to the one below
+   */
+  _demote(at) {
+    this._demotions++;
+    const level = this._tierConfig.reachedTierLevel;
+    if (level === 0) return; // Nothing below the first tier
+
+    const from = this._tierConfig.getTierByLevel(level);
+    const to = this._tierConfig.getTierByLevel(level - 1);
+    to.resetProgress();
+    to.milestones.forEach((milestone) => this._windows.delete(milestone));
+
+    const { inactiveWeeks, graceDays = 0 } = this._rules.demotion;
+    const inactiveDays = Math.round((at - this._lastActiveDay) / 86400000) - 1;
+    const grace =
+      graceDays > 0 ? `, then ${this._count(graceDays, "day")} grace` : "";
+    this._record(at, {
+      type: DecayEventType.DEMOTED,
+      tierLevel: level,
+      tierName: from.name,
+      toTierLevel: to.level,
+      toTierName: to.name,
+      message: `Dropped from ${from.name} to ${to.name}: no counted workout in ${this._count(inactiveDays, "day")} (${this._count(inactiveWeeks, "week")} allowed${grace})`,
+    });
+  }
+
+  /**
+   * Add an event to the log
+   */
+  _record(at, event) {
+    this.events.push({ date: at.toISOString(), ...event });
+  }
+
+  /**
+   * Local midnight starting the day of a date
+   */
+  _startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+  }
+
+  /**
+   * Same local time a number of days later
+   */
+  _addDays(date, days) {
+    const later = new Date(date);
+    later.setDate(later.getDate() + days);
+    return later;
+  }
+
+  /**
+   * Count with its noun, e.g. "1 week" or "3 weeks"
+   */
+  _count(count, noun) {
+    return `${count} ${noun}${count === 1 ? "" : "s"}`;
+  }
+}
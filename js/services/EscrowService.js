@@ -0,0 +1,448 @@
+import { EscrowClaimStatus } from "../constants/EscrowClaimStatus.js";
+import { EscrowPayloadKind } from "../constants/EscrowPayloadKind.js";
+import { ShareOutcome } from "../constants/ShareOutcome.js";
+
+/**
+ * EscrowService - Guarantor escrow protocol
+ *
+ * The athlete's device turns a workout into a claim and shares it with a
+ * guarantor from the address book. The guarantor's device signs an
+ * attestation (approve or decline) with its own key pair and shares it
+ * back. Attestations are verified here, against the claim this device
+ * created and the key it trusts, before a proof may count. Payloads travel
+ * as links, or as QR codes holding those links when both phones are in the
+ * same room; nothing goes through a server.
+ */
+export class EscrowService {
+  constructor(
+    signingKeyRepository,
+    guarantorRepository,
+    escrowClaimRepository,
+    attestationCrypto,
+    logger,
+  ) {
+    this._signingKeyRepository = signingKeyRepository;
+    this._guarantorRepository = guarantorRepository;
+    this._escrowClaimRepository = escrowClaimRepository;
+    this._crypto = attestationCrypto;
+    this._logger = logger;
+    this._protocolVersion = 1;
+    this._linkParam = "f17n355";
+  }
+
+  // ========== Own key ==========
+
+  /**
+   * Get this device's guarantor identity, creating its key pair on first use
+   * @param {string} name - Name shown to athletes who add this device
+   * @returns {Object} - {name, fingerprint, publicKey}
+   */
+  async getOwnIdentity(name) {
+    const key = await this._ensureOwnKey(name);
+    return {
+      name: key.name,
+      fingerprint: key.fingerprint,
+      publicKey: key.publicKey,
+    };
+  }
+
+  /**
+   * Card that lets an athlete add this device as guarantor
+   */
+  async getGuarantorCard(name) {
+    const identity = await this.getOwnIdentity(name);
+    return this.buildGuarantorCard(identity.name, identity.publicKey);
+  }
+
+  /**
+   * Card payload for a name and public key
+   */
+  buildGuarantorCard(name, publicKey) {
+    return {
+      v: this._protocolVersion,
+      kind: EscrowPayloadKind.GUARANTOR,
+      name,
+      publicKey,
+    };
+  }
+
+  /**
+   * Load the device key, or generate and store a new one
+   * A changed name is stored; the key pair itself never changes.
+   */
+  async _ensureOwnKey(name) {
+    const existing = await this._signingKeyRepository.getOwnKey();
+    if (existing) {
+      if (name && existing.name !== name) {
+        return this._signingKeyRepository.saveOwnKey({ ...existing, name });
+      }
+      return existing;
+    }
+
+    const keyPair = await this._crypto.generateKeyPair();
+    const publicKey = await this._crypto.exportPublicKey(keyPair.publicKey);
+    const fingerprint = await this._crypto.fingerprint(publicKey);
+    this._logger.log(`[EscrowService] Created signing key ${fingerprint}`);
+    return this._signingKeyRepository.saveOwnKey({
+      name: name || "Guarantor",
+      keyPair,
+      publicKey,
+      fingerprint,
+    });
+  }
+
+  // ========== Address book ==========
+
+  /**
+   * Add a guarantor from a shared card
+   * @param {Object} card - Payload from getGuarantorCard
+   * @returns {Object} - Stored guarantor
+   * @throws {Error} - If the card is not a guarantor card or is this device
+   */
+  async addGuarantor(card) {
+    if (card?.kind !== EscrowPayloadKind.GUARANTOR) {
+      throw new Error("Not a guarantor card");
+    }
+    if (!card.name || !card.publicKey?.x || !card.publicKey?.y) {
+      throw new Error("Guarantor card is incomplete");
+    }
+
+    const fingerprint = await this._crypto.fingerprint(card.publicKey);
+    const own = await this._signingKeyRepository.getOwnKey();
+    if (own && own.fingerprint === fingerprint) {
+      throw new Error("You cannot be your own guarantor");
+    }
+
+    const guarantor = await this._guarantorRepository.saveGuarantor({
+      name: card.name.trim(),
+      fingerprint,
+      publicKey: card.publicKey,
+    });
+    this._logger.log(
+      `[EscrowService] Added guarantor ${guarantor.name} (${fingerprint})`,
+    );
+    return guarantor;
+  }
+
+  /**
+   * Fingerprint of the key on a guarantor card
+   */
+  async getCardFingerprint(card) {
+    return this._crypto.fingerprint(card.publicKey);
+  }
+
+  /**
+   * Get a guarantor by key fingerprint, or null
+   */
+  async getGuarantor(guarantorId) {
+    return this._guarantorRepository.getGuarantorById(guarantorId);
+  }
+
+  /**
+   * Get every guarantor in the address book
+   */
+  async getAllGuarantors() {
+    return this._guarantorRepository.getAllGuarantors();
+  }
+
+  /**
+   * Get guarantors whose attestations are accepted
+   */
+  async getTrustedGuarantors() {
+    return this._guarantorRepository.getTrustedGuarantors();
+  }
+
+  /**
+   * Trust or distrust a guarantor's key
+   */
+  async setGuarantorTrusted(guarantorId, trusted) {
+    return this._guarantorRepository.setTrusted(guarantorId, trusted);
+  }
+
+  /**
+   * Remove a guarantor from the address book
+   */
+  async removeGuarantor(guarantorId) {
+    await this._guarantorRepository.deleteGuarantor(guarantorId);
+  }
+
+  // ========== Claims ==========
+
+  /**
+   * Create the claim a guarantor is asked to sign
+   * @param {Workout} workout - Workout to vouch for
+   * @param {string} guarantorId - Fingerprint of a trusted guarantor
+   * @param {string} athleteName - Shown to the guarantor
+   * @returns {Object} - Claim payload to share
+   * @throws {Error} - If the guarantor is unknown or not trusted
+   */
+  async createClaim(workout, guarantorId, athleteName) {
+    const guarantor =
+      await this._guarantorRepository.getGuarantorById(guarantorId);
+    if (!guarantor || !guarantor.trusted) {
+      throw new Error("Choose a trusted guarantor from your address book");
+    }
+
+    const claim = {
+      v: this._protocolVersion,
+      kind: EscrowPayloadKind.CLAIM,
+      claimId: this._crypto.randomId(),
+      athleteName: athleteName || "Athlete",
+      workout: {
+        id: workout.id,
+        type: workout.type,
+        milestoneType: workout.milestoneType,
+        tier: workout.tier,
+        date: workout.date,
+        details: this._describeWorkout(workout),
+      },
+      guarantorFingerprint: guarantor.id,
+      nonce: this._crypto.randomId(8),
+      createdAt: new Date().toISOString(),
+    };
+    const claimHash = await this._crypto.hash(claim);
+    await this._escrowClaimRepository.createClaim(claim, claimHash);
+
+    this._logger.log(
+      `[EscrowService] Claim ${claim.claimId} for workout ${workout.id} sent to ${guarantor.name}`,
+    );
+    return claim;
+  }
+
+  /**
+   * Get the claim of a workout, if escrow was requested for it
+   */
+  async getClaimForWorkout(workoutId) {
+    return this._escrowClaimRepository.getClaimByWorkoutId(workoutId);
+  }
+
+  /**
+   * Get claims still waiting for their guarantor
+   */
+  async getPendingClaims() {
+    return this._escrowClaimRepository.getPendingClaims();
+  }
+
+  /**
+   * Delete the claim of a workout
+   */
+  async deleteClaimForWorkout(workoutId) {
+    await this._escrowClaimRepository.deleteClaimByWorkoutId(workoutId);
+  }
+
+  /**
+   * Delete every claim
+   */
+  async clearAllClaims() {
+    await this._escrowClaimRepository.clearAllClaims();
+  }
+
+  /**
+   * One-line description of the logged numbers, shown to the guarantor
+   */
+  _describeWorkout(workout) {
+    const result = workout.benchmarkResult;
+    if (result) {
+      return `${result.completedReps}/${result.targetReps} reps in ${result.totalTimeLabel}`;
+    }
+
+    const metrics = workout.metrics;
+    if (!metrics || metrics.isEmpty) return "";
+    const parts = [];
+    if (metrics.sets.length > 0) {
+      parts.push(`${metrics.sets.length} sets, ${metrics.totalReps} reps`);
+    }
+    if (metrics.totalLoadKg > 0) parts.push(`${metrics.totalLoadKg} kg moved`);
+    if (metrics.durationMinutes) parts.push(`${metrics.durationMinutes} min`);
+    if (metrics.distanceKm) parts.push(`${metrics.distanceKm} km`);
+    return parts.join(", ");
+  }
+
+  // ========== Attestations ==========
+
+  /**
+   * Sign a claim on the guarantor's device
+   * @param {Object} claim - Claim payload received from the athlete
+   * @param {boolean} approved - Whether the guarantor vouches for the workout
+   * @param {string} signerName - Name the guarantor signs with
+   * @returns {Object} - Attestation payload to share back
+   */
+  async signClaim(claim, approved, signerName) {
+    if (claim?.kind !== EscrowPayloadKind.CLAIM) {
+      throw new Error("Not a workout claim");
+    }
+
+    const key = await this._ensureOwnKey(signerName);
+    if (claim.guarantorFingerprint !== key.fingerprint) {
+      throw new Error(
+        `This claim is addressed to key ${claim.guarantorFingerprint}, not to this device`,
+      );
+    }
+
+    const statement = {
+      claimId: claim.claimId,
+      claimHash: await this._crypto.hash(claim),
+      decision: approved
+        ? EscrowClaimStatus.APPROVED
+        : EscrowClaimStatus.DECLINED,
+      signedAt: new Date().toISOString(),
+      fingerprint: key.fingerprint,
+    };
+    const signature = await this._crypto.sign(
+      key.keyPair.privateKey,
+      statement,
+    );
+
+    this._logger.log(
+      `[EscrowService] Signed ${statement.decision} for claim ${claim.claimId}`,
+    );
+    return {
+      v: this._protocolVersion,
+      kind: EscrowPayloadKind.ATTESTATION,
+      claimId: statement.claimId,
+      claimHash: statement.claimHash,
+      decision: statement.decision,
+      signedAt: statement.signedAt,
+      guarantor: { name: key.name, publicKey: key.publicKey },
+      signature,
+    };
+  }
+
+  /**
+   * Verify an attestation against the stored claim and the trusted key
+   * The key inside the attestation is only used to find the guarantor;
+   * the signature is checked against the key from the address book.
+   * signedAt comes from the guarantor's clock and is not compared with the
+   * claim's time; the claim hash already ties the attestation to the claim.
+   * @param {Object} attestation - Payload from signClaim
+   * @returns {Object} - {claim, guarantor, approved}; the claim is closed
+   * @throws {Error} - With the reason the attestation is not accepted
+   */
+  async verifyAttestation(attestation) {
+    if (attestation?.kind !== EscrowPayloadKind.ATTESTATION) {
+      throw new Error("Not a guarantor attestation");
+    }
+
+    const claim = await this._escrowClaimRepository.getClaimById(
+      attestation.claimId,
+    );
+    if (!claim) {
+      throw new Error("This attestation answers a claim from another device");
+    }
+    if (claim.status !== EscrowClaimStatus.PENDING) {
+      throw new Error("This claim was already answered");
+    }
+    if (attestation.claimHash !== claim.claimHash) {
+      throw new Error("The attestation was signed for a different claim");
+    }
+
+    const fingerprint = await this._crypto.fingerprint(
+      attestation.guarantor?.publicKey || {},
+    );
+    const guarantor =
+      await this._guarantorRepository.getGuarantorById(fingerprint);
+    if (!guarantor || !guarantor.trusted) {
+      throw new Error(`Key ${fingerprint} is not a trusted guarantor`);
+    }
+    if (fingerprint !== claim.guarantorId) {
+      throw new Error(
+        `The claim was sent to another guarantor than ${guarantor.name}`,
+      );
+    }
+    // Only an answer settles a claim; a signed "pending" is not one
+    if (
+      attestation.decision !== EscrowClaimStatus.APPROVED &&
+      attestation.decision !== EscrowClaimStatus.DECLINED
+    ) {
+      throw new Error(`Unknown decision: ${attestation.decision}`);
+    }
+
+    const statement = {
+      claimId: attestation.claimId,
+      claimHash: attestation.claimHash,
+      decision: attestation.decision,
+      signedAt: attestation.signedAt,
+      fingerprint,
+    };
+    const valid = await this._crypto.verify(
+      guarantor.publicKey,
+      statement,
+      attestation.signature,
+    );
+    if (!valid) {
+      throw new Error("The guarantor's signature does not match");
+    }
+
+    const saved = await this._escrowClaimRepository.saveAnswer(
+      claim.claimId,
+      attestation.decision,
+      attestation,
+    );
+    this._logger.log(
+      `[EscrowService] Verified ${attestation.decision} from ${guarantor.name} for claim ${claim.claimId}`,
+    );
+    return {
+      claim: saved,
+      guarantor,
+      approved: attestation.decision === EscrowClaimStatus.APPROVED,
+    };
+  }
+
+  // ========== Links ==========
+
+  /**
+   * Share link that opens this app with a payload
+   */
+  buildLink(payload) {
+    const { origin, pathname } = window.location;
+    return `${origin}${pathname}#${this._linkParam}=${this._crypto.encodePayload(payload)}`;
+  }
+
+  /**
+   * Hand a link to the share sheet, or copy it where there is none
+   * @returns {string} - ShareOutcome
+   */
+  async shareLink(link, title) {
+    if (navigator.share) {
+      await navigator.share({ title, url: link });
+      return ShareOutcome.SHARED;
+    }
+    await navigator.clipboard.writeText(link);
+    return ShareOutcome.COPIED;
+  }
+
+  /**
+   * Read the payload from a location hash
+   * @returns {Object|null} - Payload, or null if the hash carries none
+   * @throws {Error} - If the hash carries a payload that cannot be read
+   */
+  parseLink(hash) {
+    const prefix = `#${this._linkParam}=`;
+    if (!hash || !hash.startsWith(prefix)) return null;
+
+    const payload = this._crypto.decodePayload(hash.slice(prefix.length));
+    if (
+      !payload ||
+      payload.v !== this._protocolVersion ||
+      !EscrowPayloadKind.isValid(payload.kind)
+    ) {
+      throw new Error("Link was made by an incompatible version of the app");
+    }
+    return payload;
+  }
+
+  /**
+   * Read the payload from a scanned QR code or a pasted link
+   * @param {string} text - Decoded QR content or pasted text, a share link
+   * @throws {Error} - If the code is not a share link of this app
+   */
+  parseCode(text) {
+    const hashIndex = (text || "").indexOf("#");
+    const payload =
+      hashIndex >= 0 ? this.parseLink(text.slice(hashIndex)) : null;
+    if (!payload) {
+      throw new Error("This code or link was not made by f17n355");
+    }
+    return payload;
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * MigrationRegistry - Ordered registry of IndexedDB schema migrations
+ *
+ * Each migration is a plain object:
+ *   { version: number, description: string, upgrade(context) }
+ * `upgrade` receives a migration context from StorageService and may return
+ * a promise when it transforms existing records.
+ */
+export class MigrationRegistry {
+  constructor(migrations = []) {
+    this._migrations = [];
+    migrations.forEach((migration) => this.registerMigration(migration));
+  }
+
+  /**
+   * Latest schema version known to the app
+   */
+  get latestVersion() {
+    if (this._migrations.length === 0) return 1;
+    return this._migrations[this._migrations.length - 1].version;
+  }
+
+  /**
+   * All registered migrations in ascending version order
+   */
+  get migrations() {
+    return [...this._migrations];
+  }
+
+  /**
+   * Register a migration step (versions must be unique positive integers)
+   */
+  registerMigration(migration) {
+    if (!Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error(`Invalid migration version: ${migration.version}`);
+    }
+    if (typeof migration.upgrade !== "function") {
+      throw new Error(`Migration ${migration.version} has no upgrade step`);
+    }
+    if (this._migrations.some((m) => m.version === migration.version)) {
+      throw new Error(`Duplicate migration version: ${migration.version}`);
+    }
+
+    this._migrations.push(migration);
+    this._migrations.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Get migrations that still need to run when upgrading from oldVersion
+   */
+  getPendingMigrations(oldVersion, newVersion = this.latestVersion) {
+    return this._migrations.filter(
+      (m) => m.version > oldVersion && m.version <= newVersion,
+    );
+  }
+}
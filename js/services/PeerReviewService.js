@@ -0,0 +1,252 @@
+import { PeerReviewQuorum } from "../constants/PeerReviewQuorum.js";
+import { PeerReviewStatus } from "../constants/PeerReviewStatus.js";
+import { VideoReviewPolicy } from "../constants/VideoReviewPolicy.js";
+
+/**
+ * PeerReviewService - Community review of proof videos
+ *
+ * Assigns a video to N reviewers listed by the review server, collects
+ * their pass/fail votes and lets the quorum rule decide. The reviewer
+ * count and quorum are preferences; a review keeps the rule it was
+ * assigned under.
+ *
+ * Every decided review updates the track record of its voters: the share
+ * of their votes that agreed with the outcome is their reliability.
+ * Reviewers whose reliability falls below the minimum get no further
+ * assignments from this device.
+ */
+export class PeerReviewService {
+  constructor(
+    peerReviewRepository,
+    reviewerRepository,
+    reviewTransport,
+    userPreferencesRepository,
+    logger,
+  ) {
+    this._peerReviewRepository = peerReviewRepository;
+    this._reviewerRepository = reviewerRepository;
+    this._reviewTransport = reviewTransport;
+    this._userPreferencesRepository = userPreferencesRepository;
+    this._logger = logger;
+    this._minVotesForReliability = 5; // New reviewers are trusted until then
+    this._minReliability = 0.6;
+  }
+
+  /**
+   * Check if proof videos go to peer reviewers
+   */
+  get isEnabled() {
+    return (
+      this._userPreferencesRepository.getVideoReviewPolicy() ===
+        VideoReviewPolicy.PEER && this._reviewTransport.isConfigured
+    );
+  }
+
+  /**
+   * Reviewer count and quorum for new reviews
+   * @returns {Object} - {reviewerCount, quorum}
+   */
+  getSettings() {
+    return this._userPreferencesRepository.getPeerReviewSettings();
+  }
+
+  /**
+   * Assign a workout's video to reviewers
+   * @param {Workout} workout - Video workout under review
+   * @param {string} videoUrl - Server location from the video upload
+   * @returns {Object} - Stored review, see PeerReviewRepository
+   * @throws {Error} - If the server lists too few eligible reviewers
+   */
+  async requestReview(workout, videoUrl) {
+    const { reviewerCount, quorum } = this.getSettings();
+    const reviewers = await this._chooseReviewers(reviewerCount);
+
+    const { reviewId } = await this._reviewTransport.requestReview({
+      workoutId: workout.id,
+      videoUrl,
+      reviewerIds: reviewers.map((reviewer) => reviewer.id),
+      summary: {
+        type: workout.type,
+        milestoneType: workout.milestoneType,
+        date: workout.date,
+      },
+    });
+    const review = await this._peerReviewRepository.createReview({
+      workoutId: workout.id,
+      reviewId,
+      reviewers,
+      quorum,
+    });
+    this._logger.log(
+      `[PeerReviewService] Workout ${workout.id} assigned to ${reviewers.map((r) => r.name).join(", ")} (${PeerReviewQuorum.getLabel(quorum)})`,
+    );
+    return review;
+  }
+
+  /**
+   * Fetch new votes of a pending review and apply the quorum
+   * @returns {Object|null} - Updated review, null if the workout has none
+   */
+  async refreshReview(workoutId) {
+    const review =
+      await this._peerReviewRepository.getReviewByWorkoutId(workoutId);
+    if (!review || review.status !== PeerReviewStatus.PENDING) return review;
+
+    const remote = await this._reviewTransport.getReview(review.reviewId);
+    const votes = this._collectVotes(review, remote.votes || []);
+    const status = this.decide(votes, review.reviewers.length, review.quorum);
+    if (
+      status === PeerReviewStatus.PENDING &&
+      votes.length === review.votes.length
+    ) {
+      return review;
+    }
+
+    const saved = await this._peerReviewRepository.saveVotes(
+      workoutId,
+      votes,
+      status,
+    );
+    if (status !== PeerReviewStatus.PENDING) {
+      await this._updateReliability(saved);
+      this._logger.log(
+        `[PeerReviewService] Review of workout ${workoutId} ${status} with ${votes.length}/${review.reviewers.length} votes`,
+      );
+    }
+    return saved;
+  }
+
+  /**
+   * Apply a quorum rule to the votes cast so far
+   * Decides as soon as the outcome cannot change: enough passes, or too
+   * many fails for the remaining reviewers to reach the quorum
+   * @param {Array} votes - [{passed}]
+   * @param {number} reviewerCount - Reviewers assigned
+   * @param {string} quorum - PeerReviewQuorum rule
+   * @returns {string} - PeerReviewStatus
+   */
+  decide(votes, reviewerCount, quorum) {
+    const required = PeerReviewQuorum.getRequiredPasses(quorum, reviewerCount);
+    const passes = votes.filter((vote) => vote.passed).length;
+    const fails = votes.length - passes;
+
+    if (passes >= required) return PeerReviewStatus.PASSED;
+    if (fails > reviewerCount - required) return PeerReviewStatus.FAILED;
+    return PeerReviewStatus.PENDING;
+  }
+
+  /**
+   * Get the review of a workout
+   */
+  async getReviewForWorkout(workoutId) {
+    return this._peerReviewRepository.getReviewByWorkoutId(workoutId);
+  }
+
+  /**
+   * Get reviews still collecting votes, oldest first
+   */
+  async getPendingReviews() {
+    return this._peerReviewRepository.getPendingReviews();
+  }
+
+  /**
+   * Forget the review of a workout
+   */
+  async deleteReviewForWorkout(workoutId) {
+    await this._peerReviewRepository.deleteReviewByWorkoutId(workoutId);
+  }
+
+  /**
+   * Every reviewer this device has a track record for
+   * @returns {Array} - Reviewer records with reliability (0-1, null
+   *   without votes) and whether they still get assignments
+   */
+  async getReviewerStats() {
+    const reviewers = await this._reviewerRepository.getAllReviewers();
+    return reviewers.map((reviewer) => ({
+      ...reviewer,
+      reliability: this.getReliability(reviewer),
+      isEligible: this._isEligible(reviewer),
+    }));
+  }
+
+  /**
+   * Share of a reviewer's votes that agreed with the outcome
+   * @returns {number|null} - 0-1, null before the first decided vote
+   */
+  getReliability(reviewer) {
+    if (!reviewer || reviewer.votesCast === 0) return null;
+    return reviewer.votesAgreed / reviewer.votesCast;
+  }
+
+  /**
+   * Pick reviewers at random among those with a good enough track record
+   * @returns {Array} - [{id, name}]
+   */
+  async _chooseReviewers(count) {
+    const listed = await this._reviewTransport.getReviewers();
+    const eligible = [];
+    for (const reviewer of listed) {
+      const record = await this._reviewerRepository.getReviewerById(
+        reviewer.id,
+      );
+      if (this._isEligible(record)) {
+        eligible.push({ id: reviewer.id, name: reviewer.name || reviewer.id });
+      }
+    }
+    if (eligible.length < count) {
+      throw new Error(
+        `Only ${eligible.length} peer reviewers available, ${count} needed`,
+      );
+    }
+
+    for (let i = eligible.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [eligible[i], eligible[j]] = [eligible[j], eligible[i]];
+    }
+    return eligible.slice(0, count);
+  }
+
+  /**
+   * Check if a reviewer still gets assignments
+   * @param {Object|null} record - From ReviewerRepository, null if unknown
+   */
+  _isEligible(record) {
+    if (!record || record.votesCast < this._minVotesForReliability) return true;
+    return this.getReliability(record) >= this._minReliability;
+  }
+
+  /**
+   * First vote of every assigned reviewer, in the order they came in
+   */
+  _collectVotes(review, votes) {
+    const assigned = new Set(review.reviewers.map((reviewer) => reviewer.id));
+    const collected = new Map();
+    for (const vote of votes) {
+      if (!assigned.has(vote.reviewerId) || collected.has(vote.reviewerId)) {
+        continue;
+      }
+      collected.set(vote.reviewerId, {
+        reviewerId: vote.reviewerId,
+        passed: vote.passed === true,
+        reasons: Array.isArray(vote.reasons) ? vote.reasons.map(String) : [],
+        votedAt: vote.votedAt || new Date().toISOString(),
+      });
+    }
+    return [...collected.values()];
+  }
+
+  /**
+   * Count every vote of a decided review towards its reviewer's reliability
+   */
+  async _updateReliability(review) {
+    const passed = review.status === PeerReviewStatus.PASSED;
+    for (const vote of review.votes) {
+      const reviewer = review.reviewers.find((r) => r.id === vote.reviewerId);
+      await this._reviewerRepository.recordVote(
+        reviewer,
+        vote.passed === passed,
+      );
+    }
+  }
+}
@@ -0,0 +1,115 @@
+import { FitnessCategory } from "../constants/FitnessCategory.js";
+
+/**
+ * PrerequisiteEvaluator - Decides whether milestones and workout types are
+ * unlocked
+ *
+ * Prerequisites come from the tier program rule pack (see
+ * TierProgramSchema) and are the same for milestones and workout type
+ * gates, so one set of rules works across tiers:
+ * - milestones: [{tier, type}] to complete; tier defaults to the own tier
+ * - tiers: [level] to complete
+ * - workouts: [{workoutType|category, count, verifiedOnly}] counted workouts
+ *   to log; a category counts every workout type training it
+ * Every unmet condition yields one reason the athlete can act on.
+ */
+export class PrerequisiteEvaluator {
+  constructor(workoutTaxonomy) {
+    this._workoutTaxonomy = workoutTaxonomy;
+  }
+
+  /**
+   * Get the reasons something is still locked
+   * @param {Object} prerequisites - {milestones, tiers, workouts}
+   * @param {TierConfiguration} tierConfig - Progress milestones and tiers are checked against
+   * @param {Array} countedWorkouts - Workouts that count towards progress so far
+   * @param {number} ownTierLevel - Tier milestone references default to
+   * @returns {Array<string>} - Empty if unlocked
+   */
+  getLockReasons(prerequisites, tierConfig, countedWorkouts, ownTierLevel) {
+    if (!prerequisites) return [];
+    return [
+      ...this._getMilestoneReasons(
+        prerequisites.milestones || [],
+        tierConfig,
+        ownTierLevel,
+      ),
+      ...this._getTierReasons(prerequisites.tiers || [], tierConfig),
+      ...this._getWorkoutReasons(prerequisites.workouts || [], countedWorkouts),
+    ];
+  }
+
+  /**
+   * Milestones that are not completed yet
+   * Milestones of another tier are named with their tier
+   */
+  _getMilestoneReasons(references, tierConfig, ownTierLevel) {
+    const reasons = [];
+    references.forEach((reference) => {
+      const level = reference.tier ?? ownTierLevel;
+      const tier = tierConfig.getTierByLevel(level);
+      const milestone = tier ? tier.findMilestoneByType(reference.type) : null;
+      if (!milestone || milestone.isCompleted) return;
+      reasons.push(
+        level === ownTierLevel
+          ? `Complete ${milestone.name}`
+          : `Complete ${milestone.name} (${tier.name})`,
+      );
+    });
+    return reasons;
+  }
+
+  /**
+   * Tiers that are not completed yet
+   */
+  _getTierReasons(levels, tierConfig) {
+    const reasons = [];
+    levels.forEach((level) => {
+      const tier = tierConfig.getTierByLevel(level);
+      if (!tier || tier.isCompleted) return;
+      reasons.push(`Complete the ${tier.name} tier`);
+    });
+    return reasons;
+  }
+
+  /**
+   * Workout counts that are not reached yet
+   */
+  _getWorkoutReasons(conditions, countedWorkouts) {
+    const reasons = [];
+    conditions.forEach((condition) => {
+      const logged = countedWorkouts.filter(
+        (workout) =>
+          this._matchesCondition(condition, workout.type) &&
+          (!condition.verifiedOnly || workout.isVerified),
+      ).length;
+      if (logged >= condition.count) return;
+
+      const missing = condition.count - logged;
+      const label = condition.category
+        ? FitnessCategory.getLabel(condition.category)
+        : condition.workoutType;
+      const verified = condition.verifiedOnly ? "verified " : "";
+      const noun = missing === 1 ? "workout" : "workouts";
+      reasons.push(
+        `Log ${missing} more ${verified}${label} ${noun} (${logged}/${condition.count})`,
+      );
+    });
+    return reasons;
+  }
+
+  /**
+   * Check if a workout type satisfies a workout condition
+   */
+  _matchesCondition(condition, workoutType) {
+    if (condition.category) {
+      return (
+        this._workoutTaxonomy.getCategoryWeight(
+          workoutType,
+          condition.category,
+        ) > 0
+      );
+    }
+    return condition.workoutType === workoutType;
+  }
+}
@@ -1,16 +1,76 @@
 import { TierConfiguration } from "../models/TierConfiguration.js";
+import { VideoRecordingLimits } from "../constants/VideoRecordingLimits.js";
+import { ProofState } from "../constants/ProofState.js";
+import { ProofMethod } from "../models/Workout.js";
+import { FitnessCategory } from "../constants/FitnessCategory.js";
+import { DecayEventType } from "../constants/DecayEventType.js";
 
 /**
  * ProgressionService - Handles tier progression and milestone calculations
+ *
+ * Progress is updated incrementally as workouts are logged, but the workout
+ * log is the source of truth: rebuildFromWorkouts() replays it through the
+ * tier rules and runs automatically after workouts are edited or deleted.
+ * Workouts logged on other devices are not in the local log, so the replay
+ * is raised to the progress last merged in from the server.
+ * Only workouts whose proof is verified count, plus Off Record workouts
+ * when the OffRecordPolicy preference allows them.
+ *
+ * Milestones and workout types may be locked behind prerequisites (see
+ * PrerequisiteEvaluator); workouts logged while locked do not count, when
+ * logged and when the log is replayed.
+ *
+ * Progress decays by the rule pack's decay rules (see DecayTracker):
+ * startDecaySchedule() replays the log as of app start and every midnight,
+ * and getDecayWarnings() replays it ahead to warn of losses to come.
+ *
+ * The tiers come from the active tier program rule pack. Progress is saved
+ * with the pack's id and version; when a new version ships, initialize()
+ * migrates saved progress by replaying the workout log through its rules.
  */
 export class ProgressionService {
-  constructor(athleteRepository, workoutRepository, storageService) {
+  /**
+   * @param {Function} createDecayTracker - (tierConfig) => DecayTracker,
+   *   a fresh one for every replay
+   */
+  constructor(
+    athleteRepository,
+    workoutRepository,
+    progressRepository,
+    userPreferencesRepository,
+    rulesRepository,
+    prerequisiteEvaluator,
+    workoutTaxonomy,
+    createDecayTracker,
+    logger,
+  ) {
     this._athleteRepository = athleteRepository;
     this._workoutRepository = workoutRepository;
-    this._storageService = storageService;
-    this._tierConfig = new TierConfiguration();
-    this._progressStoreName = "progress";
-    this._progressKey = "tier-progress";
+    this._progressRepository = progressRepository;
+    this._userPreferencesRepository = userPreferencesRepository;
+    this._rulesRepository = rulesRepository;
+    this._prerequisiteEvaluator = prerequisiteEvaluator;
+    this._workoutTaxonomy = workoutTaxonomy;
+    this._createDecayTracker = createDecayTracker;
+    this._logger = logger;
+    this._tierConfig = new TierConfiguration(
+      [],
+      null,
+      [],
+      null,
+      workoutTaxonomy,
+    ); // No tiers until initialize()
+    this._pendingRebuild = Promise.resolve();
+    this._defaultDecayWarningDays = 7;
+    this._decayTimer = null;
+    this._decayEvaluatedListeners = [];
+    this._workoutCountedListeners = [];
+
+    this._workoutRepository.onWorkoutLogChanged(() => {
+      this.rebuildFromWorkouts().catch((error) => {
+        this._logger.error("[ProgressionService] Rebuild failed", error);
+      });
+    });
   }
 
   get tierConfiguration() {
@@ -18,32 +78,519 @@ export class ProgressionService {
   }
 
   /**
-   * Initialize or load saved progress
+   * Load the active tier program and the progress saved under it
+   * Progress saved under another pack version, or before rule packs
+   * existed, is migrated to the active pack
+   * @throws {RulePackValidationError} - If the active pack is invalid
    */
   async initialize() {
-    const savedProgress = await this._storageService.getItem(
-      this._progressStoreName,
-      this._progressKey,
-    );
+    const tierConfig = await this._createTierConfiguration();
+    const savedProgress = await this._progressRepository.getTierProgress();
 
-    if (savedProgress && savedProgress.tiers) {
-      this._tierConfig = TierConfiguration.fromJSON(savedProgress);
+    if (!savedProgress || !savedProgress.tiers) {
+      this._tierConfig = tierConfig;
+    } else if (tierConfig.hasSameRules(savedProgress)) {
+      tierConfig.restoreProgress(savedProgress);
+      this._tierConfig = tierConfig;
+    } else {
+      await this._migrateProgress(savedProgress);
     }
 
     return this._tierConfig;
   }
 
+  /**
+   * Fresh configuration from the active rule pack
+   */
+  async _createTierConfiguration() {
+    const pack = await this._rulesRepository.getActivePack();
+    return TierConfiguration.fromRulePack(pack, this._workoutTaxonomy);
+  }
+
+  /**
+   * Carry progress over to a new tier program version
+   * Milestones and benchmarks may have moved or changed their requirements,
+   * so progress is recounted from the workout log rather than copied
+   * @param {Object} savedProgress - Plain TierConfiguration JSON
+   */
+  async _migrateProgress(savedProgress) {
+    const pack = await this._rulesRepository.getActivePack();
+    const from = savedProgress.rulesVersion
+      ? `${savedProgress.rulesId} v${savedProgress.rulesVersion}`
+      : "built-in tiers";
+    this._logger.log(
+      `[ProgressionService] Migrating progress from ${from} to ${pack.id} v${pack.version}`,
+    );
+    await this.rebuildFromWorkouts();
+  }
+
   /**
    * Save current progress to storage
    */
   async saveProgress() {
-    const data = {
-      id: this._progressKey,
-      ...this._tierConfig.toJSON(),
+    await this._progressRepository.saveTierProgress(this._tierConfig.toJSON());
+  }
+
+  /**
+   * Recompute every tier, milestone, benchmark and the athlete's tier by
+   * replaying the workout log (oldest first) through the tier rules
+   * Calls are serialized so overlapping rebuilds cannot interleave
+   * @param {Date} asOf - Point in time decay is applied up to
+   * @returns {Object} - {tierLevel, appliedWorkouts, skippedWorkouts}
+   */
+  async rebuildFromWorkouts(asOf = new Date()) {
+    const rebuild = this._pendingRebuild.then(() => this._rebuild(asOf));
+    this._pendingRebuild = rebuild.catch(() => {});
+    return rebuild;
+  }
+
+  /**
+   * Replay the workout log into a fresh configuration and persist it
+   */
+  async _rebuild(asOf) {
+    const workouts = await this._workoutRepository.getAllWorkouts();
+    const { tierConfig, appliedWorkouts } = await this._replay(workouts, asOf);
+    tierConfig.applyRemoteProgress(this._tierConfig.remoteProgress);
+
+    const tierLevel = tierConfig.reachedTierLevel;
+    this._tierConfig = tierConfig;
+    await this.saveProgress();
+
+    const athlete = await this._athleteRepository.getCurrentAthlete();
+    if (athlete && athlete.currentTier !== tierLevel) {
+      await this._athleteRepository.updateTier(tierLevel);
+    }
+
+    const skippedWorkouts = workouts.length - appliedWorkouts;
+    this._logger.log(
+      `[ProgressionService] Rebuilt progress from ${appliedWorkouts} workouts (${skippedWorkouts} skipped), tier ${tierLevel}`,
+    );
+    return { tierLevel, appliedWorkouts, skippedWorkouts };
+  }
+
+  /**
+   * Replay workouts, oldest first, into a fresh configuration
+   * Decay due by asOf is applied between workouts and after the last one;
+   * the configuration's decayLog lists it
+   * @param {Date} asOf - Point in time decay is applied up to
+   * @returns {Object} - {tierConfig, appliedWorkouts}
+   */
+  async _replay(workouts, asOf) {
+    const tierConfig = await this._createTierConfiguration();
+    const decay = this._createDecayTracker(tierConfig);
+    const counted = []; // Counted workouts replayed so far, for prerequisites
+    let appliedWorkouts = 0;
+
+    [...workouts]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .forEach((workout) => {
+        decay.advanceTo(new Date(workout.date));
+        const match = this._applyWorkout(tierConfig, workout, counted);
+        if (match) {
+          appliedWorkouts++;
+          decay.recordApplied(workout, match);
+        }
+        if (this._countsTowardProgress(workout)) {
+          counted.push(workout);
+          decay.recordActivity(workout);
+        }
+      });
+    decay.advanceTo(asOf);
+
+    tierConfig.decayLog = decay.events;
+    return { tierConfig, appliedWorkouts };
+  }
+
+  /**
+   * Apply one logged workout to a configuration using the tier rules
+   * @param {Array} countedBefore - Counted workouts logged before it
+   * @returns {Object|null} - {milestone, benchmarkIndex} it was applied to,
+   *   null if the rules do not count the workout
+   */
+  _applyWorkout(tierConfig, workout, countedBefore) {
+    const tier = tierConfig.getTierByLevel(workout.tier);
+    const match = tier ? this._matchWorkout(tier, workout) : null;
+    if (!match) return null;
+    if (
+      this._getLockError(tierConfig, match.milestone, workout, countedBefore)
+    ) {
+      return null;
+    }
+
+    if (match.benchmarkIndex !== null) {
+      match.milestone.completeBenchmark(match.benchmarkIndex);
+    } else {
+      match.milestone.addProgress(1);
+    }
+    return match;
+  }
+
+  /**
+   * Subscribe to workouts counted by addWorkoutProgress() or
+   * completeBenchmark(); listeners get the workout and the result,
+   * including tierLevelUp
+   */
+  onWorkoutCounted(listener) {
+    this._workoutCountedListeners.push(listener);
+  }
+
+  /**
+   * Notify subscribers that a workout counted towards progress
+   */
+  _notifyWorkoutCounted(workout, result) {
+    this._workoutCountedListeners.forEach((listener) =>
+      listener(workout, result),
+    );
+  }
+
+  /**
+   * Subscribe to decay evaluations; listeners get the events that are new
+   */
+  onDecayEvaluated(listener) {
+    this._decayEvaluatedListeners.push(listener);
+  }
+
+  /**
+   * Evaluate decay now and at every local midnight while the app is open
+   * Later calls do nothing; the timer is set once
+   * @returns {Array} - Decay events new since the progress was last saved
+   */
+  async startDecaySchedule() {
+    if (this._decayTimer) return [];
+
+    const scheduleNext = () => {
+      const midnight = new Date();
+      midnight.setHours(24, 0, 1, 0); // Just past, so losses due at midnight apply
+      this._decayTimer = setTimeout(() => {
+        this.evaluateDecay()
+          .catch((error) => {
+            this._logger.error("[ProgressionService] Decay failed", error);
+          })
+          .finally(scheduleNext);
+      }, midnight - new Date());
     };
-    // Ensure data is structured-clone safe for IndexedDB
-    const safeData = JSON.parse(JSON.stringify(data));
-    await this._storageService.putItem(this._progressStoreName, safeData);
+    scheduleNext();
+    return this.evaluateDecay();
+  }
+
+  /**
+   * Apply the decay rules up to now by replaying the workout log
+   * @returns {Array} - Decay events that were not in the decay log before
+   */
+  async evaluateDecay() {
+    if (!this._tierConfig.decayRules) return [];
+
+    const known = new Set(
+      this._tierConfig.decayLog.map((event) => JSON.stringify(event)),
+    );
+    await this.rebuildFromWorkouts();
+    const events = this._tierConfig.decayLog.filter(
+      (event) => !known.has(JSON.stringify(event)),
+    );
+    events.forEach((event) => {
+      this._logger.log(`[ProgressionService] Decayed: ${event.message}`);
+    });
+    this._decayEvaluatedListeners.forEach((listener) => listener(events));
+    return events;
+  }
+
+  /**
+   * Everything decay took so far, newest first
+   */
+  getDecayLog() {
+    return [...this._tierConfig.decayLog].reverse();
+  }
+
+  /**
+   * Losses coming up within the rule pack's warning period if nothing
+   * counted is logged, soonest first
+   * @param {Date} asOf - Point in time to look ahead from
+   * @returns {Array} - Decay events with daysLeft and a warning message
+   */
+  async getDecayWarnings(asOf = new Date()) {
+    const rules = this._tierConfig.decayRules;
+    if (!rules) return [];
+
+    const horizon = new Date(asOf);
+    horizon.setDate(
+      horizon.getDate() + (rules.warningDays ?? this._defaultDecayWarningDays),
+    );
+    const workouts = await this._workoutRepository.getAllWorkouts();
+    const { tierConfig } = await this._replay(workouts, horizon);
+
+    return tierConfig.decayLog
+      .filter((event) => new Date(event.date) > asOf)
+      .map((event) => {
+        const daysLeft = Math.ceil((new Date(event.date) - asOf) / 86400000);
+        return {
+          ...event,
+          daysLeft,
+          warning: this._describeDecayWarning(tierConfig, event, daysLeft),
+        };
+      });
+  }
+
+  /**
+   * Warning for a loss to come, e.g. "2 workouts towards Getting Moving
+   * expire in 3 days"
+   */
+  _describeDecayWarning(tierConfig, event, daysLeft) {
+    const when = daysLeft === 1 ? "within a day" : `in ${daysLeft} days`;
+    if (event.type === DecayEventType.DEMOTED) {
+      return `Log a counted workout or drop from ${event.tierName} to ${event.toTierName} ${when}`;
+    }
+    const milestone = tierConfig
+      .getTierByLevel(event.tierLevel)
+      .findMilestoneByType(event.milestoneType);
+    const noun = milestone.usesBenchmarks ? "benchmark" : "workout";
+    const counted = `${event.count} ${noun}${event.count === 1 ? "" : "s"}`;
+    return `${counted} towards ${event.milestoneName} ${event.count === 1 ? "expires" : "expire"} ${when}`;
+  }
+
+  /**
+   * Find what a logged workout counts towards in its tier
+   * @returns {Object|null} - {milestone, benchmarkIndex} (benchmarkIndex null
+   *   for regular milestones), null if the rules do not count the workout
+   */
+  _matchWorkout(tier, workout) {
+    if (!this._countsTowardProgress(workout)) return null;
+
+    const milestone = tier.findMilestoneByType(workout.milestoneType);
+    if (!milestone) return null;
+
+    if (milestone.usesBenchmarks) {
+      const benchmarkIndex = this._findBenchmarkIndex(milestone, workout);
+      if (benchmarkIndex < 0) return null;
+      if (benchmarkIndex >= milestone.benchmarkWorkouts.length) return null;
+      // Attempts over the time cap or short on reps stay in the log only
+      if (workout.benchmarkResult && !workout.benchmarkResult.passed) {
+        return null;
+      }
+      return { milestone, benchmarkIndex };
+    }
+
+    if (!milestone.acceptsWorkoutType(workout.type)) return null;
+    if (this._getRequirementShortfalls(milestone, workout).length > 0) {
+      return null;
+    }
+    return { milestone, benchmarkIndex: null };
+  }
+
+  /**
+   * Benchmark a workout attempted
+   * Workouts logged before benchmarkIndex existed, and workouts whose index
+   * points to another benchmark since the program was reordered, are
+   * matched by name (benchmark attempts are logged under its name)
+   * @returns {number} - Benchmark index, -1 if none matches
+   */
+  _findBenchmarkIndex(milestone, workout) {
+    const benchmarks = milestone.benchmarkWorkouts;
+    const byName = benchmarks.findIndex((b) => b.name === workout.type);
+    if (workout.benchmarkIndex === null) return byName;
+    if (
+      byName < 0 ||
+      benchmarks[workout.benchmarkIndex]?.name === workout.type
+    ) {
+      return workout.benchmarkIndex;
+    }
+    return byName;
+  }
+
+  /**
+   * Why a workout cannot count while its milestone or workout type is locked
+   * Workout type gates apply to regular workouts; benchmarks are gated by
+   * their milestone only
+   * @param {Array} countedBefore - Counted workouts logged before it
+   * @returns {string|null} - Error message, null if both are unlocked
+   */
+  _getLockError(tierConfig, milestone, workout, countedBefore) {
+    const evaluator = this._prerequisiteEvaluator;
+    const milestoneReasons = evaluator.getLockReasons(
+      milestone.prerequisites,
+      tierConfig,
+      countedBefore,
+      workout.tier,
+    );
+    if (milestoneReasons.length > 0) {
+      return `${milestone.name} is locked: ${milestoneReasons.join(", ")}`;
+    }
+
+    const gate = milestone.usesBenchmarks
+      ? null
+      : tierConfig.getGateForWorkoutType(workout.type);
+    const typeReasons = gate
+      ? evaluator.getLockReasons(
+          gate.prerequisites,
+          tierConfig,
+          countedBefore,
+          workout.tier,
+        )
+      : [];
+    if (typeReasons.length > 0) {
+      return `${workout.type} is locked: ${typeReasons.join(", ")}`;
+    }
+    return null;
+  }
+
+  /**
+   * Counted workouts logged before a workout (all of them without one)
+   */
+  async _getCountedWorkouts(before = null) {
+    const workouts = await this._workoutRepository.getAllWorkouts();
+    return workouts.filter(
+      (w) =>
+        this._countsTowardProgress(w) &&
+        (!before ||
+          (w.id !== before.id && new Date(w.date) <= new Date(before.date))),
+    );
+  }
+
+  /**
+   * Check the workout's proof state against the Off Record policy
+   */
+  _countsTowardProgress(workout) {
+    return workout.countsTowardProgress(
+      this._userPreferencesRepository.getOffRecordPolicy(),
+    );
+  }
+
+  /**
+   * Error for a workout whose proof does not let it count (yet)
+   */
+  _getUncountedProofError(workout) {
+    if (workout.proofMethod === ProofMethod.RECORD) {
+      return "Logged off the record. Only proven workouts count with the current policy";
+    }
+    return `Not counted (proof: ${ProofState.getLabel(workout.proof.state).toLowerCase()}). Workouts count once their proof is verified`;
+  }
+
+  /**
+   * Change the Off Record policy and recount the workout log
+   */
+  async setOffRecordPolicy(policy) {
+    this._userPreferencesRepository.saveOffRecordPolicy(policy);
+    this._logger.log(`[ProgressionService] Off Record policy: ${policy}`);
+    return this.rebuildFromWorkouts();
+  }
+
+  /**
+   * Compare a workout's metrics with the milestone requirement for its type
+   * Workouts logged before metrics existed are accepted as they were
+   */
+  _getRequirementShortfalls(milestone, workout) {
+    if (!workout.metrics) return [];
+    return workout.metrics.getRequirementShortfalls(
+      milestone.getRequirementForWorkoutType(workout.type),
+    );
+  }
+
+  /**
+   * Check metrics before a workout is logged
+   * @returns {Array<string>} - Error messages, empty if the workout would count
+   */
+  validateWorkoutMetrics(tierLevel, milestoneType, workoutType, metrics) {
+    const errors = metrics.getValidationErrors();
+    if (errors.length > 0) return errors;
+
+    const tier = this._tierConfig.getTierByLevel(tierLevel);
+    const milestone = tier ? tier.findMilestoneByType(milestoneType) : null;
+    if (!milestone) return ["Invalid milestone"];
+
+    const shortfalls = metrics.getRequirementShortfalls(
+      milestone.getRequirementForWorkoutType(workoutType),
+    );
+    return shortfalls.length > 0
+      ? [`${workoutType} needs ${shortfalls.join(" and ")}`]
+      : [];
+  }
+
+  /**
+   * Video length a workout's proof should have
+   * Regular workouts need the milestone's timeMinutes for their type; a
+   * benchmark needs at least the time logged for the attempt and should
+   * end within the time cap plus the recording grace period.
+   * @returns {Object} - {minDurationSeconds, maxDurationSeconds,
+   *   claimedDurationSeconds}, each null when there is nothing to compare
+   */
+  getVideoExpectations(workout) {
+    const expectations = {
+      minDurationSeconds: null,
+      maxDurationSeconds: null,
+      claimedDurationSeconds: null,
+    };
+    const tier = this._tierConfig.getTierByLevel(workout.tier);
+    const milestone = tier
+      ? tier.findMilestoneByType(workout.milestoneType)
+      : null;
+    if (!milestone) return expectations;
+
+    if (workout.isBenchmarkAttempt) {
+      const benchmark = milestone.benchmarkWorkouts[workout.benchmarkIndex];
+      if (workout.benchmarkResult) {
+        expectations.minDurationSeconds = workout.benchmarkResult.totalSeconds;
+        expectations.claimedDurationSeconds =
+          workout.benchmarkResult.totalSeconds;
+      }
+      if (benchmark?.timeCapMinutes) {
+        expectations.maxDurationSeconds =
+          VideoRecordingLimits.getMaxSecondsForBenchmark(
+            benchmark.timeCapMinutes,
+          );
+      }
+      return expectations;
+    }
+
+    const requirement = milestone.getRequirementForWorkoutType(workout.type);
+    if (requirement?.timeMinutes) {
+      expectations.minDurationSeconds = requirement.timeMinutes * 60;
+    }
+    if (workout.metrics?.durationMinutes) {
+      expectations.claimedDurationSeconds =
+        workout.metrics.durationMinutes * 60;
+    }
+    return expectations;
+  }
+
+  /**
+   * Merge progress edited on another device into local progress
+   * The merged result is saved on top of the remote revision; the remote
+   * progress is kept so later rebuilds from the workout log keep it too
+   * @returns {Array<string>} - Parts that could not be merged
+   */
+  async mergeRemoteProgress(remoteData, remoteRevision) {
+    // Sync may run before the screens loaded progress; stored state is current
+    await this.initialize();
+
+    const remoteConfig = TierConfiguration.fromJSON(
+      remoteData,
+      this._workoutTaxonomy,
+    );
+    const conflicts = this._tierConfig.mergeProgress(remoteConfig);
+    this._tierConfig.keepRemoteProgress(remoteConfig);
+    await this._progressRepository.saveTierProgress(
+      this._tierConfig.toJSON(),
+      remoteRevision,
+    );
+    return conflicts;
+  }
+
+  /**
+   * Replace local progress with a snapshot from another device
+   * A snapshot recorded under another tier program version is recounted
+   * from the workout log instead
+   */
+  async replaceProgress(data) {
+    const tierConfig = await this._createTierConfiguration();
+    if (!tierConfig.hasSameRules(data)) {
+      await this._migrateProgress(data);
+      return;
+    }
+    tierConfig.restoreProgress(data);
+    tierConfig.keepRemoteProgress(
+      TierConfiguration.fromJSON(data, this._workoutTaxonomy),
+    );
+    this._tierConfig = tierConfig;
+    await this.saveProgress();
   }
 
   /**
@@ -72,6 +619,18 @@ export class ProgressionService {
     return tier.milestones;
   }
 
+  /**
+   * Count a workout whose proof completed: benchmark attempts complete
+   * their benchmark, other workouts add to their milestone
+   * @returns {Object} - See addWorkoutProgress() / completeBenchmark()
+   */
+  async countWorkout(workout) {
+    if (workout.isBenchmarkAttempt) {
+      return this.completeBenchmark(workout, workout.benchmarkIndex);
+    }
+    return this.addWorkoutProgress(workout);
+  }
+
   /**
    * Add workout and update milestone progress
    */
@@ -82,6 +641,26 @@ export class ProgressionService {
     const milestone = tier.findMilestoneByType(workout.milestoneType);
     if (!milestone) return { success: false, error: "Invalid milestone" };
 
+    // Unproven workouts stay in the log without counting
+    if (!this._countsTowardProgress(workout)) {
+      return {
+        success: false,
+        workoutLogged: true,
+        error: this._getUncountedProofError(workout),
+      };
+    }
+
+    // Locked workouts stay in the log without counting
+    const lockError = this._getLockError(
+      this._tierConfig,
+      milestone,
+      workout,
+      await this._getCountedWorkouts(workout),
+    );
+    if (lockError) {
+      return { success: false, workoutLogged: true, error: lockError };
+    }
+
     // Check if workout type is accepted by milestone
     if (!milestone.acceptsWorkoutType(workout.type)) {
       return {
@@ -90,6 +669,15 @@ export class ProgressionService {
       };
     }
 
+    // Check logged numbers against the milestone requirement
+    const shortfalls = this._getRequirementShortfalls(milestone, workout);
+    if (shortfalls.length > 0) {
+      return {
+        success: false,
+        error: `${workout.type} for ${milestone.name} needs ${shortfalls.join(" and ")}`,
+      };
+    }
+
     const wasCompleted = milestone.isCompleted;
     milestone.addProgress(1);
     const nowCompleted = milestone.isCompleted;
@@ -112,14 +700,22 @@ export class ProgressionService {
       result.tierLevelUp = leveledUp;
     }
 
+    this._notifyWorkoutCounted(workout, result);
     return result;
   }
 
   /**
    * Check and process tier level up
+   * Only a tier the athlete is in levels up: a workout verified after the
+   * athlete moved on (or was demoted) completes its tier again, and the
+   * tier reached and the progress made since must stay as they are
    */
-  async _checkTierLevelUp(currentTierLevel) {
-    const nextTierLevel = currentTierLevel + 1;
+  async _checkTierLevelUp(tierLevel) {
+    if (tierLevel !== (await this.getCurrentTier())) {
+      return { leveledUp: false };
+    }
+
+    const nextTierLevel = tierLevel + 1;
 
     // Check if there's a next tier
     if (nextTierLevel >= this._tierConfig.tierCount) {
@@ -145,6 +741,7 @@ export class ProgressionService {
 
   /**
    * Get progress summary for current tier
+   * categories has one entry per fitness category for the category radar
    */
   async getTierProgressSummary() {
     const tierLevel = await this.getCurrentTier();
@@ -158,9 +755,13 @@ export class ProgressionService {
         totalMilestones: 0,
         progressPercent: 0,
         milestones: [],
+        categories: [],
       };
     }
 
+    const workouts = await this._workoutRepository.getWorkoutsByTier(
+      tier.level,
+    );
     return {
       tierLevel: tier.level,
       tierName: tier.name,
@@ -187,20 +788,124 @@ export class ProgressionService {
           progressPercent: m.progressPercent,
         };
       }),
+      categories: this._getCategoryProgress(tier, workouts),
+    };
+  }
+
+  /**
+   * Category strengths built up over every tier up to the current one
+   * Unlike the radar, earlier tiers keep counting after a level up
+   * @returns {Array} - [{category, completed}] for all seven categories,
+   *   completed in weighted workouts
+   */
+  async getCategoryStrengths() {
+    const tierLevel = await this.getCurrentTier();
+    const totals = {};
+    for (const tier of this._tierConfig.tiers.slice(0, tierLevel + 1)) {
+      const workouts = await this._workoutRepository.getWorkoutsByTier(
+        tier.level,
+      );
+      this._getCategoryProgress(tier, workouts).forEach((entry) => {
+        totals[entry.category] =
+          (totals[entry.category] || 0) + entry.completed;
+      });
+    }
+    return FitnessCategory.getAll().map((category) => ({
+      category,
+      completed: Math.round((totals[category] || 0) * 10) / 10,
+    }));
+  }
+
+  /**
+   * Progress per fitness category in a tier
+   * required: what the tier's milestones ask for, each workout and each
+   * benchmark split over the categories it trains. completed: the same for
+   * the workouts that counted, using the types actually logged (a milestone's
+   * workouts beyond its requirement are left out)
+   * @returns {Array} - [{category, label, icon, completed, required,
+   *   progressPercent}] for all seven categories
+   */
+  _getCategoryProgress(tier, workouts) {
+    const required = {};
+    const completed = {};
+    const add = (totals, weights, times = 1) => {
+      for (const [category, weight] of Object.entries(weights)) {
+        totals[category] = (totals[category] || 0) + weight * times;
+      }
     };
+
+    tier.milestones.forEach((milestone) => {
+      if (milestone.usesBenchmarks) {
+        milestone.benchmarkWorkouts.forEach((_, index) =>
+          add(required, milestone.getBenchmarkCategoryShares(index)),
+        );
+      } else {
+        add(
+          required,
+          milestone.getCategoryShares(),
+          milestone.requiredWorkouts,
+        );
+      }
+    });
+
+    const counted = {}; // Per milestone type, or type and benchmark index
+    [...workouts]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .forEach((workout) => {
+        const match = this._matchWorkout(tier, workout);
+        if (!match) return;
+        const { milestone, benchmarkIndex } = match;
+
+        if (benchmarkIndex !== null) {
+          const key = `${milestone.type}:${benchmarkIndex}`;
+          if (counted[key]) return;
+          counted[key] = 1;
+          add(
+            completed,
+            workout.benchmarkResult
+              ? this._workoutTaxonomy.averageCategoryWeights(
+                  workout.benchmarkResult.exercises,
+                )
+              : milestone.getBenchmarkCategoryShares(benchmarkIndex),
+          );
+          return;
+        }
+
+        counted[milestone.type] = (counted[milestone.type] || 0) + 1;
+        if (counted[milestone.type] > milestone.requiredWorkouts) return;
+        add(completed, this._workoutTaxonomy.getCategoryWeights(workout.type));
+      });
+
+    const round = (value) => Math.round(value * 10) / 10;
+    return FitnessCategory.getAll().map((category) => {
+      const categoryRequired = required[category] || 0;
+      const categoryCompleted = completed[category] || 0;
+      return {
+        category,
+        label: FitnessCategory.getLabel(category),
+        icon: FitnessCategory.getIcon(category),
+        completed: round(categoryCompleted),
+        required: round(categoryRequired),
+        progressPercent:
+          categoryRequired > 0
+            ? Math.min(100, (categoryCompleted / categoryRequired) * 100)
+            : 0,
+      };
+    });
   }
 
   /**
    * Reset all progress (for testing/debug)
    */
   async resetAllProgress() {
-    this._tierConfig = new TierConfiguration();
+    this._tierConfig = await this._createTierConfiguration();
     await this.saveProgress();
     await this._athleteRepository.updateTier(0);
   }
 
   /**
    * Get available milestone types for adding a workout
+   * Locked milestones are included with the reasons they are locked
    */
   async getAvailableMilestones() {
     const tierLevel = await this.getCurrentTier();
@@ -208,6 +913,8 @@ export class ProgressionService {
 
     if (!tier) return [];
 
+    const counted = await this._getCountedWorkouts();
+
     // Return incomplete milestones first, then completed ones
     return tier.milestones
       .map((m) => {
@@ -217,6 +924,12 @@ export class ProgressionService {
         const required = m.usesBenchmarks
           ? m.benchmarkWorkouts.length
           : m.requiredWorkouts;
+        const lockReasons = this._prerequisiteEvaluator.getLockReasons(
+          m.prerequisites,
+          this._tierConfig,
+          counted,
+          tierLevel,
+        );
 
         return {
           type: m.type,
@@ -225,7 +938,10 @@ export class ProgressionService {
           progress,
           required,
           completed: m.isCompleted,
+          locked: lockReasons.length > 0,
+          lockReasons,
           workoutTypes: m.workoutTypes,
+          workoutRequirements: m.workoutRequirements,
           usesBenchmarks: m.usesBenchmarks,
           benchmarks: m.benchmarkWorkouts,
         };
@@ -233,8 +949,54 @@ export class ProgressionService {
       .sort((a, b) => a.completed - b.completed);
   }
 
+  /**
+   * Workout types locked by a gate in the current tier
+   * @returns {Object} - {workoutType: [reasons]}, open types left out
+   */
+  async getWorkoutTypeLocks() {
+    const tierLevel = await this.getCurrentTier();
+    const gates = this._tierConfig.workoutTypeGates;
+    if (gates.length === 0) return {};
+
+    const counted = await this._getCountedWorkouts();
+    const locks = {};
+    gates.forEach((gate) => {
+      const reasons = this._prerequisiteEvaluator.getLockReasons(
+        gate.prerequisites,
+        this._tierConfig,
+        counted,
+        tierLevel,
+      );
+      if (reasons.length > 0) locks[gate.workoutType] = reasons;
+    });
+    return locks;
+  }
+
+  /**
+   * Best attempt per benchmark of a milestone, keyed by benchmark index
+   * Benchmark workouts logged without a result are not ranked
+   */
+  async getBestBenchmarkAttempts(tierLevel, milestoneType) {
+    const workouts = await this._workoutRepository.getWorkoutsByTier(tierLevel);
+    const best = {};
+    workouts
+      .filter((w) => w.milestoneType === milestoneType && w.benchmarkResult)
+      .forEach((w) => {
+        const current = best[w.benchmarkIndex];
+        if (
+          !current ||
+          w.benchmarkResult.isBetterThan(current.benchmarkResult)
+        ) {
+          best[w.benchmarkIndex] = w;
+        }
+      });
+    return best;
+  }
+
   /**
    * Complete a specific benchmark workout in a milestone
+   * An attempt with a result only counts if it passed; failed attempts stay
+   * logged so they can be compared with later ones
    */
   async completeBenchmark(workout, benchmarkIndex) {
     const tier = this._tierConfig.getTierByLevel(workout.tier);
@@ -249,6 +1011,29 @@ export class ProgressionService {
         error: "This milestone does not use benchmarks",
       };
     }
+    if (workout.benchmarkResult && !workout.benchmarkResult.passed) {
+      return {
+        success: false,
+        attemptLogged: true,
+        error: `Attempt logged but not passed: ${workout.benchmarkResult.failureReasons.join(", ")}`,
+      };
+    }
+    if (!this._countsTowardProgress(workout)) {
+      return {
+        success: false,
+        workoutLogged: true,
+        error: this._getUncountedProofError(workout),
+      };
+    }
+    const lockError = this._getLockError(
+      this._tierConfig,
+      milestone,
+      workout,
+      await this._getCountedWorkouts(workout),
+    );
+    if (lockError) {
+      return { success: false, workoutLogged: true, error: lockError };
+    }
     const wasCompleted = milestone.isCompleted;
     milestone.completeBenchmark(benchmarkIndex);
     const nowCompleted = milestone.isCompleted;
@@ -271,6 +1056,7 @@ export class ProgressionService {
       result.tierLevelUp = leveledUp;
     }
 
+    this._notifyWorkoutCounted(workout, result);
     return result;
   }
 }
@@ -1,92 +1,572 @@
+import { VideoIntegrityVerdict } from "../constants/VideoIntegrityVerdict.js";
+import { ProofState } from "../constants/ProofState.js";
+import { EscrowClaimStatus } from "../constants/EscrowClaimStatus.js";
+import { EscrowPayloadKind } from "../constants/EscrowPayloadKind.js";
+import { PeerReviewQuorum } from "../constants/PeerReviewQuorum.js";
+import { PeerReviewStatus } from "../constants/PeerReviewStatus.js";
+import { VideoUploadStatus } from "../constants/VideoUploadStatus.js";
+import { ProofMethod } from "../models/Workout.js";
+
 /**
- * ProofService - Handles workout proof verification (stub implementation)
+ * ProofService - Handles workout proof verification
+ *
+ * Moves each workout through its proof lifecycle (see ProofState) and
+ * persists every transition on the workout. Escrow proofs are settled by
+ * signed guarantor attestations (see EscrowService), video proofs by a
+ * judge's verdict (see judgeVideoProof) or, under the peer review policy,
+ * by the quorum of community reviewers (see PeerReviewService).
  */
 export class ProofService {
-  constructor(logger) {
+  constructor(
+    workoutRepository,
+    escrowService,
+    peerReviewService,
+    videoMetadataReader,
+    videoUploadRepository,
+    logger,
+  ) {
+    this._workoutRepository = workoutRepository;
+    this._escrowService = escrowService;
+    this._peerReviewService = peerReviewService;
+    this._videoMetadataReader = videoMetadataReader;
+    this._videoUploadRepository = videoUploadRepository;
     this._logger = logger;
+    this._proofVerifiedListeners = [];
+    // Open proofs expire once their last transition is this old
+    this._expiryDaysByState = {
+      [ProofState.DRAFT]: 1,
+      [ProofState.RECORDED]: 1,
+      [ProofState.UPLOADING]: 14,
+      [ProofState.UNDER_REVIEW]: 14,
+    };
+    this._durationToleranceSeconds = 2; // Container rounding and encoder start-up
+    this._speedToleranceRatio = 0.1; // Video may be 10% shorter than recorded
+    this._minFrameRate = 5; // Below this the footage looks like a time-lapse
+    this._minVideoHeight = 240;
+    this._earlyRecordingToleranceMs = 5 * 60 * 1000;
+    this._lateRecordingWindowMs = 6 * 60 * 60 * 1000; // Later gets a reviewer's look
   }
 
   /**
-   * Initiate escrow proof flow
-   * Stub: Would notify a guarantor to verify workout
+   * Subscribe to proofs that were verified; listeners get the workout
+   */
+  onProofVerified(listener) {
+    this._proofVerifiedListeners.push(listener);
+  }
+
+  /**
+   * Move a workout's proof to another state and save it
+   * Proof changes are not announced as workout log edits; verified
+   * workouts are counted by the flow that verified them
+   * @throws {Error} - If the lifecycle does not allow the transition
    */
-  async initiateEscrowProof(workout, guarantorId) {
+  async transitionProof(workout, state, reason) {
+    const from = workout.proof.state;
+    workout.proof.transitionTo(state, reason);
+    await this._workoutRepository.saveProofState(workout);
     this._logger.log(
-      `[ProofService] Escrow proof initiated for workout ${workout.id}`,
+      `[ProofService] Workout ${workout.id}: ${from} → ${state} (${reason})`,
     );
-    this._logger.log(
-      `[ProofService] Notifying guarantor: ${guarantorId || "default"}`,
+    if (state === ProofState.VERIFIED) {
+      this._proofVerifiedListeners.forEach((listener) => listener(workout));
+    }
+    return workout;
+  }
+
+  /**
+   * Log a workout without proof
+   * Whether it counts is up to the OffRecordPolicy
+   */
+  async logOffRecord(workout) {
+    await this.transitionProof(
+      workout,
+      ProofState.RECORDED,
+      "Logged off the record",
+    );
+    return { success: true, status: workout.proof.state };
+  }
+
+  /**
+   * Initiate escrow proof flow
+   * Creates the claim the guarantor signs; the workout stays under review
+   * until completeEscrowProof accepts the guarantor's attestation
+   * @param {Workout} workout - Workout to vouch for
+   * @param {string} guarantorId - Fingerprint of a trusted guarantor
+   * @param {string} athleteName - Shown to the guarantor
+   * @returns {Object} - {success, status, claim, link, message}
+   * @throws {Error} - If the guarantor is not trusted
+   */
+  async initiateEscrowProof(workout, guarantorId, athleteName) {
+    const guarantor = await this._escrowService.getGuarantor(guarantorId);
+    if (!guarantor || !guarantor.trusted) {
+      throw new Error("Choose a trusted guarantor from your address book");
+    }
+
+    await this.transitionProof(
+      workout,
+      ProofState.RECORDED,
+      "Logged for guarantor verification",
+    );
+    const claim = await this._escrowService.createClaim(
+      workout,
+      guarantorId,
+      athleteName,
+    );
+    await this.transitionProof(
+      workout,
+      ProofState.UNDER_REVIEW,
+      `Claim sent to ${guarantor.name} (${guarantor.id})`,
     );
 
-    // Stub: In real implementation, would send notification to guarantor
     return {
       success: true,
-      proofId: `escrow-${Date.now()}`,
-      status: "pending",
-      message: "Guarantor has been notified. Awaiting verification.",
+      status: workout.proof.state,
+      claim,
+      link: this._escrowService.buildLink(claim),
+      message: `Let ${guarantor.name} scan this code or send them the link. The workout counts once their signed answer is scanned or opened here.`,
     };
   }
 
   /**
-   * Initiate video proof flow
-   * Stub: Would open camera and record workout video
+   * Settle an escrow proof with the guarantor's attestation
+   * The attestation is verified locally before the proof changes state
+   * @param {Object} attestation - Payload signed by the guarantor
+   * @returns {Object} - {workout, approved, guarantor}
+   * @throws {Error} - If the attestation does not verify or its workout is gone
+   */
+  async completeEscrowProof(attestation) {
+    const { claim, guarantor, approved } =
+      await this._escrowService.verifyAttestation(attestation);
+    const workout = await this._workoutRepository.getWorkoutById(
+      claim.workoutId,
+    );
+    if (!workout) {
+      throw new Error(`Workout ${claim.workoutId} no longer exists`);
+    }
+
+    const signer = `${guarantor.name} (${guarantor.id})`;
+    await this.transitionProof(
+      workout,
+      approved ? ProofState.VERIFIED : ProofState.REJECTED,
+      approved ? `Attested by ${signer}` : `Declined by ${signer}`,
+    );
+    return { workout, approved, guarantor };
+  }
+
+  /**
+   * Claim link of an escrow workout still waiting for its guarantor
+   * Shown again as QR code when the guarantor is nearby
+   * @returns {Object|null} - {link, guarantorName}, null if nothing waits
+   */
+  async getOpenEscrowClaim(workoutId) {
+    const stored = await this._escrowService.getClaimForWorkout(workoutId);
+    if (!stored || stored.status !== EscrowClaimStatus.PENDING) return null;
+
+    const guarantor = await this._escrowService.getGuarantor(
+      stored.guarantorId,
+    );
+    return {
+      link: this._escrowService.buildLink(stored.claim),
+      guarantorName: guarantor?.name || stored.guarantorId,
+    };
+  }
+
+  /**
+   * Complete an escrow proof in person, from the guarantor's answer QR code
+   * Works offline: the attestation is verified on this device
+   * @param {string} code - Text decoded from the QR code
+   * @returns {Object} - {workout, approved, guarantor}, see completeEscrowProof
+   * @throws {Error} - If the code is not a valid attestation
+   */
+  async completeEscrowHandshake(code) {
+    const payload = this._escrowService.parseCode(code);
+    if (payload.kind !== EscrowPayloadKind.ATTESTATION) {
+      throw new Error("Scan the answer shown on your guarantor's phone");
+    }
+    return this.completeEscrowProof(payload);
+  }
+
+  /**
+   * Mark the video of a workout as recorded on this device
+   */
+  async recordVideoProof(workout) {
+    await this.transitionProof(
+      workout,
+      ProofState.RECORDED,
+      "Video recorded on this device",
+    );
+    return { success: true, status: workout.proof.state };
+  }
+
+  /**
+   * Initiate video proof flow once the recording passed its checks
    */
   async initiateVideoProof(workout) {
-    this._logger.log(
-      `[ProofService] Video proof initiated for workout ${workout.id}`,
+    await this.transitionProof(
+      workout,
+      ProofState.UPLOADING,
+      "Video upload started",
     );
 
-    // Stub: In real implementation, would open camera interface
     return {
       success: true,
-      proofId: `video-${Date.now()}`,
-      status: "pending",
-      message: "Video recording started. Complete your workout to submit.",
+      status: workout.proof.state,
+      message: "Video upload started. The workout counts once it is verified.",
     };
   }
 
   /**
-   * Submit video proof
-   * Stub: Would upload video for verification
+   * Read a recorded video and check it against the workout it should prove
+   * @param {Workout} workout - Workout the video was recorded for
+   * @param {Object} recording - Record from VideoProofRepository
+   * @param {Object} expectations - From ProgressionService.getVideoExpectations
+   * @returns {Object} - Integrity report, see checkVideoIntegrity
    */
-  async submitVideoProof(proofId, videoBlob) {
-    this._logger.log(`[ProofService] Submitting video proof: ${proofId}`);
+  async inspectVideoProof(workout, recording, expectations) {
+    let metadata;
+    try {
+      metadata = await this._videoMetadataReader.readMetadata(recording.blob);
+    } catch (error) {
+      this._logger.warn(
+        `[ProofService] Could not read video metadata: ${error.message}`,
+      );
+      metadata = { durationSeconds: null, width: null, height: null };
+    }
+
+    const report = this.checkVideoIntegrity(
+      workout,
+      recording,
+      metadata,
+      expectations,
+    );
+    this._logger.log(
+      `[ProofService] Video check for workout ${workout.id}: ${report.verdict}`,
+    );
+    if (report.verdict === VideoIntegrityVerdict.REJECTED) {
+      await this.transitionProof(
+        workout,
+        ProofState.REJECTED,
+        report.rejections.join("; "),
+      );
+    }
+    return report;
+  }
+
+  /**
+   * Compare video metadata with the claimed workout
+   * Rejects videos that are too short for the milestone or benchmark, play
+   * faster than they were recorded, or were recorded before the workout was
+   * logged. Flags what a reviewer should look at, such as a video recorded
+   * long after the workout was logged.
+   * @param {Object} metadata - From VideoMetadataReader.readMetadata
+   * @returns {Object} - {verdict, rejections, flags, metadata, checkedAt}
+   */
+  checkVideoIntegrity(workout, recording, metadata, expectations) {
+    const rejections = [];
+    const flags = [];
+    const format = (seconds) =>
+      `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, "0")}`;
+
+    // Fall back to the recorder's clock, but let a reviewer know
+    let duration = metadata.durationSeconds;
+    if (duration === null) {
+      flags.push("Video length could not be read from the file");
+      duration = recording.durationSeconds;
+    }
+
+    const tolerance = this._durationToleranceSeconds;
+    if (
+      expectations.minDurationSeconds &&
+      duration < expectations.minDurationSeconds - tolerance
+    ) {
+      rejections.push(
+        `Video is ${format(duration)} long, at least ${format(expectations.minDurationSeconds)} required`,
+      );
+    }
+    if (
+      expectations.maxDurationSeconds &&
+      duration > expectations.maxDurationSeconds + tolerance
+    ) {
+      flags.push(
+        `Video is ${format(duration)} long, expected at most ${format(expectations.maxDurationSeconds)}`,
+      );
+    }
+    if (
+      expectations.claimedDurationSeconds &&
+      duration < expectations.claimedDurationSeconds - tolerance &&
+      duration >= (expectations.minDurationSeconds || 0) - tolerance
+    ) {
+      flags.push(
+        `Video is ${format(duration)} long, but ${format(expectations.claimedDurationSeconds)} was logged`,
+      );
+    }
+
+    // Sped-up footage is shorter than the time the camera was recording
+    if (
+      metadata.durationSeconds !== null &&
+      recording.durationSeconds > 0 &&
+      metadata.durationSeconds <
+        recording.durationSeconds * (1 - this._speedToleranceRatio) - tolerance
+    ) {
+      rejections.push(
+        `Video plays in ${format(metadata.durationSeconds)} but was recorded for ${format(recording.durationSeconds)}`,
+      );
+    }
+    if (metadata.frameRate && metadata.frameRate < this._minFrameRate) {
+      flags.push(
+        `Frame rate of ${metadata.frameRate} fps looks like a time-lapse`,
+      );
+    }
+    if (metadata.height && metadata.height < this._minVideoHeight) {
+      flags.push(
+        `Resolution ${metadata.width}x${metadata.height} is too low to judge form`,
+      );
+    }
+
+    const recordedAt = new Date(recording.startedAt || recording.recordedAt);
+    const loggedAt = new Date(workout.date);
+    if (
+      recordedAt.getTime() <
+      loggedAt.getTime() - this._earlyRecordingToleranceMs
+    ) {
+      rejections.push("Video was recorded before the workout was logged");
+    } else if (
+      recordedAt.getTime() - loggedAt.getTime() >
+      this._lateRecordingWindowMs
+    ) {
+      const hours = Math.floor(
+        (recordedAt.getTime() - loggedAt.getTime()) / 3600000,
+      );
+      flags.push(
+        `Video was recorded ${hours} hours after the workout was logged`,
+      );
+    }
+
+    let verdict = VideoIntegrityVerdict.ACCEPTED;
+    if (rejections.length > 0) verdict = VideoIntegrityVerdict.REJECTED;
+    else if (flags.length > 0) verdict = VideoIntegrityVerdict.FLAGGED;
 
-    // Stub: In real implementation, would upload to server
     return {
-      success: true,
-      proofId,
-      status: "submitted",
-      message: "Video proof submitted successfully.",
+      verdict,
+      rejections,
+      flags,
+      metadata,
+      checkedAt: new Date().toISOString(),
     };
   }
 
+  /**
+   * Submit video proof for review
+   * Under the peer review policy the video is assigned to reviewers; if
+   * that fails it waits for a judge instead
+   * @param {Workout} workout - Workout whose video finished uploading
+   * @param {string} videoUrl - Server location from the video upload
+   * @param {Object} integrityReport - Result of inspectVideoProof, if checked
+   */
+  async submitVideoProof(workout, videoUrl, integrityReport = null) {
+    if (!videoUrl) {
+      throw new Error(`No uploaded video for workout ${workout.id}`);
+    }
+    if (integrityReport?.verdict === VideoIntegrityVerdict.REJECTED) {
+      throw new Error(
+        `Video for workout ${workout.id} failed the integrity check: ${integrityReport.rejections.join(", ")}`,
+      );
+    }
+
+    const flags =
+      integrityReport?.verdict === VideoIntegrityVerdict.FLAGGED
+        ? ` (flagged: ${integrityReport.flags.join("; ")})`
+        : "";
+    await this.transitionProof(
+      workout,
+      ProofState.UNDER_REVIEW,
+      `Video uploaded to ${videoUrl}${flags}`,
+    );
+
+    let message =
+      "Video submitted for review. The workout counts once a judge verifies it.";
+    if (this._peerReviewService.isEnabled) {
+      try {
+        const review = await this._peerReviewService.requestReview(
+          workout,
+          videoUrl,
+        );
+        message = `Video sent to ${review.reviewers.length} peer reviewers. The workout counts once a ${PeerReviewQuorum.getLabel(review.quorum).toLowerCase()} vote passes it.`;
+      } catch (error) {
+        this._logger.warn(
+          `[ProofService] Peer review unavailable, video waits for a judge: ${error.message}`,
+        );
+      }
+    }
+
+    return { success: true, status: workout.proof.state, message };
+  }
+
+  /**
+   * Settle a video proof with a judge's verdict
+   * A rejection needs at least one timestamped note saying why
+   * @param {Workout} workout - Video workout under review
+   * @param {Object} review - {approved, repCount, notes: [{atSeconds, text}]}
+   * @throws {Error} - If the workout is not a video under review, or a
+   *   rejection has no notes
+   */
+  async judgeVideoProof(workout, review) {
+    if (
+      workout.proofMethod !== ProofMethod.VIDEO ||
+      workout.proof.state !== ProofState.UNDER_REVIEW
+    ) {
+      throw new Error(`Workout ${workout.id} has no video waiting for review`);
+    }
+    if (!review.approved && review.notes.length === 0) {
+      throw new Error("Add a timestamped note saying why the video fails");
+    }
+
+    const notes = review.notes
+      .map((note) => `${note.text} at ${this.formatTimestamp(note.atSeconds)}`)
+      .join("; ");
+    const reps = `${review.repCount} ${review.repCount === 1 ? "rep" : "reps"} counted`;
+    await this.transitionProof(
+      workout,
+      review.approved ? ProofState.VERIFIED : ProofState.REJECTED,
+      review.approved
+        ? `Judge approved the video, ${reps}${notes ? ` (${notes})` : ""}`
+        : `Judge rejected the video: ${notes}`,
+    );
+    return workout;
+  }
+
+  /**
+   * Format a position in a video as "m:ss"
+   */
+  formatTimestamp(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+  }
+
   /**
    * Check proof status
-   * Stub: Would check verification status from server
+   * Collects new votes for a video under peer review and settles the proof
+   * once the quorum decides. Other videos wait for a judge's verdict,
+   * escrow proofs for their attestation.
    */
-  async checkProofStatus(proofId) {
-    this._logger.log(`[ProofService] Checking proof status: ${proofId}`);
+  async checkProofStatus(workout) {
+    if (
+      workout.proofMethod === ProofMethod.VIDEO &&
+      workout.proof.state === ProofState.UNDER_REVIEW
+    ) {
+      const review = await this._peerReviewService.refreshReview(workout.id);
+      if (review && review.status !== PeerReviewStatus.PENDING) {
+        const passes = review.votes.filter((vote) => vote.passed).length;
+        const reasons = review.votes
+          .filter((vote) => !vote.passed)
+          .flatMap((vote) => vote.reasons);
+        await this.transitionProof(
+          workout,
+          review.status === PeerReviewStatus.PASSED
+            ? ProofState.VERIFIED
+            : ProofState.REJECTED,
+          review.status === PeerReviewStatus.PASSED
+            ? `Peer review passed, ${passes} of ${review.reviewers.length} reviewers`
+            : `Peer review failed${reasons.length > 0 ? `: ${reasons.join("; ")}` : ""}`,
+        );
+      }
+    }
 
-    // Stub: In real implementation, would query server
     return {
-      proofId,
-      status: "verified",
-      verifiedAt: new Date().toISOString(),
+      status: workout.proof.state,
+      updatedAt: workout.proof.updatedAt,
     };
   }
 
+  /**
+   * Settle every video whose peer review reached its quorum
+   * Reviews of workouts that were judged, expired or deleted meanwhile are
+   * dropped. A review server that cannot be reached is tried again next time.
+   * @returns {Array<Workout>} - Workouts verified or rejected by this check
+   */
+  async checkPeerReviews() {
+    const reviews = await this._peerReviewService.getPendingReviews();
+    const settled = [];
+
+    for (const review of reviews) {
+      const workout = await this._workoutRepository.getWorkoutById(
+        review.workoutId,
+      );
+      if (!workout || workout.proof.state !== ProofState.UNDER_REVIEW) {
+        await this._peerReviewService.deleteReviewForWorkout(review.workoutId);
+        continue;
+      }
+
+      try {
+        await this.checkProofStatus(workout);
+      } catch (error) {
+        this._logger.warn(
+          `[ProofService] Could not check peer review of workout ${workout.id}: ${error.message}`,
+        );
+        continue;
+      }
+      if (workout.proof.state !== ProofState.UNDER_REVIEW) {
+        settled.push(workout);
+      }
+    }
+    return settled;
+  }
+
+  /**
+   * Expire proofs that were left open for too long
+   * Off Record workouts stay recorded; they are never reviewed. Recorded
+   * videos queued for upload wait as long as it takes to set up an upload
+   * endpoint
+   * @returns {number} - Number of expired proofs
+   */
+  async expireStaleProofs(now = Date.now()) {
+    const workouts = await this._workoutRepository.getAllWorkouts();
+    let expired = 0;
+
+    for (const workout of workouts) {
+      if (workout.proofMethod === ProofMethod.RECORD) continue;
+      const days = this._expiryDaysByState[workout.proof.state];
+      if (!days) continue;
+      if (await this._isWaitingForUpload(workout)) continue;
+
+      const age = now - new Date(workout.proof.updatedAt).getTime();
+      if (age < days * 86400000) continue;
+
+      await this.transitionProof(
+        workout,
+        ProofState.EXPIRED,
+        `No progress for ${days} ${days === 1 ? "day" : "days"} while ${ProofState.getLabel(workout.proof.state).toLowerCase()}`,
+      );
+      if (workout.proofMethod === ProofMethod.ESCROW) {
+        // A late attestation has nothing left to settle
+        await this._escrowService.deleteClaimForWorkout(workout.id);
+      }
+      expired++;
+    }
+    return expired;
+  }
+
+  /**
+   * Check if a recorded video is queued for an upload that has not run yet
+   */
+  async _isWaitingForUpload(workout) {
+    if (
+      workout.proofMethod !== ProofMethod.VIDEO ||
+      workout.proof.state !== ProofState.RECORDED
+    ) {
+      return false;
+    }
+    const upload = await this._videoUploadRepository.getUploadByWorkoutId(
+      workout.id,
+    );
+    return !!upload && upload.status !== VideoUploadStatus.COMPLETED;
+  }
+
   /**
    * Get available guarantors for escrow
-   * Stub: Would return list of connected users who can verify
+   * @returns {Array} - Trusted guarantors from the address book
    */
   async getAvailableGuarantors() {
-    this._logger.log("[ProofService] Fetching available guarantors");
-
-    // Stub: Return mock guarantors
-    return [
-      { id: "guarantor-1", name: "Training Buddy", status: "online" },
-      { id: "guarantor-2", name: "Coach", status: "offline" },
-    ];
+    return this._escrowService.getTrustedGuarantors();
   }
 }
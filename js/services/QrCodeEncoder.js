@@ -0,0 +1,476 @@
+import { QrErrorCorrectionLevel } from "../constants/QrErrorCorrectionLevel.js";
+
+/**
+ * QrCodeEncoder - Turns text into a QR code image, without network or libraries
+ * Byte mode, versions 1-40, error correction level L or M, mask chosen by
+ * the standard penalty rules. Follows ISO/IEC 18004 as laid out in
+ * Project Nayuki's reference implementation.
+ */
+export class QrCodeEncoder {
+  constructor() {
+    this._quietZone = 4; // Light modules around the symbol, required by scanners
+
+    // Per level, indexed by version (index 0 unused)
+    this._eccCodewordsPerBlock = {
+      [QrErrorCorrectionLevel.LOW]: [
+        -1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28,
+        30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+        30, 30, 30, 30, 30,
+      ],
+      [QrErrorCorrectionLevel.MEDIUM]: [
+        -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28,
+        26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+        28, 28, 28, 28, 28,
+      ],
+    };
+    this._errorCorrectionBlocks = {
+      [QrErrorCorrectionLevel.LOW]: [
+        -1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9,
+        10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25,
+      ],
+      [QrErrorCorrectionLevel.MEDIUM]: [
+        -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+        17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45,
+        47, 49,
+      ],
+    };
+    this._formatBitsByLevel = {
+      [QrErrorCorrectionLevel.LOW]: 1,
+      [QrErrorCorrectionLevel.MEDIUM]: 0,
+    };
+  }
+
+  /**
+   * Encode text as a matrix of modules
+   * @param {string} text - Content, encoded as UTF-8 bytes
+   * @param {string} level - QrErrorCorrectionLevel
+   * @returns {Array<Array<boolean>>} - Rows of modules, true is dark
+   * @throws {Error} - If the level is unknown or the text does not fit in a
+   *   version 40 symbol
+   */
+  encode(text, level = QrErrorCorrectionLevel.LOW) {
+    if (!QrErrorCorrectionLevel.isValid(level)) {
+      throw new Error(`Invalid QR error correction level: ${level}`);
+    }
+    const bytes = new TextEncoder().encode(text);
+    const version = this._chooseVersion(bytes.length, level);
+    const codewords = this._addErrorCorrection(
+      this._buildDataCodewords(bytes, version, level),
+      version,
+      level,
+    );
+
+    const size = version * 4 + 17;
+    const symbol = {
+      size,
+      modules: Array.from({ length: size }, () => Array(size).fill(false)),
+      isFunction: Array.from({ length: size }, () => Array(size).fill(false)),
+    };
+    this._drawFunctionPatterns(symbol, version, level);
+    this._drawCodewords(symbol, codewords);
+
+    // Keep the mask that leaves the fewest scanner-confusing patterns
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      this._applyMask(symbol, mask);
+      this._drawFormatBits(symbol, level, mask);
+      const penalty = this._getPenalty(symbol);
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      this._applyMask(symbol, mask); // XOR again to undo
+    }
+    this._applyMask(symbol, bestMask);
+    this._drawFormatBits(symbol, level, bestMask);
+    return symbol.modules;
+  }
+
+  /**
+   * Encode text as an SVG image usable in an <img> src
+   */
+  toSvgDataUrl(text, level = QrErrorCorrectionLevel.LOW) {
+    const modules = this.encode(text, level);
+    const border = this._quietZone;
+    const extent = modules.length + border * 2;
+
+    let path = "";
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) path += `M${x + border},${y + border}h1v1h-1z`;
+      });
+    });
+    const svg =
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+  }
+
+  /**
+   * Smallest version whose data capacity holds the bytes
+   */
+  _chooseVersion(byteCount, level) {
+    for (let version = 1; version <= 40; version++) {
+      const countBits = version < 10 ? 8 : 16;
+      const capacityBits = this._getDataCodewordCount(version, level) * 8;
+      if (4 + countBits + byteCount * 8 <= capacityBits) return version;
+    }
+    throw new Error("Too much data for a QR code");
+  }
+
+  /**
+   * Mode, length, data, terminator and padding as data codewords
+   */
+  _buildDataCodewords(bytes, version, level) {
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    append(0b0100, 4); // Byte mode
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((byte) => append(byte, 8));
+
+    const capacityBits = this._getDataCodewordCount(version, level) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+      append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => acc * 2 + bit));
+    }
+    return codewords;
+  }
+
+  /**
+   * Split data into blocks, append Reed-Solomon codewords and interleave
+   */
+  _addErrorCorrection(data, version, level) {
+    const blockCount = this._errorCorrectionBlocks[level][version];
+    const eccLength = this._eccCodewordsPerBlock[level][version];
+    const rawCodewords = Math.floor(this._getRawModuleCount(version) / 8);
+    const shortBlockCount = blockCount - (rawCodewords % blockCount);
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = this._getReedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+      const length =
+        shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+      const block = data.slice(offset, offset + length);
+      offset += length;
+      const ecc = this._getReedSolomonRemainder(block, divisor);
+      if (i < shortBlockCount) block.push(0); // Placeholder, skipped below
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Modules available for data and error correction in a version
+   */
+  _getRawModuleCount(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const alignmentCount = Math.floor(version / 7) + 2;
+      result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  /**
+   * Data codewords a version holds at a level
+   */
+  _getDataCodewordCount(version, level) {
+    return (
+      Math.floor(this._getRawModuleCount(version) / 8) -
+      this._eccCodewordsPerBlock[level][version] *
+        this._errorCorrectionBlocks[level][version]
+    );
+  }
+
+  /**
+   * Generator polynomial of a Reed-Solomon code, highest term omitted
+   */
+  _getReedSolomonDivisor(degree) {
+    const result = Array(degree - 1).fill(0);
+    result.push(1);
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = this._multiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = this._multiply(root, 0x02);
+    }
+    return result;
+  }
+
+  /**
+   * Reed-Solomon error correction codewords of a block
+   */
+  _getReedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach((byte) => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= this._multiply(coefficient, factor);
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Product in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+   */
+  _multiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  /**
+   * Set a module that belongs to a fixed pattern
+   */
+  _setFunctionModule(symbol, x, y, dark) {
+    symbol.modules[y][x] = dark;
+    symbol.isFunction[y][x] = true;
+  }
+
+  /**
+   * Finder, timing and alignment patterns plus reserved format areas
+   */
+  _drawFunctionPatterns(symbol, version, level) {
+    const size = symbol.size;
+    for (let i = 0; i < size; i++) {
+      this._setFunctionModule(symbol, 6, i, i % 2 === 0);
+      this._setFunctionModule(symbol, i, 6, i % 2 === 0);
+    }
+
+    [
+      [3, 3],
+      [size - 4, 3],
+      [3, size - 4],
+    ].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          this._setFunctionModule(
+            symbol,
+            x,
+            y,
+            distance !== 2 && distance !== 4,
+          );
+        }
+      }
+    });
+
+    const positions = this._getAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        // Corners are taken by the finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last)) return;
+        if (i === last && j === 0) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this._setFunctionModule(
+              symbol,
+              cx + dx,
+              cy + dy,
+              Math.max(Math.abs(dx), Math.abs(dy)) !== 1,
+            );
+          }
+        }
+      });
+    });
+
+    this._drawFormatBits(symbol, level, 0); // Reserve, redrawn with the mask
+    this._drawVersionBits(symbol, version);
+  }
+
+  /**
+   * Centre coordinates of alignment patterns along each axis
+   */
+  _getAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step =
+      version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = version * 4 + 10; result.length < count; pos -= step) {
+      result.splice(1, 0, pos);
+    }
+    return result;
+  }
+
+  /**
+   * Error correction level and mask, BCH-protected, in both copies
+   */
+  _drawFormatBits(symbol, level, mask) {
+    const data = (this._formatBitsByLevel[level] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+    const size = symbol.size;
+
+    for (let i = 0; i <= 5; i++) this._setFunctionModule(symbol, 8, i, bit(i));
+    this._setFunctionModule(symbol, 8, 7, bit(6));
+    this._setFunctionModule(symbol, 8, 8, bit(7));
+    this._setFunctionModule(symbol, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      this._setFunctionModule(symbol, 14 - i, 8, bit(i));
+    }
+
+    for (let i = 0; i < 8; i++) {
+      this._setFunctionModule(symbol, size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this._setFunctionModule(symbol, 8, size - 15 + i, bit(i));
+    }
+    this._setFunctionModule(symbol, 8, size - 8, true); // Always dark
+  }
+
+  /**
+   * Version number blocks, from version 7 on
+   */
+  _drawVersionBits(symbol, version) {
+    if (version < 7) return;
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = symbol.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this._setFunctionModule(symbol, a, b, dark);
+      this._setFunctionModule(symbol, b, a, dark);
+    }
+  }
+
+  /**
+   * Place codewords in the zigzag order, skipping function patterns
+   */
+  _drawCodewords(symbol, codewords) {
+    const size = symbol.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing pattern
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!symbol.isFunction[y][x] && i < codewords.length * 8) {
+            symbol.modules[y][x] =
+              ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * XOR a mask pattern over the data modules
+   */
+  _applyMask(symbol, mask) {
+    const patterns = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+      (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+      (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+    ];
+    const invert = patterns[mask];
+    for (let y = 0; y < symbol.size; y++) {
+      for (let x = 0; x < symbol.size; x++) {
+        if (!symbol.isFunction[y][x] && invert(x, y)) {
+          symbol.modules[y][x] = !symbol.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Penalty score of a masked symbol: long runs, 2x2 blocks, finder-like
+   * sequences and dark/light imbalance
+   */
+  _getPenalty(symbol) {
+    const { size, modules } = symbol;
+    const finderLike = [true, false, true, true, true, false, true];
+    let penalty = 0;
+
+    const scoreLine = (line) => {
+      let run = 1;
+      for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) {
+          run++;
+          continue;
+        }
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+      for (let i = 0; i + 7 <= line.length; i++) {
+        if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+        const before = line.slice(Math.max(0, i - 4), i);
+        const after = line.slice(i + 7, i + 11);
+        // Outside the symbol counts as light
+        if (before.every((d) => !d) || after.every((d) => !d)) {
+          penalty += 40;
+        }
+      }
+    };
+
+    for (let y = 0; y < size; y++) scoreLine(modules[y]);
+    for (let x = 0; x < size; x++) scoreLine(modules.map((row) => row[x]));
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (
+          x < size - 1 &&
+          y < size - 1 &&
+          modules[y][x] === modules[y][x + 1] &&
+          modules[y][x] === modules[y + 1][x] &&
+          modules[y][x] === modules[y + 1][x + 1]
+        ) {
+          penalty += 3;
+        }
+      }
+    }
+    const total = size * size;
+    penalty += Math.ceil(Math.abs(dark * 20 - total * 10) / total - 1) * 10;
+    return penalty;
+  }
+}
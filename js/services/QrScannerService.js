@@ -0,0 +1,99 @@
+/**
+ * QrScannerService - Reads QR codes from the device camera
+ * Uses the browser's BarcodeDetector on the live preview, so scanning
+ * works offline. Browsers without it cannot scan in the app; the codes
+ * hold share links, which can be pasted into the scanner instead (see
+ * QrScanViewModel.submitPastedCode).
+ */
+export class QrScannerService {
+  constructor(logger) {
+    this._logger = logger;
+    this._stream = null;
+    this._detector = null;
+    this._timer = null;
+    this._scanIntervalMs = 250;
+  }
+
+  /**
+   * Check if the browser can scan QR codes
+   */
+  get isSupported() {
+    return (
+      typeof navigator !== "undefined" &&
+      !!navigator.mediaDevices?.getUserMedia &&
+      typeof BarcodeDetector !== "undefined"
+    );
+  }
+
+  /**
+   * Ask for camera access (rear camera, no microphone)
+   * @returns {MediaStream}
+   */
+  async openCamera() {
+    if (!this.isSupported) {
+      throw new Error("QR scanning is not supported on this device");
+    }
+    if (this._stream) return this._stream;
+
+    const formats = await BarcodeDetector.getSupportedFormats();
+    if (!formats.includes("qr_code")) {
+      throw new Error("QR scanning is not supported on this device");
+    }
+    this._detector = new BarcodeDetector({ formats: ["qr_code"] });
+    this._stream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: "environment" },
+      audio: false,
+    });
+    this._logger.log("[QrScannerService] Camera opened");
+    return this._stream;
+  }
+
+  /**
+   * Show the camera in a <video> element and report the first QR code seen
+   * @param {HTMLVideoElement} videoElement - Preview to scan
+   * @param {Function} onCode - Called once with the decoded text
+   */
+  startScanning(videoElement, onCode) {
+    if (!this._stream || !videoElement || this._timer) return;
+    videoElement.srcObject = this._stream;
+
+    const scan = async () => {
+      try {
+        if (videoElement.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+          const codes = await this._detector.detect(videoElement);
+          if (codes.length > 0 && this._timer) {
+            this._stopTimer();
+            onCode(codes[0].rawValue);
+            return;
+          }
+        }
+      } catch (error) {
+        this._logger.warn(
+          `[QrScannerService] Detection failed: ${error.message}`,
+        );
+      }
+      if (this._timer) this._timer = setTimeout(scan, this._scanIntervalMs);
+    };
+    this._timer = setTimeout(scan, this._scanIntervalMs);
+  }
+
+  /**
+   * Stop scanning and release the camera
+   */
+  closeCamera() {
+    this._stopTimer();
+    if (this._stream) {
+      this._stream.getTracks().forEach((track) => track.stop());
+      this._stream = null;
+      this._logger.log("[QrScannerService] Camera closed");
+    }
+  }
+
+  /**
+   * Stop the detection loop
+   */
+  _stopTimer() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
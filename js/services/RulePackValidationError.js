@@ -0,0 +1,21 @@
+/**
+ * RulePackValidationError - A rule pack does not match its schema
+ * Carries every problem found, each pointing to the offending path
+ */
+export class RulePackValidationError extends Error {
+  /**
+   * @param {string} source - Where the pack came from, e.g. its URL
+   * @param {Array} errors - [{path, message}], path like
+   *   "tiers[2].milestones[1].requiredWorkouts"
+   */
+  constructor(source, errors) {
+    const shown = errors
+      .slice(0, 3)
+      .map((error) => `${error.path}: ${error.message}`);
+    const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : "";
+    super(`Invalid rule pack ${source}: ${shown.join("; ")}${more}`);
+    this.name = "RulePackValidationError";
+    this.source = source;
+    this.errors = errors;
+  }
+}
@@ -0,0 +1,413 @@
+import { TierProgramSchema } from "../models/TierProgramSchema.js";
+import { ReferenceStandardsSchema } from "../models/ReferenceStandardsSchema.js";
+
+/**
+ * RulePackValidator - Checks tier program rule packs before they are used
+ *
+ * Walks the pack along TierProgramSchema and collects every problem instead
+ * of stopping at the first, so a pack author can fix them in one go. Each
+ * error names its path, e.g. "tiers[2].milestones[1].requiredWorkouts".
+ * Rules the schema cannot express (tier levels, prerequisite references)
+ * are checked afterwards.
+ * findUnreachable() lints valid packs for the tier program designer.
+ * validateStandards() does the same for FFI reference standards tables.
+ */
+export class RulePackValidator {
+  constructor() {
+    this._maxWorkoutMinutes = 24 * 60; // One logged workout, one day at most
+    this._maxRepsPerSecond = 2; // Faster than anyone moves through a benchmark
+  }
+
+  /**
+   * Validate a parsed rule pack
+   * @returns {Array} - [{path, message}], empty if the pack is valid
+   */
+  validate(pack) {
+    const errors = [];
+    this._check(pack, TierProgramSchema.root, "", errors);
+    if (errors.length === 0) {
+      this._checkTierLevels(pack, errors);
+    }
+    if (errors.length === 0) {
+      this._checkPrerequisiteReferences(pack, errors);
+    }
+    return errors;
+  }
+
+  /**
+   * Validate a parsed FFI reference standards table
+   * @returns {Array} - [{path, message}], empty if the table is valid
+   */
+  validateStandards(table) {
+    const errors = [];
+    this._check(table, ReferenceStandardsSchema.root, "", errors);
+    if (errors.length === 0) {
+      this._checkAgeGrading(table, errors);
+    }
+    return errors;
+  }
+
+  /**
+   * Find milestones a valid pack lets nobody complete
+   * Covers what the schema allows but the progression rules cannot count:
+   * workout requirements beside benchmarks, workouts longer than a day,
+   * benchmarks that need more reps than fit in their time cap and
+   * prerequisites that can never be met before the milestone is due
+   * @returns {Array} - [{path, message}], empty if every milestone is reachable
+   */
+  findUnreachable(pack) {
+    const problems = [];
+    pack.tiers.forEach((tier, tierIndex) => {
+      const waitingInCircle = this._findPrerequisiteCycles(tier);
+      tier.milestones.forEach((milestone, milestoneIndex) => {
+        const path = `tiers[${tierIndex}].milestones[${milestoneIndex}]`;
+        this._findUnreachablePrerequisites(
+          milestone,
+          tier,
+          path,
+          waitingInCircle,
+          problems,
+        );
+        const requirements = milestone.workoutRequirements || [];
+        const benchmarks = milestone.benchmarkWorkouts || [];
+
+        if (requirements.length > 0 && benchmarks.length > 0) {
+          problems.push({
+            path: `${path}.workoutRequirements`,
+            message:
+              "never count: the milestone is completed through its benchmarks",
+          });
+        }
+        requirements.forEach((requirement, index) => {
+          if (requirement.timeMinutes > this._maxWorkoutMinutes) {
+            problems.push({
+              path: `${path}.workoutRequirements[${index}].timeMinutes`,
+              message: `${requirement.timeMinutes} min is longer than a day in one workout`,
+            });
+          }
+        });
+        benchmarks.forEach((benchmark, index) => {
+          const reps = benchmark.exercises.reduce((sum, e) => sum + e.reps, 0);
+          const maxReps =
+            benchmark.timeCapMinutes * 60 * this._maxRepsPerSecond;
+          if (reps > maxReps) {
+            problems.push({
+              path: `${path}.benchmarkWorkouts[${index}].timeCapMinutes`,
+              message: `${reps} reps do not fit in ${benchmark.timeCapMinutes} min (more than ${this._maxRepsPerSecond} per second)`,
+            });
+          }
+        });
+      });
+    });
+    return problems;
+  }
+
+  /**
+   * Check a value against a schema node and descend into its children
+   */
+  _check(value, schema, path, errors) {
+    const fail = (message) => errors.push({ path: path || "(pack)", message });
+
+    if (!this._hasType(value, schema.type)) {
+      fail(`must be ${this._describeType(schema.type)}`);
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(
+        `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`,
+      );
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail("must not be empty");
+    }
+
+    if (schema.type === "object") {
+      this._checkObject(value, schema, path, errors);
+    }
+    if (schema.type === "array") {
+      this._checkArray(value, schema, path, errors);
+    }
+  }
+
+  /**
+   * Check required, known and nested properties of an object
+   */
+  _checkObject(value, schema, path, errors) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: this._join(path, key), message: "is required" });
+      }
+    }
+    if (schema.requireOne) {
+      const present = schema.requireOne.filter(
+        (key) => value[key] !== undefined,
+      );
+      if (present.length !== 1) {
+        errors.push({
+          path: path || "(pack)",
+          message: `must have exactly one of ${schema.requireOne.join(", ")}`,
+        });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        this._check(child, properties[key], this._join(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          path: this._join(path, key),
+          message: "is not a known property",
+        });
+      }
+    }
+  }
+
+  /**
+   * Check length, items and uniqueness of an array
+   */
+  _checkArray(value, schema, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({
+        path: path || "(pack)",
+        message: `must have at least ${schema.minItems} item(s)`,
+      });
+    }
+    value.forEach((item, index) => {
+      if (schema.items) {
+        this._check(item, schema.items, `${path}[${index}]`, errors);
+      }
+    });
+
+    for (const property of [].concat(schema.uniqueBy || [])) {
+      const seen = new Map();
+      value.forEach((item, index) => {
+        const key = item?.[property];
+        if (key === undefined) return;
+        if (seen.has(key)) {
+          errors.push({
+            path: `${path}[${index}].${property}`,
+            message: `"${key}" is already used by ${path}[${seen.get(key)}]`,
+          });
+        } else {
+          seen.set(key, index);
+        }
+      });
+    }
+  }
+
+  /**
+   * Tiers are looked up by level, so levels must run 0, 1, 2... in order
+   */
+  _checkTierLevels(pack, errors) {
+    pack.tiers.forEach((tier, index) => {
+      if (tier.level !== index) {
+        errors.push({
+          path: `tiers[${index}].level`,
+          message: `must be ${index} (levels run 0, 1, 2... in tier order)`,
+        });
+      }
+    });
+  }
+
+  /**
+   * Prerequisites must point to tiers and milestones the pack has
+   */
+  _checkPrerequisiteReferences(pack, errors) {
+    pack.tiers.forEach((tier, tierIndex) => {
+      tier.milestones.forEach((milestone, milestoneIndex) => {
+        if (!milestone.prerequisites) return;
+        this._checkReferences(
+          pack,
+          milestone.prerequisites,
+          tier.level,
+          `tiers[${tierIndex}].milestones[${milestoneIndex}].prerequisites`,
+          errors,
+        );
+      });
+    });
+    (pack.workoutTypeGates || []).forEach((gate, index) => {
+      this._checkReferences(
+        pack,
+        gate.prerequisites,
+        null,
+        `workoutTypeGates[${index}].prerequisites`,
+        errors,
+      );
+    });
+  }
+
+  /**
+   * Check the tiers and milestones one set of prerequisites refers to
+   * @param {number|null} ownTier - Tier a milestone reference defaults to
+   */
+  _checkReferences(pack, prerequisites, ownTier, path, errors) {
+    (prerequisites.milestones || []).forEach((reference, index) => {
+      const referencePath = `${path}.milestones[${index}]`;
+      const level = reference.tier ?? ownTier;
+      if (level === null) {
+        errors.push({
+          path: `${referencePath}.tier`,
+          message: "is required outside a tier",
+        });
+        return;
+      }
+      const tier = pack.tiers[level];
+      if (!tier) {
+        errors.push({
+          path: `${referencePath}.tier`,
+          message: `tier ${level} does not exist`,
+        });
+      } else if (!tier.milestones.some((m) => m.type === reference.type)) {
+        errors.push({
+          path: `${referencePath}.type`,
+          message: `tier ${level} has no ${reference.type} milestone`,
+        });
+      }
+    });
+    (prerequisites.tiers || []).forEach((level, index) => {
+      if (!pack.tiers[level]) {
+        errors.push({
+          path: `${path}.tiers[${index}]`,
+          message: `tier ${level} does not exist`,
+        });
+      }
+    });
+  }
+
+  /**
+   * Milestone prerequisites that only unlock after the milestone is due
+   * Athletes move up a tier once all its milestones are complete, so a
+   * milestone cannot wait for its own tier or a later one, nor for
+   * milestones of its tier that wait for it in turn
+   */
+  _findUnreachablePrerequisites(
+    milestone,
+    tier,
+    path,
+    waitingInCircle,
+    problems,
+  ) {
+    const prerequisites = milestone.prerequisites || {};
+    (prerequisites.milestones || []).forEach((reference, index) => {
+      const level = reference.tier ?? tier.level;
+      if (level > tier.level) {
+        problems.push({
+          path: `${path}.prerequisites.milestones[${index}].tier`,
+          message: `never unlocks: tier ${level} comes after this milestone's tier`,
+        });
+      }
+    });
+    (prerequisites.tiers || []).forEach((level, index) => {
+      if (level >= tier.level) {
+        problems.push({
+          path: `${path}.prerequisites.tiers[${index}]`,
+          message: `never unlocks: tier ${level} is not completed before this milestone`,
+        });
+      }
+    });
+    if (waitingInCircle.has(milestone.type)) {
+      problems.push({
+        path: `${path}.prerequisites.milestones`,
+        message: "never unlocks: its prerequisites wait for it in turn",
+      });
+    }
+  }
+
+  /**
+   * Milestone types of a tier whose same-tier prerequisites lead back to
+   * themselves
+   * @returns {Set<string>}
+   */
+  _findPrerequisiteCycles(tier) {
+    const waitsFor = new Map(
+      tier.milestones.map((milestone) => [
+        milestone.type,
+        (milestone.prerequisites?.milestones || [])
+          .filter((reference) => (reference.tier ?? tier.level) === tier.level)
+          .map((reference) => reference.type),
+      ]),
+    );
+    const leadsBack = (start) => {
+      const seen = new Set();
+      const pending = [...(waitsFor.get(start) || [])];
+      while (pending.length > 0) {
+        const type = pending.pop();
+        if (type === start) return true;
+        if (seen.has(type)) continue;
+        seen.add(type);
+        pending.push(...(waitsFor.get(type) || []));
+      }
+      return false;
+    };
+    return new Set([...waitsFor.keys()].filter(leadsBack));
+  }
+
+  /**
+   * Age bands are picked by the highest minAge not above the athlete's age,
+   * so they must start at 0 and rise
+   */
+  _checkAgeGrading(table, errors) {
+    if (table.ageGrading[0].minAge !== 0) {
+      errors.push({
+        path: "ageGrading[0].minAge",
+        message: "must be 0 so every age has a band",
+      });
+    }
+    table.ageGrading.forEach((band, index) => {
+      if (index > 0 && band.minAge <= table.ageGrading[index - 1].minAge) {
+        errors.push({
+          path: `ageGrading[${index}].minAge`,
+          message: `must be above ageGrading[${index - 1}].minAge`,
+        });
+      }
+    });
+  }
+
+  /**
+   * Check a value against a schema type name
+   */
+  _hasType(value, type) {
+    switch (type) {
+      case "object":
+        return (
+          typeof value === "object" && value !== null && !Array.isArray(value)
+        );
+      case "array":
+        return Array.isArray(value);
+      case "integer":
+        return Number.isInteger(value);
+      case "number":
+        return typeof value === "number" && Number.isFinite(value);
+      case "string":
+        return typeof value === "string";
+      case "boolean":
+        return typeof value === "boolean";
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Schema type name as it reads in an error message
+   */
+  _describeType(type) {
+    const article = ["object", "integer", "array"].includes(type) ? "an" : "a";
+    return `${article} ${type}`;
+  }
+
+  /**
+   * Append a property name to a path
+   */
+  _join(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+}
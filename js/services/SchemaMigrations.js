@@ -0,0 +1,132 @@
+/**
+ * SchemaMigrations - Ordered IndexedDB schema history for f17n355-db
+ *
+ * Append new steps at the end with the next version number. Never edit a
+ * step that has already shipped: users who ran it will not run it again.
+ */
+export const SchemaMigrations = [
+  {
+    version: 1,
+    description: "Initial schema: athletes, workouts, progress",
+    upgrade(context) {
+      context.createStore("athletes", { keyPath: "id" });
+      context.createStore("workouts", { keyPath: "id" }, [
+        { name: "date", keyPath: "date" },
+        { name: "tier", keyPath: "tier" },
+        { name: "milestoneType", keyPath: "milestoneType" },
+      ]);
+      context.createStore("progress", { keyPath: "id" });
+    },
+  },
+  {
+    version: 2,
+    description: "Sync outbox with one entry per mirrored record",
+    upgrade(context) {
+      context.createStore("outbox", { keyPath: "id" }, [
+        { name: "status", keyPath: "status" },
+        { name: "entityType", keyPath: "entityType" },
+      ]);
+    },
+  },
+  {
+    version: 3,
+    description: "Sync settings readable by the service worker",
+    upgrade(context) {
+      context.createStore("syncSettings", { keyPath: "id" });
+    },
+  },
+  {
+    version: 4,
+    description: "Sync conflict log for edits that could not be merged",
+    upgrade(context) {
+      context.createStore("syncConflicts", { keyPath: "id" }, [
+        { name: "status", keyPath: "status" },
+        { name: "entityType", keyPath: "entityType" },
+      ]);
+    },
+  },
+  {
+    version: 5,
+    description: "Recorded video proof kept on the device until uploaded",
+    upgrade(context) {
+      context.createStore("videoProofs", { keyPath: "workoutId" });
+    },
+  },
+  {
+    version: 6,
+    description: "Chunk state of resumable proof video uploads",
+    upgrade(context) {
+      context.createStore("videoUploads", { keyPath: "id" }, [
+        { name: "workoutId", keyPath: "workoutId" },
+        { name: "status", keyPath: "status" },
+      ]);
+    },
+  },
+  {
+    version: 7,
+    description: "Proof lifecycle replaces the workout verified flag",
+    async upgrade(context) {
+      // Existing workouts already counted: Off Record as recorded, others verified
+      await context.transformRecords("workouts", (workout) => {
+        if (workout.proof) return undefined;
+        const state =
+          workout.proofMethod === "record" ? "recorded" : "verified";
+        const { verified, ...rest } = workout;
+        return {
+          ...rest,
+          proof: {
+            state,
+            history: [
+              {
+                from: null,
+                to: state,
+                at: workout.date,
+                reason: "Logged before proof states existed",
+              },
+            ],
+          },
+        };
+      });
+    },
+  },
+  {
+    version: 8,
+    description: "Guarantor escrow: own signing key, address book, claims",
+    upgrade(context) {
+      context.createStore("signingKeys", { keyPath: "id" });
+      context.createStore("guarantors", { keyPath: "id" });
+      context.createStore("escrowClaims", { keyPath: "claimId" }, [
+        { name: "workoutId", keyPath: "workoutId" },
+        { name: "status", keyPath: "status" },
+      ]);
+    },
+  },
+  {
+    version: 9,
+    description: "Peer review of proof videos and reviewer reliability",
+    upgrade(context) {
+      context.createStore("peerReviews", { keyPath: "workoutId" }, [
+        { name: "status", keyPath: "status" },
+      ]);
+      context.createStore("reviewers", { keyPath: "id" });
+    },
+  },
+  {
+    version: 10,
+    description: "Unlocked achievements with their unlock dates",
+    upgrade(context) {
+      context.createStore("achievements", { keyPath: "id" });
+    },
+  },
+  {
+    version: 11,
+    description: "Body metrics log with one entry per measured day",
+    upgrade(context) {
+      context.createStore("bodyMetrics", { keyPath: "id" }, [
+        { name: "date", keyPath: "date", unique: true },
+      ]);
+    },
+  },
+];
+
+Object.freeze(SchemaMigrations);
@@ -0,0 +1,252 @@
+import { PerformanceMetric } from "../constants/PerformanceMetric.js";
+
+/**
+ * ScoringService - Computes the Functional Fitness Index (FFI)
+ *
+ * Every reference standard compares one metric of one workout type with the
+ * norm of the athlete's reference group. The best counted performance is
+ * turned into a z-score and then a percentile (0-100):
+ *
+ * - loads are scaled allometrically to the reference bodyweight,
+ *   value x (reference / bodyweight)^exponent, when a bodyweight is known
+ * - the norm is age graded: older athletes are compared with a lower mean
+ * - the percentile decays with the age of the performance (half-life)
+ *
+ * A category scores the mean of its tested standards; the FFI is the
+ * weighted mean of all categories, so untested categories pull it down.
+ * Standards tables come from RulesRepository and are versioned, every
+ * breakdown names the table it was calculated with.
+ */
+export class ScoringService {
+  constructor(
+    workoutRepository,
+    rulesRepository,
+    userPreferencesRepository,
+    logger,
+  ) {
+    this._workoutRepository = workoutRepository;
+    this._rulesRepository = rulesRepository;
+    this._userPreferencesRepository = userPreferencesRepository;
+    this._logger = logger;
+  }
+
+  /**
+   * Calculate the FFI of an athlete from the workout log
+   * Only workouts that count towards progress and carry metrics are scored
+   * @param {Athlete} athlete - Provides age and reference group
+   * @param {Object|null} bodyMetrics - {bodyweightKg}; loads are scored unscaled without it
+   * @param {Date} asOf - Point in time performances decay towards
+   * @returns {Object} - Breakdown, see scoreWorkouts()
+   * @throws {RulePackValidationError} - If the active standards table is invalid
+   */
+  async calculateScore(athlete, bodyMetrics = null, asOf = new Date()) {
+    const [standards, workouts] = await Promise.all([
+      this._rulesRepository.getActiveStandards(),
+      this._workoutRepository.getAllWorkouts(),
+    ]);
+    const policy = this._userPreferencesRepository.getOffRecordPolicy();
+    const scored = workouts.filter(
+      (workout) => workout.metrics && workout.countsTowardProgress(policy),
+    );
+
+    const breakdown = this.scoreWorkouts(
+      scored,
+      {
+        age: athlete.age,
+        referenceGroup: athlete.avatarSet,
+        bodyweightKg: bodyMetrics?.bodyweightKg ?? null,
+      },
+      standards,
+      asOf,
+    );
+    this._logger.log(
+      `[ScoringService] FFI ${breakdown.score} from ${scored.length} workouts (${standards.id} v${standards.version})`,
+    );
+    return breakdown;
+  }
+
+  /**
+   * Score workouts against a standards table, without touching storage
+   * @param {Array} workouts - Workouts to score, all assumed to count
+   * @param {Object} profile - {age, referenceGroup: "male"|"female", bodyweightKg}
+   * @param {Object} standards - Validated reference standards table
+   * @param {Date} asOf - Point in time performances decay towards
+   * @returns {Object} - {score, standards, calculatedAt, profile, categories, notes}
+   */
+  scoreWorkouts(workouts, profile, standards, asOf = new Date()) {
+    const notes = [];
+    const ageFactor = this._getAgeFactor(standards, profile.age);
+    if (profile.age === null || profile.age === undefined) {
+      notes.push("Age unknown: scored without age grading");
+    }
+    const usesBodyweight = standards.categories.some((category) =>
+      category.standards.some((standard) => standard.scaleByBodyweight),
+    );
+    if (usesBodyweight && !profile.bodyweightKg) {
+      notes.push("Bodyweight unknown: loads scored without bodyweight scaling");
+    }
+
+    const context = { profile, standards, ageFactor, asOf };
+    const totalWeight = standards.categories.reduce(
+      (sum, category) => sum + category.weight,
+      0,
+    );
+    const categories = standards.categories.map((category) => {
+      const entries = category.standards.map((standard) =>
+        this._scoreStandard(standard, workouts, context),
+      );
+      const tested = entries.filter((entry) => entry.tested);
+      const score =
+        tested.length > 0
+          ? tested.reduce((sum, entry) => sum + entry.score, 0) / tested.length
+          : 0;
+      if (tested.length === 0) {
+        notes.push(`${category.name}: no scored workouts yet`);
+      }
+      return {
+        id: category.id,
+        name: category.name,
+        weight: category.weight,
+        score: this._round(score, 1),
+        contribution: this._round((score * category.weight) / totalWeight, 2),
+        standards: entries,
+      };
+    });
+
+    const score = categories.reduce(
+      (sum, category) => sum + (category.score * category.weight) / totalWeight,
+      0,
+    );
+    return {
+      score: Math.round(score),
+      standards: {
+        id: standards.id,
+        version: standards.version,
+        name: standards.name,
+      },
+      calculatedAt: asOf.toISOString(),
+      profile: {
+        age: profile.age ?? null,
+        ageFactor,
+        referenceGroup: profile.referenceGroup,
+        bodyweightKg: profile.bodyweightKg ?? null,
+      },
+      categories,
+      notes,
+    };
+  }
+
+  /**
+   * Score one standard by the best performance among the workouts
+   * @returns {Object} - Breakdown entry; tested is false without a performance
+   */
+  _scoreStandard(standard, workouts, context) {
+    const entry = {
+      id: standard.id,
+      workoutType: standard.workoutType,
+      metric: standard.metric,
+      metricLabel: PerformanceMetric.getLabel(standard.metric),
+      better: standard.better,
+      tested: false,
+      score: 0,
+    };
+
+    let best = null;
+    for (const workout of workouts) {
+      if (workout.type !== standard.workoutType) continue;
+      const value = workout.metrics[standard.metric];
+      if (value === null || value === undefined) continue;
+
+      const result = this._scorePerformance(standard, workout, value, context);
+      if (!best || result.score > best.score) {
+        best = result;
+      }
+    }
+    if (!best) return entry;
+    return {
+      ...entry,
+      tested: true,
+      ...best,
+      score: this._round(best.score, 1),
+    };
+  }
+
+  /**
+   * Work one performance through scaling, z-score, percentile and decay
+   */
+  _scorePerformance(standard, workout, value, context) {
+    const { profile, standards, ageFactor, asOf } = context;
+    const norm = standard.norms[profile.referenceGroup];
+    const lowerIsBetter = standard.better === "lower";
+
+    let scaledValue = value;
+    if (standard.scaleByBodyweight && profile.bodyweightKg) {
+      const referenceKg =
+        standards.scaling.referenceBodyweightKg[profile.referenceGroup];
+      scaledValue =
+        value *
+        Math.pow(
+          referenceKg / profile.bodyweightKg,
+          standards.scaling.exponent,
+        );
+    }
+
+    // Lower factor, easier norm: less load expected, more time allowed
+    const mean = lowerIsBetter ? norm.mean / ageFactor : norm.mean * ageFactor;
+    const sd = lowerIsBetter ? norm.sd / ageFactor : norm.sd * ageFactor;
+    const z = lowerIsBetter
+      ? (mean - scaledValue) / sd
+      : (scaledValue - mean) / sd;
+    const percentile = this._normalCdf(z) * 100;
+
+    const ageDays = Math.max(0, (asOf - new Date(workout.date)) / 86400000);
+    const decayFactor = Math.pow(0.5, ageDays / standards.decay.halfLifeDays);
+
+    return {
+      workoutId: workout.id,
+      date: workout.date,
+      value: this._round(value, 2),
+      scaledValue: this._round(scaledValue, 2),
+      mean: this._round(mean, 2),
+      sd: this._round(sd, 2),
+      z: this._round(z, 2),
+      percentile: this._round(percentile, 1),
+      ageDays: Math.floor(ageDays),
+      decayFactor: this._round(decayFactor, 3),
+      score: percentile * decayFactor,
+    };
+  }
+
+  /**
+   * Age grading factor of the band the age falls in, 1 if the age is unknown
+   */
+  _getAgeFactor(standards, age) {
+    if (age === null || age === undefined) return 1;
+    const band = standards.ageGrading.filter((b) => b.minAge <= age).pop();
+    return band ? band.factor : 1;
+  }
+
+  /**
+   * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+   */
+  _normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly =
+      t *
+      (0.254829592 +
+        t *
+          (-0.284496736 +
+            t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  /**
+   * Round to a number of decimals
+   */
+  _round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+}
@@ -1,10 +1,16 @@
 /**
  * StorageService - Handles IndexedDB operations for offline-first storage
+ *
+ * Schema changes are applied through the injected MigrationRegistry: every
+ * pending step between the stored and the latest version runs in order inside
+ * the single versionchange transaction.
  */
 export class StorageService {
-  constructor() {
+  constructor(logger, migrationRegistry) {
+    this._logger = logger;
+    this._migrationRegistry = migrationRegistry;
     this._dbName = "f17n355-db";
-    this._dbVersion = 1;
+    this._dbVersion = migrationRegistry.latestVersion;
     this._db = null;
   }
 
@@ -14,42 +20,142 @@ export class StorageService {
   async initialize() {
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(this._dbName, this._dbVersion);
+      let migrationError = null;
 
       request.onerror = () => {
+        if (migrationError) {
+          reject(migrationError);
+          return;
+        }
+        if (request.error && request.error.name === "VersionError") {
+          const error = new Error(
+            `Database ${this._dbName} is newer than this app supports (v${this._dbVersion}). Please update the app.`,
+          );
+          this._logger.error(
+            "[StorageService] Refusing to open database",
+            error,
+          );
+          reject(error);
+          return;
+        }
         reject(new Error("Failed to open database"));
       };
 
+      request.onblocked = () => {
+        this._logger.warn(
+          "[StorageService] Database upgrade blocked by another open tab",
+        );
+      };
+
       request.onsuccess = (event) => {
         this._db = event.target.result;
+        this._db.onversionchange = () => {
+          this._logger.warn(
+            "[StorageService] Database upgraded elsewhere, closing connection",
+          );
+          this._db.close();
+          this._db = null;
+        };
         resolve(this._db);
       };
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
+        const transaction = event.target.transaction;
 
-        // Create object stores
-        if (!db.objectStoreNames.contains("athletes")) {
-          db.createObjectStore("athletes", { keyPath: "id" });
-        }
-
-        if (!db.objectStoreNames.contains("workouts")) {
-          const workoutStore = db.createObjectStore("workouts", {
-            keyPath: "id",
-          });
-          workoutStore.createIndex("date", "date", { unique: false });
-          workoutStore.createIndex("tier", "tier", { unique: false });
-          workoutStore.createIndex("milestoneType", "milestoneType", {
-            unique: false,
-          });
-        }
-
-        if (!db.objectStoreNames.contains("progress")) {
-          db.createObjectStore("progress", { keyPath: "id" });
-        }
+        this._runMigrations(
+          db,
+          transaction,
+          event.oldVersion,
+          event.newVersion,
+        ).catch((error) => {
+          migrationError = error;
+          this._logger.error("[StorageService] Migration failed", error);
+          transaction.abort();
+        });
       };
     });
   }
 
+  /**
+   * Run all pending migration steps sequentially
+   */
+  async _runMigrations(db, transaction, oldVersion, newVersion) {
+    const pending = this._migrationRegistry.getPendingMigrations(
+      oldVersion,
+      newVersion,
+    );
+    const context = this._createMigrationContext(db, transaction);
+
+    for (const migration of pending) {
+      this._logger.log(
+        `[StorageService] Migrating to v${migration.version}: ${migration.description}`,
+      );
+      await migration.upgrade(context);
+    }
+
+    this._logger.log(
+      `[StorageService] Database migrated from v${oldVersion} to v${newVersion}`,
+    );
+  }
+
+  /**
+   * Build the helper object handed to each migration step
+   */
+  _createMigrationContext(db, transaction) {
+    return {
+      db,
+      transaction,
+
+      /**
+       * Create a store (and its indexes) unless it already exists
+       */
+      createStore(storeName, options, indexes = []) {
+        const store = db.objectStoreNames.contains(storeName)
+          ? transaction.objectStore(storeName)
+          : db.createObjectStore(storeName, options);
+
+        indexes.forEach((index) => {
+          if (!store.indexNames.contains(index.name)) {
+            store.createIndex(index.name, index.keyPath, {
+              unique: index.unique || false,
+              multiEntry: index.multiEntry || false,
+            });
+          }
+        });
+        return store;
+      },
+
+      /**
+       * Rewrite every record of a store; transformFn returns the new record
+       * or undefined to leave it untouched
+       */
+      transformRecords(storeName, transformFn) {
+        return new Promise((resolve, reject) => {
+          const store = transaction.objectStore(storeName);
+          const request = store.openCursor();
+          let count = 0;
+
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+              resolve(count);
+              return;
+            }
+            const updated = transformFn(cursor.value);
+            if (updated !== undefined) {
+              cursor.update(updated);
+              count++;
+            }
+            cursor.continue();
+          };
+          request.onerror = () =>
+            reject(new Error(`Failed to transform records in ${storeName}`));
+        });
+      },
+    };
+  }
+
   /**
    * Get database connection (lazy initialization)
    */
@@ -60,6 +166,14 @@ export class StorageService {
     return this._db;
   }
 
+  /**
+   * Get names of all object stores in the database
+   */
+  async getStoreNames() {
+    const db = await this.getDb();
+    return Array.from(db.objectStoreNames);
+  }
+
   /**
    * Generic get item from store
    */
@@ -108,6 +222,31 @@ export class StorageService {
     });
   }
 
+  /**
+   * Read, change and put an item in one transaction, so no other writer
+   * can slip in between the read and the write
+   * @param {Function} applyChange - (item or null) => item to put, or null
+   *   to leave the store untouched
+   * @returns {Object|null} - The item put, or null
+   */
+  async updateItem(storeName, key, applyChange) {
+    const db = await this.getDb();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([storeName], "readwrite");
+      const store = transaction.objectStore(storeName);
+      const request = store.get(key);
+      let updated = null;
+
+      request.onsuccess = () => {
+        updated = applyChange(request.result || null);
+        if (updated) store.put(updated);
+      };
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () =>
+        reject(new Error(`Failed to update item in ${storeName}`));
+    });
+  }
+
   /**
    * Generic delete item from store
    */
@@ -124,6 +263,37 @@ export class StorageService {
     });
   }
 
+  /**
+   * Put and delete items across several stores in one transaction
+   * @param {Array} puts - [{storeName, item}, ...]
+   * @param {Array} deletes - [{storeName, key}, ...]
+   */
+  async writeItemsAtomically({ puts = [], deletes = [] }) {
+    const db = await this.getDb();
+    const storeNames = [
+      ...new Set([...puts, ...deletes].map((write) => write.storeName)),
+    ];
+    if (storeNames.length === 0) return;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, "readwrite");
+
+      puts.forEach(({ storeName, item }) => {
+        transaction.objectStore(storeName).put(item);
+      });
+      deletes.forEach(({ storeName, key }) => {
+        transaction.objectStore(storeName).delete(key);
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () =>
+        reject(
+          transaction.error ||
+            new Error(`Failed to write to ${storeNames.join(", ")}`),
+        );
+    });
+  }
+
   /**
    * Query items by index
    */
@@ -0,0 +1,249 @@
+/**
+ * StreakService - Consecutive active days and weeks, computed from the
+ * workout log
+ *
+ * A day is active when a workout was logged on it whose proof was not
+ * rejected or left to expire. Days are local days in the time zone the
+ * workout was logged in (the device's zone for workouts logged before zones
+ * were recorded), so travelling or a daylight saving change never splits or
+ * merges days. Weeks run Monday to Sunday and are met once they hold the
+ * athlete's weekly workout target.
+ *
+ * Every verifiedWorkoutsPerFreeze verified workouts earn a streak freeze,
+ * up to maxFreezes held at once. A missed day uses a freeze instead of
+ * breaking the daily streak. Today and the current week never break a
+ * streak: they are still open.
+ */
+export class StreakService {
+  constructor(workoutRepository, userPreferencesRepository, logger) {
+    this._workoutRepository = workoutRepository;
+    this._userPreferencesRepository = userPreferencesRepository;
+    this._logger = logger;
+    this._verifiedWorkoutsPerFreeze = 5;
+    this._maxFreezes = 2;
+    this._dayFormats = new Map(); // Time zone -> Intl.DateTimeFormat
+    this._lastStreaks = null; // "daily/weekly" of the last summary
+    this._streakChangedListeners = [];
+  }
+
+  /**
+   * Subscribe to changes of the current daily or weekly streak, noticed
+   * when a summary is calculated; listeners get the summary
+   */
+  onStreakChanged(listener) {
+    this._streakChangedListeners.push(listener);
+  }
+
+  /**
+   * Streaks of the athlete as of now, in the device's time zone
+   * @param {Date} asOf - Point in time whose local day is today
+   * @returns {Object} - See calculateStreaks()
+   */
+  async getStreakSummary(asOf = new Date()) {
+    const workouts = await this._workoutRepository.getAllWorkouts();
+    const summary = this.calculateStreaks(
+      workouts.filter((workout) => workout.isVerified || workout.proof.isOpen),
+      this._userPreferencesRepository.getWeeklyWorkoutTarget(),
+      asOf,
+      this._getDeviceTimeZone(),
+    );
+
+    const streaks = `${summary.daily.current}/${summary.weekly.current}`;
+    if (streaks !== this._lastStreaks) {
+      this._lastStreaks = streaks;
+      this._streakChangedListeners.forEach((listener) => listener(summary));
+    }
+    return summary;
+  }
+
+  /**
+   * Change how many workouts a week meets the weekly goal
+   */
+  setWeeklyWorkoutTarget(target) {
+    this._userPreferencesRepository.saveWeeklyWorkoutTarget(target);
+    this._logger.log(`[StreakService] Weekly workout target: ${target}`);
+  }
+
+  /**
+   * Calculate streaks from workouts, without touching storage
+   * @param {Array} workouts - Workouts that keep a streak going
+   * @param {number} weeklyTarget - Workouts a week needs to be met
+   * @param {Date} asOf - Point in time whose local day is today
+   * @param {string} timeZone - Zone of today and of workouts without one
+   * @returns {Object} - {today, timeZone, daily: {current, best, activeToday,
+   *   frozenDays}, weekly: {current, best, target, thisWeekCount,
+   *   metThisWeek, daysLeftThisWeek}, freezes: {available, max,
+   *   verifiedToNext}}
+   */
+  calculateStreaks(workouts, weeklyTarget, asOf, timeZone) {
+    const days = new Map(); // Day key -> {workouts, verified}
+    workouts.forEach((workout) => {
+      const key = this._getDayKey(
+        new Date(workout.date),
+        workout.timeZone || timeZone,
+      );
+      const day = days.get(key) || { workouts: 0, verified: 0 };
+      day.workouts++;
+      if (workout.isVerified) day.verified++;
+      days.set(key, day);
+    });
+
+    const today = this._getDayKey(asOf, timeZone);
+    const { daily, freezes } = this._calculateDaily(days, today);
+    return {
+      today,
+      timeZone,
+      daily,
+      weekly: this._calculateWeekly(days, today, weeklyTarget),
+      freezes,
+    };
+  }
+
+  /**
+   * Walk every day from the first active one, earning and using freezes
+   */
+  _calculateDaily(days, today) {
+    const keys = [...days.keys()].sort();
+    const end = keys.length > 0 && keys.at(-1) > today ? keys.at(-1) : today;
+    let current = 0;
+    let best = 0;
+    let available = 0;
+    let verified = 0; // Verified workouts towards the next freeze
+    let frozenDays = []; // Days frozen in the current streak
+
+    for (
+      let key = keys[0];
+      keys.length > 0 && key <= end;
+      key = this._addDays(key, 1)
+    ) {
+      const day = days.get(key);
+      if (day) {
+        current++;
+        best = Math.max(best, current);
+        verified += day.verified;
+        while (verified >= this._verifiedWorkoutsPerFreeze) {
+          verified -= this._verifiedWorkoutsPerFreeze;
+          available = Math.min(available + 1, this._maxFreezes);
+        }
+      } else if (key === today) {
+        // Still open
+      } else if (current > 0 && available > 0) {
+        available--;
+        frozenDays.push(key);
+      } else {
+        current = 0;
+        frozenDays = [];
+      }
+    }
+
+    return {
+      daily: {
+        current,
+        best,
+        activeToday: days.has(today),
+        frozenDays,
+      },
+      freezes: {
+        available,
+        max: this._maxFreezes,
+        verifiedToNext: this._verifiedWorkoutsPerFreeze - verified,
+      },
+    };
+  }
+
+  /**
+   * Walk every week from the first active one, counting weeks that met
+   * the target
+   */
+  _calculateWeekly(days, today, target) {
+    const weeks = new Map(); // Monday's day key -> workouts
+    for (const [key, day] of days) {
+      const week = this._getWeekKey(key);
+      weeks.set(week, (weeks.get(week) || 0) + day.workouts);
+    }
+
+    const thisWeek = this._getWeekKey(today);
+    const first = [...weeks.keys()].sort()[0];
+    let current = 0;
+    let best = 0;
+    for (
+      let week = first;
+      first !== undefined && week <= thisWeek;
+      week = this._addDays(week, 7)
+    ) {
+      if ((weeks.get(week) || 0) >= target) {
+        current++;
+        best = Math.max(best, current);
+      } else if (week !== thisWeek) {
+        current = 0;
+      }
+    }
+
+    const thisWeekCount = weeks.get(thisWeek) || 0;
+    return {
+      current,
+      best,
+      target,
+      thisWeekCount,
+      metThisWeek: thisWeekCount >= target,
+      daysLeftThisWeek: 7 - this._getWeekday(today),
+    };
+  }
+
+  /**
+   * Local calendar day of a point in time, e.g. "2026-10-19"
+   * Unknown time zones fall back to the device's
+   */
+  _getDayKey(date, timeZone) {
+    if (!this._dayFormats.has(timeZone)) {
+      let format;
+      try {
+        format = new Intl.DateTimeFormat("en-CA", {
+          timeZone,
+          year: "numeric",
+          month: "2-digit",
+          day: "2-digit",
+        });
+      } catch (error) {
+        this._logger.warn(`[StreakService] Unknown time zone ${timeZone}`);
+        format = new Intl.DateTimeFormat("en-CA", {
+          year: "numeric",
+          month: "2-digit",
+          day: "2-digit",
+        });
+      }
+      this._dayFormats.set(timeZone, format);
+    }
+    return this._dayFormats.get(timeZone).format(date);
+  }
+
+  /**
+   * Day key a number of days later (calendar arithmetic, no time zone)
+   */
+  _addDays(key, days) {
+    const date = new Date(`${key}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Day of the week of a day key, Monday 0 to Sunday 6
+   */
+  _getWeekday(key) {
+    return (new Date(`${key}T00:00:00Z`).getUTCDay() + 6) % 7;
+  }
+
+  /**
+   * Day key of the Monday starting a day's week
+   */
+  _getWeekKey(key) {
+    return this._addDays(key, -this._getWeekday(key));
+  }
+
+  /**
+   * Time zone the device is set to
+   */
+  _getDeviceTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+}
@@ -0,0 +1,154 @@
+import { SyncConflictError } from "../sync/SyncConflictError.js";
+
+/**
+ * SyncService - Drains the sync outbox through a pluggable transport
+ *
+ * Uploads rejected because another device changed the record first are
+ * handed to the SyncConflictResolver instead of being retried. Failed
+ * entries are retried with exponential backoff (baseDelay * 2^(attempts-1),
+ * capped at maxDelay). After maxAttempts the entry stays failed until
+ * retryFailedEntries() is called.
+ */
+export class SyncService {
+  constructor(
+    syncOutboxRepository,
+    syncTransport,
+    syncConflictResolver,
+    logger,
+  ) {
+    this._syncOutboxRepository = syncOutboxRepository;
+    this._syncTransport = syncTransport;
+    this._syncConflictResolver = syncConflictResolver;
+    this._logger = logger;
+    this._isSyncing = false;
+    this._baseRetryDelayMs = 5000;
+    this._maxRetryDelayMs = 60 * 60 * 1000;
+    this._maxAttempts = 8;
+  }
+
+  get isSyncing() {
+    return this._isSyncing;
+  }
+
+  /**
+   * Recover entries left in flight by a previous session whose lease ran out
+   */
+  async initialize() {
+    const recovered = await this._syncOutboxRepository.resetInFlightEntries();
+    if (recovered > 0) {
+      this._logger.log(
+        `[SyncService] Re-queued ${recovered} interrupted sync entries`,
+      );
+    }
+  }
+
+  /**
+   * Get number of records not yet synced
+   */
+  async getPendingSyncCount() {
+    return this._syncOutboxRepository.getPendingSyncCount();
+  }
+
+  /**
+   * Count logged conflicts the user has not reviewed yet
+   */
+  async getOpenConflictCount() {
+    return this._syncConflictResolver.getOpenConflictCount();
+  }
+
+  /**
+   * Push every due outbox entry to the server
+   * @param {Function} onProgress - Optional callback({synced, failed,
+   *   conflicted, total})
+   * @returns {Object} - {synced, failed, conflicted, skipped}
+   */
+  async syncPendingChanges(onProgress = null) {
+    if (this._isSyncing) {
+      return { synced: 0, failed: 0, conflicted: 0, skipped: true };
+    }
+    if (!this._syncTransport.isConfigured) {
+      this._logger.debug("[SyncService] No sync endpoint configured");
+      return { synced: 0, failed: 0, conflicted: 0, skipped: true };
+    }
+
+    this._isSyncing = true;
+    let synced = 0;
+    let failed = 0;
+    let conflicted = 0;
+
+    try {
+      const entries = await this._syncOutboxRepository.getAllDueSyncEntries();
+      const reportProgress = () => {
+        if (onProgress) {
+          onProgress({ synced, failed, conflicted, total: entries.length });
+        }
+      };
+      reportProgress();
+
+      for (const dueEntry of entries) {
+        const entry = await this._syncOutboxRepository.claimEntry(dueEntry.id);
+        if (!entry) continue;
+
+        try {
+          const result = await this._syncTransport.pushMutation(entry);
+          await this._syncConflictResolver.acknowledgeServerRevision(
+            entry,
+            result.revision,
+          );
+          synced++;
+        } catch (error) {
+          if (error instanceof SyncConflictError) {
+            conflicted++;
+            await this._syncConflictResolver.resolveConflict(
+              entry,
+              error.remoteRecord,
+            );
+          } else {
+            failed++;
+            await this._syncOutboxRepository.markAsFailed(
+              entry.id,
+              entry.mutationId,
+              error.message,
+              this._calculateNextAttemptAt(entry.attempts),
+            );
+            this._logger.warn(
+              `[SyncService] Sync failed for ${entry.id} (attempt ${entry.attempts})`,
+              error,
+            );
+          }
+        }
+        reportProgress();
+      }
+    } finally {
+      this._isSyncing = false;
+    }
+
+    if (synced > 0 || failed > 0 || conflicted > 0) {
+      this._logger.log(
+        `[SyncService] Sync finished: ${synced} synced, ${failed} failed, ${conflicted} conflicted`,
+      );
+    }
+    return { synced, failed, conflicted, skipped: false };
+  }
+
+  /**
+   * Give exhausted entries another full round of retries
+   */
+  async retryFailedEntries(onProgress = null) {
+    const count = await this._syncOutboxRepository.retryFailedEntries();
+    this._logger.log(`[SyncService] Retrying ${count} failed sync entries`);
+    return this.syncPendingChanges(onProgress);
+  }
+
+  /**
+   * Calculate next retry time, or null once retries are exhausted
+   */
+  _calculateNextAttemptAt(attempts) {
+    if (attempts >= this._maxAttempts) return null;
+    const delay = Math.min(
+      this._baseRetryDelayMs * 2 ** (attempts - 1),
+      this._maxRetryDelayMs,
+    );
+    return new Date(Date.now() + delay).toISOString();
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * VideoCaptureService - Records video proof from the device camera
+ * Wraps getUserMedia and MediaRecorder; keeps the elapsed recording time
+ * (pauses excluded) and stops by itself once the length limit is reached.
+ */
+export class VideoCaptureService {
+  constructor(logger) {
+    this._logger = logger;
+    this._stream = null;
+    this._recorder = null;
+    this._chunks = [];
+    this._mimeType = "";
+    this._elapsedMs = 0; // Recorded time before the current segment
+    this._segmentStartedAt = null; // Null while paused or stopped
+    this._recordingStartedAt = null;
+    this._timer = null;
+    this._maxSeconds = null;
+    this._onTick = null;
+    this._onLimitReached = null;
+  }
+
+  /**
+   * Check if the browser can record video
+   */
+  get isSupported() {
+    return (
+      typeof navigator !== "undefined" &&
+      !!navigator.mediaDevices?.getUserMedia &&
+      typeof MediaRecorder !== "undefined"
+    );
+  }
+
+  /**
+   * Check if a recording is running or paused
+   */
+  get isRecording() {
+    return this._recorder !== null && this._recorder.state !== "inactive";
+  }
+
+  /**
+   * Recorded time in whole seconds, pauses excluded
+   */
+  get elapsedSeconds() {
+    const running =
+      this._segmentStartedAt === null ? 0 : Date.now() - this._segmentStartedAt;
+    return Math.floor((this._elapsedMs + running) / 1000);
+  }
+
+  /**
+   * Ask for camera and microphone access
+   * @returns {MediaStream}
+   */
+  async openCamera() {
+    if (!this.isSupported) {
+      throw new Error("Video recording is not supported on this device");
+    }
+    if (this._stream) return this._stream;
+
+    this._stream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: "environment" },
+      audio: true,
+    });
+    this._logger.log("[VideoCaptureService] Camera opened");
+    return this._stream;
+  }
+
+  /**
+   * Show the live camera picture in a <video> element
+   */
+  attachPreview(videoElement) {
+    if (!videoElement || videoElement.srcObject === this._stream) return;
+    videoElement.srcObject = this._stream;
+  }
+
+  /**
+   * Release camera and microphone
+   */
+  closeCamera() {
+    if (this.isRecording) this._recorder.stop();
+    this._stopTimer();
+    if (this._stream) {
+      this._stream.getTracks().forEach((track) => track.stop());
+      this._stream = null;
+      this._logger.log("[VideoCaptureService] Camera closed");
+    }
+  }
+
+  /**
+   * Start recording from the open camera
+   * @param {Object} options - {maxSeconds, onTick(seconds), onLimitReached()}
+   */
+  startRecording({ maxSeconds = null, onTick = null, onLimitReached = null }) {
+    if (!this._stream) {
+      throw new Error("Camera is not open");
+    }
+    if (this.isRecording) {
+      throw new Error("A recording is already running");
+    }
+
+    this._mimeType = this._pickMimeType();
+    this._recorder = new MediaRecorder(
+      this._stream,
+      this._mimeType ? { mimeType: this._mimeType } : {},
+    );
+    this._chunks = [];
+    this._recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) this._chunks.push(event.data);
+    };
+
+    this._maxSeconds = maxSeconds;
+    this._onTick = onTick;
+    this._onLimitReached = onLimitReached;
+    this._elapsedMs = 0;
+    this._segmentStartedAt = Date.now();
+    this._recordingStartedAt = new Date(this._segmentStartedAt).toISOString();
+
+    // Timeslice so a crash mid-recording still leaves chunks behind
+    this._recorder.start(1000);
+    this._startTimer();
+    this._logger.log(
+      `[VideoCaptureService] Recording started (${this._mimeType || "default format"}, limit ${maxSeconds ?? "none"}s)`,
+    );
+  }
+
+  /**
+   * Pause the running recording
+   */
+  pauseRecording() {
+    if (!this._recorder || this._recorder.state !== "recording") return;
+    this._recorder.pause();
+    this._elapsedMs += Date.now() - this._segmentStartedAt;
+    this._segmentStartedAt = null;
+  }
+
+  /**
+   * Continue a paused recording
+   */
+  resumeRecording() {
+    if (!this._recorder || this._recorder.state !== "paused") return;
+    this._recorder.resume();
+    this._segmentStartedAt = Date.now();
+  }
+
+  /**
+   * Stop recording and collect the video
+   * @returns {Object} - {blob, mimeType, durationSeconds, startedAt, stoppedAt}
+   */
+  async stopRecording() {
+    if (!this.isRecording) {
+      throw new Error("No recording is running");
+    }
+
+    const durationSeconds = this.elapsedSeconds;
+    const stoppedAt = new Date().toISOString();
+    this._stopTimer();
+    this._segmentStartedAt = null;
+
+    const recorder = this._recorder;
+    await new Promise((resolve) => {
+      recorder.onstop = resolve;
+      recorder.stop();
+    });
+
+    const mimeType = recorder.mimeType || this._mimeType || "video/webm";
+    const blob = new Blob(this._chunks, { type: mimeType });
+    this._chunks = [];
+    this._recorder = null;
+
+    this._logger.log(
+      `[VideoCaptureService] Recording stopped: ${durationSeconds}s, ${blob.size} bytes`,
+    );
+    return {
+      blob,
+      mimeType,
+      durationSeconds,
+      startedAt: this._recordingStartedAt,
+      stoppedAt,
+    };
+  }
+
+  /**
+   * First container format the browser can record
+   */
+  _pickMimeType() {
+    const candidates = [
+      "video/webm;codecs=vp9,opus",
+      "video/webm;codecs=vp8,opus",
+      "video/webm",
+      "video/mp4",
+    ];
+    return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+  }
+
+  /**
+   * Report elapsed time and enforce the length limit
+   */
+  _startTimer() {
+    this._stopTimer();
+    this._timer = setInterval(() => {
+      const seconds = this.elapsedSeconds;
+      if (this._onTick) this._onTick(seconds);
+      if (this._maxSeconds !== null && seconds >= this._maxSeconds) {
+        this._stopTimer();
+        if (this._onLimitReached) this._onLimitReached();
+      }
+    }, 250);
+  }
+
+  /**
+   * Stop reporting elapsed time
+   */
+  _stopTimer() {
+    if (this._timer !== null) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * VideoMetadataReader - Reads length, resolution and frame timing of a video Blob
+ * Loads the Blob into a detached <video> element. Frame timing is sampled
+ * with requestVideoFrameCallback while the video plays muted for a moment;
+ * browsers without it report no frame timing.
+ */
+export class VideoMetadataReader {
+  constructor(logger) {
+    this._logger = logger;
+    this._sampleFrameCount = 30;
+    this._sampleTimeoutMs = 3000;
+    this._loadTimeoutMs = 10000;
+  }
+
+  /**
+   * Read the metadata of a recorded video
+   * @param {Blob} blob - Recorded video
+   * @returns {Object} - {durationSeconds, width, height, frameRate,
+   *   frameIntervalMs, frameIntervalJitterMs, sampledFrames}; values that
+   *   could not be read are null
+   */
+  async readMetadata(blob) {
+    const url = URL.createObjectURL(blob);
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = "metadata";
+
+    try {
+      video.src = url;
+      await this._waitForEvent(video, "loadedmetadata", this._loadTimeoutMs);
+      const durationSeconds = await this._readDuration(video);
+      const frameTiming = await this._sampleFrameTiming(video);
+
+      const metadata = {
+        durationSeconds,
+        width: video.videoWidth || null,
+        height: video.videoHeight || null,
+        ...frameTiming,
+      };
+      this._logger.log(
+        `[VideoMetadataReader] ${metadata.width}x${metadata.height}, ${durationSeconds}s, ${metadata.frameRate ?? "unknown"} fps`,
+      );
+      return metadata;
+    } finally {
+      video.pause();
+      video.removeAttribute("src");
+      video.load();
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Media duration in seconds
+   * MediaRecorder WebM files carry no duration; seeking far past the end
+   * makes the browser scan the file and report the real one.
+   */
+  async _readDuration(video) {
+    if (Number.isFinite(video.duration)) return video.duration;
+
+    video.currentTime = Number.MAX_SAFE_INTEGER;
+    try {
+      await this._waitForEvent(video, "seeked", this._loadTimeoutMs);
+    } catch (error) {
+      this._logger.warn(
+        `[VideoMetadataReader] Duration scan failed: ${error.message}`,
+      );
+    }
+    const duration = Number.isFinite(video.duration) ? video.duration : null;
+    video.currentTime = 0;
+    return duration;
+  }
+
+  /**
+   * Play the start of the video and measure the spacing of its frames
+   */
+  async _sampleFrameTiming(video) {
+    const timing = {
+      frameRate: null,
+      frameIntervalMs: null,
+      frameIntervalJitterMs: null,
+      sampledFrames: 0,
+    };
+    if (typeof video.requestVideoFrameCallback !== "function") return timing;
+
+    const samples = await new Promise((resolve) => {
+      const collected = [];
+      const timeout = setTimeout(
+        () => resolve(collected),
+        this._sampleTimeoutMs,
+      );
+      const onFrame = (now, frame) => {
+        collected.push({
+          mediaTime: frame.mediaTime,
+          presentedFrames: frame.presentedFrames,
+        });
+        if (collected.length >= this._sampleFrameCount) {
+          clearTimeout(timeout);
+          resolve(collected);
+          return;
+        }
+        video.requestVideoFrameCallback(onFrame);
+      };
+      video.requestVideoFrameCallback(onFrame);
+      video.play().catch(() => {
+        clearTimeout(timeout);
+        resolve(collected);
+      });
+    });
+    video.pause();
+
+    // Frames dropped during playback would look like long intervals
+    const intervals = [];
+    for (let i = 1; i < samples.length; i++) {
+      const frames =
+        samples[i].presentedFrames - samples[i - 1].presentedFrames;
+      const seconds = samples[i].mediaTime - samples[i - 1].mediaTime;
+      if (frames === 1 && seconds > 0) intervals.push(seconds * 1000);
+    }
+    if (intervals.length < 2) {
+      return { ...timing, sampledFrames: samples.length };
+    }
+
+    const mean = intervals.reduce((sum, ms) => sum + ms, 0) / intervals.length;
+    const variance =
+      intervals.reduce((sum, ms) => sum + (ms - mean) ** 2, 0) /
+      intervals.length;
+    return {
+      frameRate: Math.round((1000 / mean) * 10) / 10,
+      frameIntervalMs: Math.round(mean * 10) / 10,
+      frameIntervalJitterMs: Math.round(Math.sqrt(variance) * 10) / 10,
+      sampledFrames: samples.length,
+    };
+  }
+
+  /**
+   * Resolve on the first event of a type, reject on error or timeout
+   */
+  _waitForEvent(element, type, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timeout);
+        element.removeEventListener(type, onEvent);
+        element.removeEventListener("error", onError);
+      };
+      const onEvent = () => {
+        cleanup();
+        resolve();
+      };
+      const onError = () => {
+        cleanup();
+        reject(new Error("Video could not be decoded"));
+      };
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Timed out waiting for ${type}`));
+      }, timeoutMs);
+      element.addEventListener(type, onEvent);
+      element.addEventListener("error", onError);
+    });
+  }
+}
@@ -0,0 +1,367 @@
+import { VideoUploadStatus } from "../constants/VideoUploadStatus.js";
+
+/**
+ * VideoUploadService - Resumable, chunked upload of proof videos
+ *
+ * The recording is split into fixed-size chunks. Each chunk is sent with its
+ * SHA-256 checksum and marked in IndexedDB once the server has it, so a
+ * dropped connection or an app restart only repeats the chunk in flight.
+ * Every request is retried with exponential backoff (baseDelay * 2^(attempt-1));
+ * once retries run out the upload is failed and resumes when the browser
+ * comes back online or the app starts again. Uploads paused by the user
+ * stay paused until resumed. Without an upload endpoint nothing is sent:
+ * uploads can still be queued, and they start once an endpoint is set up.
+ */
+export class VideoUploadService {
+  constructor(
+    videoUploadRepository,
+    videoProofRepository,
+    uploadTransport,
+    logger,
+  ) {
+    this._videoUploadRepository = videoUploadRepository;
+    this._videoProofRepository = videoProofRepository;
+    this._uploadTransport = uploadTransport;
+    this._logger = logger;
+    this._chunkSizeBytes = 512 * 1024;
+    this._maxRequestAttempts = 4;
+    this._baseRetryDelayMs = 1000;
+    this._activeRuns = new Map(); // uploadId -> {promise, controller}
+    this._progressListeners = [];
+    this._completedListeners = [];
+  }
+
+  /**
+   * Resume interrupted uploads now and whenever the browser comes online
+   */
+  async initialize() {
+    window.addEventListener("online", () => {
+      this.resumeUnfinishedUploads().catch((error) => {
+        this._logger.error("[VideoUploadService] Resume failed", error);
+      });
+    });
+    this.resumeUnfinishedUploads().catch((error) => {
+      this._logger.error("[VideoUploadService] Resume failed", error);
+    });
+  }
+
+  /**
+   * Check if there is an endpoint to upload to
+   */
+  get isConfigured() {
+    return this._uploadTransport.isConfigured;
+  }
+
+  /**
+   * Subscribe to upload progress
+   * @param {Function} listener - Called with {workoutId, uploadId, status,
+   *   uploadedBytes, totalBytes, percent}
+   */
+  onProgress(listener) {
+    this._progressListeners.push(listener);
+  }
+
+  /**
+   * Subscribe to finished uploads
+   * @param {Function} listener - Called with the completed upload record
+   */
+  onUploadCompleted(listener) {
+    this._completedListeners.push(listener);
+  }
+
+  /**
+   * Upload the stored recording of a workout, continuing an earlier attempt
+   * @returns {Object} - Upload record after this run (completed, paused or failed)
+   * @throws {Error} - If no upload endpoint is configured
+   */
+  async startUpload(workoutId) {
+    if (!this.isConfigured) {
+      throw new Error("No video upload endpoint configured");
+    }
+    const upload = await this.queueUpload(workoutId);
+    if (upload.status === VideoUploadStatus.COMPLETED) return upload;
+    return this._run(upload.id);
+  }
+
+  /**
+   * Create the pending upload of a workout's stored recording without
+   * sending anything; resumeUnfinishedUploads() starts it
+   * @returns {Object} - The upload record, existing or new
+   * @throws {Error} - If the workout has no stored recording
+   */
+  async queueUpload(workoutId) {
+    const upload =
+      await this._videoUploadRepository.getUploadByWorkoutId(workoutId);
+    if (upload) return upload;
+
+    const recording =
+      await this._videoProofRepository.getRecordingByWorkoutId(workoutId);
+    if (!recording) {
+      throw new Error(`No recording stored for workout ${workoutId}`);
+    }
+    const created = await this._videoUploadRepository.createUpload(
+      recording,
+      this._chunkSizeBytes,
+    );
+    this._logger.log(
+      `[VideoUploadService] Created upload ${created.id}: ${created.sizeBytes} bytes in ${created.chunks.length} chunks`,
+    );
+    return created;
+  }
+
+  /**
+   * Pause the upload of a workout's video; the chunk in flight is dropped
+   */
+  async pauseUpload(workoutId) {
+    const upload =
+      await this._videoUploadRepository.getUploadByWorkoutId(workoutId);
+    if (!upload || upload.status === VideoUploadStatus.COMPLETED) return;
+
+    await this._videoUploadRepository.updateUploadStatus(
+      upload.id,
+      VideoUploadStatus.PAUSED,
+    );
+    const run = this._activeRuns.get(upload.id);
+    if (run) run.controller.abort();
+    this._emitProgress(
+      await this._videoUploadRepository.getUploadById(upload.id),
+    );
+    this._logger.log(`[VideoUploadService] Paused upload ${upload.id}`);
+  }
+
+  /**
+   * Continue a paused or failed upload
+   */
+  async resumeUpload(workoutId) {
+    return this.startUpload(workoutId);
+  }
+
+  /**
+   * Continue every upload that is neither completed nor paused, one at a time
+   * @returns {number} - Number of uploads completed
+   */
+  async resumeUnfinishedUploads() {
+    if (!this.isConfigured) {
+      this._logger.debug("[VideoUploadService] No upload endpoint configured");
+      return 0;
+    }
+    const uploads = await this._videoUploadRepository.getAllResumableUploads();
+    if (uploads.length === 0) return 0;
+
+    this._logger.log(
+      `[VideoUploadService] Resuming ${uploads.length} unfinished uploads`,
+    );
+    let completed = 0;
+    for (const upload of uploads) {
+      const result = await this._run(upload.id);
+      if (result.status === VideoUploadStatus.COMPLETED) completed++;
+    }
+    return completed;
+  }
+
+  /**
+   * Get the upload record of a workout's video
+   */
+  async getUploadByWorkoutId(workoutId) {
+    return this._videoUploadRepository.getUploadByWorkoutId(workoutId);
+  }
+
+  /**
+   * Drop a workout's video: stops its upload and deletes the recording
+   */
+  async deleteVideo(workoutId) {
+    const upload =
+      await this._videoUploadRepository.getUploadByWorkoutId(workoutId);
+    if (upload) {
+      const run = this._activeRuns.get(upload.id);
+      if (run) run.controller.abort();
+      await this._videoUploadRepository.deleteUploadByWorkoutId(workoutId);
+    }
+    await this._videoProofRepository.deleteRecording(workoutId);
+  }
+
+  /**
+   * Run an upload unless it is already running
+   */
+  _run(uploadId) {
+    const active = this._activeRuns.get(uploadId);
+    if (active) return active.promise;
+
+    const controller = new AbortController();
+    const promise = this._upload(uploadId, controller.signal).finally(() => {
+      this._activeRuns.delete(uploadId);
+    });
+    this._activeRuns.set(uploadId, { promise, controller });
+    return promise;
+  }
+
+  /**
+   * Send every missing chunk, then ask the server to assemble them
+   */
+  async _upload(uploadId, signal) {
+    let upload = await this._videoUploadRepository.updateUploadStatus(
+      uploadId,
+      VideoUploadStatus.UPLOADING,
+    );
+    this._emitProgress(upload);
+
+    try {
+      const recording =
+        await this._videoProofRepository.getRecordingByWorkoutId(
+          upload.workoutId,
+        );
+      if (!recording) {
+        throw new Error("Recording is no longer stored on this device");
+      }
+
+      const receivedChunks = await this._withRetry(
+        `opening ${uploadId}`,
+        signal,
+        () => this._uploadTransport.openUpload(upload),
+      );
+      upload = await this._videoUploadRepository.markChunksReceived(
+        uploadId,
+        receivedChunks,
+      );
+
+      for (const chunk of upload.chunks) {
+        if (chunk.uploaded && chunk.sha256) continue;
+        if (signal.aborted) break;
+
+        const start = chunk.index * upload.chunkSizeBytes;
+        const bytes = await recording.blob
+          .slice(start, start + upload.chunkSizeBytes)
+          .arrayBuffer();
+        const sha256 = await this._calculateSha256(bytes);
+
+        // Chunks the server reported as received only need their checksum
+        if (!chunk.uploaded) {
+          await this._withRetry(
+            `chunk ${chunk.index} of ${uploadId}`,
+            signal,
+            () =>
+              this._uploadTransport.pushChunk(
+                uploadId,
+                chunk.index,
+                bytes,
+                sha256,
+                signal,
+              ),
+          );
+        }
+        upload = await this._videoUploadRepository.markChunkUploaded(
+          uploadId,
+          chunk.index,
+          sha256,
+        );
+        this._emitProgress(upload);
+      }
+
+      if (signal.aborted) {
+        return this._videoUploadRepository.getUploadById(uploadId);
+      }
+
+      const result = await this._withRetry(
+        `completing ${uploadId}`,
+        signal,
+        () =>
+          this._uploadTransport.completeUpload(
+            uploadId,
+            upload.chunks.map((chunk) => chunk.sha256),
+          ),
+      );
+      if (result.sizeBytes !== upload.sizeBytes) {
+        throw new Error(
+          `Server assembled ${result.sizeBytes} bytes, expected ${upload.sizeBytes}`,
+        );
+      }
+
+      upload = await this._videoUploadRepository.markAsCompleted(
+        uploadId,
+        result.url,
+      );
+      this._emitProgress(upload);
+      this._logger.log(
+        `[VideoUploadService] Completed upload ${uploadId} (${result.url})`,
+      );
+      this._completedListeners.forEach((listener) => listener(upload));
+      return upload;
+    } catch (error) {
+      const current = await this._videoUploadRepository.getUploadById(uploadId);
+      // Paused or deleted while a chunk was in flight
+      if (signal.aborted || !current) return current;
+
+      this._logger.warn(
+        `[VideoUploadService] Upload ${uploadId} stopped: ${error.message}`,
+      );
+      upload = await this._videoUploadRepository.updateUploadStatus(
+        uploadId,
+        VideoUploadStatus.FAILED,
+        error.message,
+      );
+      this._emitProgress(upload);
+      return upload;
+    }
+  }
+
+  /**
+   * Run one upload request, retrying with backoff until attempts run out
+   * @param {string} label - What is sent, for the log
+   */
+  async _withRetry(label, signal, request) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        if (signal.aborted || attempt >= this._maxRequestAttempts) throw error;
+
+        const delay = this._baseRetryDelayMs * 2 ** (attempt - 1);
+        this._logger.warn(
+          `[VideoUploadService] Failed ${label} (${error.message}), retrying in ${delay}ms`,
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Hex SHA-256 digest of a chunk
+   */
+  async _calculateSha256(bytes) {
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(digest))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  /**
+   * Tell listeners how far an upload got
+   */
+  _emitProgress(upload) {
+    if (!upload) return;
+
+    const uploadedBytes = upload.chunks
+      .filter((chunk) => chunk.uploaded)
+      .reduce(
+        (sum, chunk) =>
+          sum +
+          Math.min(
+            upload.chunkSizeBytes,
+            upload.sizeBytes - chunk.index * upload.chunkSizeBytes,
+          ),
+        0,
+      );
+    const progress = {
+      workoutId: upload.workoutId,
+      uploadId: upload.id,
+      status: upload.status,
+      uploadedBytes,
+      totalBytes: upload.sizeBytes,
+      percent:
+        upload.sizeBytes > 0
+          ? Math.floor((uploadedBytes / upload.sizeBytes) * 100)
+          : 100,
+    };
+    this._progressListeners.forEach((listener) => listener(progress));
+  }
+}
@@ -0,0 +1,217 @@
+import { SyncPhase } from "../constants/SyncPhase.js";
+
+/**
+ * BackgroundSyncScheduler - Decides who drains the sync outbox
+ *
+ * With the Background Sync API the page only registers the `sync-workouts`
+ * tag and the service worker drains the queue, posting `sync-progress`
+ * messages back. Without it the page drains the queue itself right away
+ * and again whenever the browser comes back online.
+ *
+ * The service worker cannot merge conflicting edits; when it reports
+ * conflicts the page drains those entries itself.
+ */
+export class BackgroundSyncScheduler {
+  constructor(
+    syncService,
+    syncOutboxRepository,
+    userPreferencesRepository,
+    logger,
+  ) {
+    this._syncService = syncService;
+    this._syncOutboxRepository = syncOutboxRepository;
+    this._userPreferencesRepository = userPreferencesRepository;
+    this._logger = logger;
+    this._syncTag = "sync-workouts";
+    this._messageType = "sync-progress";
+    this._statusListeners = [];
+    this._isDraining = false;
+    this._isResyncRequested = false;
+    this._status = {
+      isSyncing: false,
+      synced: 0,
+      failed: 0,
+      conflicted: 0,
+      total: 0,
+      pendingCount: 0,
+      openConflictCount: 0,
+    };
+  }
+
+  /**
+   * Check if the browser supports the Background Sync API
+   */
+  get isBackgroundSyncSupported() {
+    return "serviceWorker" in navigator && "SyncManager" in window;
+  }
+
+  /**
+   * Current sync status snapshot
+   */
+  get status() {
+    return { ...this._status };
+  }
+
+  /**
+   * Wire listeners and schedule a sync if records are still pending
+   */
+  async initialize() {
+    await this._syncService.initialize();
+
+    this._syncOutboxRepository.onMutationQueued(() => {
+      this.scheduleSync().catch((error) => {
+        this._logger.error("[BackgroundSync] Failed to schedule sync", error);
+      });
+    });
+
+    window.addEventListener("online", () => this._handleOnline());
+
+    if ("serviceWorker" in navigator) {
+      navigator.serviceWorker.addEventListener("message", (event) =>
+        this._handleServiceWorkerMessage(event.data),
+      );
+    }
+
+    await this.refreshStatus();
+    if (this._status.pendingCount > 0) {
+      await this.scheduleSync();
+    }
+  }
+
+  /**
+   * Subscribe to sync status changes
+   * @param {Function} listener - Called with a status snapshot
+   */
+  onSyncStatusChanged(listener) {
+    this._statusListeners.push(listener);
+  }
+
+  /**
+   * Request a sync of all pending outbox records
+   */
+  async scheduleSync() {
+    await this._syncOutboxRepository.saveSyncEndpointMirror(
+      this._userPreferencesRepository.getSyncEndpoint(),
+    );
+    await this.refreshStatus();
+
+    if (await this._registerBackgroundSync()) return;
+
+    if (navigator.onLine) {
+      await this.syncNow();
+    }
+  }
+
+  /**
+   * Drain the outbox from the page, repeating if mutations arrived meanwhile
+   */
+  async syncNow() {
+    if (this._isDraining) {
+      this._isResyncRequested = true;
+      return;
+    }
+
+    this._isDraining = true;
+    try {
+      do {
+        this._isResyncRequested = false;
+        await this._syncService.syncPendingChanges((progress) =>
+          this._updateStatus({ isSyncing: true, ...progress }),
+        );
+      } while (this._isResyncRequested);
+    } finally {
+      this._isDraining = false;
+      this._updateStatus({ isSyncing: false });
+    }
+    await this.refreshStatus();
+  }
+
+  /**
+   * Register the background sync tag; false when it cannot be used
+   */
+  async _registerBackgroundSync() {
+    if (!this.isBackgroundSyncSupported) return false;
+
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (!registration || !registration.sync) return false;
+
+      await registration.sync.register(this._syncTag);
+      this._logger.debug(`[BackgroundSync] Registered ${this._syncTag}`);
+      return true;
+    } catch (error) {
+      this._logger.warn(
+        "[BackgroundSync] Registration failed, syncing from page",
+        error,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Fallback path: connectivity is back, retry everything immediately
+   */
+  async _handleOnline() {
+    if (this.isBackgroundSyncSupported) return;
+
+    this._logger.log("[BackgroundSync] Back online, syncing pending records");
+    try {
+      await this._syncOutboxRepository.retryFailedEntries();
+      await this.syncNow();
+    } catch (error) {
+      this._logger.error("[BackgroundSync] Online sync failed", error);
+    }
+  }
+
+  /**
+   * Translate service worker progress messages into status updates
+   */
+  _handleServiceWorkerMessage(message) {
+    if (!message || message.type !== this._messageType) return;
+
+    const { phase, synced, failed, conflicted = 0, total } = message;
+    this._updateStatus({
+      isSyncing: phase !== SyncPhase.FINISHED,
+      synced,
+      failed,
+      conflicted,
+      total,
+    });
+
+    if (phase !== SyncPhase.FINISHED) return;
+
+    if (conflicted > 0) {
+      this._logger.log(
+        `[BackgroundSync] Resolving ${conflicted} conflicts from page`,
+      );
+      this.syncNow().catch((error) => {
+        this._logger.error(
+          "[BackgroundSync] Conflict resolution failed",
+          error,
+        );
+      });
+      return;
+    }
+    this.refreshStatus().catch((error) => {
+      this._logger.error("[BackgroundSync] Failed to count pending", error);
+    });
+  }
+
+  /**
+   * Re-read the number of records waiting for sync and conflicts to review
+   */
+  async refreshStatus() {
+    const pendingCount = await this._syncService.getPendingSyncCount();
+    const openConflictCount = await this._syncService.getOpenConflictCount();
+    this._updateStatus({ pendingCount, openConflictCount });
+  }
+
+  /**
+   * Merge status changes and notify subscribers
+   */
+  _updateStatus(changes) {
+    this._status = { ...this._status, ...changes };
+    const snapshot = this.status;
+    this._statusListeners.forEach((listener) => listener(snapshot));
+  }
+}
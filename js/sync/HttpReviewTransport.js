@@ -0,0 +1,74 @@
+/**
+ * HttpReviewTransport - Hands proof videos to community peer reviewers
+ *
+ * Contract (see dev/review-server.mjs for the local stand-in):
+ *   GET  {endpoint}/reviewers            -> [{id, name}] reviewers taking assignments
+ *   POST {endpoint}/reviews              body {workoutId, videoUrl, reviewerIds, summary}
+ *                                        -> {reviewId}
+ *   GET  {endpoint}/reviews/{reviewId}   -> {reviewId, votes: [{reviewerId, passed, reasons, votedAt}]}
+ *
+ * The server only delivers assignments and collects votes; the quorum is
+ * decided on this device (see PeerReviewService).
+ */
+export class HttpReviewTransport {
+  constructor(userPreferencesRepository) {
+    this._userPreferencesRepository = userPreferencesRepository;
+  }
+
+  /**
+   * Endpoint is read on every call so preference changes apply immediately
+   */
+  get _endpoint() {
+    const endpoint = this._userPreferencesRepository.getReviewEndpoint();
+    return endpoint ? endpoint.replace(/\/+$/, "") : null;
+  }
+
+  get isConfigured() {
+    return this._endpoint !== null;
+  }
+
+  /**
+   * List the reviewers who take assignments
+   * @returns {Array} - [{id, name}]
+   */
+  async getReviewers() {
+    return this._request("GET", "/reviewers");
+  }
+
+  /**
+   * Assign a video to reviewers
+   * @returns {Object} - {reviewId}
+   */
+  async requestReview(request) {
+    return this._request("POST", "/reviews", {
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(request),
+    });
+  }
+
+  /**
+   * Get the votes cast on a review so far
+   * @returns {Object} - {reviewId, votes}
+   */
+  async getReview(reviewId) {
+    return this._request("GET", `/reviews/${encodeURIComponent(reviewId)}`);
+  }
+
+  /**
+   * Send a request and parse the JSON answer
+   */
+  async _request(method, path, init = {}) {
+    if (!this.isConfigured) {
+      throw new Error("No review endpoint configured");
+    }
+
+    const response = await fetch(`${this._endpoint}${path}`, {
+      method,
+      ...init,
+    });
+    if (!response.ok) {
+      throw new Error(`Review request failed with status ${response.status}`);
+    }
+    return response.json();
+  }
+}
@@ -0,0 +1,63 @@
+import { SyncOperation } from "../constants/SyncOperation.js";
+import { SyncConflictError } from "./SyncConflictError.js";
+
+/**
+ * HttpSyncTransport - Pushes outbox entries to a REST sync endpoint
+ *
+ * Contract (see dev/sync-server.mjs for the local stand-in):
+ *   PUT    {endpoint}/sync/{entityType}/{entityId}  body {mutationId, baseRevision, payload}
+ *   DELETE {endpoint}/sync/{entityType}/{entityId}  body {mutationId, baseRevision}
+ *
+ * Accepted writes answer {revision}. If the server record moved past
+ * baseRevision it answers 409 with {revision, payload, deleted}.
+ *
+ * Any transport exposing `isConfigured` and `pushMutation(entry)` can replace it.
+ */
+export class HttpSyncTransport {
+  constructor(userPreferencesRepository) {
+    this._userPreferencesRepository = userPreferencesRepository;
+  }
+
+  /**
+   * Endpoint is read on every call so preference changes apply immediately
+   */
+  get _endpoint() {
+    const endpoint = this._userPreferencesRepository.getSyncEndpoint();
+    return endpoint ? endpoint.replace(/\/+$/, "") : null;
+  }
+
+  get isConfigured() {
+    return this._endpoint !== null;
+  }
+
+  /**
+   * Send one outbox entry
+   * @returns {Object} - {revision} assigned by the server
+   * @throws {SyncConflictError} - When the server holds a newer revision
+   */
+  async pushMutation(entry) {
+    if (!this.isConfigured) {
+      throw new Error("No sync endpoint configured");
+    }
+
+    const url = `${this._endpoint}/sync/${entry.entityType}/${encodeURIComponent(entry.entityId)}`;
+    const isDelete = entry.operation === SyncOperation.DELETE;
+    const response = await fetch(url, {
+      method: isDelete ? "DELETE" : "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        mutationId: entry.mutationId,
+        baseRevision: entry.baseRevision || 0,
+        payload: isDelete ? null : entry.payload,
+      }),
+    });
+
+    if (response.status === 409) {
+      throw new SyncConflictError(await response.json());
+    }
+    if (!response.ok) {
+      throw new Error(`Sync request failed with status ${response.status}`);
+    }
+    return response.json();
+  }
+}
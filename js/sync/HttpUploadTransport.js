@@ -0,0 +1,102 @@
+/**
+ * HttpUploadTransport - Sends proof videos to a chunked upload endpoint
+ *
+ * Contract (see dev/upload-server.mjs for the local stand-in):
+ *   POST {endpoint}/uploads                        body {uploadId, workoutId, mimeType, sizeBytes, chunkSizeBytes, chunkCount}
+ *                                                  -> {receivedChunks: [index]}
+ *   PUT  {endpoint}/uploads/{uploadId}/chunks/{i}  raw bytes, header X-Chunk-SHA256
+ *                                                  -> {index}; 422 when the checksum does not match
+ *   POST {endpoint}/uploads/{uploadId}/complete    body {chunkChecksums}
+ *                                                  -> {url, sha256, sizeBytes}
+ *
+ * Opening an upload that already exists answers the chunks the server
+ * holds, which is how an interrupted upload resumes.
+ */
+export class HttpUploadTransport {
+  constructor(userPreferencesRepository) {
+    this._userPreferencesRepository = userPreferencesRepository;
+  }
+
+  /**
+   * Endpoint is read on every call so preference changes apply immediately
+   */
+  get _endpoint() {
+    const endpoint = this._userPreferencesRepository.getUploadEndpoint();
+    return endpoint ? endpoint.replace(/\/+$/, "") : null;
+  }
+
+  get isConfigured() {
+    return this._endpoint !== null;
+  }
+
+  /**
+   * Open (or reopen) an upload on the server
+   * @returns {Array<number>} - Indexes of chunks the server already holds
+   */
+  async openUpload(upload) {
+    const body = await this._request("POST", "/uploads", {
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        uploadId: upload.id,
+        workoutId: upload.workoutId,
+        mimeType: upload.mimeType,
+        sizeBytes: upload.sizeBytes,
+        chunkSizeBytes: upload.chunkSizeBytes,
+        chunkCount: upload.chunks.length,
+      }),
+    });
+    return body.receivedChunks || [];
+  }
+
+  /**
+   * Send one chunk with its checksum
+   * @param {AbortSignal} signal - Aborts the request when the upload is paused
+   */
+  async pushChunk(uploadId, index, bytes, sha256, signal) {
+    return this._request(
+      "PUT",
+      `/uploads/${encodeURIComponent(uploadId)}/chunks/${index}`,
+      {
+        headers: {
+          "Content-Type": "application/octet-stream",
+          "X-Chunk-SHA256": sha256,
+        },
+        body: bytes,
+        signal,
+      },
+    );
+  }
+
+  /**
+   * Ask the server to assemble the chunks
+   * @returns {Object} - {url, sha256, sizeBytes}
+   */
+  async completeUpload(uploadId, chunkChecksums) {
+    return this._request(
+      "POST",
+      `/uploads/${encodeURIComponent(uploadId)}/complete`,
+      {
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ chunkChecksums }),
+      },
+    );
+  }
+
+  /**
+   * Send a request and parse the JSON answer
+   */
+  async _request(method, path, init) {
+    if (!this.isConfigured) {
+      throw new Error("No upload endpoint configured");
+    }
+
+    const response = await fetch(`${this._endpoint}${path}`, {
+      method,
+      ...init,
+    });
+    if (!response.ok) {
+      throw new Error(`Upload request failed with status ${response.status}`);
+    }
+    return response.json();
+  }
+}
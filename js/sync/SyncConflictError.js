@@ -0,0 +1,14 @@
+/**
+ * SyncConflictError - The server holds a newer revision of a record
+ * Carries the server's copy so the conflict can be merged locally
+ */
+export class SyncConflictError extends Error {
+  /**
+   * @param {Object} remoteRecord - {revision, payload, deleted}
+   */
+  constructor(remoteRecord) {
+    super(`Server record is at revision ${remoteRecord.revision}`);
+    this.name = "SyncConflictError";
+    this.remoteRecord = remoteRecord;
+  }
+}
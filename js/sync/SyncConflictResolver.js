@@ -0,0 +1,283 @@
+import { SyncEntityType } from "../constants/SyncEntityType.js";
+import { SyncOperation } from "../constants/SyncOperation.js";
+import { SyncConflictStatus } from "../constants/SyncConflictStatus.js";
+import { Athlete } from "../models/Athlete.js";
+import { Workout } from "../models/Workout.js";
+
+/**
+ * SyncConflictResolver - Reconciles records edited on several devices
+ *
+ * Records carry the server revision they are based on. When the server
+ * rejects an upload because its revision moved on, the two versions are
+ * merged where the rules allow it:
+ *   - tier progress: max progress per milestone, union of benchmarks
+ *   - athlete: highest currentTier
+ * Whatever cannot be merged keeps the local value, is pushed on top of the
+ * server revision and is written to the conflict log for review.
+ */
+export class SyncConflictResolver {
+  constructor(
+    athleteRepository,
+    workoutRepository,
+    progressRepository,
+    progressionService,
+    syncOutboxRepository,
+    syncConflictRepository,
+    logger,
+  ) {
+    this._athleteRepository = athleteRepository;
+    this._workoutRepository = workoutRepository;
+    this._progressRepository = progressRepository;
+    this._progressionService = progressionService;
+    this._syncOutboxRepository = syncOutboxRepository;
+    this._syncConflictRepository = syncConflictRepository;
+    this._logger = logger;
+  }
+
+  /**
+   * Record the revision the server assigned to an accepted upload
+   */
+  async acknowledgeServerRevision(entry, revision) {
+    await this._syncOutboxRepository.markAsSynced(
+      entry.id,
+      entry.mutationId,
+      revision,
+    );
+    await this._applyServerRevision(entry, revision);
+  }
+
+  /**
+   * Reconcile an upload rejected because the server holds a newer revision
+   * @param {Object} entry - Outbox entry that was rejected
+   * @param {Object} remoteRecord - {revision, payload, deleted}
+   */
+  async resolveConflict(entry, remoteRecord) {
+    const current = await this._syncOutboxRepository.getEntryById(entry.id);
+    if (!current || current.mutationId !== entry.mutationId) {
+      // A newer local edit replaced this one; it gets its own round
+      return;
+    }
+
+    const localPayload =
+      entry.operation === SyncOperation.DELETE ? null : entry.payload;
+    const remotePayload = remoteRecord.deleted ? null : remoteRecord.payload;
+
+    if (!localPayload && !remotePayload) {
+      await this.acknowledgeServerRevision(entry, remoteRecord.revision);
+      return;
+    }
+    if (!localPayload || !remotePayload) {
+      await this._keepLocalVersion(entry, remoteRecord, "Deleted on one side");
+      return;
+    }
+
+    switch (entry.entityType) {
+      case SyncEntityType.PROGRESS:
+        await this._mergeProgress(entry, remoteRecord);
+        break;
+      case SyncEntityType.ATHLETE:
+        await this._mergeAthlete(entry, remoteRecord);
+        break;
+      default:
+        await this._reconcileWorkout(entry, remoteRecord);
+    }
+  }
+
+  /**
+   * Close a logged conflict keeping the version already pushed from here
+   */
+  async keepLocalVersion(conflictId) {
+    return this._syncConflictRepository.markConflictResolved(
+      conflictId,
+      SyncConflictStatus.KEPT_LOCAL,
+    );
+  }
+
+  /**
+   * Close a logged conflict by restoring the other device's version
+   * The restored version is saved locally and synced like any edit
+   */
+  async useRemoteVersion(conflictId) {
+    const conflict =
+      await this._syncConflictRepository.getConflictById(conflictId);
+    if (!conflict) {
+      throw new Error(`Sync conflict not found: ${conflictId}`);
+    }
+
+    const { entityType, entityId, remotePayload } = conflict;
+
+    if (entityType === SyncEntityType.PROGRESS) {
+      if (remotePayload) {
+        await this._progressionService.replaceProgress(remotePayload);
+      }
+    } else if (entityType === SyncEntityType.ATHLETE) {
+      await this._restoreRemoteAthlete(remotePayload);
+    } else {
+      await this._restoreRemoteWorkout(entityId, remotePayload, conflict);
+    }
+
+    this._logger.log(`[SyncConflictResolver] Restored remote ${entityType}`);
+    return this._syncConflictRepository.markConflictResolved(
+      conflictId,
+      SyncConflictStatus.USED_REMOTE,
+    );
+  }
+
+  /**
+   * Count conflicts still waiting for review
+   */
+  async getOpenConflictCount() {
+    return this._syncConflictRepository.getOpenConflictCount();
+  }
+
+  /**
+   * Merge tier progress; rule mismatches are logged
+   */
+  async _mergeProgress(entry, remoteRecord) {
+    const conflicts = await this._progressionService.mergeRemoteProgress(
+      remoteRecord.payload,
+      remoteRecord.revision,
+    );
+    if (conflicts.length > 0) {
+      await this._logConflict(
+        entry,
+        remoteRecord,
+        "Tier rules differ between devices",
+        conflicts,
+      );
+    }
+  }
+
+  /**
+   * Merge athlete profile; differing profile fields are logged
+   */
+  async _mergeAthlete(entry, remoteRecord) {
+    const athlete = await this._athleteRepository.getCurrentAthlete();
+    if (!athlete) {
+      await this._keepLocalVersion(entry, remoteRecord, "Deleted on one side");
+      return;
+    }
+
+    const differingFields = athlete.mergeRemote(
+      Athlete.fromJSON(remoteRecord.payload),
+    );
+    athlete.revision = remoteRecord.revision;
+    await this._athleteRepository.saveAthlete(athlete);
+
+    if (differingFields.length > 0) {
+      await this._logConflict(
+        entry,
+        remoteRecord,
+        "Profile edited on both devices",
+        differingFields,
+      );
+    }
+  }
+
+  /**
+   * Workouts have no merge rule: identical copies are accepted, anything
+   * else keeps the local version
+   */
+  async _reconcileWorkout(entry, remoteRecord) {
+    if (this._isSamePayload(entry.payload, remoteRecord.payload)) {
+      await this.acknowledgeServerRevision(entry, remoteRecord.revision);
+      return;
+    }
+    await this._keepLocalVersion(
+      entry,
+      remoteRecord,
+      "Workout edited on both devices",
+    );
+  }
+
+  /**
+   * Push the local version unchanged on top of the server revision
+   */
+  async _keepLocalVersion(entry, remoteRecord, reason) {
+    await this._syncOutboxRepository.rebaseEntry(
+      entry.id,
+      entry.mutationId,
+      remoteRecord.revision,
+    );
+    await this._applyServerRevision(entry, remoteRecord.revision);
+    await this._logConflict(entry, remoteRecord, reason, []);
+    this._syncOutboxRepository.notifyMutationQueued();
+  }
+
+  /**
+   * Write both versions to the conflict log
+   */
+  async _logConflict(entry, remoteRecord, reason, details) {
+    await this._syncConflictRepository.logConflict({
+      entityType: entry.entityType,
+      entityId: entry.entityId,
+      reason,
+      details,
+      localPayload:
+        entry.operation === SyncOperation.DELETE ? null : entry.payload,
+      remotePayload: remoteRecord.deleted ? null : remoteRecord.payload,
+      remoteRevision: remoteRecord.revision,
+    });
+    this._logger.warn(
+      `[SyncConflictResolver] Logged conflict for ${entry.id}: ${reason}`,
+    );
+  }
+
+  /**
+   * Update the local record's base revision without queueing a sync
+   */
+  async _applyServerRevision(entry, revision) {
+    switch (entry.entityType) {
+      case SyncEntityType.PROGRESS:
+        await this._progressRepository.applyServerRevision(revision);
+        break;
+      case SyncEntityType.ATHLETE:
+        await this._athleteRepository.applyServerRevision(revision);
+        break;
+      default:
+        await this._workoutRepository.applyServerRevision(
+          entry.entityId,
+          revision,
+        );
+    }
+  }
+
+  /**
+   * Restore the other device's athlete profile (or its deletion)
+   */
+  async _restoreRemoteAthlete(remotePayload) {
+    if (!remotePayload) {
+      await this._athleteRepository.deleteProfile();
+      return;
+    }
+
+    const local = await this._athleteRepository.getCurrentAthlete();
+    const athlete = Athlete.fromJSON(remotePayload);
+    athlete.revision = local ? local.revision : 0;
+    await this._athleteRepository.saveAthlete(athlete);
+  }
+
+  /**
+   * Restore the other device's workout (or its deletion)
+   */
+  async _restoreRemoteWorkout(workoutId, remotePayload, conflict) {
+    if (!remotePayload) {
+      await this._workoutRepository.deleteWorkout(workoutId);
+      return;
+    }
+
+    const local = await this._workoutRepository.getWorkoutById(workoutId);
+    await this._workoutRepository.saveWorkoutOnRevision(
+      Workout.fromJSON(remotePayload),
+      local ? local.revision : conflict.remoteRevision,
+    );
+  }
+
+  /**
+   * Compare two record payloads ignoring their revision bookkeeping
+   */
+  _isSamePayload(a, b) {
+    const strip = ({ revision, ...rest }) => rest;
+    return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+  }
+}
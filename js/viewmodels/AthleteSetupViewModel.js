@@ -1,3 +1,5 @@
+import { SkinTone } from "../constants/SkinTone.js";
+
 /**
  * AthleteSetupViewModel - Handles athlete profile setup screen
  */
@@ -10,7 +12,7 @@ export class AthleteSetupViewModel {
     this.name = "";
     this.birthday = "";
     this.gender = "male";
-    this.skinTone = "neutral";
+    this.skinTone = SkinTone.NEUTRAL;
     this.isLoading = false;
     this.errorMessage = "";
     this.isExistingProfile = false;
@@ -32,12 +34,11 @@ export class AthleteSetupViewModel {
    * Skin tone options with display colors
    */
   get skinToneOptions() {
-    return [
-      { value: "neutral", label: "Neutral", color: "#C4A484" },
-      { value: "white", label: "Light", color: "#FFE0BD" },
-      { value: "brown", label: "Medium", color: "#A0785A" },
-      { value: "black", label: "Dark", color: "#6B4423" },
-    ];
+    return SkinTone.getAll().map((tone) => ({
+      value: tone,
+      label: SkinTone.getLabel(tone),
+      color: SkinTone.getColor(tone),
+    }));
   }
 
   /**
@@ -60,7 +61,7 @@ export class AthleteSetupViewModel {
         this.name = athlete.name || "";
         this.birthday = athlete.birthday || "";
         this.gender = athlete.gender || "male";
-        this.skinTone = athlete.skinTone || "neutral";
+        this.skinTone = athlete.skinTone || SkinTone.NEUTRAL;
         this.isExistingProfile = true;
         this._logger.log("Loaded existing athlete profile");
       } else {
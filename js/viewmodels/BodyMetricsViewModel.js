@@ -0,0 +1,245 @@
+import { BodyMetric } from "../constants/BodyMetric.js";
+import { WeightUnit } from "../constants/WeightUnit.js";
+import { LengthUnit } from "../constants/LengthUnit.js";
+
+/**
+ * BodyMetricsViewModel - Body measurements on the profile screen: the
+ * form to log them, unit toggles, a trend chart and the history
+ */
+export class BodyMetricsViewModel {
+  constructor(bodyMetricsService, logger) {
+    this._bodyMetricsService = bodyMetricsService;
+    this._logger = logger;
+    this._entries = []; // BodyMetricsEntry, newest day first
+
+    // Public fields for Alpine.js bindings
+    this.weightUnit = WeightUnit.KG;
+    this.lengthUnit = LengthUnit.CM;
+    this.metricFields = []; // [{metric, label, icon, unit, step}]
+    this.date = this._bodyMetricsService.getToday();
+    this.today = this.date;
+    this.values = {}; // {BodyMetric: value entered}
+    this.history = []; // [{id, date, measurements: [{metric, icon, text}]}]
+    this.selectedMetric = BodyMetric.WEIGHT_KG;
+    this.trend = []; // [{date, value}] of the selected metric
+    this.isLoading = false;
+    this.errorMessage = "";
+    this.successMessage = "";
+  }
+
+  /**
+   * Weight unit options for toggle buttons
+   */
+  get weightUnitOptions() {
+    return WeightUnit.getAll().map((unit) => ({
+      value: unit,
+      label: WeightUnit.getLabel(unit),
+    }));
+  }
+
+  /**
+   * Length unit options for toggle buttons
+   */
+  get lengthUnitOptions() {
+    return LengthUnit.getAll().map((unit) => ({
+      value: unit,
+      label: LengthUnit.getLabel(unit),
+    }));
+  }
+
+  /**
+   * Trend of the selected metric in a 100x40 box: the line, a dot per
+   * measured day (also in percent, for markers over the chart), and the
+   * value range for the axis labels
+   */
+  get trendChart() {
+    if (this.trend.length === 0) {
+      return { linePath: "", points: [], minLabel: "", maxLabel: "" };
+    }
+
+    const times = this.trend.map((p) => new Date(p.date).getTime());
+    const values = this.trend.map((p) => p.value);
+    const firstTime = times[0];
+    const timeSpan = times.at(-1) - firstTime;
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+      min -= 1;
+      max += 1;
+    }
+
+    const points = this.trend.map((point, i) => {
+      const x =
+        timeSpan > 0 ? 4 + ((times[i] - firstTime) / timeSpan) * 92 : 50;
+      const y = 36 - ((point.value - min) / (max - min)) * 32;
+      return {
+        date: point.date,
+        value: point.value,
+        x,
+        y,
+        left: x,
+        top: y * 2.5,
+      };
+    });
+    const unit = this._getUnit(this.selectedMetric);
+    return {
+      linePath: points
+        .map(
+          (p, i) => `${i === 0 ? "M" : "L"}${p.x.toFixed(1)},${p.y.toFixed(1)}`,
+        )
+        .join(" "),
+      points,
+      minLabel: `${Math.min(...values)} ${unit}`,
+      maxLabel: `${Math.max(...values)} ${unit}`,
+    };
+  }
+
+  /**
+   * Latest value of the selected metric and its change since the first
+   * measurement, e.g. "72.5 kg (-1.5 since 1 Sep 2026)"
+   */
+  get trendSummary() {
+    if (this.trend.length === 0) return "";
+
+    const first = this.trend[0];
+    const last = this.trend.at(-1);
+    const unit = this._getUnit(this.selectedMetric);
+    if (this.trend.length === 1) {
+      return `${last.value} ${unit}`;
+    }
+
+    const change = Math.round((last.value - first.value) * 10) / 10;
+    const sign = change > 0 ? "+" : "";
+    return `${last.value} ${unit} (${sign}${change} since ${this.formatDate(first.date)})`;
+  }
+
+  /**
+   * Load units, history and trend
+   */
+  async loadMetrics() {
+    this.isLoading = true;
+    this.errorMessage = "";
+
+    try {
+      const units = this._bodyMetricsService.getUnits();
+      this.weightUnit = units.weight;
+      this.lengthUnit = units.length;
+      this.metricFields = BodyMetric.getAll().map((metric) => ({
+        metric,
+        label: BodyMetric.getLabel(metric),
+        icon: BodyMetric.getIcon(metric),
+        unit: this._bodyMetricsService.getUnitLabel(metric),
+        step: metric === BodyMetric.RESTING_HEART_RATE_BPM ? 1 : 0.1,
+      }));
+      this.today = this._bodyMetricsService.getToday();
+
+      this._entries = await this._bodyMetricsService.getHistory();
+      this.history = this._entries.map((entry) => ({
+        id: entry.id,
+        date: entry.date,
+        measurements: this.metricFields
+          .filter((field) => entry[field.metric] !== null)
+          .map((field) => ({
+            metric: field.metric,
+            icon: field.icon,
+            text: `${this._bodyMetricsService.toDisplayValue(field.metric, entry[field.metric])} ${field.unit}`,
+          })),
+      }));
+      this._updateTrend();
+    } catch (error) {
+      this._logger.error("Failed to load body metrics", error);
+      this.errorMessage = "Failed to load body metrics";
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * Log the values entered for the selected day
+   */
+  async logMeasurements() {
+    this.errorMessage = "";
+    this.successMessage = "";
+
+    try {
+      await this._bodyMetricsService.logMeasurements(this.date, this.values);
+      this.values = {};
+      this.successMessage = `Measurements of ${this.formatDate(this.date)} saved`;
+      await this.loadMetrics();
+    } catch (error) {
+      this._logger.error("Failed to log body metrics", error);
+      this.errorMessage = error.message;
+    }
+  }
+
+  /**
+   * Delete the measurements of a day
+   */
+  async deleteEntry(id) {
+    this.errorMessage = "";
+    this.successMessage = "";
+
+    try {
+      await this._bodyMetricsService.deleteEntry(id);
+      await this.loadMetrics();
+    } catch (error) {
+      this._logger.error("Failed to delete body metrics", error);
+      this.errorMessage = "Failed to delete measurements";
+    }
+  }
+
+  /**
+   * Switch the weight unit; values typed but not logged are cleared
+   */
+  async setWeightUnit(unit) {
+    this._bodyMetricsService.setWeightUnit(unit);
+    this.values = {};
+    await this.loadMetrics();
+  }
+
+  /**
+   * Switch the length unit; values typed but not logged are cleared
+   */
+  async setLengthUnit(unit) {
+    this._bodyMetricsService.setLengthUnit(unit);
+    this.values = {};
+    await this.loadMetrics();
+  }
+
+  /**
+   * Show the trend of another metric
+   */
+  selectMetric(metric) {
+    this.selectedMetric = metric;
+    this._updateTrend();
+  }
+
+  /**
+   * Format a day key for display, e.g. "19 Oct 2026"
+   */
+  formatDate(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString(undefined, {
+      day: "numeric",
+      month: "short",
+      year: "numeric",
+    });
+  }
+
+  /**
+   * Recalculate the trend of the selected metric
+   */
+  _updateTrend() {
+    this.trend = this._bodyMetricsService.getTrend(
+      this._entries,
+      this.selectedMetric,
+    );
+  }
+
+  /**
+   * Unit label of a metric as loaded
+   */
+  _getUnit(metric) {
+    const field = this.metricFields.find((f) => f.metric === metric);
+    return field ? field.unit : "";
+  }
+}
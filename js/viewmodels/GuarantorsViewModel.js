@@ -0,0 +1,261 @@
+import { EscrowPayloadKind } from "../constants/EscrowPayloadKind.js";
+import { ShareOutcome } from "../constants/ShareOutcome.js";
+
+/**
+ * GuarantorsViewModel - Guarantor address book and the guarantor's side of escrow
+ * Athletes add guarantors from shared cards and decide whose keys they
+ * trust. Guarantors share their own card and sign the claims athletes
+ * send them.
+ */
+export class GuarantorsViewModel {
+  constructor(escrowService, athleteRepository, logger) {
+    this._escrowService = escrowService;
+    this._athleteRepository = athleteRepository;
+    this._logger = logger;
+    this._ownPublicKey = null;
+
+    // Public fields for Alpine.js bindings
+    this.guarantors = [];
+    this.ownName = "";
+    this.ownFingerprint = "";
+    this.showOwnCardCode = false; // Card as QR code for a guarantor nearby
+    this.isLoading = false;
+    this.errorMessage = "";
+    this.successMessage = "";
+
+    // Incoming guarantor card, waiting to be added
+    this.incomingCard = null;
+    this.incomingCardFingerprint = "";
+
+    // Incoming claim, waiting for the guarantor's decision
+    this.incomingClaim = null;
+    this.isSigning = false;
+    this.attestationLink = ""; // Signed answer to send back to the athlete
+    this.attestationApproved = false;
+  }
+
+  /**
+   * Load the address book and this device's identity
+   */
+  async loadGuarantors() {
+    this.isLoading = true;
+    this.errorMessage = "";
+
+    try {
+      const identity = await this._escrowService.getOwnIdentity(
+        await this._getSignerName(),
+      );
+      this.ownName = identity.name;
+      this.ownFingerprint = identity.fingerprint;
+      this._ownPublicKey = identity.publicKey;
+      this.guarantors = await this._escrowService.getAllGuarantors();
+    } catch (error) {
+      this._logger.error("Failed to load guarantors", error);
+      this.errorMessage = "Failed to load guarantors";
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * Show a card or claim that arrived through a share link
+   * @param {Object} payload - Guarantor card or workout claim
+   */
+  async openPayload(payload) {
+    this.errorMessage = "";
+    this.successMessage = "";
+
+    if (payload.kind === EscrowPayloadKind.GUARANTOR) {
+      this.incomingCard = payload;
+      this.incomingCardFingerprint =
+        await this._escrowService.getCardFingerprint(payload);
+    } else if (payload.kind === EscrowPayloadKind.CLAIM) {
+      this.incomingClaim = payload;
+      this.attestationLink = "";
+    }
+  }
+
+  /**
+   * Check if the incoming claim is addressed to this device's key
+   */
+  get isClaimForThisDevice() {
+    return (
+      !!this.incomingClaim &&
+      this.incomingClaim.guarantorFingerprint === this.ownFingerprint
+    );
+  }
+
+  /**
+   * Link to this device's guarantor card under the name typed in ownName
+   */
+  get ownCardLink() {
+    if (!this._ownPublicKey || !this.ownName.trim()) return "";
+    return this._escrowService.buildLink(
+      this._escrowService.buildGuarantorCard(
+        this.ownName.trim(),
+        this._ownPublicKey,
+      ),
+    );
+  }
+
+  /**
+   * Show or hide this device's card as QR code
+   */
+  toggleOwnCardCode() {
+    this.showOwnCardCode = !this.showOwnCardCode;
+  }
+
+  /**
+   * Share this device's guarantor card under the name typed in ownName
+   */
+  async shareOwnCard() {
+    await this._share(async () => {
+      const card = await this._escrowService.getGuarantorCard(
+        this.ownName.trim(),
+      );
+      return this._escrowService.shareLink(
+        this._escrowService.buildLink(card),
+        `Add ${card.name} as your guarantor`,
+      );
+    });
+  }
+
+  /**
+   * Add the incoming card to the address book as trusted
+   */
+  async addIncomingCard() {
+    try {
+      const guarantor = await this._escrowService.addGuarantor(
+        this.incomingCard,
+      );
+      this.successMessage = `${guarantor.name} added as guarantor`;
+      this.dismissIncomingCard();
+      this.guarantors = await this._escrowService.getAllGuarantors();
+    } catch (error) {
+      this._logger.error("Failed to add guarantor", error);
+      this.errorMessage = error.message;
+    }
+  }
+
+  /**
+   * Forget the incoming card without adding it
+   */
+  dismissIncomingCard() {
+    this.incomingCard = null;
+    this.incomingCardFingerprint = "";
+  }
+
+  /**
+   * Trust or stop trusting a guarantor's attestations
+   */
+  async toggleTrusted(guarantor) {
+    try {
+      await this._escrowService.setGuarantorTrusted(
+        guarantor.id,
+        !guarantor.trusted,
+      );
+      this.guarantors = await this._escrowService.getAllGuarantors();
+    } catch (error) {
+      this._logger.error("Failed to update guarantor", error);
+      this.errorMessage = "Failed to update guarantor";
+    }
+  }
+
+  /**
+   * Remove a guarantor from the address book
+   */
+  async removeGuarantor(guarantor) {
+    try {
+      await this._escrowService.removeGuarantor(guarantor.id);
+      this.guarantors = await this._escrowService.getAllGuarantors();
+    } catch (error) {
+      this._logger.error("Failed to remove guarantor", error);
+      this.errorMessage = "Failed to remove guarantor";
+    }
+  }
+
+  /**
+   * Vouch for the incoming claim
+   */
+  async approveClaim() {
+    await this._signClaim(true);
+  }
+
+  /**
+   * Refuse to vouch for the incoming claim
+   */
+  async declineClaim() {
+    await this._signClaim(false);
+  }
+
+  /**
+   * Send the signed answer back to the athlete
+   */
+  async shareAttestation() {
+    await this._share(() =>
+      this._escrowService.shareLink(
+        this.attestationLink,
+        "Your workout was answered",
+      ),
+    );
+  }
+
+  /**
+   * Close the incoming claim
+   */
+  dismissIncomingClaim() {
+    this.incomingClaim = null;
+    this.attestationLink = "";
+    this.attestationApproved = false;
+  }
+
+  /**
+   * Sign the incoming claim and prepare the link back to the athlete
+   */
+  async _signClaim(approved) {
+    this.isSigning = true;
+    this.errorMessage = "";
+
+    try {
+      const attestation = await this._escrowService.signClaim(
+        this.incomingClaim,
+        approved,
+        this.ownName.trim(),
+      );
+      this.attestationLink = this._escrowService.buildLink(attestation);
+      this.attestationApproved = approved;
+    } catch (error) {
+      this._logger.error("Failed to sign claim", error);
+      this.errorMessage = error.message;
+    } finally {
+      this.isSigning = false;
+    }
+  }
+
+  /**
+   * Run a share action and report a copied link
+   */
+  async _share(share) {
+    this.errorMessage = "";
+    this.successMessage = "";
+
+    try {
+      const outcome = await share();
+      if (outcome === ShareOutcome.COPIED) {
+        this.successMessage = "Link copied to the clipboard";
+      }
+    } catch (error) {
+      if (error.name === "AbortError") return; // Share sheet dismissed
+      this._logger.error("Failed to share link", error);
+      this.errorMessage = "Could not share the link";
+    }
+  }
+
+  /**
+   * Name this device signs with: the athlete's name if there is a profile
+   */
+  async _getSignerName() {
+    const athlete = await this._athleteRepository.getCurrentAthlete();
+    return athlete?.name || "";
+  }
+}
@@ -0,0 +1,339 @@
+import { ProofState } from "../constants/ProofState.js";
+import { ProofMethod } from "../models/Workout.js";
+
+/**
+ * JudgeReviewViewModel - Internal judge tool for video proofs
+ * Plays the recordings of video workouts under review from the local proof
+ * store. The judge slows the video down or steps through it frame by frame,
+ * taps to count reps and pins notes like "No Rep at 1:02" to the moment
+ * they saw. The verdict settles the proof and counts approved workouts.
+ * Videos under peer review can be judged too; the judge's verdict wins.
+ * The screen also lists the track record of peer reviewers.
+ */
+export class JudgeReviewViewModel {
+  constructor(
+    workoutRepository,
+    videoProofRepository,
+    proofService,
+    peerReviewService,
+    progressionService,
+    logger,
+  ) {
+    this._workoutRepository = workoutRepository;
+    this._videoProofRepository = videoProofRepository;
+    this._proofService = proofService;
+    this._peerReviewService = peerReviewService;
+    this._progressionService = progressionService;
+    this._logger = logger;
+    this._player = null;
+    this._defaultFrameRate = 30; // When the integrity check could not read it
+
+    // Public fields for Alpine.js bindings
+    this.pendingProofs = []; // [{workout, recording, peerReview}], longest waiting first
+    this.reviewers = []; // Peer reviewers with reliability
+    this.isLoading = false;
+    this.errorMessage = "";
+    this.successMessage = "";
+
+    // Video under review
+    this.activeProof = null;
+    this.videoUrl = ""; // Object URL of the recording
+    this.playbackRates = [0.25, 0.5, 1, 1.5, 2];
+    this.playbackRate = 1;
+    this.isPlaying = false;
+    this.currentTime = 0;
+    this.repCount = 0;
+    this.notes = []; // [{atSeconds, text}], in video order
+    this.noteText = "";
+    this.isSubmitting = false;
+  }
+
+  /**
+   * Load video workouts under review that have their recording on this device
+   */
+  async loadPendingProofs() {
+    this.isLoading = true;
+    this.errorMessage = "";
+
+    try {
+      const workouts = (await this._workoutRepository.getAllWorkouts()).filter(
+        (workout) =>
+          workout.proofMethod === ProofMethod.VIDEO &&
+          workout.proof.state === ProofState.UNDER_REVIEW,
+      );
+      const pending = [];
+      for (const workout of workouts) {
+        const recording =
+          await this._videoProofRepository.getRecordingByWorkoutId(workout.id);
+        if (!recording) continue;
+        const peerReview = await this._peerReviewService.getReviewForWorkout(
+          workout.id,
+        );
+        pending.push({ workout, recording, peerReview });
+      }
+      this.pendingProofs = pending.sort(
+        (a, b) =>
+          new Date(a.workout.proof.updatedAt) -
+          new Date(b.workout.proof.updatedAt),
+      );
+      this.reviewers = await this._peerReviewService.getReviewerStats();
+      this._logger.log(
+        `Loaded ${this.pendingProofs.length} video proofs for review`,
+      );
+    } catch (error) {
+      this._logger.error("Failed to load video proofs for review", error);
+      this.errorMessage = "Failed to load video proofs";
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * Start reviewing a video with a fresh rep count and no notes
+   * @param {Object} item - Entry of pendingProofs
+   */
+  openProof(item) {
+    this.closeProof();
+    this.activeProof = item;
+    this.videoUrl = URL.createObjectURL(item.recording.blob);
+    this.playbackRate = 1;
+    this.currentTime = 0;
+    this.repCount = 0;
+    this.notes = [];
+    this.noteText = "";
+    this.errorMessage = "";
+    this.successMessage = "";
+  }
+
+  /**
+   * Stop reviewing and release the video
+   */
+  closeProof() {
+    if (this._player) this._player.pause();
+    if (this.videoUrl) URL.revokeObjectURL(this.videoUrl);
+    this._player = null;
+    this.videoUrl = "";
+    this.activeProof = null;
+    this.isPlaying = false;
+  }
+
+  /**
+   * Take control of the <video> element showing the recording
+   */
+  attachPlayer(videoElement) {
+    this._player = videoElement;
+    videoElement.playbackRate = this.playbackRate;
+  }
+
+  /**
+   * Mirror the player's position and play state (timeupdate, play, pause)
+   */
+  onPlayerUpdate() {
+    if (!this._player) return;
+    this.currentTime = this._player.currentTime;
+    this.isPlaying = !this._player.paused;
+  }
+
+  /**
+   * Play back slower or faster
+   */
+  setPlaybackRate(rate) {
+    this.playbackRate = rate;
+    if (this._player) this._player.playbackRate = rate;
+  }
+
+  /**
+   * Play or pause the video
+   */
+  togglePlayback() {
+    if (!this._player) return;
+    if (this._player.paused) {
+      this._player.play().catch((error) => {
+        this._logger.error("Failed to play video proof", error);
+      });
+    } else {
+      this._player.pause();
+    }
+  }
+
+  /**
+   * Pause and move one frame forward (1) or back (-1)
+   */
+  stepFrame(direction) {
+    if (!this._player) return;
+    this._player.pause();
+    const duration = Number.isFinite(this._player.duration)
+      ? this._player.duration
+      : Infinity;
+    const time = this._player.currentTime + direction / this.frameRate;
+    this._player.currentTime = Math.min(Math.max(time, 0), duration);
+    this.currentTime = this._player.currentTime;
+  }
+
+  /**
+   * Pause at the moment a note was pinned to
+   */
+  seekToNote(note) {
+    if (!this._player) return;
+    this._player.pause();
+    this._player.currentTime = note.atSeconds;
+    this.currentTime = note.atSeconds;
+  }
+
+  /**
+   * Count one rep
+   */
+  countRep() {
+    this.repCount++;
+  }
+
+  /**
+   * Take back the last counted rep
+   */
+  uncountRep() {
+    if (this.repCount > 0) this.repCount--;
+  }
+
+  /**
+   * Pin a note to the current position; an empty note reads "No Rep"
+   */
+  addNote() {
+    const atSeconds = this._player
+      ? this._player.currentTime
+      : this.currentTime;
+    this.notes = [
+      ...this.notes,
+      { atSeconds, text: this.noteText.trim() || "No Rep" },
+    ].sort((a, b) => a.atSeconds - b.atSeconds);
+    this.noteText = "";
+  }
+
+  /**
+   * Remove a pinned note
+   */
+  removeNote(note) {
+    this.notes = this.notes.filter((n) => n !== note);
+  }
+
+  /**
+   * Frame rate used for frame stepping
+   */
+  get frameRate() {
+    return (
+      this.activeProof?.recording.integrityReport?.metadata?.frameRate ||
+      this._defaultFrameRate
+    );
+  }
+
+  /**
+   * Player position with tenths, e.g. "1:02.4"
+   */
+  get currentTimeLabel() {
+    const tenths = Math.floor((this.currentTime % 1) * 10);
+    return `${this.formatTimestamp(this.currentTime)}.${tenths}`;
+  }
+
+  /**
+   * Reps the athlete logged, null if the workout has no rep count
+   */
+  get claimedReps() {
+    const workout = this.activeProof?.workout;
+    if (!workout) return null;
+    if (workout.benchmarkResult) return workout.benchmarkResult.completedReps;
+    if (workout.metrics && workout.metrics.totalReps > 0) {
+      return workout.metrics.totalReps;
+    }
+    return null;
+  }
+
+  /**
+   * Flags the integrity check raised for the active video
+   */
+  get integrityFlags() {
+    return this.activeProof?.recording.integrityReport?.flags || [];
+  }
+
+  /**
+   * Vote count of a video under peer review, e.g. "Peer review 1/3"
+   */
+  getPeerReviewLabel(item) {
+    if (!item.peerReview) return "";
+    return `Peer review ${item.peerReview.votes.length}/${item.peerReview.reviewers.length}`;
+  }
+
+  /**
+   * Reliability of a peer reviewer, e.g. "92% of 12 votes"
+   */
+  getReliabilityLabel(reviewer) {
+    if (reviewer.reliability === null) return "No decided votes yet";
+    return `${Math.round(reviewer.reliability * 100)}% of ${reviewer.votesCast} votes`;
+  }
+
+  /**
+   * Format a position in the video as "m:ss"
+   */
+  formatTimestamp(seconds) {
+    return this._proofService.formatTimestamp(seconds);
+  }
+
+  /**
+   * Verify the video and count the workout
+   */
+  async approve() {
+    await this._judge(true);
+  }
+
+  /**
+   * Reject the video for the reasons in the notes
+   */
+  async reject() {
+    await this._judge(false);
+  }
+
+  /**
+   * Record the verdict on the proof and the recording, then move on
+   */
+  async _judge(approved) {
+    this.isSubmitting = true;
+    this.errorMessage = "";
+    this.successMessage = "";
+
+    try {
+      const workout = this.activeProof.workout;
+      const review = {
+        approved,
+        repCount: this.repCount,
+        notes: this.notes.map((note) => ({ ...note })),
+        judgedAt: new Date().toISOString(),
+      };
+      await this._proofService.judgeVideoProof(workout, review);
+      await this._videoProofRepository.saveJudgeReview(workout.id, review);
+
+      if (approved) {
+        const result = await this._progressionService.countWorkout(workout);
+        if (result.success) {
+          const { name, progress, required } = result.milestoneProgress;
+          const levelUp = result.tierLevelUp?.leveledUp
+            ? ` · Level up: ${result.tierLevelUp.tierName}`
+            : "";
+          this.successMessage = `Verified. ${name}: ${progress}/${required}${levelUp}`;
+        } else {
+          this.successMessage = `Verified, but not counted: ${result.error}`;
+        }
+      } else {
+        this.successMessage = `Rejected: ${workout.type}`;
+      }
+      this._logger.log(
+        `Judged video of workout ${workout.id}: ${approved ? "approved" : "rejected"}`,
+      );
+
+      this.closeProof();
+      await this.loadPendingProofs();
+    } catch (error) {
+      this._logger.error("Failed to judge video proof", error);
+      this.errorMessage = error.message;
+    } finally {
+      this.isSubmitting = false;
+    }
+  }
+}
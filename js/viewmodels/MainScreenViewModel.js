@@ -1,5 +1,13 @@
-import { getAllWorkoutTypes } from "../models/TierConfiguration.js";
 import { ProofMethodType } from "../constants/ProofMethodType.js";
+import { WorkoutMetrics } from "../models/WorkoutMetrics.js";
+import { BenchmarkResult } from "../models/BenchmarkResult.js";
+import { VideoRecordingLimits } from "../constants/VideoRecordingLimits.js";
+import { VideoUploadStatus } from "../constants/VideoUploadStatus.js";
+import { VideoIntegrityVerdict } from "../constants/VideoIntegrityVerdict.js";
+import { ProofState } from "../constants/ProofState.js";
+import { DecayEventType } from "../constants/DecayEventType.js";
+import { ShareOutcome } from "../constants/ShareOutcome.js";
+import { ProofMethod } from "../models/Workout.js";
 
 /**
  * MainScreenViewModel - Handles main workout screen with milestones and tier progress
@@ -10,13 +18,42 @@ export class MainScreenViewModel {
     workoutRepository,
     progressionService,
     proofService,
+    escrowService,
+    videoCaptureService,
+    videoProofRepository,
+    videoUploadService,
+    backgroundSyncScheduler,
+    streakService,
+    achievementService,
+    avatarRenderer,
+    scoringService,
+    bodyMetricsService,
+    workoutTaxonomy,
     logger,
   ) {
     this._athleteRepository = athleteRepository;
     this._workoutRepository = workoutRepository;
     this._progressionService = progressionService;
     this._proofService = proofService;
+    this._escrowService = escrowService;
+    this._videoCaptureService = videoCaptureService;
+    this._videoProofRepository = videoProofRepository;
+    this._videoUploadService = videoUploadService;
+    this._backgroundSyncScheduler = backgroundSyncScheduler;
+    this._streakService = streakService;
+    this._achievementService = achievementService;
+    this._avatarRenderer = avatarRenderer;
+    this._scoringService = scoringService;
+    this._bodyMetricsService = bodyMetricsService;
+    this._workoutTaxonomy = workoutTaxonomy;
     this._logger = logger;
+    this._isSyncStatusSubscribed = false;
+    this._isVideoUploadSubscribed = false;
+    this._isDecaySubscribed = false;
+    this._isAchievementSubscribed = false;
+    this._achievementToastMs = 5000;
+    this._peerReviewTimer = null;
+    this._peerReviewPollMs = 60000;
 
     // Public fields for Alpine.js bindings
     this.athlete = null;
@@ -28,6 +65,13 @@ export class MainScreenViewModel {
     this.tierProgressPercent = 0;
     this.totalWorkoutsCompleted = 0;
     this.totalWorkoutsNeeded = 0;
+    this.categoryProgress = []; // Per fitness category, for the radar
+    this.decayWarnings = []; // Losses coming up if nothing counted is logged
+    this.decayLog = []; // What decay took so far, newest first
+    this.streak = null; // StreakService summary, null until loaded
+    this.avatar = null; // AvatarRenderer composition, null until loaded
+    this.fitnessIndex = null; // ScoringService breakdown, null until loaded
+    this.unlockedAchievements = []; // Just unlocked, shown until dismissed or timed out
     this.isLoading = false;
     this.errorMessage = "";
     this.successMessage = "";
@@ -35,7 +79,7 @@ export class MainScreenViewModel {
     // Workout adding state - step 1: select workout
     this.showWorkoutSelectionModal = false;
     this.availableMilestones = [];
-    this.groupedMilestones = {}; // { 'early': [...], 'late': [...] }
+    this.workoutTypeLocks = {}; // {workoutType: [reasons]} for gated types
     this.selectedMilestone = "";
     this.selectedWorkoutType = "";
     this.availableWorkoutTypes = [];
@@ -43,14 +87,28 @@ export class MainScreenViewModel {
     this.availableBenchmarks = []; // Benchmark workout options
     this.isBenchmarkMilestone = false; // Flag to indicate if selected milestone uses benchmarks
 
+    // Workout adding state - step 1: logged metrics (form inputs)
+    this.metricSets = [{ reps: "", weightKg: "" }];
+    this.metricDurationMinutes = "";
+    this.metricDistanceKm = "";
+
+    // Workout adding state - step 1: benchmark attempt (form inputs)
+    this.benchmarkAttemptInputs = []; // [{workoutType, targetReps, completedReps, split}]
+    this.bestBenchmarkAttempts = {}; // Best logged attempt per benchmark index
+
     // Workout adding state - step 2: select proof method
     this.showProofMethodModal = false;
     this.selectedProofMethod = "";
 
-    // Escrow waiting state
-    this.isEscrowWaiting = false;
-    this.escrowWaitingWorkout = null;
-    this.escrowWaitingResult = null;
+    // Escrow state
+    this.availableGuarantors = []; // Trusted guarantors from the address book
+    this.selectedGuarantorId = "";
+    this.showEscrowShareModal = false;
+    this.escrowShareLink = ""; // Claim link for the guarantor
+    this.escrowGuarantorName = "";
+    this.escrowShareMessage = "";
+    this.isEscrowWaiting = false; // True while claims wait for an attestation
+    this.pendingEscrowCount = 0;
     this.escrowIconSuccess = false; // Flag to show green success state before fade out
 
     // Video proof state
@@ -59,24 +117,74 @@ export class MainScreenViewModel {
     this.isPaused = false;
     this.hasRecording = false; // True when recording is stopped and ready to submit/discard
     this.videoProofWorkout = null; // Store workout for later submission
+    this.isCameraReady = false;
+    this.cameraErrorMessage = "";
+    this.recordingSeconds = 0;
+    this.recordingLimitSeconds = VideoRecordingLimits.DEFAULT_MAX_SECONDS;
+    this.recordingLimitReached = false;
+    this.isCheckingVideo = false;
+    this.videoRejectionReasons = []; // Why the metadata check refused the video
     this.isUploadingVideo = false;
+    this.isUploadPaused = false;
+    this.activeUploadWorkoutId = null; // Workout whose upload the indicator shows
     this.uploadProgress = 0;
-    this.isAnalyzingVideo = false;
-    this.analyzingProgress = 0;
+    this.pendingReviewCount = 0; // Video proofs waiting for a judge
 
     // Level up celebration state
     this.showLevelUp = false;
     this.newTierName = "";
+
+    // Sync indicator state
+    this.isSyncing = false;
+    this.syncPendingCount = 0;
+    this.syncCompletedCount = 0;
+    this.syncTotalCount = 0;
+    this.syncOpenConflictCount = 0;
+  }
+
+  /**
+   * Show sync indicator while syncing or while records wait for sync
+   */
+  get showSyncIndicator() {
+    return this.isSyncing || this.syncPendingCount > 0;
+  }
+
+  /**
+   * Show conflict indicator while logged conflicts wait for review
+   */
+  get showConflictIndicator() {
+    return this.syncOpenConflictCount > 0;
+  }
+
+  /**
+   * Label for the escrow waiting indicator
+   */
+  get escrowWaitingLabel() {
+    if (this.pendingEscrowCount === 1) return "Waiting for your guarantor";
+    return `${this.pendingEscrowCount} claims waiting`;
+  }
+
+  /**
+   * Label for the sync indicator
+   */
+  get syncStatusLabel() {
+    if (this.isSyncing) {
+      return `Syncing ${this.syncCompletedCount}/${this.syncTotalCount}`;
+    }
+    return `${this.syncPendingCount} pending`;
   }
 
   /**
-   * Get avatar image path based on athlete and tier
+   * Inline style drawing an avatar layer; tinted layers use the artwork
+   * as a mask over the tint color
    */
-  get avatarImagePath() {
-    if (!this.athlete) {
-      return "img/male0.jpg";
+  getAvatarLayerStyle(layer) {
+    const artwork = `url(${layer.src}) center / ${layer.cover ? "cover" : "contain"} no-repeat`;
+    const opacity = `opacity: ${layer.opacity};`;
+    if (!layer.tint) {
+      return `background: ${artwork}; ${opacity}`;
     }
-    return this.athlete.getAvatarPath(this.currentTier);
+    return `background-color: ${layer.tint}; -webkit-mask: ${artwork}; mask: ${artwork}; ${opacity}`;
   }
 
   /**
@@ -87,8 +195,10 @@ export class MainScreenViewModel {
     this.errorMessage = "";
 
     try {
-      // Initialize progression service
+      // Initialize progression service and apply decay due since last time
       await this._progressionService.initialize();
+      this._subscribeToDecay();
+      await this._progressionService.startDecaySchedule();
 
       // Load athlete
       this.athlete = await this._athleteRepository.getCurrentAthlete();
@@ -99,6 +209,18 @@ export class MainScreenViewModel {
       // Load available milestones for workout form
       await this.loadAvailableMilestones();
 
+      // Unlock achievements earned while the app was closed or before
+      // the trophy room existed
+      this._subscribeToAchievements();
+      await this._achievementService.evaluateAll();
+
+      this._subscribeToSyncStatus();
+      this._subscribeToVideoUploads();
+      await this._loadPendingEscrow();
+      await this.loadPendingReviewCount();
+      await this.checkPeerReviews();
+      this._startPeerReviewPolling();
+
       this._logger.log("Main screen initialized");
     } catch (error) {
       this._logger.error("Failed to initialize main screen", error);
@@ -108,8 +230,90 @@ export class MainScreenViewModel {
     }
   }
 
+  /**
+   * Bind sync indicator fields to background sync status (once)
+   * Subscribed here, not in the constructor, so updates go through
+   * Alpine's reactive proxy
+   */
+  _subscribeToSyncStatus() {
+    if (this._isSyncStatusSubscribed) return;
+    this._isSyncStatusSubscribed = true;
+
+    const applyStatus = (status) => {
+      // Merged edits from other devices may have changed progress
+      if (this.isSyncing && !status.isSyncing) {
+        this.refreshProgress();
+      }
+      this.isSyncing = status.isSyncing;
+      this.syncPendingCount = status.pendingCount;
+      this.syncCompletedCount =
+        status.synced + status.failed + status.conflicted;
+      this.syncTotalCount = status.total;
+      this.syncOpenConflictCount = status.openConflictCount;
+    };
+    applyStatus(this._backgroundSyncScheduler.status);
+    this._backgroundSyncScheduler.onSyncStatusChanged(applyStatus);
+  }
+
+  /**
+   * Refresh progress when the midnight decay evaluation took something (once)
+   */
+  _subscribeToDecay() {
+    if (this._isDecaySubscribed) return;
+    this._isDecaySubscribed = true;
+
+    this._progressionService.onDecayEvaluated(async (events) => {
+      if (events.length > 0) {
+        this.athlete = await this._athleteRepository.getCurrentAthlete();
+        await this.loadAvailableMilestones();
+      }
+      await this.refreshProgress(); // Warnings move on every day
+    });
+  }
+
+  /**
+   * Celebrate achievements as they unlock (once)
+   * Subscribed here, not in the constructor, so updates go through
+   * Alpine's reactive proxy
+   */
+  _subscribeToAchievements() {
+    if (this._isAchievementSubscribed) return;
+    this._isAchievementSubscribed = true;
+
+    this._achievementService.onAchievementUnlocked((achievements) => {
+      this.unlockedAchievements = [
+        ...this.unlockedAchievements,
+        ...achievements,
+      ];
+      this.triggerTrophyRain();
+      setTimeout(() => {
+        achievements.forEach((achievement) =>
+          this.dismissAchievement(achievement.id),
+        );
+      }, this._achievementToastMs);
+    });
+  }
+
+  /**
+   * Hide the toast of an unlocked achievement
+   */
+  dismissAchievement(id) {
+    this.unlockedAchievements = this.unlockedAchievements.filter(
+      (achievement) => achievement.id !== id,
+    );
+  }
+
+  /**
+   * Material icon for a decay log entry
+   */
+  getDecayEventIcon(event) {
+    return DecayEventType.getIcon(event.type);
+  }
+
   /**
    * Refresh tier progress data
+   * Decay, streak, avatar and FFI fail on their own, so one broken part does
+   * not blank the others
    */
   async refreshProgress() {
     try {
@@ -123,55 +327,174 @@ export class MainScreenViewModel {
       this.totalWorkoutsCompleted = summary.totalWorkoutsCompleted || 0;
       this.totalWorkoutsNeeded = summary.totalWorkoutsNeeded || 0;
       this.milestones = summary.milestones;
+      this.categoryProgress = summary.categories;
     } catch (error) {
       this._logger.error("Failed to refresh progress", error);
     }
+
+    try {
+      if (this.athlete) {
+        this.avatar = this._avatarRenderer.compose(
+          this.athlete,
+          await this._progressionService.getCategoryStrengths(),
+          this.currentTier,
+        );
+      }
+    } catch (error) {
+      this._logger.error("Failed to refresh avatar", error);
+    }
+
+    try {
+      this.decayWarnings = await this._progressionService.getDecayWarnings();
+      this.decayLog = this._progressionService.getDecayLog();
+    } catch (error) {
+      this._logger.error("Failed to refresh decay warnings", error);
+    }
+
+    try {
+      this.streak = await this._streakService.getStreakSummary();
+    } catch (error) {
+      this._logger.error("Failed to refresh streak", error);
+    }
+
+    try {
+      if (this.athlete) {
+        this.fitnessIndex = await this._scoringService.calculateScore(
+          this.athlete,
+          await this._bodyMetricsService.getBodyMetricsForScoring(),
+        );
+      }
+    } catch (error) {
+      this._logger.error("Failed to refresh fitness index", error);
+    }
   }
 
   /**
-   * Load available milestones for workout form, grouped by priority
+   * Change the weekly workout target by a step, e.g. -1 or 1
    */
-  async loadAvailableMilestones() {
-    const allMilestones =
-      await this._progressionService.getAvailableMilestones();
-
-    // Group milestones into early (bronze, silver, gold) and late (platinum, diamond)
-    const early = [];
-    const late = [];
+  async changeWeeklyTarget(step) {
+    if (!this.streak) return;
+    const target = this.streak.weekly.target + step;
+    if (target < 1 || target > 14) return;
 
-    for (const milestone of allMilestones) {
-      if (["bronze", "silver", "gold"].includes(milestone.type)) {
-        early.push(milestone);
-      } else {
-        late.push(milestone);
-      }
+    try {
+      this._streakService.setWeeklyWorkoutTarget(target);
+      this.streak = await this._streakService.getStreakSummary();
+    } catch (error) {
+      this._logger.error("Failed to change weekly target", error);
     }
+  }
+
+  /**
+   * Category radar in a 100x100 box: grid rings (25% steps) and spokes as
+   * one path, the progress shape, and label positions in percent
+   */
+  get categoryRadar() {
+    const count = this.categoryProgress.length;
+    if (count === 0) return { gridPath: "", shapePoints: "", labels: [] };
+
+    const point = (index, fraction) => {
+      const angle = (Math.PI * 2 * index) / count - Math.PI / 2;
+      const radius = 36 * fraction;
+      return [50 + Math.cos(angle) * radius, 50 + Math.sin(angle) * radius];
+    };
+    const format = ([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`;
+    const indexes = this.categoryProgress.map((_, index) => index);
 
-    this.availableMilestones = allMilestones;
-    this.groupedMilestones = {
-      early: early,
-      late: late,
+    const rings = [0.25, 0.5, 0.75, 1].map(
+      (fraction) =>
+        `M${indexes.map((i) => format(point(i, fraction))).join(" L")} Z`,
+    );
+    const spokes = indexes.map((i) => `M50,50 L${format(point(i, 1))}`);
+
+    return {
+      gridPath: [...rings, ...spokes].join(" "),
+      shapePoints: this.categoryProgress
+        .map((entry, i) => format(point(i, entry.progressPercent / 100)))
+        .join(" "),
+      labels: this.categoryProgress.map((entry, i) => {
+        const [left, top] = point(i, 1.3);
+        return {
+          category: entry.category,
+          label: entry.label,
+          icon: entry.icon,
+          percent: Math.round(entry.progressPercent),
+          left,
+          top,
+        };
+      }),
     };
   }
 
   /**
-   * Check if all early milestones (bronze, silver, gold) are completed
+   * Count video proofs waiting for a judge (judge tool indicator)
    */
-  areEarlyMilestonesCompleted() {
-    const early = this.groupedMilestones.early || [];
-    return early.length > 0 && early.every((m) => m.completed);
+  async loadPendingReviewCount() {
+    try {
+      const workouts = await this._workoutRepository.getAllWorkouts();
+      this.pendingReviewCount = workouts.filter(
+        (workout) =>
+          workout.proofMethod === ProofMethod.VIDEO &&
+          workout.proof.state === ProofState.UNDER_REVIEW,
+      ).length;
+    } catch (error) {
+      this._logger.error("Failed to count video proofs under review", error);
+    }
   }
 
   /**
-   * Get milestones to display in selection modal
+   * Collect peer review votes and count videos the quorum verified
    */
-  getDisplayMilestones() {
-    if (this.areEarlyMilestonesCompleted()) {
-      // Show late milestones if early ones are done
-      return this.groupedMilestones.late || [];
+  async checkPeerReviews() {
+    try {
+      const settled = await this._proofService.checkPeerReviews();
+      for (const workout of settled) {
+        if (workout.proof.state !== ProofState.VERIFIED) continue;
+        const result = await this._progressionService.countWorkout(workout);
+        this._processWorkoutResult(result, workout.milestoneType, workout);
+      }
+      if (settled.length > 0) await this.loadPendingReviewCount();
+    } catch (error) {
+      this._logger.error("Failed to check peer reviews", error);
     }
-    // Otherwise show early milestones
-    return this.groupedMilestones.early || [];
+  }
+
+  /**
+   * Check peer reviews regularly while the app is open (once)
+   */
+  _startPeerReviewPolling() {
+    if (this._peerReviewTimer) return;
+    this._peerReviewTimer = setInterval(
+      () => this.checkPeerReviews(),
+      this._peerReviewPollMs,
+    );
+  }
+
+  /**
+   * Load available milestones and workout type locks for the workout form
+   * Locked milestones are listed too, with the reasons they are locked
+   */
+  async loadAvailableMilestones() {
+    const [milestones, workoutTypeLocks] = await Promise.all([
+      this._progressionService.getAvailableMilestones(),
+      this._progressionService.getWorkoutTypeLocks(),
+    ]);
+    this.availableMilestones = milestones;
+    this.workoutTypeLocks = workoutTypeLocks;
+  }
+
+  /**
+   * Check if a workout type is locked by its prerequisites
+   */
+  isWorkoutTypeLocked(workoutType) {
+    return Boolean(this.workoutTypeLocks[workoutType]);
+  }
+
+  /**
+   * Reasons a workout type is locked, as one line for the selection modal
+   */
+  getWorkoutTypeLockLabel(workoutType) {
+    return (this.workoutTypeLocks[workoutType] || []).join(" · ");
   }
 
   /**
@@ -197,24 +520,208 @@ export class MainScreenViewModel {
       this.availableBenchmarks = milestone.benchmarks || [];
       this.availableWorkoutTypes = [];
       this.selectedWorkoutType = "";
-      this.selectedBenchmarkIndex =
-        this.availableBenchmarks.length > 0 ? 0 : null;
+      this.selectBenchmark(this.availableBenchmarks.length > 0 ? 0 : null);
+      this._loadBestBenchmarkAttempts(milestone.type);
     } else {
       // Load regular workout types
       if (milestone.workoutTypes && milestone.workoutTypes.length > 0) {
         this.availableWorkoutTypes = milestone.workoutTypes;
       } else {
-        this.availableWorkoutTypes = getAllWorkoutTypes();
+        this.availableWorkoutTypes = this._workoutTaxonomy.getAllWorkoutTypes();
       }
       this.availableBenchmarks = [];
       this.selectedBenchmarkIndex = null;
+      this.selectedWorkoutType =
+        this.availableWorkoutTypes.find(
+          (type) => !this.isWorkoutTypeLocked(type),
+        ) || "";
+    }
+  }
 
-      if (this.availableWorkoutTypes.length > 0) {
-        this.selectedWorkoutType = this.availableWorkoutTypes[0];
-      }
+  /**
+   * Select a benchmark and prepare one result row per exercise
+   */
+  selectBenchmark(index) {
+    this.selectedBenchmarkIndex = index;
+    const benchmark = index === null ? null : this.availableBenchmarks[index];
+    this.benchmarkAttemptInputs = benchmark
+      ? benchmark.exercises.map((exercise) => {
+          // A category exercise is logged as the type the athlete picks
+          const options =
+            this._workoutTaxonomy.getWorkoutTypesForTarget(exercise);
+          return {
+            workoutTypeOptions: options,
+            workoutType: options[0],
+            targetReps: exercise.reps,
+            completedReps: exercise.reps,
+            split: "",
+          };
+        })
+      : [];
+  }
+
+  /**
+   * Load the best attempt of every benchmark in a milestone
+   */
+  async _loadBestBenchmarkAttempts(milestoneType) {
+    try {
+      this.bestBenchmarkAttempts =
+        await this._progressionService.getBestBenchmarkAttempts(
+          this.currentTier,
+          milestoneType,
+        );
+    } catch (error) {
+      this._logger.error("Failed to load benchmark attempts", error);
+      this.bestBenchmarkAttempts = {};
     }
   }
 
+  /**
+   * Label of the best attempt at a benchmark, e.g. "Best: 32:10 ✓"
+   */
+  getBestAttemptLabel(benchmarkIndex) {
+    const best = this.bestBenchmarkAttempts[benchmarkIndex];
+    if (!best) return "";
+    const result = best.benchmarkResult;
+    return result.passed
+      ? `Best: ${result.totalTimeLabel} ✓`
+      : `Best: ${result.completedReps}/${result.targetReps} reps`;
+  }
+
+  /**
+   * Time cap of the selected benchmark in minutes, or null
+   */
+  get selectedTimeCapMinutes() {
+    const benchmark = this.availableBenchmarks[this.selectedBenchmarkIndex];
+    return benchmark ? benchmark.timeCapMinutes || null : null;
+  }
+
+  /**
+   * Live outcome of the attempt being entered, e.g. "31:40 of 40 min · Passed"
+   */
+  get benchmarkAttemptPreview() {
+    const result = this._buildBenchmarkResult();
+    if (result.totalSeconds === 0) return "";
+    const cap = result.timeCapMinutes ? ` of ${result.timeCapMinutes} min` : "";
+    const outcome = result.passed ? "Passed" : "Not passed";
+    return `${result.totalTimeLabel}${cap} · ${outcome}`;
+  }
+
+  /**
+   * Build the attempt result from the benchmark form
+   */
+  _buildBenchmarkResult() {
+    const exercises = this.benchmarkAttemptInputs.map((input) => ({
+      workoutType: input.workoutType,
+      targetReps: input.targetReps,
+      completedReps:
+        input.completedReps === "" ? NaN : Number(input.completedReps),
+      splitSeconds: this._parseSplitSeconds(input.split),
+    }));
+    return new BenchmarkResult(exercises, this.selectedTimeCapMinutes);
+  }
+
+  /**
+   * Parse a split entered as "mm:ss" or plain minutes; NaN if unreadable
+   */
+  _parseSplitSeconds(split) {
+    const text = String(split).trim();
+    if (!text) return NaN;
+
+    const parts = text.split(":");
+    if (parts.length > 2 || parts.some((part) => part === "")) return NaN;
+    const numbers = parts.map(Number);
+    if (numbers.some((n) => !Number.isFinite(n) || n < 0)) return NaN;
+    if (numbers.length === 1) return Math.round(numbers[0] * 60);
+    if (numbers[1] >= 60) return NaN;
+    return numbers[0] * 60 + numbers[1];
+  }
+
+  /**
+   * Requirement ({reps, timeMinutes}) of the selected workout type, or null
+   */
+  get selectedRequirement() {
+    const milestone = this.availableMilestones.find(
+      (m) => m.type === this.selectedMilestone,
+    );
+    if (!milestone || !milestone.workoutRequirements) return null;
+
+    return this._workoutTaxonomy.findRequirementForWorkoutType(
+      milestone.workoutRequirements,
+      this.selectedWorkoutType,
+    );
+  }
+
+  /**
+   * Label describing what the selected workout type requires
+   */
+  get requirementLabel() {
+    const requirement = this.selectedRequirement;
+    if (!requirement) return "";
+
+    const parts = [];
+    if (requirement.reps) parts.push(`${requirement.reps} reps`);
+    if (requirement.timeMinutes) parts.push(`${requirement.timeMinutes} min`);
+    return `Counts with at least ${parts.join(" and ")}`;
+  }
+
+  /**
+   * Pace derived from the entered duration and distance (m:ss /km)
+   */
+  get pacePreviewLabel() {
+    return this._buildWorkoutMetrics().paceLabel;
+  }
+
+  /**
+   * Add an empty set row to the metrics form
+   */
+  addMetricSet() {
+    this.metricSets.push({ reps: "", weightKg: "" });
+  }
+
+  /**
+   * Remove a set row from the metrics form (one row always stays)
+   */
+  removeMetricSet(index) {
+    if (this.metricSets.length === 1) {
+      this.metricSets = [{ reps: "", weightKg: "" }];
+      return;
+    }
+    this.metricSets.splice(index, 1);
+  }
+
+  /**
+   * Build metrics from the form; sets without reps are ignored
+   */
+  _buildWorkoutMetrics() {
+    const toNumberOrNull = (value) =>
+      value === "" || value === null || value === undefined
+        ? null
+        : Number(value);
+
+    const sets = this.metricSets
+      .filter((set) => toNumberOrNull(set.reps) !== null)
+      .map((set) => ({
+        reps: Number(set.reps),
+        weightKg: toNumberOrNull(set.weightKg),
+      }));
+
+    return new WorkoutMetrics(
+      sets,
+      toNumberOrNull(this.metricDurationMinutes),
+      toNumberOrNull(this.metricDistanceKm),
+    );
+  }
+
+  /**
+   * Clear the metrics form
+   */
+  _resetMetricInputs() {
+    this.metricSets = [{ reps: "", weightKg: "" }];
+    this.metricDurationMinutes = "";
+    this.metricDistanceKm = "";
+  }
+
   /**
    * Select a milestone and signal for view scrolling
    */
@@ -238,6 +745,7 @@ export class MainScreenViewModel {
     this.selectedMilestone = "";
     this.selectedWorkoutType = "";
     this.selectedBenchmarkIndex = null;
+    this._resetMetricInputs();
     this.errorMessage = "";
     this._logger.log("Starting Add Workout flow - workout selection");
   }
@@ -251,21 +759,51 @@ export class MainScreenViewModel {
       return;
     }
 
+    const milestone = this.availableMilestones.find(
+      (m) => m.type === this.selectedMilestone,
+    );
+    if (milestone?.locked) {
+      this.errorMessage = `${milestone.name} is locked: ${milestone.lockReasons.join(", ")}`;
+      return;
+    }
+
     if (this.isBenchmarkMilestone) {
       if (this.selectedBenchmarkIndex === null) {
         this.errorMessage = "Please select a benchmark workout";
         return;
       }
+
+      const errors = this._buildBenchmarkResult().getValidationErrors();
+      if (errors.length > 0) {
+        this.errorMessage = errors.join(". ");
+        return;
+      }
     } else {
       if (!this.selectedWorkoutType) {
         this.errorMessage = "Please select a workout type";
         return;
       }
+      if (this.isWorkoutTypeLocked(this.selectedWorkoutType)) {
+        this.errorMessage = `${this.selectedWorkoutType} is locked: ${this.workoutTypeLocks[this.selectedWorkoutType].join(", ")}`;
+        return;
+      }
+
+      const errors = this._progressionService.validateWorkoutMetrics(
+        this.currentTier,
+        this.selectedMilestone,
+        this.selectedWorkoutType,
+        this._buildWorkoutMetrics(),
+      );
+      if (errors.length > 0) {
+        this.errorMessage = errors.join(". ");
+        return;
+      }
     }
 
     this.showWorkoutSelectionModal = false;
     this.showProofMethodModal = true;
     this.errorMessage = "";
+    this._loadGuarantors();
 
     if (this.isBenchmarkMilestone) {
       const benchmarkName =
@@ -289,6 +827,7 @@ export class MainScreenViewModel {
     this.selectedMilestone = "";
     this.selectedWorkoutType = "";
     this.selectedBenchmarkIndex = null;
+    this._resetMetricInputs();
     this.errorMessage = "";
   }
 
@@ -322,6 +861,11 @@ export class MainScreenViewModel {
       }
     }
 
+    if (proofMethod === ProofMethodType.ESCROW && !this.selectedGuarantorId) {
+      this.errorMessage = "Add a guarantor to your address book first";
+      return;
+    }
+
     this.selectedProofMethod = proofMethod;
     this.isLoading = true;
     this.errorMessage = "";
@@ -341,6 +885,9 @@ export class MainScreenViewModel {
           this.selectedProofMethod,
           this.selectedMilestone,
           this.currentTier,
+          this.selectedBenchmarkIndex,
+          null,
+          this._buildBenchmarkResult(),
         );
       } else {
         workout = await this._workoutRepository.createWorkout(
@@ -348,6 +895,8 @@ export class MainScreenViewModel {
           this.selectedProofMethod,
           this.selectedMilestone,
           this.currentTier,
+          null,
+          this._buildWorkoutMetrics(),
         );
       }
 
@@ -355,7 +904,7 @@ export class MainScreenViewModel {
       if (this.selectedProofMethod === ProofMethodType.VIDEO) {
         this._logger.log("Video proof selected, showing camera screen");
 
-        // Store workout for later submission after video analysis
+        // Store workout for later submission once the video is recorded
         this.videoProofWorkout = workout;
 
         // Show the video proof camera screen
@@ -365,61 +914,56 @@ export class MainScreenViewModel {
         this.isPaused = false;
         this.hasRecording = false;
         this.isLoading = false;
+        this.recordingSeconds = 0;
+        this.recordingLimitReached = false;
+        this.videoRejectionReasons = [];
+        this.recordingLimitSeconds = this.isBenchmarkMilestone
+          ? VideoRecordingLimits.getMaxSecondsForBenchmark(
+              this.selectedTimeCapMinutes,
+            )
+          : VideoRecordingLimits.getMaxSeconds(
+              this.selectedWorkoutType,
+              this.selectedRequirement?.timeMinutes,
+            );
+        await this._openCamera();
 
         return;
       }
 
-      // For non-video proofs, process the workout now
-      let result;
-
-      if (this.isBenchmarkMilestone) {
-        // Complete the specific benchmark
-        result = await this._progressionService.completeBenchmark(
+      // Special handling for Escrow: share the claim, the workout counts
+      // once the guarantor's signed answer is opened on this device
+      if (this.selectedProofMethod === ProofMethodType.ESCROW) {
+        const escrow = await this._proofService.initiateEscrowProof(
           workout,
-          this.selectedBenchmarkIndex,
+          this.selectedGuarantorId,
+          this.athlete?.name,
         );
-      } else {
-        // Update progression
-        result = await this._progressionService.addWorkoutProgress(workout);
-      }
-
-      // Special handling for Escrow: show waiting indicator instead of immediately processing
-      if (this.selectedProofMethod === ProofMethodType.ESCROW) {
-        this._logger.log("Escrow proof initiated, showing waiting indicator");
-
-        // Store workout and result for later processing
-        this.escrowWaitingWorkout = workout;
-        this.escrowWaitingResult = result;
-
-        // Show the waiting icon and start the simulated waiting period
-        this.isEscrowWaiting = true;
-        this.escrowIconSuccess = false;
+        this._logger.log("Escrow claim created, showing share screen");
+
+        this.escrowShareLink = escrow.link;
+        this.escrowGuarantorName =
+          this.availableGuarantors.find(
+            (g) => g.id === this.selectedGuarantorId,
+          )?.name || "";
+        this.escrowShareMessage = escrow.message;
         this.showProofMethodModal = false;
-
-        // Simulate 12-15 second waiting period for senior member verification (longer than AI)
-        const ESCROW_WAIT_TIME = 12000 + Math.random() * 3000;
-        await new Promise((resolve) => setTimeout(resolve, ESCROW_WAIT_TIME));
-
-        // Process the result after waiting period
-        this._processWorkoutResult(result, this.selectedMilestone, workout);
-
-        // Change icon color to green to indicate success
-        this.escrowIconSuccess = true;
-
-        // Wait for the fade-out animation to complete before hiding the icon
-        const FADE_OUT_DURATION = 500;
-        await new Promise((resolve) => setTimeout(resolve, FADE_OUT_DURATION));
-        this.isEscrowWaiting = false;
-        this.escrowIconSuccess = false;
+        this.showEscrowShareModal = true;
+        this.selectedProofMethod = "";
+        this.selectedMilestone = "";
+        this.selectedWorkoutType = "";
+        this.selectedBenchmarkIndex = null;
+        await this._loadPendingEscrow();
 
         return;
       }
 
-      // Process result immediately for non-escrow/non-video methods
+      // Off Record: counts right away if the policy allows it
+      await this._proofService.logOffRecord(workout);
+      const result = await this._progressionService.countWorkout(workout);
       this._processWorkoutResult(result, this.selectedMilestone, workout);
 
-      // Close modals on success
-      if (result.success) {
+      // Close modals once the workout counted or was logged without counting
+      if (result.success || result.attemptLogged || result.workoutLogged) {
         this.showProofMethodModal = false;
         this.selectedProofMethod = "";
         this.selectedMilestone = "";
@@ -436,6 +980,149 @@ export class MainScreenViewModel {
     }
   }
 
+  /**
+   * Share the claim link with the guarantor (share sheet or clipboard)
+   */
+  async shareEscrowClaim() {
+    try {
+      const outcome = await this._escrowService.shareLink(
+        this.escrowShareLink,
+        "Please vouch for my workout",
+      );
+      if (outcome === ShareOutcome.COPIED) {
+        this.escrowShareMessage = "Link copied. Paste it to your guarantor.";
+      }
+    } catch (error) {
+      if (error.name === "AbortError") return; // Share sheet dismissed
+      this._logger.error("Failed to share escrow claim", error);
+      this.errorMessage = "Could not share the link. Copy it instead.";
+    }
+  }
+
+  /**
+   * Close the claim share screen
+   */
+  closeEscrowShare() {
+    this.showEscrowShareModal = false;
+    this.escrowShareLink = "";
+    this.escrowGuarantorName = "";
+    this.escrowShareMessage = "";
+    this.errorMessage = "";
+  }
+
+  /**
+   * Show the claim QR code again for the oldest claim still waiting
+   */
+  async showPendingEscrowClaim() {
+    try {
+      const [pending] = await this._escrowService.getPendingClaims();
+      const open =
+        pending &&
+        (await this._proofService.getOpenEscrowClaim(pending.workoutId));
+      if (!open) return;
+
+      this.escrowShareLink = open.link;
+      this.escrowGuarantorName = open.guarantorName;
+      this.escrowShareMessage = `Let ${open.guarantorName} scan this code, then scan their answer.`;
+      this.showEscrowShareModal = true;
+    } catch (error) {
+      this._logger.error("Failed to load pending escrow claim", error);
+    }
+  }
+
+  /**
+   * Settle an escrow claim with the attestation from a share link
+   * @param {Object} attestation - Payload signed by the guarantor
+   */
+  async completeEscrowAttestation(attestation) {
+    await this._settleEscrow(() =>
+      this._proofService.completeEscrowProof(attestation),
+    );
+  }
+
+  /**
+   * Settle an escrow claim with the answer QR code scanned in person
+   * @param {string} code - Text decoded from the guarantor's QR code
+   */
+  async completeEscrowHandshake(code) {
+    await this._settleEscrow(() =>
+      this._proofService.completeEscrowHandshake(code),
+    );
+  }
+
+  /**
+   * Apply a verified attestation
+   * An approval counts the workout; a decline rejects its proof
+   */
+  async _settleEscrow(complete) {
+    this.errorMessage = "";
+    this.successMessage = "";
+
+    try {
+      const { workout, approved, guarantor } = await complete();
+      this.closeEscrowShare();
+      await this._loadPendingEscrow();
+
+      if (!approved) {
+        this.errorMessage = `${guarantor.name} declined to vouch for your ${workout.type}`;
+        this.refreshProgress();
+        return;
+      }
+
+      const result = await this._progressionService.countWorkout(workout);
+      this._processWorkoutResult(result, workout.milestoneType, workout);
+      await this._flashEscrowSuccess();
+    } catch (error) {
+      this._logger.error("Failed to complete escrow proof", error);
+      this.errorMessage = `Attestation not accepted: ${error.message}`;
+    }
+  }
+
+  /**
+   * Load trusted guarantors for the proof method choice
+   */
+  async _loadGuarantors() {
+    try {
+      this.availableGuarantors =
+        await this._proofService.getAvailableGuarantors();
+      if (
+        !this.availableGuarantors.some((g) => g.id === this.selectedGuarantorId)
+      ) {
+        this.selectedGuarantorId = this.availableGuarantors[0]?.id || "";
+      }
+    } catch (error) {
+      this._logger.error("Failed to load guarantors", error);
+      this.availableGuarantors = [];
+    }
+  }
+
+  /**
+   * Show the waiting indicator while claims wait for their guarantor
+   */
+  async _loadPendingEscrow() {
+    try {
+      const claims = await this._escrowService.getPendingClaims();
+      this.pendingEscrowCount = claims.length;
+      this.isEscrowWaiting = claims.length > 0;
+    } catch (error) {
+      this._logger.error("Failed to load pending escrow claims", error);
+    }
+  }
+
+  /**
+   * Turn the waiting indicator green, then let it fade out if nothing waits
+   */
+  async _flashEscrowSuccess() {
+    this.isEscrowWaiting = true;
+    this.escrowIconSuccess = true;
+
+    // Wait for the fade-out animation to complete before hiding the icon
+    const FADE_OUT_DURATION = 500;
+    await new Promise((resolve) => setTimeout(resolve, FADE_OUT_DURATION));
+    this.isEscrowWaiting = this.pendingEscrowCount > 0;
+    this.escrowIconSuccess = false;
+  }
+
   /**
    * Process workout result and trigger animations/celebrations
    * @private
@@ -445,7 +1132,7 @@ export class MainScreenViewModel {
       // Get the milestone element to animate from
       const milestoneElement = this._findMilestoneElement(selectedMilestone);
 
-      if (this.isBenchmarkMilestone) {
+      if (workout.isBenchmarkAttempt) {
         this.successMessage = `Benchmark completed! ${result.milestoneProgress.name}: ${result.milestoneProgress.progress}/${result.milestoneProgress.required} benchmarks`;
       } else {
         this.successMessage = `Workout logged! ${result.milestoneProgress.name}: ${result.milestoneProgress.progress}/${result.milestoneProgress.required}`;
@@ -520,6 +1207,14 @@ export class MainScreenViewModel {
     this._createRainingAnimation("👏", "clap", milestoneElement, 20);
   }
 
+  /**
+   * Create and trigger falling trophies animation
+   * Called when an achievement is unlocked
+   */
+  triggerTrophyRain() {
+    this._createRainingAnimation("🏆", "trophy", null, 12);
+  }
+
   /**
    * Create and trigger fireworks explosion animation
    * Called when tier level up happens
@@ -637,11 +1332,67 @@ export class MainScreenViewModel {
     }, 2500);
   }
 
+  /**
+   * Elapsed and maximum recording time, e.g. "1:05 / 5:00"
+   */
+  get recordingTimeLabel() {
+    const format = (totalSeconds) =>
+      `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, "0")}`;
+    return `${format(this.recordingSeconds)} / ${format(this.recordingLimitSeconds)}`;
+  }
+
+  /**
+   * Open the camera for the video proof screen
+   */
+  async _openCamera() {
+    this.isCameraReady = false;
+    this.cameraErrorMessage = "";
+    try {
+      await this._videoCaptureService.openCamera();
+      this.isCameraReady = true;
+    } catch (error) {
+      this._logger.error("Failed to open camera", error);
+      this.cameraErrorMessage =
+        error.name === "NotAllowedError"
+          ? "Camera access was denied. Allow it in your browser settings to record proof."
+          : error.message || "Camera is not available";
+    }
+  }
+
+  /**
+   * Show the live camera picture in the preview element
+   */
+  attachCameraPreview(videoElement) {
+    if (!this.isCameraReady) return;
+    this._videoCaptureService.attachPreview(videoElement);
+  }
+
   /**
    * Start recording video proof
    */
   startVideoRecording() {
+    if (!this.isCameraReady) return;
+
+    try {
+      this._videoCaptureService.startRecording({
+        maxSeconds: this.recordingLimitSeconds,
+        onTick: (seconds) => {
+          this.recordingSeconds = seconds;
+        },
+        onLimitReached: () => {
+          this.recordingLimitReached = true;
+          this.stopVideoRecording();
+        },
+      });
+    } catch (error) {
+      this._logger.error("Failed to start video recording", error);
+      this.cameraErrorMessage = "Recording could not be started";
+      return;
+    }
+
     this._logger.log("Video recording started");
+    this.recordingSeconds = 0;
+    this.recordingLimitReached = false;
     this.isRecording = true;
     this.isPaused = false;
   }
@@ -650,6 +1401,11 @@ export class MainScreenViewModel {
    * Pause/Continue video recording
    */
   togglePauseVideoRecording() {
+    if (this.isPaused) {
+      this._videoCaptureService.resumeRecording();
+    } else {
+      this._videoCaptureService.pauseRecording();
+    }
     this.isPaused = !this.isPaused;
     this._logger.log(
       `Video recording ${this.isPaused ? "paused" : "continued"}`,
@@ -657,24 +1413,47 @@ export class MainScreenViewModel {
   }
 
   /**
-   * Stop video recording
+   * Stop video recording and keep the video with the workout
    */
-  stopVideoRecording() {
-    this._logger.log("Video recording stopped");
+  async stopVideoRecording() {
+    // The limit can stop the recording while the Stop button is pressed
+    if (!this.isRecording) return;
     this.isRecording = false;
     this.isPaused = false;
-    this.hasRecording = true;
+
+    try {
+      const recording = await this._videoCaptureService.stopRecording();
+      this._videoCaptureService.closeCamera();
+      this.isCameraReady = false;
+      this.recordingSeconds = recording.durationSeconds;
+      await this._videoProofRepository.saveRecording(
+        this.videoProofWorkout.id,
+        recording,
+      );
+      await this._proofService.recordVideoProof(this.videoProofWorkout);
+      this.hasRecording = true;
+      this._logger.log("Video recording stopped");
+    } catch (error) {
+      this._logger.error("Failed to save video recording", error);
+      this.cameraErrorMessage = "The recording could not be saved";
+    }
   }
 
   /**
    * Discard video recording and return to main screen
    */
-  discardVideoRecording() {
+  async discardVideoRecording() {
     this._logger.log("Video recording discarded");
     this.showVideoProofScreen = false;
     this.isRecording = false;
     this.isPaused = false;
     this.hasRecording = false;
+    this.isCameraReady = false;
+    this.cameraErrorMessage = "";
+    this.videoRejectionReasons = [];
+    this._videoCaptureService.closeCamera();
+
+    const discardedWorkout = this.videoProofWorkout;
     this.videoProofWorkout = null;
 
     // Reset selection state
@@ -682,77 +1461,211 @@ export class MainScreenViewModel {
     this.selectedMilestone = "";
     this.selectedWorkoutType = "";
     this.selectedBenchmarkIndex = null;
+
+    // The workout was logged before recording; without proof it must not count
+    if (discardedWorkout) {
+      try {
+        await this._videoUploadService.deleteVideo(discardedWorkout.id);
+        await this._workoutRepository.deleteWorkout(discardedWorkout.id);
+      } catch (error) {
+        this._logger.error("Failed to delete discarded video workout", error);
+      }
+    }
   }
 
   /**
-   * Submit video proof and trigger upload/analysis flow
+   * Submit video proof and start its upload
+   * The video's metadata is checked first; a rejected video stays on the
+   * video screen with the reasons and can only be discarded. Without an
+   * upload endpoint the upload is queued: the workout stays recorded on this
+   * device until an endpoint is set up and the upload completes
    */
   async submitVideoProof() {
+    if (this.isCheckingVideo) return;
     this._logger.log("Submitting video proof");
 
+    const workout = this.videoProofWorkout;
+    this.isCheckingVideo = true;
+    this.cameraErrorMessage = "";
+    this.videoRejectionReasons = [];
+    let report;
+    try {
+      const recording =
+        await this._videoProofRepository.getRecordingByWorkoutId(workout.id);
+      report = await this._proofService.inspectVideoProof(
+        workout,
+        recording,
+        this._progressionService.getVideoExpectations(workout),
+      );
+      await this._videoProofRepository.saveIntegrityReport(workout.id, report);
+    } catch (error) {
+      this._logger.error("Failed to check video proof", error);
+      this.cameraErrorMessage = "The video could not be checked";
+      return;
+    } finally {
+      this.isCheckingVideo = false;
+    }
+
+    if (report.verdict === VideoIntegrityVerdict.REJECTED) {
+      this.videoRejectionReasons = report.rejections;
+      return;
+    }
+
     // Hide the video screen
     this.showVideoProofScreen = false;
     this.hasRecording = false;
+    this.videoProofWorkout = null;
+    this.selectedProofMethod = "";
+    this.selectedMilestone = "";
+    this.selectedWorkoutType = "";
+    this.selectedBenchmarkIndex = null;
 
-    // Start upload process
+    if (!this._videoUploadService.isConfigured) {
+      try {
+        await this._videoUploadService.queueUpload(workout.id);
+        this._logger.log(
+          `No upload endpoint, video of workout ${workout.id} queued for upload`,
+        );
+        this.errorMessage =
+          "No video upload server is set up yet. The video stays on this device and is uploaded for review once one is.";
+      } catch (error) {
+        this._logger.error("Failed to queue video upload", error);
+        this.errorMessage = "Failed to queue video upload";
+      }
+      return;
+    }
+
+    // Start upload process; the workout counts once the upload completes
+    this.activeUploadWorkoutId = workout.id;
     this.isUploadingVideo = true;
+    this.isUploadPaused = false;
     this.uploadProgress = 0;
 
-    // Simulate random upload time (3-6 seconds)
-    const uploadTime = 3000 + Math.random() * 3000;
-    const uploadSteps = 20;
-    const uploadInterval = uploadTime / uploadSteps;
-
-    for (let i = 0; i <= uploadSteps; i++) {
-      this.uploadProgress = Math.floor((i / uploadSteps) * 100);
-      await new Promise((resolve) => setTimeout(resolve, uploadInterval));
+    // The queued record keeps the upload retryable whatever fails below
+    try {
+      await this._videoUploadService.queueUpload(workout.id);
+      await this._proofService.initiateVideoProof(workout);
+      const upload = await this._videoUploadService.startUpload(workout.id);
+      if (!upload) {
+        // Deleted with its workout while uploading
+        this.isUploadingVideo = false;
+        this.activeUploadWorkoutId = null;
+      } else if (upload.status === VideoUploadStatus.FAILED) {
+        this.errorMessage = `Video upload interrupted (${upload.lastError}). It continues when you are back online.`;
+      }
+    } catch (error) {
+      this._logger.error("Failed to upload video proof", error);
+      this.isUploadingVideo = false;
+      this.activeUploadWorkoutId = null;
+      this.errorMessage =
+        "Failed to upload video proof. The video stays on this device and is uploaded later.";
+      await this._rollBackVideoUpload(workout);
     }
+  }
 
-    // Fade out upload, fade in analysis
-    this.isUploadingVideo = false;
-    await new Promise((resolve) => setTimeout(resolve, 500)); // Fade transition
-
-    this.isAnalyzingVideo = true;
-    this.analyzingProgress = 0;
-
-    // Simulate random analysis time (2-5 seconds)
-    const analysisTime = 2000 + Math.random() * 3000;
-    const analysisSteps = 20;
-    const analysisInterval = analysisTime / analysisSteps;
+  /**
+   * Return a workout whose upload could not start to recorded, where its
+   * queued upload is resumed later
+   */
+  async _rollBackVideoUpload(workout) {
+    if (workout.proof.state !== ProofState.UPLOADING) return;
 
-    for (let i = 0; i <= analysisSteps; i++) {
-      this.analyzingProgress = Math.floor((i / analysisSteps) * 100);
-      await new Promise((resolve) => setTimeout(resolve, analysisInterval));
+    try {
+      await this._proofService.transitionProof(
+        workout,
+        ProofState.RECORDED,
+        "Video upload could not start",
+      );
+    } catch (error) {
+      this._logger.error("Failed to roll back video proof", error);
     }
+  }
 
-    // Analysis complete, now add the workout
-    this.isAnalyzingVideo = false;
+  /**
+   * Pause or continue the video upload shown in the upload indicator
+   */
+  async toggleVideoUploadPause() {
+    const workoutId = this.activeUploadWorkoutId;
+    if (!workoutId) return;
 
     try {
-      const workout = this.videoProofWorkout;
-      let result;
-
-      if (this.isBenchmarkMilestone) {
-        result = await this._progressionService.completeBenchmark(
-          workout,
-          this.selectedBenchmarkIndex,
-        );
+      if (this.isUploadPaused) {
+        this.isUploadPaused = false;
+        await this._videoUploadService.resumeUpload(workoutId);
       } else {
-        result = await this._progressionService.addWorkoutProgress(workout);
+        await this._videoUploadService.pauseUpload(workoutId);
       }
+    } catch (error) {
+      this._logger.error("Failed to pause or resume video upload", error);
+    }
+  }
 
-      // Process the result (animations, celebrations)
-      this._processWorkoutResult(result, this.selectedMilestone, workout);
+  /**
+   * Bind the upload indicator to video upload progress (once)
+   * Subscribed in initialize(), not the constructor, so updates go through
+   * Alpine's reactive proxy
+   */
+  _subscribeToVideoUploads() {
+    if (this._isVideoUploadSubscribed) return;
+    this._isVideoUploadSubscribed = true;
+
+    this._videoUploadService.onProgress((progress) => {
+      if (progress.workoutId !== this.activeUploadWorkoutId) return;
+      this.uploadProgress = progress.percent;
+      this.isUploadPaused = progress.status === VideoUploadStatus.PAUSED;
+      // Failed uploads continue in the background once back online
+      if (progress.status === VideoUploadStatus.FAILED) {
+        this.isUploadingVideo = false;
+        this.activeUploadWorkoutId = null;
+      }
+    });
+    this._videoUploadService.onUploadCompleted((upload) => {
+      this._finishVideoProof(upload.workoutId).catch((error) => {
+        this._logger.error("Failed to process video proof workout", error);
+        this.errorMessage = "Failed to process video proof";
+      });
+    });
+  }
 
-      // Clean up state
-      this.videoProofWorkout = null;
-      this.selectedProofMethod = "";
-      this.selectedMilestone = "";
-      this.selectedWorkoutType = "";
-      this.selectedBenchmarkIndex = null;
-    } catch (error) {
-      this._logger.error("Failed to process video proof workout", error);
-      this.errorMessage = "Failed to process video proof";
+  /**
+   * Submit an uploaded proof video for review
+   * The workout counts once a judge verifies it (see JudgeReviewViewModel).
+   * Uploads finished in the background (after a restart or reconnect)
+   * skip the upload indicator. Videos queued before an upload endpoint was
+   * set up are still recorded and pass through uploading here
+   */
+  async _finishVideoProof(workoutId) {
+    const workout = await this._workoutRepository.getWorkoutById(workoutId);
+    if (!workout) return;
+    // Queued while no upload endpoint was set up
+    if (workout.proof.state === ProofState.RECORDED) {
+      await this._proofService.initiateVideoProof(workout);
+    }
+    // Expired while the upload was pending, or already submitted
+    if (workout.proof.state !== ProofState.UPLOADING) {
+      this._logger.log(
+        `Upload finished for workout ${workoutId} with proof ${workout.proof.state}, not submitting`,
+      );
+      return;
     }
+
+    const upload =
+      await this._videoUploadService.getUploadByWorkoutId(workoutId);
+    const recording =
+      await this._videoProofRepository.getRecordingByWorkoutId(workoutId);
+    const submission = await this._proofService.submitVideoProof(
+      workout,
+      upload.remoteUrl,
+      recording ? recording.integrityReport : null,
+    );
+
+    if (workoutId === this.activeUploadWorkoutId) {
+      // The video waits for a judge
+      this.isUploadingVideo = false;
+      this.activeUploadWorkoutId = null;
+      this.successMessage = submission.message;
+    }
+
+    await this.loadPendingReviewCount();
   }
 }
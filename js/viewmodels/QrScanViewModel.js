@@ -0,0 +1,101 @@
+/**
+ * QrScanViewModel - Full-screen camera that scans one QR code
+ * Whoever opens it passes what to do with the decoded text; the scanner
+ * closes as soon as a code is read. The link a code holds can be pasted
+ * instead, for browsers that cannot scan and cameras that are denied: it
+ * goes to the same handler as a scanned code.
+ */
+export class QrScanViewModel {
+  constructor(qrScannerService, logger) {
+    this._qrScannerService = qrScannerService;
+    this._logger = logger;
+    this._onCode = null;
+
+    // Public fields for Alpine.js bindings
+    this.isOpen = false;
+    this.title = "";
+    this.isCameraReady = false;
+    this.pastedCode = "";
+    this.errorMessage = "";
+  }
+
+  /**
+   * Open the scanner
+   * @param {string} title - What to point the camera at
+   * @param {Function} onCode - Async handler for the decoded text
+   */
+  async open(title, onCode) {
+    this._onCode = onCode;
+    this.title = title;
+    this.errorMessage = "";
+    this.isCameraReady = false;
+    this.pastedCode = "";
+    this.isOpen = true;
+
+    if (!this._qrScannerService.isSupported) {
+      this.errorMessage =
+        "This browser cannot scan QR codes. Ask for the link instead and paste it below.";
+      return;
+    }
+
+    try {
+      await this._qrScannerService.openCamera();
+      // Closed while the permission prompt was showing
+      if (!this.isOpen) {
+        this._qrScannerService.closeCamera();
+        return;
+      }
+      this.isCameraReady = true;
+    } catch (error) {
+      this._logger.error("Failed to open scanner camera", error);
+      this.errorMessage =
+        error.name === "NotAllowedError"
+          ? "Camera access was denied. Allow it in your browser settings to scan, or paste the link below."
+          : `${error.message || "Camera is not available"}. Paste the link below instead.`;
+    }
+  }
+
+  /**
+   * Start scanning the preview element once the camera is ready
+   */
+  attachPreview(videoElement) {
+    if (!this.isCameraReady) return;
+    this._qrScannerService.startScanning(videoElement, (text) => {
+      this._logger.log("QR code scanned");
+      this._handleCode(text);
+    });
+  }
+
+  /**
+   * Use a pasted link as if its QR code had been scanned
+   */
+  async submitPastedCode() {
+    const text = this.pastedCode.trim();
+    if (!text) {
+      this.errorMessage = "Paste the link first";
+      return;
+    }
+    this._logger.log("Code pasted");
+    await this._handleCode(text);
+  }
+
+  /**
+   * Close the scanner without a result
+   */
+  close() {
+    this._qrScannerService.closeCamera();
+    this.isOpen = false;
+    this.isCameraReady = false;
+    this.pastedCode = "";
+    this._onCode = null;
+  }
+
+  /**
+   * Close the scanner and hand over the decoded text
+   */
+  async _handleCode(text) {
+    const onCode = this._onCode;
+    this.close();
+    if (onCode) await onCode(text);
+  }
+}
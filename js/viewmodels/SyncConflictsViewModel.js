@@ -0,0 +1,126 @@
+import { SyncEntityType } from "../constants/SyncEntityType.js";
+import { SyncConflictStatus } from "../constants/SyncConflictStatus.js";
+
+/**
+ * SyncConflictsViewModel - Review of edits that could not be merged
+ * The local version is already synced; the user may restore the other
+ * device's version instead
+ */
+export class SyncConflictsViewModel {
+  constructor(
+    syncConflictRepository,
+    syncConflictResolver,
+    backgroundSyncScheduler,
+    logger,
+  ) {
+    this._syncConflictRepository = syncConflictRepository;
+    this._syncConflictResolver = syncConflictResolver;
+    this._backgroundSyncScheduler = backgroundSyncScheduler;
+    this._logger = logger;
+
+    // Public fields for Alpine.js bindings
+    this.conflicts = [];
+    this.isLoading = false;
+    this.errorMessage = "";
+    this.resolvingConflictId = null;
+  }
+
+  /**
+   * Load the conflict log, newest first
+   */
+  async loadConflicts() {
+    this.isLoading = true;
+    this.errorMessage = "";
+
+    try {
+      this.conflicts = await this._syncConflictRepository.getAllConflicts();
+    } catch (error) {
+      this._logger.error("Failed to load sync conflicts", error);
+      this.errorMessage = "Failed to load sync conflicts";
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * Number of conflicts waiting for a decision
+   */
+  get openCount() {
+    return this.conflicts.filter((c) => this.isOpen(c)).length;
+  }
+
+  /**
+   * Check if a conflict still needs a decision
+   */
+  isOpen(conflict) {
+    return conflict.status === SyncConflictStatus.OPEN;
+  }
+
+  /**
+   * Keep the version from this device
+   */
+  async keepLocalVersion(conflictId) {
+    await this._resolve(conflictId, () =>
+      this._syncConflictResolver.keepLocalVersion(conflictId),
+    );
+  }
+
+  /**
+   * Restore the version from the other device
+   */
+  async useRemoteVersion(conflictId) {
+    await this._resolve(conflictId, () =>
+      this._syncConflictResolver.useRemoteVersion(conflictId),
+    );
+  }
+
+  /**
+   * Run a resolution and refresh the log and sync status
+   */
+  async _resolve(conflictId, resolve) {
+    this.resolvingConflictId = conflictId;
+    this.errorMessage = "";
+
+    try {
+      await resolve();
+      await this.loadConflicts();
+      await this._backgroundSyncScheduler.refreshStatus();
+    } catch (error) {
+      this._logger.error("Failed to resolve sync conflict", error);
+      this.errorMessage = "Failed to resolve conflict";
+    } finally {
+      this.resolvingConflictId = null;
+    }
+  }
+
+  /**
+   * Human-readable name of the conflicting record
+   */
+  getConflictTitle(conflict) {
+    if (conflict.entityType === SyncEntityType.PROGRESS) {
+      return "Tier progress";
+    }
+    if (conflict.entityType === SyncEntityType.ATHLETE) {
+      return "Athlete profile";
+    }
+    const workout = conflict.localPayload || conflict.remotePayload;
+    return workout ? `Workout: ${workout.type}` : "Workout";
+  }
+
+  /**
+   * Label for a closed conflict
+   */
+  getResolutionLabel(conflict) {
+    if (conflict.status === SyncConflictStatus.USED_REMOTE) {
+      return "Other device's version restored";
+    }
+    return "Kept this device's version";
+  }
+
+  /**
+   * Format date for display
+   */
+  formatDate(isoDate) {
+    return new Date(isoDate).toLocaleString();
+  }
+}
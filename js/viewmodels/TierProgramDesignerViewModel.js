@@ -0,0 +1,601 @@
+import { MilestoneIcons, MilestoneType } from "../models/Milestone.js";
+import { Tier } from "../models/Tier.js";
+import { TierProgramSchema } from "../models/TierProgramSchema.js";
+import { FitnessCategory } from "../constants/FitnessCategory.js";
+
+/**
+ * TierProgramDesignerViewModel - Tier program designer for coaches
+ * Edits a draft rule pack as plain JSON: tiers in climbing order, Bronze to
+ * Diamond milestones with the workout types (or fitness categories) they
+ * accept and their reps/time minimums, benchmark workouts with time caps and
+ * the milestones of their tier they unlock after. Every change is checked
+ * against the rule pack schema and for milestones nobody could complete,
+ * and each tier previews how its milestones weigh in Tier.progressPercent.
+ * Finished programs are exported as a rule pack file to share; the app
+ * itself keeps running the program in rules/tier-program.json.
+ */
+export class TierProgramDesignerViewModel {
+  constructor(rulesRepository, rulePackValidator, workoutTaxonomy, logger) {
+    this._rulesRepository = rulesRepository;
+    this._rulePackValidator = rulePackValidator;
+    this._workoutTaxonomy = workoutTaxonomy;
+    this._logger = logger;
+    this._defaultRequiredWorkouts = {
+      [MilestoneType.BRONZE]: 5,
+      [MilestoneType.SILVER]: 10,
+      [MilestoneType.GOLD]: 15,
+      [MilestoneType.PLATINUM]: 20,
+      [MilestoneType.DIAMOND]: 30,
+    };
+    // Like the standard program, these start out with a benchmark
+    this._benchmarkMilestoneTypes = [
+      MilestoneType.PLATINUM,
+      MilestoneType.DIAMOND,
+    ];
+
+    // Public fields for Alpine.js bindings
+    this.program = null; // Draft rule pack
+    this.selectedTierIndex = 0;
+    this.problems = []; // [{path, message}] of the draft, see checkProgram()
+    this.milestoneTypes = Object.values(MilestoneType); // Bronze to Diamond
+    this.workoutTypes = workoutTaxonomy.getAllWorkoutTypes();
+    this.categories = FitnessCategory.getAll();
+    this.isLoading = false;
+    this.errorMessage = "";
+    this.successMessage = "";
+  }
+
+  /**
+   * Open the designer, starting from the active program the first time
+   */
+  async open() {
+    if (!this.program) {
+      await this.loadActiveProgram();
+    }
+  }
+
+  /**
+   * Start a draft from the program this app runs
+   */
+  async loadActiveProgram() {
+    this.isLoading = true;
+    this.errorMessage = "";
+    this.successMessage = "";
+
+    try {
+      const pack = await this._rulesRepository.getActivePack();
+      this._setProgram(pack);
+      this._logger.log(`Designer opened ${pack.id} v${pack.version}`);
+    } catch (error) {
+      this._logger.error("Failed to load tier program", error);
+      this.errorMessage = error.message;
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * Start an empty program with one tier
+   */
+  newProgram() {
+    this.errorMessage = "";
+    this.successMessage = "";
+    this.program = {
+      schemaVersion: TierProgramSchema.version,
+      id: "my-program",
+      version: 1,
+      name: "My Program",
+      description: "",
+      tiers: [],
+    };
+    this.addTier();
+  }
+
+  /**
+   * Continue editing a shared program file
+   * @param {File} file - Rule pack chosen by the coach
+   */
+  async importProgram(file) {
+    if (!file) return;
+    this.errorMessage = "";
+    this.successMessage = "";
+
+    try {
+      const pack = this._rulesRepository.parsePack(
+        await file.text(),
+        file.name,
+      );
+      this._setProgram(pack);
+      this.successMessage = `Opened ${pack.name} v${pack.version}`;
+    } catch (error) {
+      this._logger.error("Failed to import tier program", error);
+      this.errorMessage = error.message;
+    }
+  }
+
+  /**
+   * Tier being edited
+   */
+  get selectedTier() {
+    return this.program?.tiers[this.selectedTierIndex] || null;
+  }
+
+  /**
+   * Edit another tier
+   */
+  selectTier(index) {
+    this.selectedTierIndex = index;
+  }
+
+  /**
+   * Append a tier with a Bronze milestone and edit it
+   */
+  addTier() {
+    const level = this.program.tiers.length;
+    this.program.tiers.push({
+      level,
+      name: `Tier ${level + 1}`,
+      milestones: [this._createMilestone(MilestoneType.BRONZE)],
+    });
+    this.selectedTierIndex = level;
+    this.checkProgram();
+  }
+
+  /**
+   * Remove a tier; the tiers after it move down a level
+   */
+  removeTier(index) {
+    this.program.tiers.splice(index, 1);
+    this._relevelTiers();
+    this.selectedTierIndex = Math.min(
+      this.selectedTierIndex,
+      Math.max(this.program.tiers.length - 1, 0),
+    );
+    this.checkProgram();
+  }
+
+  /**
+   * Move a tier earlier (-1) or later (1) in the climbing order
+   */
+  moveTier(index, offset) {
+    const target = index + offset;
+    const tiers = this.program.tiers;
+    if (target < 0 || target >= tiers.length) return;
+
+    [tiers[index], tiers[target]] = [tiers[target], tiers[index]];
+    this._relevelTiers();
+    this.selectedTierIndex = target;
+    this.checkProgram();
+  }
+
+  /**
+   * Milestone types a tier does not have yet
+   */
+  getMissingMilestoneTypes(tier) {
+    return this.milestoneTypes.filter(
+      (type) => !tier.milestones.some((m) => m.type === type),
+    );
+  }
+
+  /**
+   * Add a milestone, keeping Bronze to Diamond order
+   */
+  addMilestone(tier, type) {
+    tier.milestones.push(this._createMilestone(type, tier));
+    tier.milestones.sort(
+      (a, b) =>
+        this.milestoneTypes.indexOf(a.type) -
+        this.milestoneTypes.indexOf(b.type),
+    );
+    this.checkProgram();
+  }
+
+  /**
+   * Remove a milestone from a tier, and with it the prerequisites of other
+   * milestones waiting for it
+   */
+  removeMilestone(tier, index) {
+    const [removed] = tier.milestones.splice(index, 1);
+    tier.milestones.forEach((milestone) => {
+      if (this.hasMilestonePrerequisite(milestone, removed.type)) {
+        this.toggleMilestonePrerequisite(milestone, removed.type);
+      }
+    });
+    this.checkProgram();
+  }
+
+  /**
+   * Milestones of the same tier a milestone can wait for
+   */
+  getPrerequisiteOptions(tier, milestone) {
+    return tier.milestones.filter((m) => m !== milestone).map((m) => m.type);
+  }
+
+  /**
+   * Check if a milestone waits for another milestone of its tier
+   */
+  hasMilestonePrerequisite(milestone, type) {
+    return (milestone.prerequisites.milestones || []).some(
+      (reference) => reference.tier === undefined && reference.type === type,
+    );
+  }
+
+  /**
+   * Make a milestone wait, or stop waiting, for another milestone of its tier
+   * Prerequisites on other tiers, tiers and workouts are kept as imported
+   */
+  toggleMilestonePrerequisite(milestone, type) {
+    const references = milestone.prerequisites.milestones || [];
+    const kept = references.filter(
+      (reference) => reference.tier !== undefined || reference.type !== type,
+    );
+    if (kept.length === references.length) {
+      kept.push({ type });
+      kept.sort(
+        (a, b) =>
+          this.milestoneTypes.indexOf(a.type) -
+          this.milestoneTypes.indexOf(b.type),
+      );
+    }
+    milestone.prerequisites.milestones = kept;
+    this.checkProgram();
+  }
+
+  /**
+   * Accept one more workout type, starting with one not accepted yet
+   */
+  addRequirement(milestone) {
+    const used = milestone.workoutRequirements.map((r) => r.workoutType);
+    milestone.workoutRequirements.push({
+      workoutType:
+        this.workoutTypes.find((type) => !used.includes(type)) ||
+        this.workoutTypes[0],
+      reps: 10,
+      timeMinutes: 20,
+    });
+    this.checkProgram();
+  }
+
+  /**
+   * Stop accepting a workout type
+   */
+  removeRequirement(milestone, index) {
+    milestone.workoutRequirements.splice(index, 1);
+    this.checkProgram();
+  }
+
+  /**
+   * Add a benchmark workout to a milestone
+   */
+  addBenchmark(milestone) {
+    milestone.benchmarkWorkouts.push(
+      this._createBenchmark(milestone.benchmarkWorkouts.length + 1),
+    );
+    this.checkProgram();
+  }
+
+  /**
+   * Remove a benchmark workout
+   */
+  removeBenchmark(milestone, index) {
+    milestone.benchmarkWorkouts.splice(index, 1);
+    this.checkProgram();
+  }
+
+  /**
+   * Add an exercise to a benchmark
+   */
+  addExercise(benchmark) {
+    benchmark.exercises.push({ workoutType: this.workoutTypes[0], reps: 20 });
+    this.checkProgram();
+  }
+
+  /**
+   * Remove an exercise from a benchmark
+   */
+  removeExercise(benchmark, index) {
+    benchmark.exercises.splice(index, 1);
+    this.checkProgram();
+  }
+
+  /**
+   * Check the draft against the schema, then for unreachable milestones
+   * Runs after every edit; the template calls it on input as well
+   */
+  checkProgram() {
+    if (!this.program) {
+      this.problems = [];
+      return;
+    }
+    const pack = this._buildPack();
+    const errors = this._rulePackValidator.validate(pack);
+    this.problems =
+      errors.length > 0
+        ? errors
+        : this._rulePackValidator.findUnreachable(pack);
+  }
+
+  /**
+   * Problem at one path of the draft, "" if there is none
+   */
+  getProblem(path) {
+    const problem = this.problems.find((p) => p.path === path);
+    return problem ? problem.message : "";
+  }
+
+  /**
+   * Problems at a path and below it, e.g. all of a milestone's prerequisites
+   */
+  getProblemsWithin(path) {
+    return this.problems
+      .filter((p) => p.path === path || p.path.startsWith(`${path}.`))
+      .map((p) => p.message)
+      .join(" · ");
+  }
+
+  /**
+   * Check if the draft can be exported
+   */
+  get canExport() {
+    return this.program !== null && this.problems.length === 0;
+  }
+
+  /**
+   * How much each milestone adds to Tier.progressPercent once completed
+   * Benchmark milestones weigh a share of their required workouts, the
+   * same rule the progress bar uses
+   * @returns {Object} - {totalWorkoutsNeeded, milestones: [{type, name,
+   *   icon, weight, sharePercent}]}
+   */
+  getTierPreview(tier) {
+    const definition = this._buildTier(tier);
+    definition.milestones.forEach((milestone) => {
+      if (!Number.isFinite(milestone.requiredWorkouts)) {
+        milestone.requiredWorkouts = 0;
+      }
+    });
+    const totalWorkoutsNeeded = Tier.fromJSON(
+      definition,
+      this._workoutTaxonomy,
+    ).getTotalWorkoutsNeeded();
+
+    return {
+      totalWorkoutsNeeded,
+      milestones: definition.milestones.map((milestone, index) => {
+        const preview = Tier.fromJSON(definition, this._workoutTaxonomy);
+        const completed = preview.milestones[index];
+        completed.addProgress(completed.requiredWorkouts);
+        completed.benchmarkWorkouts.forEach((_, b) =>
+          completed.completeBenchmark(b),
+        );
+        const sharePercent = preview.progressPercent;
+        return {
+          type: milestone.type,
+          name: milestone.name,
+          icon: completed.icon,
+          weight: Math.round((sharePercent / 100) * totalWorkoutsNeeded),
+          sharePercent: Math.round(sharePercent),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Select value of a requirement or exercise: its workout type, or
+   * "category:<id>" when it accepts a whole fitness category
+   */
+  getTargetValue(target) {
+    return target.category ? `category:${target.category}` : target.workoutType;
+  }
+
+  /**
+   * Point a requirement or exercise at a workout type or a category
+   * @param {string} value - Select value, see getTargetValue()
+   */
+  setTarget(target, value) {
+    if (value.startsWith("category:")) {
+      delete target.workoutType;
+      target.category = value.slice("category:".length);
+    } else {
+      delete target.category;
+      target.workoutType = value;
+    }
+    this.checkProgram();
+  }
+
+  /**
+   * Option label of a category, e.g. "Any Mobility workout"
+   */
+  getCategoryLabel(category) {
+    return this._workoutTaxonomy.getTargetLabel({ category });
+  }
+
+  /**
+   * Medal and type name, e.g. "🥉 Bronze"
+   */
+  getMilestoneLabel(type) {
+    return `${MilestoneIcons[type] || "🏅"} ${this._getTypeName(type)}`;
+  }
+
+  /**
+   * Save the draft as a program file, through the share sheet where files
+   * can be shared
+   */
+  async exportProgram() {
+    this.errorMessage = "";
+    this.successMessage = "";
+    this.checkProgram();
+    if (this.problems.length > 0) {
+      this.errorMessage = `Fix ${this.problems.length} problem(s) before exporting`;
+      return;
+    }
+
+    try {
+      const pack = this._rulesRepository.validatePack(
+        this._buildPack(),
+        "designer draft",
+      );
+      const fileName = `${pack.id.replace(/[^\w-]+/g, "-")}-v${pack.version}.json`;
+      const file = new File([`${JSON.stringify(pack, null, 2)}\n`], fileName, {
+        type: "application/json",
+      });
+
+      if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        await navigator.share({ title: pack.name, files: [file] });
+        this.successMessage = `Shared ${fileName}`;
+      } else {
+        this._download(file);
+        this.successMessage = `Saved ${fileName}`;
+      }
+      this._logger.log(`Exported tier program ${fileName}`);
+    } catch (error) {
+      if (error.name === "AbortError") return; // Share sheet closed
+      this._logger.error("Failed to export tier program", error);
+      this.errorMessage = error.message;
+    }
+  }
+
+  /**
+   * Make a pack the draft, with every list the editor binds to present
+   */
+  _setProgram(pack) {
+    const program = JSON.parse(JSON.stringify(pack));
+    program.description = program.description || "";
+    program.tiers.forEach((tier) => {
+      tier.milestones.forEach((milestone) => {
+        milestone.workoutRequirements = milestone.workoutRequirements || [];
+        milestone.benchmarkWorkouts = milestone.benchmarkWorkouts || [];
+        milestone.prerequisites = milestone.prerequisites || {};
+      });
+    });
+    this.program = program;
+    this.selectedTierIndex = 0;
+    this.checkProgram();
+  }
+
+  /**
+   * Milestone with the standard program's defaults for its type
+   * Like there, benchmark milestones unlock after the tier's other milestones
+   * @param {Object|null} tier - Draft tier it is added to
+   */
+  _createMilestone(type, tier = null) {
+    const usesBenchmarks = this._benchmarkMilestoneTypes.includes(type);
+    const milestone = {
+      type,
+      name: this._getTypeName(type),
+      requiredWorkouts: this._defaultRequiredWorkouts[type],
+      workoutRequirements: [],
+      benchmarkWorkouts: usesBenchmarks ? [this._createBenchmark(1)] : [],
+      prerequisites: {},
+    };
+    if (usesBenchmarks && tier) {
+      const waitsFor = tier.milestones
+        .filter((m) => !this._benchmarkMilestoneTypes.includes(m.type))
+        .map((m) => ({ type: m.type }));
+      if (waitsFor.length > 0) {
+        milestone.prerequisites.milestones = waitsFor;
+      }
+    }
+    if (!usesBenchmarks) {
+      milestone.workoutRequirements.push({
+        workoutType: this.workoutTypes[0],
+        reps: 10,
+        timeMinutes: 20,
+      });
+    }
+    return milestone;
+  }
+
+  /**
+   * Milestone type as a name, e.g. "Bronze"
+   */
+  _getTypeName(type) {
+    return type.charAt(0).toUpperCase() + type.slice(1);
+  }
+
+  /**
+   * Benchmark with one exercise
+   */
+  _createBenchmark(number) {
+    return {
+      name: `Benchmark ${number}`,
+      exercises: [{ workoutType: this.workoutTypes[0], reps: 50 }],
+      timeCapMinutes: 30,
+    };
+  }
+
+  /**
+   * Tiers are looked up by level, which follows their order
+   */
+  _relevelTiers() {
+    this.program.tiers.forEach((tier, index) => {
+      tier.level = index;
+    });
+  }
+
+  /**
+   * The draft as a rule pack; emptied optional fields are left out
+   */
+  _buildPack() {
+    const { description, tiers, ...pack } = this.program;
+    return {
+      ...pack,
+      ...(description ? { description } : {}),
+      tiers: tiers.map((tier) => this._buildTier(tier)),
+    };
+  }
+
+  /**
+   * A draft tier as it goes into the rule pack
+   */
+  _buildTier(tier) {
+    const isEmpty = (value) => value === "" || value === null;
+    return {
+      level: tier.level,
+      name: tier.name,
+      milestones: tier.milestones.map((milestone) => ({
+        type: milestone.type,
+        name: milestone.name,
+        requiredWorkouts: milestone.requiredWorkouts,
+        workoutRequirements: milestone.workoutRequirements.map(
+          ({ workoutType, category, reps, timeMinutes }) => ({
+            ...(category ? { category } : { workoutType }),
+            ...(isEmpty(reps) ? {} : { reps }),
+            ...(isEmpty(timeMinutes) ? {} : { timeMinutes }),
+          }),
+        ),
+        // Draft lists are Alpine proxies, which structuredClone rejects
+        benchmarkWorkouts: JSON.parse(
+          JSON.stringify(milestone.benchmarkWorkouts),
+        ),
+        ...this._buildPrerequisites(milestone.prerequisites),
+      })),
+    };
+  }
+
+  /**
+   * Draft prerequisites as they go into a milestone; emptied lists are left
+   * out, and so are prerequisites with nothing left in them
+   * @returns {Object} - {prerequisites} or {}
+   */
+  _buildPrerequisites(draft) {
+    const prerequisites = Object.fromEntries(
+      Object.entries(JSON.parse(JSON.stringify(draft))).filter(
+        ([, list]) => list.length > 0,
+      ),
+    );
+    return Object.keys(prerequisites).length > 0 ? { prerequisites } : {};
+  }
+
+  /**
+   * Offer a file for download
+   */
+  _download(file) {
+    const url = URL.createObjectURL(file);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = file.name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * TrophyRoomViewModel - The Digital Gym: earned trophies and the ones
+ * still locked, with a hint and the progress towards each
+ */
+export class TrophyRoomViewModel {
+  constructor(achievementService, logger) {
+    this._achievementService = achievementService;
+    this._logger = logger;
+
+    // Public fields for Alpine.js bindings
+    this.earned = []; // Newest unlock first
+    this.locked = []; // Catalog order
+    this.isLoading = false;
+    this.errorMessage = "";
+  }
+
+  /**
+   * Number of achievements, earned or not
+   */
+  get totalCount() {
+    return this.earned.length + this.locked.length;
+  }
+
+  /**
+   * Load earned and locked achievements
+   */
+  async loadTrophies() {
+    this.isLoading = true;
+    this.errorMessage = "";
+
+    try {
+      const { earned, locked } = await this._achievementService.getTrophyRoom();
+      this.earned = earned;
+      this.locked = locked;
+    } catch (error) {
+      this._logger.error("Failed to load trophies", error);
+      this.errorMessage = "Failed to load trophies";
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * Format the date an achievement was unlocked, e.g. "19 Oct 2026"
+   */
+  formatUnlockDate(isoDate) {
+    return new Date(isoDate).toLocaleDateString(undefined, {
+      day: "numeric",
+      month: "short",
+      year: "numeric",
+    });
+  }
+}
@@ -1,11 +1,21 @@
 import { ProofMethod } from "../models/Workout.js";
+import { ProofState } from "../constants/ProofState.js";
 
 /**
  * WorkoutHistoryViewModel - Handles workout history display
  */
 export class WorkoutHistoryViewModel {
-  constructor(workoutRepository, logger) {
+  constructor(
+    workoutRepository,
+    videoUploadService,
+    escrowService,
+    peerReviewService,
+    logger,
+  ) {
     this._workoutRepository = workoutRepository;
+    this._videoUploadService = videoUploadService;
+    this._escrowService = escrowService;
+    this._peerReviewService = peerReviewService;
     this._logger = logger;
 
     // Public fields for Alpine.js bindings
@@ -14,6 +24,7 @@ export class WorkoutHistoryViewModel {
     this.errorMessage = "";
     this.filterMilestone = "";
     this.filterProofMethod = "";
+    this.bestAttemptIds = []; // Best attempt per benchmark, highlighted in the list
   }
 
   /**
@@ -25,6 +36,7 @@ export class WorkoutHistoryViewModel {
 
     try {
       this.workouts = await this._workoutRepository.getAllWorkouts();
+      this._updateBestAttempts();
       this._logger.log(`Loaded ${this.workouts.length} workouts`);
     } catch (error) {
       this._logger.error("Failed to load workouts", error);
@@ -120,6 +132,110 @@ export class WorkoutHistoryViewModel {
     return `text-${milestoneType}`;
   }
 
+  /**
+   * One-line summary of logged metrics, e.g. "3×10 @ 20 kg · 30 min · 5 km"
+   * Empty for workouts logged without metrics
+   */
+  getMetricsSummary(workout) {
+    const metrics = workout.metrics;
+    if (!metrics || metrics.isEmpty) return "";
+
+    const parts = [];
+    if (metrics.sets.length > 0) {
+      const reps = metrics.sets.map((set) => set.reps);
+      const sameReps = reps.every((r) => r === reps[0]);
+      const setsLabel = sameReps
+        ? `${reps.length}×${reps[0]}`
+        : `${metrics.totalReps} reps`;
+      const weights = metrics.sets
+        .map((set) => set.weightKg)
+        .filter((weight) => weight);
+      parts.push(
+        weights.length > 0
+          ? `${setsLabel} @ ${Math.max(...weights)} kg`
+          : setsLabel,
+      );
+    }
+    if (metrics.durationMinutes) parts.push(`${metrics.durationMinutes} min`);
+    if (metrics.distanceKm) parts.push(`${metrics.distanceKm} km`);
+    if (metrics.paceLabel) parts.push(metrics.paceLabel);
+    return parts.join(" · ");
+  }
+
+  /**
+   * One-line outcome of a benchmark attempt, e.g. "Passed · 31:40 of 40 min"
+   * Empty for regular workouts and benchmarks logged without a result
+   */
+  getBenchmarkSummary(workout) {
+    const result = workout.benchmarkResult;
+    if (!result) return "";
+
+    const cap = result.timeCapMinutes ? ` of ${result.timeCapMinutes} min` : "";
+    const time = `${result.totalTimeLabel}${cap}`;
+    if (result.passed) return `Passed · ${time}`;
+    return `Not passed · ${result.completedReps}/${result.targetReps} reps · ${time}`;
+  }
+
+  /**
+   * Proof state of a workout, with the reason once it is rejected or expired
+   */
+  getProofStateLabel(workout) {
+    const label = ProofState.getLabel(workout.proof.state);
+    if (
+      workout.proof.state === ProofState.REJECTED ||
+      workout.proof.state === ProofState.EXPIRED
+    ) {
+      return `${label}: ${workout.proof.reason}`;
+    }
+    return label;
+  }
+
+  /**
+   * Material icon for the proof state of a workout
+   */
+  getProofStateIcon(workout) {
+    const icons = {
+      [ProofState.DRAFT]: "edit_note",
+      [ProofState.RECORDED]: "save",
+      [ProofState.UPLOADING]: "cloud_upload",
+      [ProofState.UNDER_REVIEW]: "hourglass_top",
+      [ProofState.VERIFIED]: "verified",
+      [ProofState.REJECTED]: "block",
+      [ProofState.EXPIRED]: "event_busy",
+    };
+    return icons[workout.proof.state] || "help";
+  }
+
+  /**
+   * Check if a workout is the best attempt at its benchmark
+   */
+  isBestAttempt(workout) {
+    return this.bestAttemptIds.includes(workout.id);
+  }
+
+  /**
+   * Find the best attempt per benchmark among the loaded workouts
+   * Only benchmarks attempted more than once are highlighted
+   */
+  _updateBestAttempts() {
+    const groups = {};
+    this.workouts
+      .filter((w) => w.benchmarkResult)
+      .forEach((w) => {
+        const key = `${w.tier}:${w.milestoneType}:${w.benchmarkIndex}`;
+        (groups[key] = groups[key] || []).push(w);
+      });
+
+    this.bestAttemptIds = Object.values(groups)
+      .filter((attempts) => attempts.length > 1)
+      .map((attempts) =>
+        attempts.reduce((best, w) =>
+          w.benchmarkResult.isBetterThan(best.benchmarkResult) ? w : best,
+        ),
+      )
+      .map((w) => w.id);
+  }
+
   /**
    * Clear filter
    */
@@ -133,8 +249,12 @@ export class WorkoutHistoryViewModel {
    */
   async deleteWorkout(workoutId) {
     try {
+      await this._videoUploadService.deleteVideo(workoutId);
+      await this._escrowService.deleteClaimForWorkout(workoutId);
+      await this._peerReviewService.deleteReviewForWorkout(workoutId);
       await this._workoutRepository.deleteWorkout(workoutId);
       this.workouts = this.workouts.filter((w) => w.id !== workoutId);
+      this._updateBestAttempts();
       this._logger.log(`Deleted workout: ${workoutId}`);
     } catch (error) {
       this._logger.error("Failed to delete workout", error);
@@ -11,16 +11,100 @@ const STATIC_ASSETS = [
   "/js/app.js",
   "/js/models/Athlete.js",
   "/js/models/Workout.js",
+  "/js/models/WorkoutMetrics.js",
+  "/js/models/BenchmarkResult.js",
+  "/js/models/ProofLifecycle.js",
   "/js/models/Milestone.js",
   "/js/models/Tier.js",
   "/js/models/TierConfiguration.js",
+  "/js/models/WorkoutTaxonomy.js",
+  "/js/models/AchievementCatalog.js",
+  "/js/models/BodyMetricsEntry.js",
+  "/js/models/TierProgramSchema.js",
+  "/js/models/ReferenceStandardsSchema.js",
   "/js/repositories/AthleteRepository.js",
   "/js/repositories/WorkoutRepository.js",
+  "/js/repositories/ProgressRepository.js",
+  "/js/repositories/SyncOutboxRepository.js",
+  "/js/repositories/UserPreferencesRepository.js",
+  "/js/repositories/SyncConflictRepository.js",
+  "/js/repositories/VideoProofRepository.js",
+  "/js/repositories/VideoUploadRepository.js",
+  "/js/repositories/SigningKeyRepository.js",
+  "/js/repositories/GuarantorRepository.js",
+  "/js/repositories/EscrowClaimRepository.js",
+  "/js/repositories/PeerReviewRepository.js",
+  "/js/repositories/ReviewerRepository.js",
+  "/js/repositories/RulesRepository.js",
+  "/js/repositories/AchievementRepository.js",
+  "/js/repositories/BodyMetricsRepository.js",
   "/js/services/ProgressionService.js",
+  "/js/services/ScoringService.js",
   "/js/services/StorageService.js",
+  "/js/services/MigrationRegistry.js",
+  "/js/services/SchemaMigrations.js",
+  "/js/services/SyncService.js",
+  "/js/services/VideoCaptureService.js",
+  "/js/services/VideoMetadataReader.js",
+  "/js/services/VideoUploadService.js",
+  "/js/services/AttestationCrypto.js",
+  "/js/services/EscrowService.js",
+  "/js/services/PeerReviewService.js",
+  "/js/services/RulePackValidator.js",
+  "/js/services/PrerequisiteEvaluator.js",
+  "/js/services/DecayTracker.js",
+  "/js/services/StreakService.js",
+  "/js/services/AchievementService.js",
+  "/js/services/AvatarRenderer.js",
+  "/js/services/BodyMetricsService.js",
+  "/js/services/RulePackValidationError.js",
+  "/js/services/QrCodeEncoder.js",
+  "/js/services/QrScannerService.js",
+  "/js/sync/HttpSyncTransport.js",
+  "/js/sync/HttpUploadTransport.js",
+  "/js/sync/HttpReviewTransport.js",
+  "/js/sync/BackgroundSyncScheduler.js",
+  "/js/sync/SyncConflictError.js",
+  "/js/sync/SyncConflictResolver.js",
+  "/js/constants/SyncConflictStatus.js",
+  "/js/constants/SyncStatus.js",
+  "/js/constants/SyncEntityType.js",
+  "/js/constants/SyncOperation.js",
+  "/js/constants/SyncPhase.js",
+  "/js/constants/VideoRecordingLimits.js",
+  "/js/constants/VideoUploadStatus.js",
+  "/js/constants/VideoIntegrityVerdict.js",
+  "/js/constants/ProofState.js",
+  "/js/constants/OffRecordPolicy.js",
+  "/js/constants/EscrowClaimStatus.js",
+  "/js/constants/EscrowPayloadKind.js",
+  "/js/constants/ShareOutcome.js",
+  "/js/constants/QrErrorCorrectionLevel.js",
+  "/js/constants/VideoReviewPolicy.js",
+  "/js/constants/PeerReviewQuorum.js",
+  "/js/constants/PeerReviewStatus.js",
+  "/js/constants/PerformanceMetric.js",
+  "/js/constants/FitnessCategory.js",
+  "/js/constants/DecayEventType.js",
+  "/js/constants/AchievementTrigger.js",
+  "/js/constants/AchievementStat.js",
+  "/js/constants/SkinTone.js",
+  "/js/constants/AvatarBuild.js",
+  "/js/constants/BodyMetric.js",
+  "/js/constants/WeightUnit.js",
+  "/js/constants/LengthUnit.js",
   "/js/viewmodels/AthleteSetupViewModel.js",
   "/js/viewmodels/MainScreenViewModel.js",
   "/js/viewmodels/WorkoutHistoryViewModel.js",
+  "/js/viewmodels/SyncConflictsViewModel.js",
+  "/js/viewmodels/GuarantorsViewModel.js",
+  "/js/viewmodels/JudgeReviewViewModel.js",
+  "/js/viewmodels/QrScanViewModel.js",
+  "/js/viewmodels/TierProgramDesignerViewModel.js",
+  "/js/viewmodels/TrophyRoomViewModel.js",
+  "/js/viewmodels/BodyMetricsViewModel.js",
+  "/rules/tier-program.json",
+  "/rules/ffi-standards.json",
   "/img/male0.jpg",
   "/img/male1.jpg",
   "/img/male2.jpg",
@@ -31,6 +115,16 @@ const STATIC_ASSETS = [
   "/img/female2.jpg",
   "/img/female3.jpg",
   "/img/female4.jpg",
+  "/img/avatar/aura.svg",
+  "/img/avatar/body-male-lean.svg",
+  "/img/avatar/body-male-athletic.svg",
+  "/img/avatar/body-male-broad.svg",
+  "/img/avatar/body-female-lean.svg",
+  "/img/avatar/body-female-athletic.svg",
+  "/img/avatar/body-female-broad.svg",
+  "/img/avatar/accent-power.svg",
+  "/img/avatar/accent-flow.svg",
+  "/img/avatar/accent-speed.svg",
 ];
 
 // Check version file to detect deployments
@@ -162,14 +256,274 @@ self.addEventListener("fetch", (event) => {
   );
 });
 
-// Background sync for workout data (stub for future implementation)
+// Background sync for outbox records (workouts, athletes, progress)
+// Mirrors SyncService/SyncOutboxRepository; the page registers the tag via
+// BackgroundSyncScheduler whenever the outbox has pending records.
+// Conflicts (409) are left due for the page, which can merge them.
+// Like the page, an entry is claimed before it is pushed: in flight under a
+// lease, so the page and the worker never upload the same entry at once.
+const DB_NAME = "f17n355-db";
+const SYNC_TAG = "sync-workouts";
+const SYNC_MESSAGE_TYPE = "sync-progress";
+const SYNC_BASE_RETRY_DELAY_MS = 5000;
+const SYNC_MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const SYNC_MAX_ATTEMPTS = 8;
+const SYNC_CLAIM_LEASE_MS = 2 * 60 * 1000;
+const SYNC_ENTITY_STORES = {
+  workout: "workouts",
+  athlete: "athletes",
+  progress: "progress",
+};
+
 self.addEventListener("sync", (event) => {
-  if (event.tag === "sync-workouts") {
+  if (event.tag === SYNC_TAG) {
     event.waitUntil(syncWorkouts());
   }
 });
 
+// Open the app database without creating it: schema belongs to the page
+function openAppDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME);
+    let isNewDatabase = false;
+
+    request.onupgradeneeded = (event) => {
+      isNewDatabase = true;
+      event.target.transaction.abort();
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      if (isNewDatabase) {
+        resolve(null);
+        return;
+      }
+      reject(request.error);
+    };
+  });
+}
+
+function runStoreRequest(db, storeName, mode, createRequest) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], mode);
+    const request = createRequest(transaction.objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Read, change and put a record in one transaction; applyChange returns the
+// record to put, or null to leave it. Resolves with the record put or null.
+function updateStoreItem(db, storeName, key, applyChange) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], "readwrite");
+    const store = transaction.objectStore(storeName);
+    const request = store.get(key);
+    let updated = null;
+
+    request.onsuccess = () => {
+      updated = applyChange(request.result || null);
+      if (updated) store.put(updated);
+    };
+    transaction.oncomplete = () => resolve(updated);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+async function notifySyncProgress(phase, synced, failed, conflicted, total) {
+  const clientList = await self.clients.matchAll({ type: "window" });
+  clientList.forEach((client) =>
+    client.postMessage({
+      type: SYNC_MESSAGE_TYPE,
+      phase,
+      synced,
+      failed,
+      conflicted,
+      total,
+    }),
+  );
+}
+
+function calculateNextAttemptAt(attempts) {
+  if (attempts >= SYNC_MAX_ATTEMPTS) return null;
+  const delay = Math.min(
+    SYNC_BASE_RETRY_DELAY_MS * 2 ** (attempts - 1),
+    SYNC_MAX_RETRY_DELAY_MS,
+  );
+  return new Date(Date.now() + delay).toISOString();
+}
+
+// Same rule as SyncOutboxRepository._isClaimable()
+function isClaimable(entry, now) {
+  if (entry.status === "in-flight") {
+    return !entry.leaseExpiresAt || new Date(entry.leaseExpiresAt) <= now;
+  }
+  return (
+    (entry.status === "pending" || entry.status === "failed") &&
+    !!entry.nextAttemptAt &&
+    new Date(entry.nextAttemptAt) <= now
+  );
+}
+
+// Mark an entry in flight under a lease; null if the page claimed it first
+function claimOutboxEntry(db, id) {
+  return updateStoreItem(db, "outbox", id, (current) => {
+    const now = new Date();
+    if (!current || !isClaimable(current, now)) return null;
+
+    current.status = "in-flight";
+    current.attempts = (current.attempts || 0) + 1;
+    current.leaseExpiresAt = new Date(
+      now.getTime() + SYNC_CLAIM_LEASE_MS,
+    ).toISOString();
+    current.updatedAt = now.toISOString();
+    return current;
+  });
+}
+
+// Update an outbox entry unless a newer mutation replaced it meanwhile
+async function updateOutboxEntry(db, entry, applyChange) {
+  await updateStoreItem(db, "outbox", entry.id, (current) => {
+    if (!current || current.mutationId !== entry.mutationId) return null;
+
+    applyChange(current);
+    current.leaseExpiresAt = null;
+    current.updatedAt = new Date().toISOString();
+    return current;
+  });
+}
+
+// Record the server revision; a newer mutation is rebased onto it
+async function acknowledgeServerRevision(db, entry, revision) {
+  await updateStoreItem(db, "outbox", entry.id, (current) => {
+    if (!current) return null;
+
+    if (current.mutationId === entry.mutationId) {
+      current.status = "synced";
+      current.lastError = null;
+      current.nextAttemptAt = null;
+      current.leaseExpiresAt = null;
+      current.syncedAt = new Date().toISOString();
+    }
+    current.baseRevision = revision;
+    current.updatedAt = new Date().toISOString();
+    return current;
+  });
+
+  const storeName = SYNC_ENTITY_STORES[entry.entityType];
+  const record = await runStoreRequest(db, storeName, "readonly", (store) =>
+    store.get(entry.entityId),
+  );
+  if (record) {
+    record.revision = revision;
+    await runStoreRequest(db, storeName, "readwrite", (store) =>
+      store.put(record),
+    );
+  }
+}
+
+// Resolves with the server revision, or null when the server reports a conflict
+async function pushOutboxEntry(endpoint, entry) {
+  const isDelete = entry.operation === "delete";
+  const url = `${endpoint}/sync/${entry.entityType}/${encodeURIComponent(entry.entityId)}`;
+  const response = await fetch(url, {
+    method: isDelete ? "DELETE" : "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      mutationId: entry.mutationId,
+      baseRevision: entry.baseRevision || 0,
+      payload: isDelete ? null : entry.payload,
+    }),
+  });
+  if (response.status === 409) return null;
+  if (!response.ok) {
+    throw new Error(`Sync request failed with status ${response.status}`);
+  }
+  const result = await response.json();
+  return result.revision;
+}
+
 async function syncWorkouts() {
-  // TODO: Implement background sync for workout data
-  console.log("Background sync triggered for workouts");
+  const db = await openAppDatabase();
+  if (!db) return;
+
+  try {
+    if (
+      !db.objectStoreNames.contains("outbox") ||
+      !db.objectStoreNames.contains("syncSettings")
+    ) {
+      return;
+    }
+
+    const setting = await runStoreRequest(
+      db,
+      "syncSettings",
+      "readonly",
+      (store) => store.get("endpoint"),
+    );
+    const endpoint = setting && setting.value;
+    if (!endpoint) {
+      console.log("Background sync skipped: no sync endpoint configured");
+      return;
+    }
+    const baseUrl = endpoint.replace(/\/+$/, "");
+
+    const entries = await runStoreRequest(db, "outbox", "readonly", (store) =>
+      store.getAll(),
+    );
+    const now = new Date();
+    // In-flight entries count too: their pusher may die before finishing
+    const retryable = entries.filter(
+      (e) =>
+        e.status === "in-flight" ||
+        ((e.status === "pending" || e.status === "failed") && e.nextAttemptAt),
+    );
+    const due = retryable.filter((e) => isClaimable(e, now));
+
+    let synced = 0;
+    let failed = 0;
+    let conflicted = 0;
+    const report = (phase) =>
+      notifySyncProgress(phase, synced, failed, conflicted, due.length);
+    await report("started");
+
+    for (const dueEntry of due) {
+      const entry = await claimOutboxEntry(db, dueEntry.id);
+      if (!entry) continue;
+
+      try {
+        const revision = await pushOutboxEntry(baseUrl, entry);
+        if (revision === null) {
+          await updateOutboxEntry(db, entry, (current) => {
+            current.status = "failed";
+            current.lastError = "Conflict with newer server revision";
+            current.nextAttemptAt = new Date().toISOString();
+          });
+          conflicted++;
+        } else {
+          await acknowledgeServerRevision(db, entry, revision);
+          synced++;
+        }
+      } catch (error) {
+        await updateOutboxEntry(db, entry, (current) => {
+          current.status = "failed";
+          current.lastError = error.message;
+          current.nextAttemptAt = calculateNextAttemptAt(entry.attempts);
+        });
+        failed++;
+      }
+      await report("progress");
+    }
+
+    await report("finished");
+    console.log(
+      `Background sync finished: ${synced} synced, ${failed} failed, ${conflicted} conflicted`,
+    );
+
+    // Rejecting lets the browser reschedule the sync with its own backoff
+    if (failed > 0 || retryable.length > due.length) {
+      throw new Error("Background sync incomplete, retry scheduled");
+    }
+  } finally {
+    db.close();
+  }
 }
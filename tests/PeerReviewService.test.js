@@ -0,0 +1,151 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PeerReviewService } from "../js/services/PeerReviewService.js";
+import { PeerReviewQuorum } from "../js/constants/PeerReviewQuorum.js";
+import { PeerReviewStatus } from "../js/constants/PeerReviewStatus.js";
+
+const logger = { log() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Votes in the shape decide() takes, e.g. votesOf("PPF")
+ */
+function votesOf(pattern) {
+  return [...pattern].map((c) => ({ passed: c === "P" }));
+}
+
+/**
+ * Service whose review, reviewer records and server votes live in memory
+ */
+function createService(review, remoteVotes) {
+  const recorded = [];
+  const peerReviewRepository = {
+    async getReviewByWorkoutId() {
+      return review;
+    },
+    async saveVotes(workoutId, votes, status) {
+      review = { ...review, votes, status };
+      return review;
+    },
+  };
+  const reviewerRepository = {
+    async recordVote(reviewer, agreed) {
+      recorded.push({ id: reviewer.id, agreed });
+    },
+  };
+  const reviewTransport = {
+    async getReview() {
+      return { votes: remoteVotes };
+    },
+  };
+  const service = new PeerReviewService(
+    peerReviewRepository,
+    reviewerRepository,
+    reviewTransport,
+    {},
+    logger,
+  );
+  return { service, recorded };
+}
+
+describe("PeerReviewService.decide", () => {
+  const service = new PeerReviewService({}, {}, {}, {}, logger);
+  const decide = (pattern, count, quorum) =>
+    service.decide(votesOf(pattern), count, quorum);
+
+  it("passes a majority as soon as it is reached", () => {
+    assert.equal(decide("PP", 3, PeerReviewQuorum.MAJORITY), "passed");
+    assert.equal(decide("PF", 3, PeerReviewQuorum.MAJORITY), "pending");
+    assert.equal(decide("PFP", 3, PeerReviewQuorum.MAJORITY), "passed");
+  });
+
+  it("fails once the remaining reviewers cannot reach the quorum", () => {
+    assert.equal(decide("FF", 3, PeerReviewQuorum.MAJORITY), "failed");
+    assert.equal(decide("F", 3, PeerReviewQuorum.MAJORITY), "pending");
+  });
+
+  it("needs more than half, so a tie fails an even panel", () => {
+    assert.equal(decide("PPFF", 4, PeerReviewQuorum.MAJORITY), "failed");
+    assert.equal(decide("PP", 4, PeerReviewQuorum.MAJORITY), "pending");
+    assert.equal(decide("PPP", 4, PeerReviewQuorum.MAJORITY), "passed");
+  });
+
+  it("rounds two thirds up", () => {
+    assert.equal(decide("PPP", 5, PeerReviewQuorum.TWO_THIRDS), "pending");
+    assert.equal(decide("PPPP", 5, PeerReviewQuorum.TWO_THIRDS), "passed");
+    assert.equal(decide("FF", 5, PeerReviewQuorum.TWO_THIRDS), "failed");
+    assert.equal(decide("PP", 3, PeerReviewQuorum.TWO_THIRDS), "passed");
+  });
+
+  it("rejects a unanimous review on the first fail", () => {
+    assert.equal(decide("F", 3, PeerReviewQuorum.UNANIMOUS), "failed");
+    assert.equal(decide("PP", 3, PeerReviewQuorum.UNANIMOUS), "pending");
+    assert.equal(decide("PPP", 3, PeerReviewQuorum.UNANIMOUS), "passed");
+  });
+
+  it("stays pending without votes", () => {
+    for (const quorum of PeerReviewQuorum.getAll()) {
+      assert.equal(decide("", 3, quorum), PeerReviewStatus.PENDING);
+    }
+  });
+});
+
+describe("PeerReviewService.refreshReview", () => {
+  const reviewers = [
+    { id: "r1", name: "Ana" },
+    { id: "r2", name: "Ben" },
+    { id: "r3", name: "Cem" },
+  ];
+  const pendingReview = () => ({
+    workoutId: "w1",
+    reviewId: "rev-1",
+    reviewers,
+    quorum: PeerReviewQuorum.MAJORITY,
+    votes: [],
+    status: PeerReviewStatus.PENDING,
+  });
+
+  it("counts only the first vote of each assigned reviewer", async () => {
+    const { service } = createService(pendingReview(), [
+      { reviewerId: "r1", passed: true },
+      { reviewerId: "r1", passed: false },
+      { reviewerId: "stranger", passed: true },
+      { reviewerId: "r2", passed: false },
+    ]);
+
+    const review = await service.refreshReview("w1");
+    assert.equal(review.status, PeerReviewStatus.PENDING);
+    assert.deepEqual(
+      review.votes.map((v) => [v.reviewerId, v.passed]),
+      [
+        ["r1", true],
+        ["r2", false],
+      ],
+    );
+  });
+
+  it("records agreement with the outcome once decided", async () => {
+    const { service, recorded } = createService(pendingReview(), [
+      { reviewerId: "r1", passed: true },
+      { reviewerId: "r2", passed: false, reasons: ["Reps cut short"] },
+      { reviewerId: "r3", passed: true },
+    ]);
+
+    const review = await service.refreshReview("w1");
+    assert.equal(review.status, PeerReviewStatus.PASSED);
+    assert.deepEqual(recorded, [
+      { id: "r1", agreed: true },
+      { id: "r2", agreed: false },
+      { id: "r3", agreed: true },
+    ]);
+  });
+
+  it("leaves a decided review alone", async () => {
+    const decided = { ...pendingReview(), status: PeerReviewStatus.FAILED };
+    const { service, recorded } = createService(decided, [
+      { reviewerId: "r1", passed: true },
+    ]);
+
+    assert.equal(await service.refreshReview("w1"), decided);
+    assert.deepEqual(recorded, []);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ProofService } from "../js/services/ProofService.js";
+import { VideoIntegrityVerdict } from "../js/constants/VideoIntegrityVerdict.js";
+
+const logger = { log() {}, warn() {}, error() {}, debug() {} };
+
+describe("ProofService.checkVideoIntegrity", () => {
+  const service = new ProofService(null, null, null, null, null, logger);
+  const metadata = {
+    durationSeconds: 60,
+    frameRate: 30,
+    width: 1280,
+    height: 720,
+  };
+  const check = (loggedAt, startedAt) =>
+    service.checkVideoIntegrity(
+      { date: loggedAt },
+      { startedAt, durationSeconds: 60 },
+      metadata,
+      {},
+    );
+
+  it("accepts a recording started just after midnight", () => {
+    const report = check("2026-10-18T21:58:00Z", "2026-10-18T22:01:00Z");
+    assert.equal(report.verdict, VideoIntegrityVerdict.ACCEPTED);
+  });
+
+  it("flags a recording started long after the workout was logged", () => {
+    const report = check("2026-10-18T08:00:00Z", "2026-10-18T17:30:00Z");
+    assert.equal(report.verdict, VideoIntegrityVerdict.FLAGGED);
+    assert.deepEqual(report.flags, [
+      "Video was recorded 9 hours after the workout was logged",
+    ]);
+  });
+
+  it("rejects a recording started before the workout was logged", () => {
+    const report = check("2026-10-18T08:00:00Z", "2026-10-18T07:50:00Z");
+    assert.equal(report.verdict, VideoIntegrityVerdict.REJECTED);
+    assert.deepEqual(report.rejections, [
+      "Video was recorded before the workout was logged",
+    ]);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { MigrationRegistry } from "../js/services/MigrationRegistry.js";
+import { SchemaMigrations } from "../js/services/SchemaMigrations.js";
+
+/**
+ * In-memory stand-in for the context StorageService hands to each step:
+ * createStore keeps existing stores, transformRecords rewrites records
+ */
+function createUpgradeContext(records = {}) {
+  const stores = {};
+  Object.keys(records).forEach((storeName) => {
+    stores[storeName] = { options: { keyPath: "id" }, indexes: [] };
+  });
+
+  return {
+    stores,
+    records,
+    createStore(storeName, options, indexes = []) {
+      const store = stores[storeName] || { options, indexes: [] };
+      indexes.forEach((index) => {
+        if (!store.indexes.some((i) => i.name === index.name)) {
+          store.indexes.push(index);
+        }
+      });
+      stores[storeName] = store;
+      records[storeName] = records[storeName] || [];
+      return store;
+    },
+    async transformRecords(storeName, transformFn) {
+      let count = 0;
+      records[storeName] = records[storeName].map((record) => {
+        const updated = transformFn(record);
+        if (updated === undefined) return record;
+        count++;
+        return updated;
+      });
+      return count;
+    },
+  };
+}
+
+/**
+ * Run the pending steps like StorageService._runMigrations
+ */
+async function migrate(context, oldVersion, registry) {
+  for (const migration of registry.getPendingMigrations(oldVersion)) {
+    await migration.upgrade(context);
+  }
+}
+
+describe("SchemaMigrations", () => {
+  const registry = new MigrationRegistry(SchemaMigrations);
+
+  it("numbers steps 1..latest without gaps", () => {
+    const versions = registry.migrations.map((m) => m.version);
+    assert.deepEqual(
+      versions,
+      versions.map((_, i) => i + 1),
+    );
+    assert.equal(registry.latestVersion, versions.length);
+  });
+
+  it("runs only the steps newer than the stored version", () => {
+    const pending = registry.getPendingMigrations(6).map((m) => m.version);
+    assert.deepEqual(pending.slice(0, 2), [7, 8]);
+    assert.deepEqual(registry.getPendingMigrations(registry.latestVersion), []);
+  });
+
+  it("creates every store on a fresh database", async () => {
+    const context = createUpgradeContext();
+    await migrate(context, 0, registry);
+
+    for (const storeName of ["athletes", "workouts", "outbox", "bodyMetrics"]) {
+      assert.ok(context.stores[storeName], `missing store ${storeName}`);
+    }
+    assert.deepEqual(
+      context.stores.outbox.indexes.map((i) => i.name),
+      ["status", "entityType"],
+    );
+  });
+
+  it("can run again over an existing schema", async () => {
+    const context = createUpgradeContext();
+    await migrate(context, 0, registry);
+    const storeNames = Object.keys(context.stores);
+
+    await migrate(context, 0, registry);
+    assert.deepEqual(Object.keys(context.stores), storeNames);
+    assert.equal(context.stores.workouts.indexes.length, 3);
+  });
+
+  it("gives workouts logged before v7 a proof state", async () => {
+    const context = createUpgradeContext({
+      workouts: [
+        { id: "w1", proofMethod: "record", verified: false, date: "d1" },
+        { id: "w2", proofMethod: "video", verified: true, date: "d2" },
+        { id: "w3", proofMethod: "video", proof: { state: "uploading" } },
+      ],
+    });
+    await migrate(context, 6, registry);
+
+    const [offRecord, video, current] = context.records.workouts;
+    assert.equal(offRecord.proof.state, "recorded");
+    assert.equal(video.proof.state, "verified");
+    assert.equal("verified" in video, false);
+    assert.deepEqual(video.proof.history[0], {
+      from: null,
+      to: "verified",
+      at: "d2",
+      reason: "Logged before proof states existed",
+    });
+    assert.deepEqual(current.proof, { state: "uploading" });
+  });
+});
+
+describe("MigrationRegistry", () => {
+  const step = (version) => ({ version, description: "", upgrade() {} });
+
+  it("keeps steps in version order", () => {
+    const registry = new MigrationRegistry([step(3), step(1), step(2)]);
+    assert.deepEqual(
+      registry.migrations.map((m) => m.version),
+      [1, 2, 3],
+    );
+  });
+
+  it("rejects duplicate and invalid versions", () => {
+    assert.throws(
+      () => new MigrationRegistry([step(1), step(1)]),
+      /Duplicate migration version: 1/,
+    );
+    assert.throws(() => new MigrationRegistry([step(0)]), /Invalid/);
+    assert.throws(
+      () => new MigrationRegistry([{ version: 1 }]),
+      /has no upgrade step/,
+    );
+  });
+});
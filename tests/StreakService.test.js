@@ -0,0 +1,116 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { StreakService } from "../js/services/StreakService.js";
+
+const logger = { log() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Workout as calculateStreaks() reads it
+ */
+function workoutAt(date, { timeZone = null, isVerified = false } = {}) {
+  return { date, timeZone, isVerified };
+}
+
+describe("StreakService.calculateStreaks", () => {
+  const service = new StreakService({}, {}, logger);
+  const calculate = (workouts, asOf, timeZone, target = 3) =>
+    service.calculateStreaks(workouts, target, new Date(asOf), timeZone);
+
+  it("splits days at local midnight, not at UTC midnight", () => {
+    // 23:30 and 00:30 in Berlin (CEST), both on 17 October in UTC
+    const workouts = [
+      workoutAt("2026-10-17T21:30:00Z"),
+      workoutAt("2026-10-17T22:30:00Z"),
+    ];
+
+    const berlin = calculate(workouts, "2026-10-18T10:00:00Z", "Europe/Berlin");
+    assert.equal(berlin.today, "2026-10-18");
+    assert.equal(berlin.daily.current, 2);
+    assert.equal(berlin.daily.activeToday, true);
+
+    const utc = calculate(workouts, "2026-10-18T10:00:00Z", "UTC");
+    assert.equal(utc.daily.current, 1);
+    assert.equal(utc.daily.activeToday, false);
+  });
+
+  it("keeps days apart across the daylight saving change", () => {
+    // 23:30 local on 24 (CEST), 25 and 26 October (CET)
+    const workouts = [
+      workoutAt("2026-10-24T21:30:00Z"),
+      workoutAt("2026-10-25T22:30:00Z"),
+      workoutAt("2026-10-26T22:30:00Z"),
+    ];
+
+    const summary = calculate(
+      workouts,
+      "2026-10-26T22:45:00Z",
+      "Europe/Berlin",
+    );
+    assert.equal(summary.today, "2026-10-26");
+    assert.equal(summary.daily.current, 3);
+    assert.deepEqual(summary.daily.frozenDays, []);
+  });
+
+  it("places a workout on the day of the zone it was logged in", () => {
+    // 01:00 on 19 October in Tokyo, still 18 October in Berlin
+    const workouts = [
+      workoutAt("2026-10-18T16:00:00Z", { timeZone: "Asia/Tokyo" }),
+    ];
+
+    const summary = calculate(
+      workouts,
+      "2026-10-19T08:00:00Z",
+      "Europe/Berlin",
+    );
+    assert.equal(summary.daily.activeToday, true);
+    assert.equal(summary.daily.current, 1);
+  });
+
+  it("keeps today open but breaks on a missed day", () => {
+    const workouts = [
+      workoutAt("2026-10-15T12:00:00Z"),
+      workoutAt("2026-10-17T12:00:00Z"),
+      workoutAt("2026-10-18T12:00:00Z"),
+    ];
+
+    const summary = calculate(workouts, "2026-10-19T08:00:00Z", "UTC");
+    assert.equal(summary.daily.current, 2);
+    assert.equal(summary.daily.best, 2);
+    assert.equal(summary.daily.activeToday, false);
+  });
+
+  it("covers a missed day with a freeze earned by verified workouts", () => {
+    const verifiedDay = Array.from({ length: 5 }, () =>
+      workoutAt("2026-10-01T12:00:00Z", { isVerified: true }),
+    );
+    const workouts = [...verifiedDay, workoutAt("2026-10-03T12:00:00Z")];
+
+    const summary = calculate(workouts, "2026-10-03T18:00:00Z", "UTC");
+    assert.equal(summary.daily.current, 2);
+    assert.deepEqual(summary.daily.frozenDays, ["2026-10-02"]);
+    assert.equal(summary.freezes.available, 0);
+    assert.equal(summary.freezes.verifiedToNext, 5);
+  });
+
+  it("starts weeks on Monday in the local zone", () => {
+    // Sunday 23:30 and Monday 00:30 in Berlin, both Sunday in UTC
+    const workouts = [
+      workoutAt("2026-10-18T21:30:00Z"),
+      workoutAt("2026-10-18T22:30:00Z"),
+    ];
+
+    const berlin = calculate(
+      workouts,
+      "2026-10-19T10:00:00Z",
+      "Europe/Berlin",
+      1,
+    );
+    assert.equal(berlin.weekly.current, 2);
+    assert.equal(berlin.weekly.thisWeekCount, 1);
+    assert.equal(berlin.weekly.daysLeftThisWeek, 7);
+
+    const utc = calculate(workouts, "2026-10-19T10:00:00Z", "UTC", 1);
+    assert.equal(utc.weekly.current, 1);
+    assert.equal(utc.weekly.thisWeekCount, 0);
+  });
+});
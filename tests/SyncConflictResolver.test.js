@@ -0,0 +1,188 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { SyncConflictResolver } from "../js/sync/SyncConflictResolver.js";
+import { Athlete } from "../js/models/Athlete.js";
+
+const logger = { log() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Resolver over in-memory fakes; `calls` lists every write it made
+ */
+function createResolver({ athlete = null, progressConflicts = [] } = {}) {
+  const calls = [];
+  const record =
+    (name) =>
+    async (...args) => {
+      calls.push([name, ...args]);
+    };
+  const outboxEntries = new Map();
+
+  const resolver = new SyncConflictResolver(
+    {
+      getCurrentAthlete: async () => athlete,
+      saveAthlete: record("saveAthlete"),
+      applyServerRevision: record("athlete.applyServerRevision"),
+    },
+    { applyServerRevision: record("workout.applyServerRevision") },
+    { applyServerRevision: record("progress.applyServerRevision") },
+    {
+      async mergeRemoteProgress(payload, revision) {
+        calls.push(["mergeRemoteProgress", revision]);
+        return progressConflicts;
+      },
+    },
+    {
+      getEntryById: async (id) => outboxEntries.get(id) || null,
+      markAsSynced: record("markAsSynced"),
+      rebaseEntry: record("rebaseEntry"),
+      notifyMutationQueued: () => calls.push(["notifyMutationQueued"]),
+    },
+    {
+      async logConflict(conflict) {
+        calls.push(["logConflict", conflict.reason, conflict.details]);
+      },
+    },
+    logger,
+  );
+  return { resolver, calls, outboxEntries };
+}
+
+/**
+ * Outbox entry for a record, already stored in the fake outbox
+ */
+function queueEntry(outboxEntries, entityType, entityId, payload) {
+  const entry = {
+    id: `${entityType}:${entityId}`,
+    entityType,
+    entityId,
+    operation: payload ? "upsert" : "delete",
+    payload,
+    baseRevision: 1,
+    mutationId: "mutation-1",
+  };
+  outboxEntries.set(entry.id, entry);
+  return entry;
+}
+
+const callNames = (calls) => calls.map(([name]) => name);
+
+describe("SyncConflictResolver.resolveConflict", () => {
+  it("accepts a remote workout identical to the local one", async () => {
+    const { resolver, calls, outboxEntries } = createResolver();
+    const entry = queueEntry(outboxEntries, "workout", "w1", {
+      id: "w1",
+      reps: 10,
+      revision: 1,
+    });
+
+    await resolver.resolveConflict(entry, {
+      revision: 4,
+      payload: { id: "w1", reps: 10, revision: 4 },
+    });
+    assert.deepEqual(calls, [
+      ["markAsSynced", "workout:w1", "mutation-1", 4],
+      ["workout.applyServerRevision", "w1", 4],
+    ]);
+  });
+
+  it("pushes an edited workout again on top of the remote one", async () => {
+    const { resolver, calls, outboxEntries } = createResolver();
+    const entry = queueEntry(outboxEntries, "workout", "w1", {
+      id: "w1",
+      reps: 12,
+    });
+
+    await resolver.resolveConflict(entry, {
+      revision: 4,
+      payload: { id: "w1", reps: 10 },
+    });
+    assert.deepEqual(calls[0], ["rebaseEntry", "workout:w1", "mutation-1", 4]);
+    assert.deepEqual(calls.at(-2), [
+      "logConflict",
+      "Workout edited on both devices",
+      [],
+    ]);
+    assert.deepEqual(calls.at(-1), ["notifyMutationQueued"]);
+  });
+
+  it("keeps the local version of a record deleted on one side", async () => {
+    const { resolver, calls, outboxEntries } = createResolver();
+    const entry = queueEntry(outboxEntries, "workout", "w1", null);
+
+    await resolver.resolveConflict(entry, {
+      revision: 4,
+      payload: { id: "w1", reps: 10 },
+    });
+    assert.equal(calls[0][0], "rebaseEntry");
+    assert.ok(calls.some((c) => c[1] === "Deleted on one side"));
+  });
+
+  it("acknowledges a record deleted on both sides", async () => {
+    const { resolver, calls, outboxEntries } = createResolver();
+    const entry = queueEntry(outboxEntries, "workout", "w1", null);
+
+    await resolver.resolveConflict(entry, { revision: 4, deleted: true });
+    assert.deepEqual(callNames(calls), [
+      "markAsSynced",
+      "workout.applyServerRevision",
+    ]);
+  });
+
+  it("merges the athlete, keeping the highest tier", async () => {
+    const athlete = new Athlete("a1", "Ana", "1990-01-01", "female", "neutral");
+    athlete.currentTier = 1;
+    const { resolver, calls, outboxEntries } = createResolver({ athlete });
+    const entry = queueEntry(outboxEntries, "athlete", "a1", athlete.toJSON());
+
+    await resolver.resolveConflict(entry, {
+      revision: 7,
+      payload: { ...athlete.toJSON(), name: "Anna", currentTier: 3 },
+    });
+    assert.equal(athlete.currentTier, 3);
+    assert.equal(athlete.name, "Ana");
+    assert.equal(athlete.revision, 7);
+    assert.deepEqual(callNames(calls), ["saveAthlete", "logConflict"]);
+    assert.deepEqual(calls[1].slice(1), [
+      "Profile edited on both devices",
+      ["name"],
+    ]);
+  });
+
+  it("merges progress and logs only parts that could not be merged", async () => {
+    const clean = createResolver();
+    const entry = queueEntry(clean.outboxEntries, "progress", "tiers", {
+      tiers: [],
+    });
+    await clean.resolver.resolveConflict(entry, {
+      revision: 5,
+      payload: { tiers: [] },
+    });
+    assert.deepEqual(clean.calls, [["mergeRemoteProgress", 5]]);
+
+    const differing = createResolver({
+      progressConflicts: ["Beginner/bronze: rules differ"],
+    });
+    differing.outboxEntries.set(entry.id, entry);
+    await differing.resolver.resolveConflict(entry, {
+      revision: 5,
+      payload: { tiers: [] },
+    });
+    assert.deepEqual(differing.calls.at(-1), [
+      "logConflict",
+      "Tier rules differ between devices",
+      ["Beginner/bronze: rules differ"],
+    ]);
+  });
+
+  it("skips an entry a newer local edit replaced", async () => {
+    const { resolver, calls, outboxEntries } = createResolver();
+    const entry = queueEntry(outboxEntries, "workout", "w1", { id: "w1" });
+    outboxEntries.set(entry.id, { ...entry, mutationId: "mutation-2" });
+
+    await resolver.resolveConflict(entry, {
+      revision: 4,
+      payload: { id: "w1", reps: 10 },
+    });
+    assert.deepEqual(calls, []);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { TierConfiguration } from "../js/models/TierConfiguration.js";
+import { WorkoutTaxonomy } from "../js/models/WorkoutTaxonomy.js";
+
+const workoutTaxonomy = new WorkoutTaxonomy();
+
+/**
+ * Plain TierConfiguration JSON with two tiers of bronze and silver
+ * milestones; overrides replace milestones by "level/type"
+ */
+function buildProgress(overrides = {}) {
+  const tierNames = ["Beginner", "Novice"];
+  const milestone = (level, type) => ({
+    type,
+    name: `${type} ${level}`,
+    requiredWorkouts: 4,
+    workoutRequirements: [{ workoutType: "Walking", reps: 10 }],
+    benchmarkWorkouts: [
+      { name: "Mile", exercises: [], timeCapMinutes: 20 },
+      { name: "Plank", exercises: [], timeCapMinutes: 5 },
+    ],
+    progress: 0,
+    benchmarksCompleted: [],
+    ...overrides[`${level}/${type}`],
+  });
+  return {
+    rulesId: "test-program",
+    rulesVersion: 1,
+    tiers: [0, 1].map((level) => ({
+      level,
+      name: tierNames[level],
+      milestones: [milestone(level, "bronze"), milestone(level, "silver")],
+    })),
+  };
+}
+
+/**
+ * Milestone of a configuration by tier level and type
+ */
+function milestoneOf(config, level, type) {
+  return config.getTierByLevel(level).findMilestoneByType(type);
+}
+
+describe("TierConfiguration.mergeProgress", () => {
+  it("keeps the higher workout count and every completed benchmark", () => {
+    const local = TierConfiguration.fromJSON(
+      buildProgress({
+        "0/bronze": { progress: 3, benchmarksCompleted: [1] },
+        "0/silver": { progress: 2 },
+      }),
+      workoutTaxonomy,
+    );
+    const remote = TierConfiguration.fromJSON(
+      buildProgress({
+        "0/bronze": { progress: 1, benchmarksCompleted: [0] },
+        "0/silver": { progress: 3 },
+      }),
+      workoutTaxonomy,
+    );
+
+    assert.deepEqual(local.mergeProgress(remote), []);
+    assert.equal(milestoneOf(local, 0, "bronze").progress, 3);
+    assert.deepEqual(
+      milestoneOf(local, 0, "bronze").benchmarksCompleted,
+      [0, 1],
+    );
+    assert.equal(milestoneOf(local, 0, "silver").progress, 3);
+  });
+
+  it("caps progress and benchmarks at what the milestone defines", () => {
+    const local = TierConfiguration.fromJSON(buildProgress(), workoutTaxonomy);
+    const remote = TierConfiguration.fromJSON(
+      buildProgress({
+        "1/bronze": { progress: 9, benchmarksCompleted: [1, 5] },
+      }),
+      workoutTaxonomy,
+    );
+
+    local.mergeProgress(remote);
+    assert.equal(milestoneOf(local, 1, "bronze").progress, 4);
+    assert.deepEqual(milestoneOf(local, 1, "bronze").benchmarksCompleted, [1]);
+  });
+
+  it("leaves milestones with different rules untouched", () => {
+    const local = TierConfiguration.fromJSON(
+      buildProgress({ "0/bronze": { progress: 1 } }),
+      workoutTaxonomy,
+    );
+    const remote = TierConfiguration.fromJSON(
+      buildProgress({ "0/bronze": { progress: 4, requiredWorkouts: 6 } }),
+      workoutTaxonomy,
+    );
+
+    assert.deepEqual(local.mergeProgress(remote), [
+      "Beginner/bronze: rules differ",
+    ]);
+    assert.equal(milestoneOf(local, 0, "bronze").progress, 1);
+  });
+
+  it("reports tiers and milestones missing on either side", () => {
+    const localData = buildProgress();
+    localData.tiers[1].milestones.pop();
+    const remoteData = buildProgress();
+    remoteData.tiers[0].name = "Renamed";
+    remoteData.tiers.push({ level: 2, name: "Advanced", milestones: [] });
+
+    const local = TierConfiguration.fromJSON(localData, workoutTaxonomy);
+    const remote = TierConfiguration.fromJSON(remoteData, workoutTaxonomy);
+    assert.deepEqual(local.mergeProgress(remote), [
+      "Tier 1: named differently",
+      "Novice/silver: missing locally",
+      "1 tier(s) missing locally",
+    ]);
+  });
+});